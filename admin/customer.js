@@ -1,12 +1,23 @@
 import { supabase } from "../js/api.js";
 import { createQuote, duplicateQuoteById, cancelQuote } from "../js/quotesApi.js";
 import { makeDefaultQuoteData } from "../js/quoteDefaults.js";
+import { listPriceLists } from "../js/productsApi.js";
+import { normalizePriceLists, findPriceList, applyCustomerPriceList } from "../js/priceLists.js";
+import { listCompanyTaxes, uploadTaxCertificate, getTaxCertificateUrl } from "../js/customersApi.js";
+import {
+  normalizeTaxExemption,
+  isTaxExemptionExpired,
+  quoteTaxExemption,
+  taxExemptionText,
+} from "../js/taxExemption.js";
 
 /**
  * Customer detail page
  * - Shows customer info
  * - Shows pipeline status / source / notes (same backing record as Leads)
  * - Lets you edit the customer directly from this page
+ * - Assigns a price list (negotiated rates) used by new quotes for this customer
+ * - Tax exemption (number, expiry, certificate); new quotes default to 0% on the exempt taxes
  * - Shows quotes only for this customer
  */
 
@@ -32,6 +43,9 @@ const custPhoneEl = document.getElementById("cust-phone");
 const custAddressEl = document.getElementById("cust-address");
 const custPipelineStatusEl = document.getElementById("cust-pipeline-status");
 const custLeadSourceEl = document.getElementById("cust-lead-source");
+const custPriceListEl = document.getElementById("cust-price-list");
+const custTaxExemptEl = document.getElementById("cust-tax-exempt");
+const btnTaxCert = document.getElementById("btn-tax-cert");
 const custNotesEmptyEl = document.getElementById("cust-notes-empty");
 const custNotesIntroEl = document.getElementById("cust-notes-intro");
 const custNotesDetailsEl = document.getElementById("cust-notes-details");
@@ -63,12 +77,25 @@ const editPhoneEl = document.getElementById("edit_phone");
 const editPipelineStatusEl = document.getElementById("edit_pipeline_status");
 const editLeadSourceEl = document.getElementById("edit_lead_source");
 const editLeadNotesEl = document.getElementById("edit_lead_notes");
+const editPriceListFieldEl = document.getElementById("edit-price-list-field");
+const editPriceListEl = document.getElementById("edit_price_list_id");
+const editTaxExemptEl = document.getElementById("edit_tax_exempt");
+const editTaxExemptDetailsEl = document.getElementById("edit-tax-exempt-details");
+const editTaxExemptNumberEl = document.getElementById("edit_tax_exempt_number");
+const editTaxExemptExpiresEl = document.getElementById("edit_tax_exempt_expires");
+const editTaxExemptTaxesFieldEl = document.getElementById("edit-tax-exempt-taxes-field");
+const editTaxExemptTaxesEl = document.getElementById("edit-tax-exempt-taxes");
+const editTaxCertNameEl = document.getElementById("edit-tax-cert-name");
+const editTaxCertFileEl = document.getElementById("edit_tax_cert_file");
+const editTaxCertPickBtn = document.getElementById("edit-tax-cert-pick");
 
 const params = new URLSearchParams(window.location.search);
 const customerId = params.get("id");
 
 let customer = null;
 let allCustomerQuotes = [];
+let priceLists = [];
+let companyTaxes = [];
 
 const STATUS_ORDER = ["new", "contacted", "qualified", "won", "lost"];
 
@@ -166,6 +193,7 @@ function normalizeQuoteStatus(status) {
   if (["accepted", "signed"].includes(s)) return "accepted";
   if (s === "viewed") return "viewed";
   if (s === "sent") return "sent";
+  if (s === "declined") return "declined";
   if (["cancelled", "canceled"].includes(s)) return "cancelled";
   return s || "draft";
 }
@@ -175,6 +203,7 @@ function prettyQuoteStatus(status) {
   if (s === "accepted") return "Accepted";
   if (s === "viewed") return "Viewed";
   if (s === "sent") return "Sent";
+  if (s === "declined") return "Declined";
   if (s === "cancelled") return "Cancelled";
   return "Draft";
 }
@@ -184,6 +213,7 @@ function badgeClass(status) {
   if (s === "accepted") return "accepted";
   if (s === "sent") return "sent";
   if (s === "viewed") return "viewed";
+  if (s === "declined") return "declined";
   if (s === "cancelled") return "cancelled";
   return "draft";
 }
@@ -234,6 +264,94 @@ function ensureLeadSourceOption(value, label = null) {
   editLeadSourceEl.appendChild(opt);
 }
 
+async function loadPriceLists() {
+  try {
+    priceLists = normalizePriceLists(await listPriceLists());
+  } catch {
+    priceLists = [];
+  }
+}
+
+function prettyPriceList(id) {
+  if (!sanitizeString(id)) return "Catalog";
+  return findPriceList(priceLists, id)?.name || "Catalog (price list deleted)";
+}
+
+function fillPriceListOptions(currentId) {
+  if (!editPriceListEl) return;
+  const current = sanitizeString(currentId);
+  editPriceListEl.innerHTML = '<option value="">Catalog prices</option>';
+  for (const l of priceLists) editPriceListEl.appendChild(new Option(l.name, l.id));
+  editPriceListEl.value = findPriceList(priceLists, current) ? current : "";
+
+  // Only worth showing once Products defines at least one list
+  if (editPriceListFieldEl) editPriceListFieldEl.hidden = !priceLists.length;
+}
+
+async function loadCompanyTaxes() {
+  try {
+    companyTaxes = await listCompanyTaxes();
+  } catch {
+    companyTaxes = [];
+  }
+}
+
+// Which taxes the exemption covers; an empty list (or every box ticked) means all of them.
+function renderExemptTaxes(taxIds) {
+  if (!editTaxExemptTaxesEl) return;
+  const ids = Array.isArray(taxIds) ? taxIds : [];
+  editTaxExemptTaxesEl.innerHTML = "";
+
+  for (const t of companyTaxes) {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = String(t.id);
+    box.checked = !ids.length || ids.includes(String(t.id));
+    const name = document.createElement("span");
+    name.textContent = sanitizeString(t.name) || "Tax";
+    label.append(box, name);
+    editTaxExemptTaxesEl.appendChild(label);
+  }
+
+  // A single tax needs no picker
+  if (editTaxExemptTaxesFieldEl) editTaxExemptTaxesFieldEl.hidden = companyTaxes.length < 2;
+}
+
+function readExemptTaxIds() {
+  const boxes = Array.from(editTaxExemptTaxesEl?.querySelectorAll("input[type=checkbox]") || []);
+  const checked = boxes.filter((b) => b.checked).map((b) => b.value);
+  return checked.length === boxes.length ? [] : checked;
+}
+
+function syncTaxExemptDetails() {
+  if (editTaxExemptDetailsEl) editTaxExemptDetailsEl.hidden = !editTaxExemptEl?.checked;
+}
+
+function syncTaxCertName() {
+  if (!editTaxCertNameEl) return;
+  const file = editTaxCertFileEl?.files?.[0];
+  const current = normalizeTaxExemption(customer?.tax_exemption);
+  if (file) editTaxCertNameEl.textContent = `${file.name} (uploads when you save)`;
+  else editTaxCertNameEl.textContent = current?.certificate_name || "No certificate uploaded.";
+  if (editTaxCertPickBtn) editTaxCertPickBtn.textContent = file || current?.certificate_path ? "Replace" : "Upload";
+}
+
+async function openTaxCertificate() {
+  const path = normalizeTaxExemption(customer?.tax_exemption)?.certificate_path;
+  if (!path) return;
+  // Open the tab first so popup blockers allow it, then point it at the signed URL
+  const win = window.open("", "_blank");
+  try {
+    const url = await getTaxCertificateUrl(path);
+    if (win) win.location.href = url;
+    else window.location.href = url;
+  } catch (e) {
+    win?.close();
+    toast(e?.message || "Could not open the certificate.");
+  }
+}
+
 function setQuotesLoading(isLoading) {
   if (quotesLoadingEl) quotesLoadingEl.hidden = !isLoading;
 }
@@ -654,6 +772,16 @@ function populateEditForm(c) {
   ensureLeadSourceOption(c?.lead_source);
   if (editLeadSourceEl) editLeadSourceEl.value = normalizeLeadSource(c?.lead_source);
   if (editLeadNotesEl) editLeadNotesEl.value = sanitizeString(c?.lead_notes);
+  fillPriceListOptions(c?.price_list_id);
+
+  const exemption = normalizeTaxExemption(c?.tax_exemption);
+  if (editTaxExemptEl) editTaxExemptEl.checked = !!exemption;
+  if (editTaxExemptNumberEl) editTaxExemptNumberEl.value = exemption?.number || "";
+  if (editTaxExemptExpiresEl) editTaxExemptExpiresEl.value = exemption?.expires || "";
+  if (editTaxCertFileEl) editTaxCertFileEl.value = "";
+  renderExemptTaxes(exemption?.tax_ids);
+  syncTaxExemptDetails();
+  syncTaxCertName();
 }
 
 function openEditCustomer() {
@@ -689,6 +817,15 @@ function setCustomerUI(c) {
     custPipelineStatusEl.className = `pipeline-badge ${pipelineStatus}`;
   }
   if (custLeadSourceEl) custLeadSourceEl.textContent = prettyLeadSource(leadSource);
+  if (custPriceListEl) custPriceListEl.textContent = prettyPriceList(c?.price_list_id);
+
+  const exemption = normalizeTaxExemption(c?.tax_exemption);
+  const expired = isTaxExemptionExpired(exemption);
+  if (custTaxExemptEl) {
+    custTaxExemptEl.textContent = exemption ? `${taxExemptionText(exemption)}${expired ? " (expired)" : ""}` : "Taxable";
+    custTaxExemptEl.classList.toggle("is-warning", expired);
+  }
+  if (btnTaxCert) btnTaxCert.hidden = !exemption?.certificate_path;
   renderCustomerNotes(notes);
 
   if (btnCopyEmail) {
@@ -724,6 +861,27 @@ async function updateCustomerRecord() {
     lead_notes: normalizeOptional(editLeadNotesEl?.value),
     updated_at: new Date().toISOString(),
   };
+  if (priceLists.length) payload.price_list_id = normalizeOptional(editPriceListEl?.value);
+
+  const currentExemption = normalizeTaxExemption(customer?.tax_exemption);
+  const certFile = editTaxCertFileEl?.files?.[0] || null;
+  if (editTaxExemptEl) {
+    payload.tax_exemption = editTaxExemptEl.checked
+      ? {
+          number: sanitizeString(editTaxExemptNumberEl?.value),
+          expires: normalizeOptional(editTaxExemptExpiresEl?.value),
+          tax_ids: readExemptTaxIds(),
+          certificate_path: currentExemption?.certificate_path || null,
+          certificate_name: currentExemption?.certificate_name || null,
+        }
+      : null;
+
+    if (payload.tax_exemption && !payload.tax_exemption.number) {
+      setEditMsg("Add the exemption number so it can be printed on quotes.");
+      editTaxExemptNumberEl?.focus();
+      return;
+    }
+  }
 
   const hasIdentity = [payload.first_name, payload.last_name, payload.company_name, payload.email, payload.phone].some(Boolean);
   if (!hasIdentity) {
@@ -737,19 +895,36 @@ async function updateCustomerRecord() {
     editSubmitBtn.disabled = true;
     editSubmitBtn.textContent = "Saving…";
 
-    const { data, error } = await supabase
-      .from("customers")
-      .update(payload)
-      .eq("id", customer.id)
-      .select("*")
-      .single();
+    if (payload.tax_exemption && certFile) {
+      const cert = await uploadTaxCertificate(customer.id, certFile);
+      payload.tax_exemption.certificate_path = cert.path;
+      payload.tax_exemption.certificate_name = cert.name;
+    }
+
+    const save = (body) => supabase.from("customers").update(body).eq("id", customer.id).select("*").single();
+
+    // Older schemas: save the rest, then say which column to add
+    const optionalColumns = [
+      { col: "price_list_id", note: "Add customers.price_list_id (text) in Supabase to assign price lists." },
+      { col: "tax_exemption", note: "Add customers.tax_exemption (jsonb) in Supabase to record tax exemptions." },
+    ];
+    const notes = [];
+
+    let { data, error } = await save(payload);
+    while (error) {
+      const missing = optionalColumns.find((o) => o.col in payload && isMissingColumnError(error, o.col));
+      if (!missing) break;
+      delete payload[missing.col];
+      notes.push(missing.note);
+      ({ data, error } = await save(payload));
+    }
 
     if (error) throw error;
 
     customer = data || { ...customer, ...payload };
     setCustomerUI(customer);
     closeDialog(editDialog);
-    toast("Customer updated.");
+    toast(["Customer updated.", ...notes].join(" "));
   } catch (e) {
     setEditMsg(e?.message || "Failed to save customer.");
   } finally {
@@ -772,6 +947,9 @@ async function createQuoteForCustomer() {
     try {
       if (data && typeof data === "object") data.customer_id = customer.id;
     } catch {}
+    applyCustomerPriceList(data, customer, priceLists);
+    const exemption = quoteTaxExemption(customer?.tax_exemption);
+    if (exemption) data.tax_exemption = exemption;
 
     const payload = {
       customer_id: customer.id,
@@ -844,6 +1022,10 @@ async function init() {
   if (btnCreateQuote) btnCreateQuote.addEventListener("click", createQuoteForCustomer);
   if (btnEditCustomer) btnEditCustomer.addEventListener("click", openEditCustomer);
   if (editCancelBtn) editCancelBtn.addEventListener("click", () => closeDialog(editDialog));
+  if (editTaxExemptEl) editTaxExemptEl.addEventListener("change", syncTaxExemptDetails);
+  if (editTaxCertPickBtn) editTaxCertPickBtn.addEventListener("click", () => editTaxCertFileEl?.click());
+  if (editTaxCertFileEl) editTaxCertFileEl.addEventListener("change", syncTaxCertName);
+  if (btnTaxCert) btnTaxCert.addEventListener("click", openTaxCertificate);
   if (editForm) {
     editForm.addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -858,6 +1040,7 @@ async function init() {
   if (workspaceNameEl) workspaceNameEl.textContent = inferWorkspaceName(session);
 
   try {
+    await Promise.all([loadPriceLists(), loadCompanyTaxes()]);
     customer = await loadCustomer();
     setCustomerUI(customer);
     await loadQuotes();
@@ -978,6 +1161,16 @@ init();
           </span>
           <span>Products</span>
         </a>
+        <a class="nav-item" href="./templates.html" data-mobile-close>
+          <span class="nav-ico" aria-hidden="true">
+            <svg viewBox="0 0 24 24" fill="none">
+              <path d="M4 4h10v10H4z" stroke="currentColor" stroke-width="2" stroke-linejoin="round" />
+              <path d="M10 20h10V10" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55" />
+              <path d="M7 17h10V7" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55" />
+            </svg>
+          </span>
+          <span>Templates</span>
+        </a>
       </div>
 
       <div class="nav-group">
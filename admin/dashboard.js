@@ -1,5 +1,9 @@
 import { supabase } from "../js/api.js";
 import { makeDefaultQuoteData } from "../js/quoteDefaults.js";
+import { listTemplates, applyTemplateToQuoteData } from "../js/templatesApi.js";
+import { applyCustomerPriceList } from "../js/priceLists.js";
+import { quoteTaxExemption } from "../js/taxExemption.js";
+import { DECLINE_REASONS, normalizeDecline } from "../js/quoteDecline.js";
 
 /**
  * Command Center Dashboard
@@ -58,6 +62,10 @@ const teamOpenBar = document.getElementById("team-open-bar");
 const teamCloseKpi = document.getElementById("team-close-kpi");
 const teamCloseBar = document.getElementById("team-close-bar");
 
+// Declined reasons
+const declineEmpty = document.getElementById("decline-empty");
+const declineList = document.getElementById("decline-list");
+
 // Chart
 const chartSvg = document.getElementById("chart-svg");
 const chartYAxis = document.getElementById("chart-y-axis");
@@ -97,6 +105,8 @@ const quickCustomerAddressEl = document.getElementById("quick_customer_address")
 const quickCustomerCancelBtn = document.getElementById("quick_customer_cancel");
 const quickCustomerSubmitBtn = document.getElementById("quick_customer_submit");
 const quickCustomerMsgEl = document.getElementById("quick_customer_msg");
+const quoteTemplateFieldEl = document.getElementById("quote_template_field");
+const quoteTemplateEl = document.getElementById("quote_template");
 
 let toastTimer = null;
 const LAST_30_DAYS = 30;
@@ -104,6 +114,7 @@ let companyId = null;
 let userId = null;
 let allCustomers = [];
 let selectedCustomer = null;
+let quoteTemplates = [];
 
 function toast(msg) {
   if (!toastEl) return;
@@ -403,10 +414,13 @@ async function loadCustomersForCreateDialog() {
   customerListEl.innerHTML = '<div class="customer-loading">Loading customers…</div>';
   if (customerEmptyEl) customerEmptyEl.hidden = true;
 
-  const { data, error } = await supabase
-    .from("customers")
-    .select("id, first_name, last_name, company_name, email, phone, billing_address")
-    .limit(300);
+  const columns = "id, first_name, last_name, company_name, email, phone, billing_address";
+  let { data, error } = await supabase.from("customers").select(`${columns}, price_list_id, tax_exemption`).limit(300);
+
+  // Older schemas: no customers.price_list_id / tax_exemption yet
+  if (error && /price_list_id|tax_exemption/i.test(String(error.message || error.details || ""))) {
+    ({ data, error } = await supabase.from("customers").select(columns).limit(300));
+  }
 
   if (error) throw error;
 
@@ -414,6 +428,27 @@ async function loadCustomersForCreateDialog() {
   renderCustomerList(customerSearchEl?.value || "");
 }
 
+async function loadTemplatesForCreateDialog() {
+  if (!quoteTemplateEl) return;
+
+  try {
+    quoteTemplates = await listTemplates();
+  } catch {
+    // Older schemas may not have quote_templates yet; just offer a blank quote.
+    quoteTemplates = [];
+  }
+
+  quoteTemplateEl.innerHTML = '<option value="">Blank quote</option>';
+  for (const t of quoteTemplates) {
+    const opt = document.createElement("option");
+    opt.value = t.id;
+    opt.textContent = t.name || "Untitled template";
+    quoteTemplateEl.appendChild(opt);
+  }
+
+  if (quoteTemplateFieldEl) quoteTemplateFieldEl.hidden = !quoteTemplates.length;
+}
+
 function buildQuoteSeedFromCustomer(customer) {
   const customer_name = chooseCustomerDisplayName(customer);
   const customer_email = safeStr(customer?.email) || null;
@@ -424,6 +459,11 @@ function buildQuoteSeedFromCustomer(customer) {
   data.bill_to.client_email = safeStr(customer?.email);
   data.bill_to.client_phone = safeStr(customer?.phone);
   data.bill_to.client_addr = safeStr(customer?.billing_address);
+  // Negotiated rates: the builder prices catalog items from this list
+  applyCustomerPriceList(data, customer);
+  // Tax-exempt customers start at 0% on the exempt taxes
+  const exemption = quoteTaxExemption(customer?.tax_exemption);
+  if (exemption) data.tax_exemption = exemption;
   return { customer_name, customer_email, data };
 }
 
@@ -495,9 +535,12 @@ async function openCreateQuoteDialog() {
   setSelectedCustomer(null);
   if (customerSearchEl) customerSearchEl.value = "";
   toggleQuickCustomerPanel(false);
+  if (quoteTemplateEl) quoteTemplateEl.value = "";
   openDialog(createDialog);
   customerSearchEl?.focus();
 
+  loadTemplatesForCreateDialog();
+
   try {
     await loadCustomersForCreateDialog();
   } catch (err) {
@@ -521,6 +564,9 @@ async function createQuoteShellFromSelectedCustomer() {
   if (!selectedCustomer) throw new Error("Choose a customer first.");
   const seed = buildQuoteSeedFromCustomer(selectedCustomer);
 
+  const template = quoteTemplates.find((t) => t.id === quoteTemplateEl?.value);
+  if (template) applyTemplateToQuoteData(seed.data, template);
+
   const payloadBase = {
     customer_name: seed.customer_name,
     customer_email: seed.customer_email,
@@ -566,6 +612,7 @@ function normalizeStatus(status) {
   if (["accepted", "signed"].includes(s)) return "accepted";
   if (["viewed"].includes(s)) return "viewed";
   if (["sent"].includes(s)) return "sent";
+  if (["declined"].includes(s)) return "declined";
   if (["cancelled", "canceled"].includes(s)) return "cancelled";
   return s || "draft";
 }
@@ -575,6 +622,7 @@ function badgeClass(status) {
   if (s === "accepted") return "accepted";
   if (s === "sent") return "sent";
   if (s === "viewed") return "viewed";
+  if (s === "declined") return "declined";
   if (s === "cancelled") return "cancelled";
   return "draft";
 }
@@ -584,6 +632,7 @@ function prettyStatus(status) {
   if (s === "accepted") return "Accepted";
   if (s === "viewed") return "Viewed";
   if (s === "sent") return "Sent";
+  if (s === "declined") return "Declined";
   if (s === "cancelled") return "Cancelled";
   return "Draft";
 }
@@ -1033,7 +1082,7 @@ function renderChart(quotes) {
 }
 
 function updateKPIs(quotes) {
-  const counts = { draft: 0, sent: 0, accepted: 0 };
+  const counts = { draft: 0, sent: 0, accepted: 0, declined: 0 };
   let pipeline = 0;
   let acceptedValue = 0;
 
@@ -1050,10 +1099,12 @@ function updateKPIs(quotes) {
     } else if (s === "draft") {
       counts.draft += 1;
       pipeline += total;
+    } else if (s === "declined") {
+      counts.declined += 1;
     }
   }
 
-  const denom = counts.accepted + counts.sent + counts.draft;
+  const denom = counts.accepted + counts.sent + counts.draft + counts.declined;
   const closeRate = denom ? Math.round((counts.accepted / denom) * 100) : null;
 
   if (kpiDraft) kpiDraft.textContent = String(counts.draft);
@@ -1075,6 +1126,49 @@ function updateKPIs(quotes) {
   }
 }
 
+// Why customers declined (status "Declined" + data.meta.decline from the customer page)
+function renderDeclineReasons(quotes) {
+  if (!declineList) return;
+  declineList.innerHTML = "";
+
+  const declined = quotes.filter((q) => normalizeStatus(q.status) === "declined");
+  if (declineEmpty) declineEmpty.hidden = declined.length > 0;
+  if (!declined.length) return;
+
+  const byReason = new Map(DECLINE_REASONS.map((r) => [r.id, { count: 0, cents: 0, comment: "" }]));
+  for (const q of declined) {
+    // Newest first, so the first comment seen per reason is the latest
+    const d = normalizeDecline(q.decline) || { reason: "other", comment: "" };
+    const row = byReason.get(d.reason);
+    row.count += 1;
+    row.cents += Number(q.total_cents || 0);
+    if (!row.comment && d.comment) row.comment = d.comment;
+  }
+
+  for (const r of DECLINE_REASONS) {
+    const { count, cents, comment } = byReason.get(r.id);
+    const pct = Math.round((count / declined.length) * 100);
+
+    const item = document.createElement("div");
+    item.className = count ? "team-row" : "team-row muted";
+    if (comment) item.title = comment;
+    item.innerHTML = `
+      <div class="team-left">
+        <div class="avatar${count ? "" : " muted"}">${count}</div>
+        <div class="team-meta">
+          <div class="team-name">${escapeHtml(r.label)}</div>
+          <div class="team-sub">${escapeHtml(comment ? `Latest: “${comment}”` : `${pct}% of declined quotes`)}</div>
+        </div>
+      </div>
+      <div class="team-right">
+        <div class="team-kpi">${escapeHtml(formatMoney(cents, "CAD"))}</div>
+        <div class="team-bar"><span style="width: ${pct}%"></span></div>
+      </div>
+    `;
+    declineList.appendChild(item);
+  }
+}
+
 async function requireSessionOrRedirect() {
   const { data, error } = await supabase.auth.getSession();
   if (error) console.warn("getSession error", error);
@@ -1138,7 +1232,7 @@ async function loadDashboardQuotes() {
 
     const { data, error } = await supabase
       .from("quotes")
-      .select("id, quote_no, customer_name, customer_email, total_cents, currency, status, created_at")
+      .select("id, quote_no, customer_name, customer_email, total_cents, currency, status, created_at, decline:data->meta->decline")
       .gte("created_at", since)
       .order("created_at", { ascending: false })
       .limit(500);
@@ -1153,6 +1247,7 @@ async function loadDashboardQuotes() {
       if (recentEmpty) recentEmpty.hidden = false;
       updateKPIs([]);
       renderChart([]);
+      renderDeclineReasons([]);
       return;
     }
 
@@ -1161,6 +1256,7 @@ async function loadDashboardQuotes() {
 
     updateKPIs(quotes);
     renderChart(quotes);
+    renderDeclineReasons(quotes);
   } catch (e) {
     if (recentLoading) recentLoading.hidden = true;
     setError(e?.message || "Failed to load dashboard data.");
@@ -8,6 +8,7 @@ import {
 } from "../js/leadsApi.js";
 import { createQuote } from "../js/quotesApi.js";
 import { makeDefaultQuoteData } from "../js/quoteDefaults.js";
+import { listTemplates, applyTemplateToQuoteData, templateHasTerms } from "../js/templatesApi.js";
 
 const workspaceNameEl = document.getElementById("workspace-name");
 const userEmailEl = document.getElementById("user-email");
@@ -67,12 +68,21 @@ const statusEl = document.getElementById("status");
 const sourceEl = document.getElementById("source");
 const notesEl = document.getElementById("notes");
 
+// Template picker (create quote)
+const templateDialog = document.getElementById("quote-template-dialog");
+const templateForm = document.getElementById("quote-template-form");
+const templateSelectEl = document.getElementById("quote-template");
+const templateSubEl = document.getElementById("quote-template-sub");
+const templateCancelBtn = document.getElementById("quote-template-cancel");
+
 const STATUS_ORDER = ["new", "contacted", "qualified", "won", "lost"];
 const STATUS_PRIORITY = Object.fromEntries(STATUS_ORDER.map((s, i) => [s, i]));
 
 let toastTimer = null;
 let searchTimer = null;
 let mode = "create";
+let quoteTemplates = null;
+let pendingQuoteLead = null;
 let editingId = null;
 
 let allLeads = [];
@@ -316,6 +326,7 @@ function prettyQuoteStatus(status) {
   if (isAcceptedQuoteStatus(s)) return "Accepted";
   if (s === "viewed") return "Viewed";
   if (s === "sent") return "Sent";
+  if (s === "declined") return "Declined";
   if (s === "cancelled" || s === "canceled") return "Cancelled";
   return "Draft";
 }
@@ -325,6 +336,7 @@ function quoteStatusClass(status) {
   if (isAcceptedQuoteStatus(s)) return "accepted";
   if (s === "viewed") return "viewed";
   if (s === "sent") return "sent";
+  if (s === "declined") return "declined";
   if (s === "cancelled" || s === "canceled") return "cancelled";
   return "draft";
 }
@@ -743,7 +755,41 @@ function quotePill(q) {
   return button;
 }
 
-async function createQuoteForLead(lead, triggerBtn) {
+async function loadQuoteTemplates() {
+  if (quoteTemplates) return quoteTemplates;
+  try {
+    quoteTemplates = await listTemplates();
+  } catch {
+    // Older schemas may not have quote_templates yet; quotes just start blank.
+    quoteTemplates = [];
+  }
+  return quoteTemplates;
+}
+
+// Offer saved templates first (when there are any), otherwise create a blank quote.
+async function startQuoteForLead(lead, triggerBtn) {
+  const templates = await loadQuoteTemplates();
+  if (!templates.length || !templateDialog || !templateSelectEl) {
+    await createQuoteForLead(lead, triggerBtn);
+    return;
+  }
+
+  pendingQuoteLead = { lead, triggerBtn };
+  templateSelectEl.innerHTML = '<option value="">Blank quote</option>';
+  for (const t of templates) {
+    const opt = document.createElement("option");
+    opt.value = t.id;
+    opt.textContent = t.name || "Untitled template";
+    templateSelectEl.appendChild(opt);
+  }
+  if (templateSubEl) {
+    templateSubEl.textContent = `Quote for ${quoteCustomerNameForLead(lead)}. Start from a saved template or a blank quote.`;
+  }
+  openDialog(templateDialog);
+  templateSelectEl.focus();
+}
+
+async function createQuoteForLead(lead, triggerBtn, template = null) {
   const originalText = triggerBtn?.textContent || "Create quote";
 
   try {
@@ -758,6 +804,7 @@ async function createQuoteForLead(lead, triggerBtn) {
 
     const data = makeDefaultQuoteData({ customer_name, customer_email });
     if (data && typeof data === "object") data.customer_id = lead.id;
+    if (template) applyTemplateToQuoteData(data, template);
 
     const payload = {
       customer_id: lead.id,
@@ -767,6 +814,8 @@ async function createQuoteForLead(lead, triggerBtn) {
       currency: "CAD",
       data,
     };
+    // Template terms win over the company default
+    if (templateHasTerms(template)) payload.use_company_terms = false;
 
     let q = null;
 
@@ -952,7 +1001,7 @@ function renderLeadCard(lead) {
   createQuoteBtn.className = "btn btn-primary";
   createQuoteBtn.type = "button";
   createQuoteBtn.textContent = "Create quote";
-  createQuoteBtn.addEventListener("click", () => createQuoteForLead(lead, createQuoteBtn));
+  createQuoteBtn.addEventListener("click", () => startQuoteForLead(lead, createQuoteBtn));
 
   const viewCustomerLink = document.createElement("a");
   viewCustomerLink.className = "btn btn-secondary";
@@ -1068,6 +1117,19 @@ async function init() {
   if (logoutBtn) logoutBtn.addEventListener("click", logout);
   if (mobileLogoutBtn) mobileLogoutBtn.addEventListener("click", logout);
   if (cancelBtn) cancelBtn.addEventListener("click", () => closeDialog(dialog));
+  if (templateCancelBtn) templateCancelBtn.addEventListener("click", () => closeDialog(templateDialog));
+  if (templateForm) {
+    templateForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const pending = pendingQuoteLead;
+      pendingQuoteLead = null;
+      closeDialog(templateDialog);
+      if (!pending) return;
+
+      const template = (quoteTemplates || []).find((t) => t.id === templateSelectEl?.value) || null;
+      createQuoteForLead(pending.lead, pending.triggerBtn, template);
+    });
+  }
   if (btnCopyEndpoint) btnCopyEndpoint.addEventListener("click", copyFutureEndpoint);
   if (mobileCopyEndpointBtn) mobileCopyEndpointBtn.addEventListener("click", copyFutureEndpoint);
   [btnNew, btnNewInline, mobileNewBtn].filter(Boolean).forEach((btn) => btn.addEventListener("click", () => {
@@ -1,11 +1,25 @@
 import { supabase } from "../js/api.js";
-import { listProducts, createProduct, updateProduct } from "../js/productsApi.js";
+import {
+  listProducts,
+  createProduct,
+  updateProduct,
+  listTaxClasses,
+  listPriceLists,
+  savePriceLists,
+} from "../js/productsApi.js";
+import { evaluateFormula, measurementVars } from "../js/quantityFormula.js";
+import { normalizeComponents, isAssembly, rollUpAssembly } from "../js/assemblies.js";
+import { normalizeTiers, normalizeMinCharge } from "../js/priceTiers.js";
+import { normalizePriceLists, listPriceFor } from "../js/priceLists.js";
 
 /**
  * Products & services (sale items) page
  * - List + search
  * - Create new item
  * - View/Edit in modal
+ * - Assemblies: price + cost roll up from component items
+ * - Price breaks by quantity + a minimum line charge
+ * - Price lists: negotiated rates per customer (companies.price_lists)
  * - Multi-tenant safe via company_id + RLS
  */
 
@@ -46,9 +60,49 @@ const aiDescBtn = document.getElementById("ai-desc-btn");
 const unitEl = document.getElementById("unit_type");
 const priceEl = document.getElementById("price_per_unit");
 const showQtyUnitEl = document.getElementById("show_qty_unit");
+// Internal cost fields (admin only; never sent to customers)
+const costEl = document.getElementById("cost_per_unit");
+const markupEl = document.getElementById("markup_pct");
+const supplierEl = document.getElementById("supplier");
+const marginNoteEl = document.getElementById("margin-note");
+const priceFromMarkupBtn = document.getElementById("price-from-markup");
+const qtyFormulaEl = document.getElementById("qty_formula");
+const taxClassEl = document.getElementById("tax_class_id");
+const taxClassFieldEl = document.getElementById("tax-class-field");
+// Volume pricing
+const addTierBtn = document.getElementById("add-tier");
+const tiersListEl = document.getElementById("tiers-list");
+const minChargeEl = document.getElementById("min_charge");
+// Assembly components
+const addComponentBtn = document.getElementById("add-component");
+const componentsListEl = document.getElementById("components-list");
+const componentsNoteEl = document.getElementById("components-note");
+const COMPONENTS_HINT = componentsNoteEl?.textContent.trim() || "";
+
+// Price lists dialog
+const btnPriceLists = document.getElementById("btn-price-lists");
+const priceListsDialog = document.getElementById("price-lists-dialog");
+const priceListsForm = document.getElementById("price-lists-form");
+const priceListsCancelBtn = document.getElementById("price-lists-cancel");
+const priceListsSubmitBtn = document.getElementById("price-lists-submit");
+const priceListsMsgEl = document.getElementById("price-lists-msg");
+const priceListSelectEl = document.getElementById("price-list-select");
+const priceListNewBtn = document.getElementById("price-list-new");
+const priceListDeleteBtn = document.getElementById("price-list-delete");
+const priceListEditorEl = document.getElementById("price-list-editor");
+const priceListEmptyEl = document.getElementById("price-list-empty");
+const priceListNameEl = document.getElementById("price-list-name");
+const priceListItemsEl = document.getElementById("price-list-items");
 
 let mode = "create"; // create | edit
 let editingId = null;
+let taxClasses = [];
+// Full catalog (for the component picker + roll-ups), independent of the search filter
+let allProducts = [];
+
+let priceLists = [];
+let draftPriceLists = []; // edited copy while the dialog is open
+let activePriceListId = "";
 
 function toast(msg) {
   if (!toastEl) return;
@@ -144,6 +198,28 @@ function inputToCents(value) {
   return Math.round(n * 100);
 }
 
+// Unit prices keep fractions of a cent (eg. $0.0375/sqft, up to 4 decimals); costs stay in whole cents.
+function formatUnitPrice(cents = 0, currency = "CAD") {
+  const dollars = (Number(cents) || 0) / 100;
+  return new Intl.NumberFormat("en-CA", { style: "currency", currency, maximumFractionDigits: 4 }).format(dollars);
+}
+
+function unitPriceToInput(cents) {
+  const n = Number(cents || 0) / 100;
+  return n.toFixed(4).replace(/(\.\d\d)(\d*?)0+$/, "$1$2");
+}
+
+function inputToUnitCents(value) {
+  const n = Number(String(value || "").replace(/[^0-9.]/g, ""));
+  if (!isFinite(n) || n < 0) return 0;
+  return Math.round(n * 10000) / 100;
+}
+
+// Older schemas keep price_per_unit_cents as an integer column (whole cents only).
+function isWholeCentsError(err) {
+  return /type integer/i.test(String(err?.message || ""));
+}
+
 function sanitizeString(s) {
   return String(s || "").trim();
 }
@@ -153,6 +229,429 @@ function normalizeOptional(s) {
   return v ? v : null;
 }
 
+function optionalCents(value) {
+  return sanitizeString(value) ? inputToCents(value) : null;
+}
+
+function optionalPercent(value) {
+  const v = sanitizeString(value);
+  if (!v) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Gross margin as a % of the sell price
+function marginPct(priceCents, costCents) {
+  if (!(priceCents > 0) || costCents == null) return null;
+  return ((priceCents - costCents) / priceCents) * 100;
+}
+
+function syncMarginNote() {
+  const price = inputToUnitCents(priceEl?.value);
+  const cost = optionalCents(costEl?.value);
+  const markup = optionalPercent(markupEl?.value);
+
+  // Assemblies take their price from the components instead
+  if (priceFromMarkupBtn) priceFromMarkupBtn.disabled = !(cost > 0) || markup == null || !!priceEl?.readOnly;
+  if (!marginNoteEl) return;
+
+  const m = marginPct(price, cost);
+  marginNoteEl.textContent =
+    m == null ? "" : `Margin ${m.toFixed(1)}% • Profit ${formatMoney(price - cost)} per unit`;
+}
+
+function setPriceFromMarkup() {
+  if (priceEl?.readOnly) return;
+  const cost = optionalCents(costEl?.value);
+  const markup = optionalPercent(markupEl?.value);
+  if (!(cost > 0) || markup == null) return;
+  priceEl.value = unitPriceToInput(Math.round(cost * (1 + markup / 100) * 100) / 100);
+  syncMarginNote();
+}
+
+function catalogById() {
+  return new Map(allProducts.map((p) => [p.id, p]));
+}
+
+async function loadCatalog() {
+  try {
+    allProducts = await listProducts({ limit: 500 });
+  } catch {
+    allProducts = [];
+  }
+}
+
+// Products that can go inside an assembly: plain items, never the one being edited
+function componentChoices() {
+  return allProducts
+    .filter((p) => p.id !== editingId && !isAssembly(p))
+    .sort((a, b) => String(a.name || "").localeCompare(String(b.name || "")));
+}
+
+function buildComponentRow(c = {}) {
+  const row = document.createElement("div");
+  row.className = "component-row";
+
+  const select = document.createElement("select");
+  select.className = "component-product";
+  select.appendChild(new Option("Choose item…", ""));
+  for (const p of componentChoices()) {
+    select.appendChild(new Option(`${p.name || "(Untitled)"} • ${formatUnitPrice(p.price_per_unit_cents ?? 0)} / ${p.unit_type || "Each"}`, p.id));
+  }
+  select.value = c.product_id || "";
+
+  const qty = document.createElement("input");
+  qty.className = "component-qty";
+  qty.type = "number";
+  qty.inputMode = "decimal";
+  qty.step = "any";
+  qty.min = "0";
+  qty.placeholder = "Qty / unit";
+  qty.title = "Quantity per 1 unit of this assembly";
+  qty.value = c.qty ? String(c.qty) : "1";
+
+  const remove = document.createElement("button");
+  remove.className = "btn btn-quiet";
+  remove.type = "button";
+  remove.textContent = "✕";
+  remove.setAttribute("aria-label", "Remove component");
+  remove.addEventListener("click", () => {
+    row.remove();
+    syncRollup();
+  });
+
+  select.addEventListener("change", syncRollup);
+  qty.addEventListener("input", syncRollup);
+
+  row.append(select, qty, remove);
+  return row;
+}
+
+function buildTierRow(t = {}) {
+  const row = document.createElement("div");
+  row.className = "tier-row";
+
+  const minQty = document.createElement("input");
+  minQty.className = "tier-qty";
+  minQty.type = "number";
+  minQty.inputMode = "decimal";
+  minQty.step = "any";
+  minQty.min = "0";
+  minQty.placeholder = "From qty";
+  minQty.title = "This price applies from this quantity up";
+  minQty.value = t.min_qty ? String(t.min_qty) : "";
+
+  const price = document.createElement("input");
+  price.className = "tier-price";
+  price.type = "number";
+  price.inputMode = "decimal";
+  price.step = "any";
+  price.min = "0";
+  price.placeholder = "Price / unit";
+  price.value = t.min_qty ? unitPriceToInput(t.price_per_unit_cents) : "";
+
+  const remove = document.createElement("button");
+  remove.className = "btn btn-quiet";
+  remove.type = "button";
+  remove.textContent = "✕";
+  remove.setAttribute("aria-label", "Remove price break");
+  remove.addEventListener("click", () => row.remove());
+
+  row.append(minQty, price, remove);
+  return row;
+}
+
+function renderTiers(tiers) {
+  if (!tiersListEl) return;
+  tiersListEl.innerHTML = "";
+  for (const t of normalizeTiers(tiers)) tiersListEl.appendChild(buildTierRow(t));
+}
+
+function readTiersFromUI() {
+  if (!tiersListEl) return [];
+  return normalizeTiers(
+    Array.from(tiersListEl.querySelectorAll(".tier-row"))
+      .filter((row) => sanitizeString(row.querySelector(".tier-price")?.value))
+      .map((row) => ({
+        min_qty: row.querySelector(".tier-qty")?.value,
+        price_per_unit_cents: inputToUnitCents(row.querySelector(".tier-price")?.value),
+      }))
+  );
+}
+
+function renderComponents(components) {
+  if (!componentsListEl) return;
+  componentsListEl.innerHTML = "";
+  for (const c of normalizeComponents(components)) componentsListEl.appendChild(buildComponentRow(c));
+  syncRollup();
+}
+
+function readComponentsFromUI() {
+  if (!componentsListEl) return [];
+  return normalizeComponents(
+    Array.from(componentsListEl.querySelectorAll(".component-row")).map((row) => ({
+      product_id: row.querySelector(".component-product")?.value,
+      qty: row.querySelector(".component-qty")?.value,
+    }))
+  );
+}
+
+// With components, price + cost are read-only and follow the roll-up.
+function syncRollup() {
+  const components = readComponentsFromUI();
+  const assembly = components.length > 0;
+
+  if (priceEl) priceEl.readOnly = assembly;
+  if (costEl) costEl.readOnly = assembly;
+
+  if (assembly) {
+    const r = rollUpAssembly({ components }, catalogById());
+    priceEl.value = unitPriceToInput(r.price_cents);
+    if (costEl) costEl.value = r.cost_cents == null ? "" : centsToInput(r.cost_cents);
+    if (componentsNoteEl) {
+      componentsNoteEl.textContent = `Assembly of ${components.length} item${components.length === 1 ? "" : "s"}: price and cost roll up from the components.`;
+    }
+  } else if (componentsNoteEl) {
+    componentsNoteEl.textContent = COMPONENTS_HINT;
+  }
+
+  syncMarginNote();
+}
+
+// Keep stored assembly prices current after one of their components changes.
+async function syncAssembliesUsing(productId) {
+  await loadCatalog();
+  const byId = catalogById();
+  let updated = 0;
+
+  for (const a of allProducts) {
+    if (!normalizeComponents(a.components).some((c) => c.product_id === productId)) continue;
+
+    const r = rollUpAssembly(a, byId);
+    const patch = {};
+    if (r.price_cents !== (a.price_per_unit_cents ?? 0)) patch.price_per_unit_cents = r.price_cents;
+    if (r.cost_cents !== (a.cost_cents ?? null)) patch.cost_cents = r.cost_cents;
+    if (!Object.keys(patch).length) continue;
+
+    try {
+      await updateProduct(a.id, patch).catch((err) => {
+        if (!isWholeCentsError(err) || !("price_per_unit_cents" in patch)) throw err;
+        return updateProduct(a.id, { ...patch, price_per_unit_cents: Math.round(patch.price_per_unit_cents) });
+      });
+      updated += 1;
+    } catch (err) {
+      console.warn("Could not update assembly", a.id, err);
+    }
+  }
+
+  return updated;
+}
+
+function isMissingColumnError(err, columnName) {
+  const msg = String(err?.message || "").toLowerCase();
+  const col = String(columnName || "").toLowerCase();
+  return (
+    msg.includes(col) &&
+    (msg.includes("does not exist") || msg.includes("schema cache") || msg.includes("not found") || msg.includes("column"))
+  );
+}
+
+async function loadTaxClasses() {
+  try {
+    taxClasses = await listTaxClasses();
+  } catch {
+    taxClasses = [];
+  }
+
+  if (!taxClassEl) return;
+  taxClassEl.innerHTML = '<option value="">Standard (all taxes)</option>';
+  for (const c of taxClasses) {
+    const opt = document.createElement("option");
+    opt.value = c.id;
+    opt.textContent = c.name || "Tax class";
+    taxClassEl.appendChild(opt);
+  }
+
+  // Only worth showing once Settings defines at least one class
+  if (taxClassFieldEl) taxClassFieldEl.hidden = !taxClasses.length;
+}
+
+function setTaxClassValue(id) {
+  if (!taxClassEl) return;
+  const v = sanitizeString(id);
+  taxClassEl.value = taxClasses.some((c) => c.id === v) ? v : "";
+}
+
+/* =========================================================
+   Price lists
+   ---------------------------------------------------------
+   companies.price_lists = [{ id, name, prices: { [product_id]: unit price cents } }]
+   Customers point at a list via customers.price_list_id.
+   ========================================================= */
+
+function makeClientId(prefix) {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${prefix}_${Date.now().toString(36)}${rand}`;
+}
+
+function setPriceListsMsg(message) {
+  if (priceListsMsgEl) priceListsMsgEl.textContent = message || "";
+}
+
+async function loadPriceLists() {
+  try {
+    priceLists = normalizePriceLists(await listPriceLists());
+  } catch {
+    priceLists = [];
+  }
+}
+
+function activeDraftList() {
+  return draftPriceLists.find((l) => l.id === activePriceListId) || null;
+}
+
+// Pull the visible list's name + prices back into the draft before switching or saving.
+function readActivePriceListFromUI() {
+  const list = activeDraftList();
+  if (!list) return;
+
+  list.name = sanitizeString(priceListNameEl?.value) || "Price list";
+  const prices = {};
+  for (const input of priceListItemsEl?.querySelectorAll("input[data-product-id]") || []) {
+    if (sanitizeString(input.value)) prices[input.dataset.productId] = inputToUnitCents(input.value);
+  }
+  list.prices = prices;
+}
+
+function renderPriceListPicker() {
+  if (!priceListSelectEl) return;
+  priceListSelectEl.innerHTML = "";
+  for (const l of draftPriceLists) priceListSelectEl.appendChild(new Option(l.name, l.id));
+  priceListSelectEl.value = activePriceListId;
+  priceListSelectEl.disabled = !draftPriceLists.length;
+  if (priceListDeleteBtn) priceListDeleteBtn.disabled = !draftPriceLists.length;
+}
+
+function buildPriceListRow(p, list) {
+  const row = document.createElement("div");
+  row.className = "price-list-row";
+
+  const main = document.createElement("div");
+  const name = document.createElement("div");
+  name.className = "cell-strong";
+  name.textContent = p.name || "(Untitled)";
+  name.title = name.textContent;
+  const sub = document.createElement("div");
+  sub.className = "cell-sub";
+  sub.textContent = `Catalog ${formatUnitPrice(p.price_per_unit_cents ?? 0, p.currency ?? "CAD")} / ${p.unit_type || "Each"}`;
+  main.append(name, sub);
+
+  const price = document.createElement("input");
+  price.type = "number";
+  price.inputMode = "decimal";
+  price.step = "any";
+  price.min = "0";
+  price.placeholder = "Catalog";
+  price.dataset.productId = p.id;
+  price.setAttribute("aria-label", `${p.name || "Item"} list price`);
+  const listPrice = listPriceFor(list, p.id);
+  price.value = listPrice === null ? "" : unitPriceToInput(listPrice);
+
+  row.append(main, price);
+  return row;
+}
+
+function renderPriceListEditor() {
+  const list = activeDraftList();
+  if (priceListEditorEl) priceListEditorEl.hidden = !list;
+  if (priceListEmptyEl) priceListEmptyEl.hidden = !!list;
+  if (!list) return;
+
+  if (priceListNameEl) priceListNameEl.value = list.name;
+  if (!priceListItemsEl) return;
+  priceListItemsEl.innerHTML = "";
+
+  const products = [...allProducts].sort((a, b) => String(a.name || "").localeCompare(String(b.name || "")));
+  if (!products.length) {
+    priceListItemsEl.innerHTML = '<div class="muted small">Add sale items to the catalog first.</div>';
+    return;
+  }
+  for (const p of products) priceListItemsEl.appendChild(buildPriceListRow(p, list));
+}
+
+async function openPriceLists() {
+  setError("");
+  setPriceListsMsg("");
+  await Promise.all([loadPriceLists(), loadCatalog()]);
+
+  draftPriceLists = normalizePriceLists(priceLists);
+  activePriceListId = draftPriceLists[0]?.id || "";
+  renderPriceListPicker();
+  renderPriceListEditor();
+  openDialog(priceListsDialog);
+}
+
+function wirePriceLists() {
+  if (btnPriceLists) btnPriceLists.addEventListener("click", openPriceLists);
+  if (priceListsCancelBtn) priceListsCancelBtn.addEventListener("click", () => closeDialog(priceListsDialog));
+
+  priceListSelectEl?.addEventListener("change", () => {
+    readActivePriceListFromUI();
+    activePriceListId = priceListSelectEl.value;
+    renderPriceListEditor();
+  });
+
+  priceListNameEl?.addEventListener("input", () => {
+    const opt = priceListSelectEl?.selectedOptions?.[0];
+    if (opt) opt.textContent = sanitizeString(priceListNameEl.value) || "Price list";
+  });
+
+  priceListNewBtn?.addEventListener("click", () => {
+    readActivePriceListFromUI();
+    const list = { id: makeClientId("pl"), name: "New price list", prices: {} };
+    draftPriceLists.push(list);
+    activePriceListId = list.id;
+    renderPriceListPicker();
+    renderPriceListEditor();
+    priceListNameEl?.select();
+  });
+
+  priceListDeleteBtn?.addEventListener("click", () => {
+    const list = activeDraftList();
+    if (!list) return;
+    const ok = window.confirm(`Delete "${list.name}"?\n\nCustomers assigned to it go back to catalog prices. Existing quotes keep their prices.`);
+    if (!ok) return;
+    draftPriceLists = draftPriceLists.filter((l) => l.id !== list.id);
+    activePriceListId = draftPriceLists[0]?.id || "";
+    renderPriceListPicker();
+    renderPriceListEditor();
+  });
+
+  priceListsForm?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    readActivePriceListFromUI();
+    setPriceListsMsg("");
+
+    try {
+      priceListsSubmitBtn.disabled = true;
+      priceListsSubmitBtn.textContent = "Saving…";
+
+      priceLists = normalizePriceLists(await savePriceLists(normalizePriceLists(draftPriceLists)));
+      closeDialog(priceListsDialog);
+      toast("Price lists saved.");
+    } catch (err) {
+      setPriceListsMsg(
+        isMissingColumnError(err, "price_lists")
+          ? "Add companies.price_lists (jsonb) in Supabase to use price lists."
+          : err?.message || "Failed to save price lists."
+      );
+    } finally {
+      priceListsSubmitBtn.disabled = false;
+      priceListsSubmitBtn.textContent = "Save price lists";
+    }
+  });
+}
+
 function updateAiDescButton() {
   if (!aiDescBtn) return;
   const hasText = sanitizeString(descEl?.value).length > 0;
@@ -250,15 +749,40 @@ function renderRow(p) {
 
   // Unit
   const tdUnit = document.createElement("td");
-  tdUnit.textContent = p.unit_type || "—";
+  const parts = normalizeComponents(p.components).length;
+  tdUnit.textContent = `${p.unit_type || "—"}${parts ? ` • Assembly (${parts} part${parts === 1 ? "" : "s"})` : ""}`;
   tr.appendChild(tdUnit);
 
   // Price
   const tdPrice = document.createElement("td");
   tdPrice.className = "price-cell";
-  tdPrice.textContent = formatMoney(p.price_per_unit_cents ?? 0, p.currency ?? "CAD");
+  tdPrice.textContent = formatUnitPrice(p.price_per_unit_cents ?? 0, p.currency ?? "CAD");
+  const breaks = normalizeTiers(p.price_tiers).length;
+  const minCharge = normalizeMinCharge(p.min_charge_cents);
+  if (breaks || minCharge) {
+    const priceSub = document.createElement("div");
+    priceSub.className = "cell-sub";
+    priceSub.textContent = [
+      breaks ? `${breaks} price break${breaks === 1 ? "" : "s"}` : "",
+      minCharge ? `Min ${formatMoney(minCharge, p.currency ?? "CAD")}` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    tdPrice.appendChild(priceSub);
+  }
   tr.appendChild(tdPrice);
 
+  // Cost / margin (internal)
+  const tdCost = document.createElement("td");
+  const cost = p.cost_cents;
+  if (cost == null) {
+    tdCost.textContent = "—";
+  } else {
+    const m = marginPct(p.price_per_unit_cents ?? 0, cost);
+    tdCost.textContent = `${formatMoney(cost, p.currency ?? "CAD")}${m == null ? "" : ` • ${m.toFixed(0)}%`}`;
+  }
+  tr.appendChild(tdCost);
+
   // Quote display
   const tdShow = document.createElement("td");
   tdShow.textContent = p.show_qty_unit_price ? "Show qty + unit price" : "Total only";
@@ -343,6 +867,15 @@ function resetForm() {
   unitEl.value = "Each";
   priceEl.value = "0.00";
   showQtyUnitEl.checked = true;
+  if (costEl) costEl.value = "";
+  if (markupEl) markupEl.value = "";
+  if (supplierEl) supplierEl.value = "";
+  syncMarginNote();
+  if (qtyFormulaEl) qtyFormulaEl.value = "";
+  setTaxClassValue("");
+  renderTiers([]);
+  if (minChargeEl) minChargeEl.value = "";
+  renderComponents([]);
 
   updateAiDescButton();
 }
@@ -371,8 +904,17 @@ function openEdit(p) {
   nameEl.value = p.name || "";
   descEl.value = p.description || "";
   unitEl.value = p.unit_type || "Each";
-  priceEl.value = centsToInput(p.price_per_unit_cents ?? 0);
+  priceEl.value = unitPriceToInput(p.price_per_unit_cents ?? 0);
   showQtyUnitEl.checked = !!p.show_qty_unit_price;
+  if (costEl) costEl.value = p.cost_cents == null ? "" : centsToInput(p.cost_cents);
+  if (markupEl) markupEl.value = p.markup_pct == null ? "" : String(p.markup_pct);
+  if (supplierEl) supplierEl.value = p.supplier || "";
+  syncMarginNote();
+  if (qtyFormulaEl) qtyFormulaEl.value = p.qty_formula || "";
+  setTaxClassValue(p.tax_class_id);
+  renderTiers(p.price_tiers);
+  if (minChargeEl) minChargeEl.value = normalizeMinCharge(p.min_charge_cents) ? centsToInput(p.min_charge_cents) : "";
+  renderComponents(p.components);
 
   updateAiDescButton();
 
@@ -410,11 +952,27 @@ async function init() {
   wireComingSoon();
   wireCreateButtons();
   wireSearch();
+  wirePriceLists();
 
   if (logoutBtn) logoutBtn.addEventListener("click", logout);
   if (cancelBtn) cancelBtn.addEventListener("click", () => closeDialog(dialog));
   if (descEl) descEl.addEventListener("input", updateAiDescButton);
   if (aiDescBtn) aiDescBtn.addEventListener("click", handleAiDescClick);
+  for (const el of [priceEl, costEl, markupEl]) el?.addEventListener("input", syncMarginNote);
+  if (priceFromMarkupBtn) priceFromMarkupBtn.addEventListener("click", setPriceFromMarkup);
+  if (addTierBtn) {
+    addTierBtn.addEventListener("click", () => {
+      tiersListEl?.appendChild(buildTierRow());
+      tiersListEl?.querySelector(".tier-row:last-child .tier-qty")?.focus();
+    });
+  }
+  if (addComponentBtn) {
+    addComponentBtn.addEventListener("click", () => {
+      componentsListEl?.appendChild(buildComponentRow());
+      syncRollup();
+      componentsListEl?.querySelector(".component-row:last-child select")?.focus();
+    });
+  }
 
   const session = await requireSessionOrRedirect();
   if (!session) return;
@@ -430,7 +988,7 @@ async function init() {
 
       const name = sanitizeString(nameEl.value);
       const unit_type = sanitizeString(unitEl.value);
-      const price_per_unit_cents = inputToCents(priceEl.value);
+      const price_per_unit_cents = inputToUnitCents(priceEl.value);
       const show_qty_unit_price = !!showQtyUnitEl.checked;
 
       if (!name) {
@@ -442,6 +1000,26 @@ async function init() {
         return;
       }
 
+      const qty_formula = normalizeOptional(qtyFormulaEl?.value);
+      if (qty_formula) {
+        try {
+          evaluateFormula(qty_formula, measurementVars({}));
+        } catch (err) {
+          setFormMsg(`Quantity formula: ${err.message}`);
+          qtyFormulaEl?.focus();
+          return;
+        }
+      }
+
+      const components = readComponentsFromUI();
+      if (components.length && editingId) {
+        const usedIn = allProducts.find((a) => normalizeComponents(a.components).some((c) => c.product_id === editingId));
+        if (usedIn) {
+          setFormMsg(`This item is a component of "${usedIn.name || "an assembly"}", so it can't have components itself.`);
+          return;
+        }
+      }
+
       const payload = {
         name,
         description: normalizeOptional(descEl.value),
@@ -451,18 +1029,62 @@ async function init() {
         show_qty_unit_price,
       };
 
+      // Optional columns (older schemas may not have them yet)
+      payload.cost_cents = optionalCents(costEl?.value);
+      payload.markup_pct = optionalPercent(markupEl?.value);
+      payload.supplier = normalizeOptional(supplierEl?.value);
+      if (qty_formula || (mode === "edit" && qtyFormulaEl)) payload.qty_formula = qty_formula;
+      if (taxClasses.length) {
+        payload.tax_class_id = normalizeOptional(taxClassEl?.value);
+      }
+      if (components.length || mode === "edit") payload.components = components.length ? components : null;
+      const price_tiers = readTiersFromUI();
+      if (price_tiers.length || mode === "edit") payload.price_tiers = price_tiers.length ? price_tiers : null;
+      const min_charge_cents = normalizeMinCharge(optionalCents(minChargeEl?.value));
+      if (min_charge_cents || mode === "edit") payload.min_charge_cents = min_charge_cents;
+
       try {
         submitBtn.disabled = true;
         submitBtn.textContent = mode === "edit" ? "Saving…" : "Creating…";
 
-        if (mode === "edit" && editingId) {
-          await updateProduct(editingId, payload);
-          toast("Sale item updated.");
-        } else {
-          await createProduct(payload);
-          toast("Sale item created.");
+        const save = (body) =>
+          mode === "edit" && editingId ? updateProduct(editingId, body) : createProduct(body);
+
+        // If an optional column hasn't been added yet, save without it.
+        let saved = null;
+        let roundedPrice = false;
+        for (;;) {
+          try {
+            saved = await save(payload);
+            break;
+          } catch (err) {
+            if (isWholeCentsError(err) && !Number.isInteger(payload.price_per_unit_cents)) {
+              payload.price_per_unit_cents = Math.round(payload.price_per_unit_cents);
+              roundedPrice = true;
+              continue;
+            }
+            const missing = [
+              "cost_cents",
+              "markup_pct",
+              "supplier",
+              "qty_formula",
+              "tax_class_id",
+              "components",
+              "price_tiers",
+              "min_charge_cents",
+            ].find((col) => col in payload && isMissingColumnError(err, col));
+            if (!missing) throw err;
+            delete payload[missing];
+          }
         }
 
+        const rolled = saved?.id ? await syncAssembliesUsing(saved.id) : 0;
+        toast(
+          `${mode === "edit" ? "Sale item updated." : "Sale item created."}${
+            rolled ? ` ${rolled} assembl${rolled === 1 ? "y" : "ies"} repriced.` : ""
+          }${roundedPrice ? " Price rounded to whole cents (your products table doesn't store fractions of a cent yet)." : ""}`
+        );
+
         closeDialog(dialog);
         await loadProducts({ search: searchEl?.value || "" });
       } catch (err) {
@@ -474,6 +1096,8 @@ async function init() {
     });
   }
 
+  await loadTaxClasses();
+  await loadCatalog();
   await loadProducts({ search: "" });
 }
 
@@ -618,6 +1242,12 @@ init();
               </span>
               <span>Products</span>
             </a>
+            <a class="nav-item" href="./templates.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M4 4h10v10H4z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M10 20h10V10" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/><path d="M7 17h10V7" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/></svg>
+              </span>
+              <span>Templates</span>
+            </a>
           </div>
 
           <div class="nav-group">
@@ -1,8 +1,19 @@
 import { requireAdminOrRedirect } from "../js/adminGuard.js";
-import { getQuote, updateQuote } from "../js/quotesApi.js";
-import { makeDefaultQuoteData, formatQuoteCode } from "../js/quoteDefaults.js";
+import { getQuote, updateQuote, listQuoteVersions, QuoteConflictError } from "../js/quotesApi.js";
+import { makeDefaultQuoteData, formatQuoteCode, quoteValidityDays } from "../js/quoteDefaults.js";
 import { supabase } from "../js/api.js";
-import { listProducts } from "../js/productsApi.js";
+import { listProducts, listProductsByIds } from "../js/productsApi.js";
+import { createTemplate } from "../js/templatesApi.js";
+import { normalizeMeasurements, measurementVars, evaluateFormula, roundQty } from "../js/quantityFormula.js";
+import { isAssembly, normalizeComponents, rollUpAssembly, scaleParts } from "../js/assemblies.js";
+import { diffQuoteData } from "../js/quoteDiff.js";
+import { normalizeTiers, normalizeMinCharge, tierPriceFor } from "../js/priceTiers.js";
+import { normalizePriceLists, findPriceList, listPriceFor, withListPrice } from "../js/priceLists.js";
+import { normalizeTaxExemption, isTaxExemptionExpired, quoteTaxExemption, taxExemptionText } from "../js/taxExemption.js";
+import { normalizeQuoteViews, formatViewTime, deviceLabel, viewsSummary } from "../js/quoteViews.js";
+import { normalizeDecline, declineSummary } from "../js/quoteDecline.js";
+import { normalizeQuoteComments, awaitingReply, formatCommentTime } from "../js/quoteComments.js";
+import { mergeServerMeta, withoutServerMeta } from "../js/quoteMeta.js";
 
 const $  = (sel, ctx = document) => ctx.querySelector(sel);
 const $$ = (sel, ctx = document) => Array.from(ctx.querySelectorAll(sel));
@@ -18,6 +29,8 @@ const pdfBtn  = $("#pdf-btn");
 const sendBtn = $("#send-btn");
 const markAcceptedBtn = $("#mark-accepted-btn");
 const cancelQuoteBtn = $("#cancel-quote-btn");
+const undoBtn = $("#undo-btn");
+const redoBtn = $("#redo-btn");
 let newVersionBtn = $("#new-version-btn");
 
 const saveStateEl = $("#save-state");
@@ -27,6 +40,9 @@ const msgEl = $("#msg");
 const quoteCodeEl = $("#quote-code");
 const quoteStatusEl = $("#quote-status");
 const docQuoteCodeEl = $("#doc-quote-code");
+const quoteViewsBtn = $("#quote-views-btn");
+const quoteViewsDotEl = $("#quote-views-dot");
+const declineNoteEl = $("#decline-note");
 
 // Company + rep
 const companyLogoEl = $("#company-logo");
@@ -36,7 +52,17 @@ const repSignatureEl = $("#rep-signature");
 const repPrintedNameEl = $("#rep-printed-name");
 
 const itemRowsEl = $("#item-rows");
+const selectAllLinesEl = $("#select-all-lines");
+const bulkBarEl = $("#bulk-bar");
+const bulkCountEl = $("#bulk-count");
+const bulkSectionEl = $("#bulk-section");
 const addItemBtn = $("#add-item");
+const addSectionBtn = $("#add-section");
+const addPackageBtn = $("#add-package");
+const packagesPanelEl = $("#packages-panel");
+const packageListEl = $("#package-list");
+const measureInputEls = $$("[data-measure]");
+const measureSummaryEl = $("#measure-summary");
 
 // Products dialog
 const addProductBtn = $("#add-product");
@@ -46,12 +72,75 @@ const productsSearchEl = $("#products-search");
 const productsListEl = $("#products-list");
 const productsMsgEl = $("#products-msg");
 const productsEmptyEl = $("#products-empty");
+const productsPricingEl = $("#products-pricing");
+const productsPriceListEl = $("#products-price-list");
+
+// Save as template dialog
+const saveTemplateBtn = $("#save-template-btn");
+const templateDialog = $("#template-dialog");
+const templateForm = $("#template-form");
+const templateCloseBtn = $("#template-close");
+const templateNameEl = $("#template-name");
+const templateDescEl = $("#template-description");
+const templateMsgEl = $("#template-msg");
+const templateSubmitBtn = $("#template-submit");
+
+// Versions dialog
+const versionsBtn = $("#versions-btn");
+const versionsDialog = $("#versions-dialog");
+const versionsCloseBtn = $("#versions-close");
+const versionsMsgEl = $("#versions-msg");
+const versionsListEl = $("#versions-list");
+const versionsCompareEl = $("#versions-compare");
+const versionsFromEl = $("#versions-from");
+const versionsToEl = $("#versions-to");
+const versionsDiffEl = $("#versions-diff");
+
+// Customer questions thread
+const commentsBtn = $("#comments-btn");
+const commentsDialog = $("#comments-dialog");
+const commentsCloseBtn = $("#comments-close");
+const commentsThreadEl = $("#comments-thread");
+const commentsEmptyEl = $("#comments-empty");
+const commentsMsgEl = $("#comments-msg");
+const commentReplyEl = $("#comment-reply");
+const commentReplySendBtn = $("#comment-reply-send");
+
+// Customer views dialog
+const viewsDialog = $("#views-dialog");
+const viewsCloseBtn = $("#views-close");
+const viewsSubEl = $("#views-sub");
+const viewsListEl = $("#views-list");
+
+// Edit conflict dialog
+const conflictDialog = $("#conflict-dialog");
+const conflictSubEl = $("#conflict-sub");
+const conflictDiffEl = $("#conflict-diff");
+const conflictReviewBtn = $("#conflict-review");
+const conflictKeepBtn = $("#conflict-keep");
+const conflictReloadBtn = $("#conflict-reload");
 
 const subtotalEl = $("#subtotal");
-const taxAmountEl = $("#tax-amount");
+const taxRowsEl = $("#tax-rows");
+const taxExemptRowEl = $("#tax-exempt-row");
+const taxExemptTextEl = $("#tax-exempt-text");
+const taxExemptApplyEl = $("#tax-exempt-apply");
+const expiresFieldEl = $("#expires-field");
+const extendExpiryBtn = $("#extend-expiry-btn");
 const grandTotalEl = $("#grand-total");
+const discountLabelEl = $("#discount-label");
+const discountValueEl = $("#discount-value");
+const discountRowEl = $("#discount-row");
+const discountLabelTextEl = $("#discount-label-text");
+const discountAmountEl = $("#discount-amount");
+const optionalTotalEl = $("#optional-total");
+const optionalTotalRowEl = $("#optional-total-row");
+const costTotalEl = $("#cost-total");
+const costTotalRowEl = $("#cost-total-row");
+const profitTotalEl = $("#profit-total");
+const profitTotalLabelEl = $("#profit-total-label");
+const profitTotalRowEl = $("#profit-total-row");
 
-const taxRateEl = $("#tax-rate");
 const feesEl = $("#fees");
 
 // Payment schedule (per-quote override)
@@ -206,7 +295,11 @@ function isCancelledStatus(value) {
 
 function isSentLikeStatus(value) {
   const s = normalizeStatus(value);
-  return s === "sent" || s === "viewed";
+  return s === "sent" || s === "viewed" || s === "declined";
+}
+
+function isDeclinedStatus(value) {
+  return normalizeStatus(value) === "declined";
 }
 
 function prettyStatus(value) {
@@ -214,6 +307,7 @@ function prettyStatus(value) {
   if (s === "accepted") return "Accepted";
   if (s === "sent") return "Sent";
   if (s === "viewed") return "Viewed";
+  if (s === "declined") return "Declined";
   if (s === "cancelled" || s === "canceled") return "Cancelled";
   if (!s || s === "draft") return "Draft";
   // Fallback: Title-case the first letter
@@ -451,11 +545,111 @@ function syncQuoteStatusUI(status) {
   if (quoteStatusEl) quoteStatusEl.textContent = prettyStatus(status);
   syncMarkAcceptedButton(status);
   syncCancelButton(status);
+  syncExpiryUI(status);
+  syncDeclineUI(status);
 
   const locked = isAcceptedStatus(status) || isCancelledStatus(status);
   setQuoteEditingLocked(locked, status);
 }
 
+function syncDeclineUI(status) {
+  if (!declineNoteEl) return;
+  const show = isDeclinedStatus(status) && !!_decline;
+  declineNoteEl.hidden = !show;
+  declineNoteEl.textContent = show ? declineSummary(_decline) : "";
+}
+
+function syncCommentsUI() {
+  if (!commentsBtn) return;
+  commentsBtn.textContent = _comments.length ? `Comments (${_comments.length})` : "Comments";
+  const waiting = awaitingReply(_comments);
+  commentsBtn.classList.toggle("has-unread", waiting);
+  commentsBtn.title = waiting
+    ? "The customer asked a question and is waiting on a reply."
+    : "Questions the customer asked on the quote page, and your replies.";
+}
+
+function renderCommentsThread() {
+  if (!commentsThreadEl) return;
+  commentsThreadEl.innerHTML = "";
+  if (commentsEmptyEl) commentsEmptyEl.hidden = _comments.length > 0;
+
+  for (const c of _comments) {
+    const row = document.createElement("div");
+    row.className = `comment ${c.author === "company" ? "from-company" : "from-customer"}`;
+
+    const head = document.createElement("div");
+    head.className = "comment-head";
+
+    const name = document.createElement("span");
+    name.className = "comment-name";
+    name.textContent = c.name || (c.author === "company" ? "You" : "Customer");
+
+    const when = document.createElement("span");
+    when.textContent = formatCommentTime(c.at);
+
+    head.append(name, when);
+    if (c.item_label) {
+      const tag = document.createElement("span");
+      tag.className = "tag";
+      tag.textContent = `Re: ${c.item_label}`;
+      head.appendChild(tag);
+    }
+
+    const body = document.createElement("div");
+    body.className = "comment-body";
+    body.textContent = c.body;
+
+    row.append(head, body);
+    commentsThreadEl.appendChild(row);
+  }
+
+  commentsThreadEl.scrollTop = commentsThreadEl.scrollHeight;
+}
+
+function syncViewsUI() {
+  if (!quoteViewsBtn) return;
+  quoteViewsBtn.hidden = !_views;
+  if (quoteViewsDotEl) quoteViewsDotEl.hidden = !_views;
+  if (!_views) return;
+  quoteViewsBtn.textContent = `Viewed ${_views.count}×`;
+  quoteViewsBtn.title = viewsSummary(_views);
+}
+
+function renderViewsList() {
+  if (!viewsListEl) return;
+  viewsListEl.innerHTML = "";
+  if (!_views) return;
+
+  if (viewsSubEl) {
+    viewsSubEl.textContent = `Opened ${_views.count} time${_views.count === 1 ? "" : "s"}. First ${formatViewTime(_views.first_viewed_at)}, last ${formatViewTime(_views.last_viewed_at)}.`;
+  }
+
+  // Newest first
+  for (const h of [..._views.history].reverse()) {
+    const row = document.createElement("div");
+    row.className = "product-row";
+
+    const main = document.createElement("div");
+    main.className = "product-main";
+
+    const name = document.createElement("div");
+    name.className = "product-name";
+    name.textContent = formatViewTime(h.at);
+
+    const meta = document.createElement("div");
+    meta.className = "product-meta";
+    const tag = document.createElement("span");
+    tag.className = "tag";
+    tag.textContent = deviceLabel(h.device);
+    meta.appendChild(tag);
+
+    main.append(name, meta);
+    row.appendChild(main);
+    viewsListEl.appendChild(row);
+  }
+}
+
 /* ===== Save state (auto-save UX) ===== */
 function setSaveState(state, text) {
   if (!saveStateEl) return;
@@ -497,6 +691,51 @@ function closeDialog(dialog) {
   else dialog.removeAttribute("open");
 }
 
+/**
+ * Render diffQuoteData() output as a grouped "what / before / after" list.
+ */
+function renderDiffList(container, changes, { emptyText = "No differences." } = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  const list = Array.isArray(changes) ? changes : [];
+  if (!list.length) {
+    const empty = document.createElement("div");
+    empty.className = "diff-empty";
+    empty.textContent = emptyText;
+    container.appendChild(empty);
+    return;
+  }
+
+  let group = null;
+  for (const c of list) {
+    if (c.group !== group) {
+      group = c.group;
+      const head = document.createElement("div");
+      head.className = "diff-group";
+      head.textContent = group;
+      container.appendChild(head);
+    }
+
+    const row = document.createElement("div");
+    row.className = `diff-row is-${c.kind}`;
+
+    const label = document.createElement("div");
+    label.textContent = c.kind === "added" ? `${c.label} (added)` : c.kind === "removed" ? `${c.label} (removed)` : c.label;
+
+    const before = document.createElement("div");
+    before.className = "diff-before";
+    before.textContent = c.before || "—";
+
+    const after = document.createElement("div");
+    after.className = "diff-after";
+    after.textContent = c.after || "—";
+
+    row.append(label, before, after);
+    container.appendChild(row);
+  }
+}
+
 function debounce(fn, wait = 160) {
   let t = null;
   return (...args) => {
@@ -567,6 +806,22 @@ function centsToMoney(cents) {
   const dollars = (Number(cents) || 0) / 100;
   return dollars.toLocaleString("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 }
+
+// Unit prices keep fractions of a cent (eg. $0.0375/sqft = 3.75 cents, up to 4 decimals of a dollar).
+// Line totals, tax and the grand total still round to whole cents (see lineNetCents).
+function roundUnitCents(cents) {
+  return Math.round((Number(cents) || 0) * 100) / 100;
+}
+function parseUnitPriceToCents(value) {
+  const cleaned = String(value ?? "").replace(/[^0-9.-]/g, "");
+  const n = Number.parseFloat(cleaned);
+  if (!Number.isFinite(n)) return 0;
+  return roundUnitCents(n * 100);
+}
+function unitPriceToMoney(cents) {
+  const dollars = (Number(cents) || 0) / 100;
+  return dollars.toLocaleString("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+}
 function parseNum(value) {
   const cleaned = String(value ?? "").replace(/[^0-9.-]/g, "");
   const n = Number.parseFloat(cleaned);
@@ -899,6 +1154,28 @@ function autosizeAll() {
 let _ctx = null;
 let _companySnapshot = null;
 let _lastTotals = { subtotal_cents: 0, tax_cents: 0, fees_cents: 0, total_cents: 0 };
+// Optional add-ons the customer picked when signing (only counted once accepted)
+let _acceptedOptionIds = new Set();
+// Package (Good / Better / Best) the customer chose when signing
+let _acceptedPackageId = "";
+// Tax classes snapshotted on the quote ([{ id, name, tax_ids }]); items point at them via tax_class_id
+let _taxClasses = [];
+// Company price lists + the one this quote uses (data.meta.price_list_id, usually from the customer)
+let _priceLists = [];
+let _priceListId = "";
+let _priceListName = "";
+// Tax-exempt customer snapshot (data.tax_exemption = { number, expires, tax_ids, applied })
+let _taxExemption = null;
+// Company validity period (days) used for new expiry dates + "Extend"
+let _validityDays = quoteValidityDays(null);
+// When the customer asked for an updated quote from the expired customer page (data.meta.update_requested_at)
+let _updateRequestedAt = "";
+// Customer opens of the quote link (data.meta.views, written by /api/track-quote-view)
+let _views = null;
+// The customer's decline from the quote link (data.meta.decline, written by /api/decline-quote)
+let _decline = null;
+// Question + reply thread (data.meta.comments, written by /api/quote-comment)
+let _comments = [];
 
 function safeStr(v) {
   return String(v ?? "").trim();
@@ -1118,16 +1395,33 @@ function addDaysIso(isoDate, days) {
   return local.toISOString().slice(0, 10);
 }
 
-function ensureMetaDates(data) {
+function ensureMetaDates(data, ctx) {
   if (!data.meta) data.meta = {};
   if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.meta.quote_date || ""))) {
     data.meta.quote_date = todayIsoLocal();
   }
   if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.meta.quote_expires || ""))) {
-    data.meta.quote_expires = addDaysIso(data.meta.quote_date, 30);
+    data.meta.quote_expires = addDaysIso(data.meta.quote_date, quoteValidityDays(ctx?.company));
   }
 }
 
+// Open quotes past their expiry can't be signed by the customer; "Extend" pushes the date out (logged in meta).
+function syncExpiryUI(status) {
+  const expires = getBoundValue("quote_expires");
+  const open = !isAcceptedStatus(status) && !isCancelledStatus(status);
+  const expired = open && /^\d{4}-\d{2}-\d{2}$/.test(expires) && expires < todayIsoLocal();
+
+  expiresFieldEl?.classList.toggle("is-expired", expired);
+  if (!extendExpiryBtn) return;
+
+  extendExpiryBtn.hidden = !open;
+  extendExpiryBtn.textContent = `Extend ${_validityDays} days`;
+  extendExpiryBtn.title = expired && _updateRequestedAt
+    ? `Expired. The customer asked for an updated quote on ${new Date(_updateRequestedAt).toLocaleDateString("en-CA")}.`
+    : `Set the expiry to ${_validityDays} days from today`;
+  extendExpiryBtn.classList.toggle("is-requested", expired && !!_updateRequestedAt);
+}
+
 function ensureBillToShape(data) {
   if (!data.bill_to || typeof data.bill_to !== "object") data.bill_to = {};
   data.bill_to.client_name = safeStr(data.bill_to.client_name);
@@ -1189,6 +1483,17 @@ async function hydrateBillToFromCustomer(data, qRow) {
   } catch {
     // If customers table isn't in place yet or RLS blocks it, we just skip hydration.
   }
+
+  // Quotes created before the customer's exemption was recorded: offer it (not applied) in the summary.
+  if (data.tax_exemption === undefined) {
+    try {
+      const { data: c } = await supabase.from("customers").select("tax_exemption").eq("id", custId).single();
+      const exemption = quoteTaxExemption(c?.tax_exemption);
+      if (exemption) data.tax_exemption = { ...exemption, applied: false };
+    } catch {
+      // Older schemas have no customers.tax_exemption
+    }
+  }
 }
 
 function applyRepName(name) {
@@ -1307,6 +1612,397 @@ function syncCustomerViewUI(row) {
   }
 }
 
+/* ===== Discounts =====
+   Lines and the whole quote can carry a discount, typed as "10%" (percent)
+   or "250" (fixed dollars). Stored as { type: "percent" | "amount", value }
+   where value is a percent or cents. Discounts always apply before tax.
+*/
+function parseDiscountInput(text) {
+  const raw = safeStr(text);
+  if (!raw) return null;
+
+  if (raw.includes("%")) {
+    const pct = Math.min(100, Math.max(0, parseNum(raw.replace("%", ""))));
+    return pct > 0 ? { type: "percent", value: pct } : null;
+  }
+
+  const cents = Math.max(0, parseMoneyToCents(raw));
+  return cents > 0 ? { type: "amount", value: cents } : null;
+}
+
+function normalizeDiscount(d) {
+  if (!d || typeof d !== "object") return null;
+  const value = Number(d.value);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  if (d.type === "percent") return { type: "percent", value: Math.min(100, value) };
+  if (d.type === "amount") return { type: "amount", value: Math.round(value) };
+  return null;
+}
+
+function formatDiscountInput(d) {
+  const n = normalizeDiscount(d);
+  if (!n) return "";
+  return n.type === "percent" ? `${n.value}%` : centsToMoney(n.value);
+}
+
+function discountCentsFor(baseCents, d) {
+  const n = normalizeDiscount(d);
+  const base = Math.max(0, Number(baseCents) || 0);
+  if (!n || base <= 0) return 0;
+  if (n.type === "percent") return Math.min(base, Math.round(base * (n.value / 100)));
+  return Math.min(base, n.value);
+}
+
+// Line total before its discount; a minimum charge lifts any line with a quantity up to it
+function lineGrossCents(it) {
+  const gross = Math.round((it?.qty || 0) * (it?.unit_price_cents || 0));
+  const min = normalizeMinCharge(it?.min_charge_cents) || 0;
+  return (it?.qty || 0) > 0 && min > gross ? min : gross;
+}
+
+function isMinChargeApplied(it) {
+  return lineGrossCents(it) > Math.round((it?.qty || 0) * (it?.unit_price_cents || 0));
+}
+
+// Line total after its own discount (what the customer pays for the line)
+function lineNetCents(it) {
+  const gross = lineGrossCents(it);
+  return gross - discountCentsFor(gross, it?.discount);
+}
+
+/* ===== Taxes =====
+   A quote carries one or more taxes (eg. GST + PST) as
+   data.taxes = [{ id, name, rate, apply_to_fees }], snapshotted from Company Settings.
+   Older quotes only have tax_name / tax_rate, which become a single tax.
+   Taxable items get every tax unless their tax class lists a subset.
+*/
+function getQuoteTaxes(data) {
+  const list = Array.isArray(data?.taxes) ? data.taxes : [];
+  const out = list
+    .filter((t) => t && safeStr(t.id))
+    .map((t) => ({
+      id: safeStr(t.id),
+      name: safeStr(t.name) || "Tax",
+      rate: Math.max(0, Number(t.rate) || 0),
+      apply_to_fees: t.apply_to_fees === true,
+    }));
+  if (out.length) return out;
+
+  return [{ id: "tax", name: safeStr(data?.tax_name) || "Tax", rate: Math.max(0, Number(data?.tax_rate ?? 13) || 0), apply_to_fees: false }];
+}
+
+function normalizeTaxClasses(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((c) => c && safeStr(c.id))
+    .map((c) => ({
+      id: safeStr(c.id),
+      name: safeStr(c.name),
+      tax_ids: Array.isArray(c.tax_ids) ? c.tax_ids.map(safeStr).filter(Boolean) : [],
+    }));
+}
+
+// Which of the quote's taxes apply to a line
+function itemTaxIds(it, taxes) {
+  if (!it?.taxable) return [];
+  const cls = _taxClasses.find((c) => c.id === it.tax_class_id);
+  return cls ? cls.tax_ids : taxes.map((t) => t.id);
+}
+
+function taxLabel(tax) {
+  if (tax.exempt) return `${tax.name} (exempt)`;
+  return tax.rate > 0 ? `${tax.name} (${tax.rate}%)` : tax.name;
+}
+
+/* ===== Tax exemption =====
+   Quotes for a tax-exempt customer carry data.tax_exemption (see js/taxExemption.js).
+   While applied, its taxes (or all of them when tax_ids is empty) are charged at 0%;
+   the rate editors keep the normal rate so turning it off restores the tax.
+*/
+function readQuoteTaxExemption(raw) {
+  const ex = normalizeTaxExemption(raw);
+  if (!ex) return null;
+  return { number: ex.number, expires: ex.expires, tax_ids: ex.tax_ids, applied: raw.applied !== false };
+}
+
+function isTaxExempt(taxId) {
+  if (!_taxExemption?.applied) return false;
+  return !_taxExemption.tax_ids.length || _taxExemption.tax_ids.includes(taxId);
+}
+
+function syncTaxExemptUI() {
+  if (!taxExemptRowEl) return;
+  taxExemptRowEl.hidden = !_taxExemption;
+  if (!_taxExemption) return;
+
+  const expired = isTaxExemptionExpired(_taxExemption, getBoundValue("quote_date") || undefined);
+  if (taxExemptTextEl) taxExemptTextEl.textContent = `${taxExemptionText(_taxExemption)}${expired ? " (expired)" : ""}`;
+  if (taxExemptApplyEl) taxExemptApplyEl.checked = _taxExemption.applied;
+  taxExemptRowEl.classList.toggle("is-expired", expired);
+  // Only print the reference while it's actually applied
+  taxExemptRowEl.classList.toggle("no-print", !_taxExemption.applied);
+}
+
+function getTaxesFromUI() {
+  return $$(".tax-edit", taxRowsEl).map((row) => ({
+    id: safeStr(row.dataset.taxId),
+    name: safeStr(row.dataset.taxName) || "Tax",
+    rate: Math.max(0, parseNum($(".tax-rate", row)?.value)),
+    apply_to_fees: !!$(".tax-fees", row)?.checked,
+  }));
+}
+
+function renderTaxRows(taxes) {
+  if (!taxRowsEl) return;
+  taxRowsEl.innerHTML = "";
+
+  for (const tax of taxes) {
+    const edit = document.createElement("div");
+    edit.className = "row tax-edit no-print";
+    edit.dataset.taxId = tax.id;
+    edit.dataset.taxName = tax.name;
+    edit.innerHTML = `
+      <div class="label">
+        ${escapeHtml(tax.name)} Rate
+        <label class="tax-fees-toggle" title="Also charge this tax on additional fees">
+          <input type="checkbox" class="tax-fees" ${tax.apply_to_fees ? "checked" : ""} />
+          <span>Tax fees</span>
+        </label>
+      </div>
+      <div class="spacer"></div>
+      <div class="value">
+        <span class="curr curr-placeholder">$</span>
+        <span class="amt amt-input">
+          <input type="text" class="tax-rate short" inputmode="decimal" value="${escapeHtml(String(tax.rate))}" aria-label="${escapeHtml(tax.name)} rate" />
+          <span class="suffix">%</span>
+        </span>
+      </div>
+    `;
+
+    const line = document.createElement("div");
+    line.className = "row tax-line";
+    line.dataset.taxId = tax.id;
+    line.innerHTML = `
+      <div class="label tax-line-label">${escapeHtml(taxLabel(tax))}</div>
+      <div class="spacer"></div>
+      <div class="value">
+        <span class="curr">$</span><span class="amt tax-amount">0.00</span>
+      </div>
+    `;
+
+    edit.addEventListener("input", recalcTotals);
+    edit.addEventListener("change", recalcTotals);
+
+    taxRowsEl.appendChild(edit);
+    taxRowsEl.appendChild(line);
+  }
+}
+
+function syncItemTaxClassUI(tr) {
+  const select = tr.querySelector(".i-taxclass");
+  if (!select) return;
+  const current = safeStr(tr.dataset.taxClassId);
+
+  select.innerHTML = "";
+  select.appendChild(new Option("All taxes", ""));
+  _taxClasses.forEach((c) => select.appendChild(new Option(c.name || "Tax class", c.id)));
+  select.value = _taxClasses.some((c) => c.id === current) ? current : "";
+  select.hidden = !_taxClasses.length;
+  select.disabled = !tr.querySelector(".i-tax")?.checked;
+}
+
+/* ===== Roof measurements =====
+   Stored in data.measurements. Lines with a qty_formula (copied from the product)
+   take their quantity from these values; the saved qty is always the resolved number.
+*/
+function getMeasurementsFromUI() {
+  const raw = {};
+  measureInputEls.forEach((el) => {
+    raw[el.dataset.measure] = parseNum(el.value);
+  });
+  return normalizeMeasurements(raw);
+}
+
+function fillMeasurementsUI(measurements) {
+  const m = normalizeMeasurements(measurements);
+  measureInputEls.forEach((el) => {
+    const v = m[el.dataset.measure];
+    el.value = v ? String(v) : "";
+  });
+  syncMeasureSummary();
+}
+
+function syncMeasureSummary() {
+  if (!measureSummaryEl) return;
+  const v = measurementVars(getMeasurementsFromUI());
+  measureSummaryEl.textContent =
+    v.area > 0 ? `Actual roof area: ${roundQty(v.roof_area).toLocaleString("en-CA")} sq ft` : "";
+}
+
+/* ===== Formula quantities =====
+   The qty field accepts "=42*10*1.12" or references to other lines ("=L3*14").
+   L-numbers follow the table order on screen; they are stored as {lineId} so a
+   reorder never breaks a formula. Product formulas (roof measurements) use the
+   same path. items[].qty always holds the resolved number; only that reaches
+   the customer view and PDF.
+*/
+const LINE_REF_STORED_RE = /\{([^{}]+)\}/g;
+
+function lineRefsToIds(text) {
+  const rows = $$(".item-row", itemRowsEl);
+  return safeStr(text).replace(/\bL(\d+)\b/gi, (m, n) => {
+    const row = rows[Number(n) - 1];
+    if (!row) throw new Error(`There is no line ${m.toUpperCase()}.`);
+    return `{${row.dataset.lineId}}`;
+  });
+}
+
+function lineIdsToRefs(formula) {
+  const rows = $$(".item-row", itemRowsEl);
+  return safeStr(formula).replace(LINE_REF_STORED_RE, (m, id) => {
+    const idx = rows.findIndex((r) => r.dataset.lineId === id);
+    return idx >= 0 ? `L${idx + 1}` : "L?";
+  });
+}
+
+function formulaDisplay(formula) {
+  const f = lineIdsToRefs(formula);
+  return f.startsWith("=") ? f : `=${f}`;
+}
+
+// lineQtys: { [lineId]: resolved qty } for every line the formula refers to
+function resolveQtyFormula(formula, lineQtys = {}) {
+  try {
+    const vars = measurementVars(getMeasurementsFromUI());
+    let n = 0;
+    const expr = safeStr(formula).replace(LINE_REF_STORED_RE, (m, id) => {
+      if (!(id in lineQtys)) throw new Error("A line used in this formula was removed.");
+      const name = `ref_${n++}`;
+      vars[name] = lineQtys[id];
+      return name;
+    });
+    const qty = roundQty(Math.max(0, evaluateFormula(expr, vars)));
+    return { qty, error: "" };
+  } catch (e) {
+    return { qty: null, error: e?.message || "Invalid formula." };
+  }
+}
+
+// Qty of a row as a number (while a formula is being typed, the last resolved value)
+function rowQty(row) {
+  const raw = safeStr($(".i-qty", row)?.value);
+  if (raw.startsWith("=")) return parseNum(row.dataset.resolvedQty);
+  return parseNum(raw);
+}
+
+/* ===== Price breaks + minimum charge =====
+   Lines from products with price breaks carry them (data.items[].price_tiers + base_price_cents)
+   and re-price as the quantity changes. Typing a unit price by hand unlinks the breaks.
+*/
+function readRowTiers(row) {
+  try {
+    return normalizeTiers(JSON.parse(row?.dataset?.priceTiers || "[]"));
+  } catch {
+    return [];
+  }
+}
+
+function syncItemTierUI(tr, qty = rowQty(tr)) {
+  const el = tr?.querySelector(".i-tier-note");
+  if (!el) return;
+
+  const tiers = readRowTiers(tr);
+  el.hidden = !tiers.length;
+  if (!tiers.length) {
+    el.textContent = "";
+    return;
+  }
+
+  const { tier } = tierPriceFor(tr.dataset.basePriceCents, tiers, qty);
+  const next = tiers.find((t) => t.min_qty > (tier?.min_qty ?? 0));
+  el.textContent = tier ? `Break: ${formatPartQty(tier.min_qty)}+` : "Base price";
+  el.title = next
+    ? `Next break at ${formatPartQty(next.min_qty)}: $${unitPriceToMoney(next.price_per_unit_cents)} / unit`
+    : "Best price break applied";
+}
+
+function syncTierPrices() {
+  $$(".item-row", itemRowsEl).forEach((row) => {
+    if (!row.dataset.priceTiers) return syncItemTierUI(row);
+
+    const { price_cents } = tierPriceFor(row.dataset.basePriceCents, readRowTiers(row), rowQty(row));
+    const input = row.querySelector(".i-price");
+    if (input && document.activeElement !== input && parseUnitPriceToCents(input.value) !== price_cents) {
+      input.value = unitPriceToMoney(price_cents);
+    }
+    syncItemTierUI(row);
+  });
+}
+
+function syncItemQtyFormulaUI(tr, error = "") {
+  const el = tr.querySelector(".i-qty-formula");
+  const formula = safeStr(tr.dataset.qtyFormula);
+  tr.classList.toggle("qty-formula-error", !!(formula && error));
+  if (!el) return;
+  el.hidden = !formula;
+  el.textContent = formula ? (error ? "Formula error" : `ƒ ${formulaDisplay(formula)}`) : "";
+  el.title = formula ? (error ? `${formulaDisplay(formula)}\n${error}` : formulaDisplay(formula)) : "";
+}
+
+// Resolve every formula line (in dependency order) and number the lines for L-refs.
+function syncQtyFormulas() {
+  const rows = $$(".item-row", itemRowsEl);
+  const byId = new Map(rows.map((r) => [r.dataset.lineId, r]));
+  const done = new Map();
+  const visiting = new Set();
+
+  const resolveRow = (row) => {
+    const id = row.dataset.lineId;
+    if (done.has(id)) return done.get(id);
+
+    const formula = safeStr(row.dataset.qtyFormula);
+    if (!formula) {
+      const plain = { qty: rowQty(row), error: "" };
+      done.set(id, plain);
+      return plain;
+    }
+    if (visiting.has(id)) return { qty: null, error: "This formula refers back to itself." };
+
+    visiting.add(id);
+    const lineQtys = {};
+    let error = "";
+    for (const [, refId] of formula.matchAll(LINE_REF_STORED_RE)) {
+      const refRow = byId.get(refId);
+      if (!refRow) continue; // reported by resolveQtyFormula
+      const r = resolveRow(refRow);
+      if (r.error) {
+        error = refRow === row || visiting.has(refId) ? "This formula refers back to itself." : "A line it uses has a formula error.";
+        break;
+      }
+      lineQtys[refId] = r.qty;
+    }
+    visiting.delete(id);
+
+    const result = error ? { qty: null, error } : resolveQtyFormula(formula, lineQtys);
+    done.set(id, result);
+    return result;
+  };
+
+  rows.forEach((row, idx) => {
+    const refEl = row.querySelector(".i-line-ref");
+    if (refEl) refEl.textContent = `L${idx + 1}`;
+
+    if (!row.dataset.qtyFormula) return;
+    const { qty, error } = resolveRow(row);
+    const qtyInput = row.querySelector(".i-qty");
+    if (!error) {
+      row.dataset.resolvedQty = String(qty);
+      // Don't overwrite a formula that's being typed
+      if (qtyInput && document.activeElement !== qtyInput) qtyInput.value = String(qty);
+    }
+    syncItemQtyFormulaUI(row, error);
+  });
+}
+
 function buildItemRow(item = {}) {
   const tr = document.createElement("tr");
   tr.className = "item-row avoid-break";
@@ -1318,6 +2014,10 @@ function buildItemRow(item = {}) {
   const productId = item.product_id || "";
   const unitType = item.unit_type || "Each";
 
+  tr.dataset.lineId = safeStr(item.id) || makeClientId("line");
+  tr.dataset.packageId = safeStr(item.package_id);
+  tr.dataset.taxClassId = safeStr(item.tax_class_id);
+  if (safeStr(item.qty_formula)) tr.dataset.qtyFormula = safeStr(item.qty_formula);
   tr.dataset.productId = productId;
   tr.dataset.unitType = unitType;
   tr.dataset.showQtyUnitPrice = show ? "1" : "0";
@@ -1327,12 +2027,29 @@ function buildItemRow(item = {}) {
   const qty = Number.isFinite(Number(item.qty)) ? Number(item.qty) : 1;
   const unitPriceCents = Number.isFinite(Number(item.unit_price_cents)) ? Number(item.unit_price_cents) : 0;
   const taxable = typeof item.taxable === "boolean" ? item.taxable : true;
-  const lineCents = Math.round((qty || 0) * (unitPriceCents || 0));
+  const optional = item.optional === true;
+  const discount = normalizeDiscount(item.discount);
+  const lineCents = lineNetCents({ qty, unit_price_cents: unitPriceCents, min_charge_cents: item.min_charge_cents, discount });
+  const costCents = Number.isFinite(Number(item.cost_cents)) && item.cost_cents !== null ? Number(item.cost_cents) : null;
+  tr.dataset.supplier = safeStr(item.supplier);
+  if (Array.isArray(item.components) && item.components.length) tr.dataset.components = JSON.stringify(item.components);
+  const tiers = normalizeTiers(item.price_tiers);
+  if (tiers.length) {
+    tr.dataset.priceTiers = JSON.stringify(tiers);
+    tr.dataset.basePriceCents = String(Number(item.base_price_cents ?? unitPriceCents) || 0);
+  }
+  const minCharge = normalizeMinCharge(item.min_charge_cents);
+  if (minCharge) tr.dataset.minChargeCents = String(minCharge);
 
   tr.innerHTML = `
     <td>
       <div class="i-head">
+        <span class="i-drag no-print" title="Drag to reorder" aria-hidden="true">⠿</span>
+        <input type="checkbox" class="i-select no-print" aria-label="Select line" />
+        <span class="i-line-ref no-print" title="Line number for qty formulas, eg. =L3*14"></span>
         <input type="text" class="i-name" placeholder="Item name" value="${escapeHtml(name)}" />
+        <span class="i-opt-badge">Optional</span>
+        <span class="i-pkg-badge" hidden></span>
       </div>
 
       <div class="i-view no-print" title="Controls what the customer sees on the quote link + PDF.">
@@ -1341,11 +2058,34 @@ function buildItemRow(item = {}) {
           <button type="button" class="i-view-btn" data-action="custview-details">Qty &amp; Unit Price</button>
           <button type="button" class="i-view-btn" data-action="custview-total">Total only</button>
         </div>
+        <label class="i-opt" title="Optional add-ons are left out of the total until the customer ticks them when signing.">
+          <input type="checkbox" class="i-optional" ${optional ? "checked" : ""} />
+          <span>Optional add-on</span>
+        </label>
+        <select class="i-package" aria-label="Package" title="Which package this line belongs to" hidden></select>
+        <select class="i-taxclass" aria-label="Tax class" title="Which taxes apply to this line" hidden></select>
+        <label class="i-disc" title="Line discount: type 10% or a dollar amount. Applied before tax.">
+          <span>Discount</span>
+          <input type="text" class="i-discount" inputmode="decimal" placeholder="0" value="${escapeHtml(formatDiscountInput(discount))}" />
+        </label>
       </div>
 
       <textarea rows="2" class="i-desc" placeholder="Description">${escapeHtml(description)}</textarea>
+
+      <div class="i-cost no-print" title="Internal only. Never shown to the customer.">
+        <label>
+          <span>Cost / unit</span>
+          <input type="text" class="i-cost-input" inputmode="decimal" placeholder="—" value="${costCents === null ? "" : centsToMoney(costCents)}" />
+        </label>
+        <span class="i-margin"></span>
+        <span class="i-supplier">${item.supplier ? `Supplier: ${escapeHtml(item.supplier)}` : ""}</span>
+      </div>
+      <div class="i-parts no-print" title="Internal only. Parts to order for this assembly." hidden></div>
+    </td>
+    <td class="num">
+      <input type="text" class="i-qty" inputmode="decimal" value="${qty || 0}" />
+      <div class="i-qty-formula no-print" hidden></div>
     </td>
-    <td class="num"><input type="text" class="i-qty" inputmode="decimal" value="${qty || 0}" /></td>
     <td class="center">
       <input
         type="text"
@@ -1356,9 +2096,12 @@ function buildItemRow(item = {}) {
         title="Unit type (eg. Each, sqft, lf)"
       />
     </td>
-    <td class="num"><input type="text" class="i-price" inputmode="decimal" value="${centsToMoney(unitPriceCents)}" /></td>
+    <td class="num">
+      <input type="text" class="i-price" inputmode="decimal" value="${unitPriceToMoney(unitPriceCents)}" />
+      <div class="i-tier-note no-print" hidden></div>
+    </td>
     <td class="center"><input type="checkbox" class="i-tax" ${taxable ? "checked" : ""} /></td>
-    <td class="line-total"><span>$${centsToMoney(lineCents)}</span></td>
+    <td class="line-total"><span>$${centsToMoney(lineCents)}</span><div class="i-disc-note" hidden></div></td>
     <td class="no-print slim">
       <button
         class="btn small"
@@ -1398,6 +2141,60 @@ function buildItemRow(item = {}) {
 
   syncCustomerViewUI(tr);
 
+  const optionalInput = tr.querySelector(".i-optional");
+  const syncOptional = () => {
+    const on = !!optionalInput?.checked;
+    tr.classList.toggle("is-optional", on);
+    tr.classList.toggle("is-option-selected", on && _acceptedOptionIds.has(tr.dataset.lineId));
+  };
+  optionalInput?.addEventListener("change", syncOptional);
+  syncOptional();
+
+  const packageSelect = tr.querySelector(".i-package");
+  packageSelect?.addEventListener("change", () => {
+    tr.dataset.packageId = safeStr(packageSelect.value);
+    syncItemPackageUI(tr);
+  });
+  syncItemPackageUI(tr);
+
+  // Qty: "=…" is a formula (committed on change); typing a plain number unlinks the line.
+  const qtyInput = tr.querySelector(".i-qty");
+  qtyInput?.addEventListener("focus", () => {
+    if (tr.dataset.qtyFormula) qtyInput.value = formulaDisplay(tr.dataset.qtyFormula);
+  });
+  qtyInput?.addEventListener("input", () => {
+    if (safeStr(qtyInput.value).startsWith("=") || !tr.dataset.qtyFormula) return;
+    delete tr.dataset.qtyFormula;
+    delete tr.dataset.resolvedQty;
+    syncItemQtyFormulaUI(tr);
+  });
+  qtyInput?.addEventListener("change", () => {
+    const raw = safeStr(qtyInput.value);
+    if (!raw.startsWith("=")) return;
+    try {
+      tr.dataset.qtyFormula = lineRefsToIds(raw);
+    } catch (e) {
+      syncItemQtyFormulaUI(tr, e?.message);
+      return;
+    }
+    recalcTotals();
+    if (!tr.classList.contains("qty-formula-error")) qtyInput.value = tr.dataset.resolvedQty || "0";
+  });
+  qtyInput?.addEventListener("blur", () => {
+    // Left without committing (eg. unchanged formula): show the number again
+    if (tr.dataset.qtyFormula && safeStr(qtyInput.value).startsWith("=") && !tr.classList.contains("qty-formula-error")) {
+      qtyInput.value = tr.dataset.resolvedQty || qtyInput.value;
+    }
+  });
+
+  const taxClassSelect = tr.querySelector(".i-taxclass");
+  taxClassSelect?.addEventListener("change", () => {
+    tr.dataset.taxClassId = safeStr(taxClassSelect.value);
+    recalcTotals();
+  });
+  tr.querySelector(".i-tax")?.addEventListener("change", () => syncItemTaxClassUI(tr));
+  syncItemTaxClassUI(tr);
+
 
   // Unit type is now editable per-quote (so you can override catalog defaults when needed)
   const unitInput = tr.querySelector(".i-unit-input");
@@ -1410,19 +2207,46 @@ function buildItemRow(item = {}) {
     sync();
   }
 
+  // Discount tidy-up ("10 %" -> "10%", "$25" -> "25.00")
+  const discountInput = tr.querySelector(".i-discount");
+  if (discountInput) {
+    discountInput.addEventListener("blur", () => {
+      discountInput.value = formatDiscountInput(parseDiscountInput(discountInput.value));
+      recalcTotals();
+    });
+  }
+
   // Money tidy-up (keeps PDFs clean too)
   const priceInput = tr.querySelector(".i-price");
   if (priceInput) {
+    // Typing a price by hand takes the line off its price breaks
+    priceInput.addEventListener("input", () => {
+      if (!tr.dataset.priceTiers) return;
+      delete tr.dataset.priceTiers;
+      delete tr.dataset.basePriceCents;
+      syncItemTierUI(tr);
+    });
     priceInput.addEventListener("blur", () => {
-      const cents = Math.max(0, parseMoneyToCents(priceInput.value));
-      priceInput.value = centsToMoney(cents);
+      const cents = Math.max(0, parseUnitPriceToCents(priceInput.value));
+      priceInput.value = unitPriceToMoney(cents);
+      recalcTotals();
+    });
+  }
+
+  const costInput = tr.querySelector(".i-cost-input");
+  if (costInput) {
+    costInput.addEventListener("blur", () => {
+      if (!safeStr(costInput.value)) return;
+      costInput.value = centsToMoney(Math.max(0, parseMoneyToCents(costInput.value)));
       recalcTotals();
     });
   }
 
+  tr.querySelector(".i-select")?.addEventListener("change", () => syncBulkBar());
+
   tr.querySelector('[data-action="remove"]').addEventListener("click", () => {
     tr.remove();
-    if (!itemRowsEl.children.length) itemRowsEl.appendChild(buildItemRow());
+    if (!$$(".item-row", itemRowsEl).length) itemRowsEl.appendChild(buildItemRow());
     recalcTotals();
   });
 
@@ -1442,6 +2266,366 @@ function buildItemRow(item = {}) {
   return tr;
 }
 
+/* ===== Line-item sections =====
+   Sections are header rows living in the same tbody as the item rows.
+   Every item row belongs to the closest section row above it (or to no
+   section when it sits above the first header). Saved as:
+     data.sections = [{ id, name, collapsed }]   (display order)
+     data.items[].section_id
+*/
+function makeClientId(prefix = "id") {
+  try {
+    if (crypto?.randomUUID) return crypto.randomUUID();
+  } catch {}
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getSectionItemRows(sectionRow) {
+  const rows = [];
+  let el = sectionRow?.nextElementSibling;
+  while (el && !el.classList.contains("section-row")) {
+    if (el.classList.contains("item-row")) rows.push(el);
+    el = el.nextElementSibling;
+  }
+  return rows;
+}
+
+function getSectionBlock(sectionRow) {
+  return [sectionRow, ...getSectionItemRows(sectionRow)];
+}
+
+function setSectionCollapsed(sectionRow, collapsed) {
+  if (!sectionRow) return;
+  const next = !!collapsed;
+  sectionRow.dataset.collapsed = next ? "1" : "0";
+
+  const toggle = sectionRow.querySelector('[data-action="section-toggle"]');
+  if (toggle) {
+    toggle.textContent = next ? "▸" : "▾";
+    toggle.setAttribute("aria-expanded", next ? "false" : "true");
+    toggle.title = next ? "Expand section" : "Collapse section";
+  }
+
+  getSectionItemRows(sectionRow).forEach((row) => {
+    row.hidden = next;
+  });
+}
+
+function expandSectionForRow(row) {
+  let el = row?.previousElementSibling;
+  while (el && !el.classList.contains("section-row")) el = el.previousElementSibling;
+  if (el && el.dataset.collapsed === "1") setSectionCollapsed(el, false);
+}
+
+function buildSectionRow(section = {}) {
+  const tr = document.createElement("tr");
+  tr.className = "section-row avoid-break";
+  tr.dataset.sectionId = safeStr(section.id) || makeClientId("sec");
+
+  tr.innerHTML = `
+    <td colspan="5">
+      <div class="s-head">
+        <button type="button" class="s-toggle no-print" data-action="section-toggle" aria-expanded="true">▾</button>
+        <input type="text" class="s-name" placeholder="Section name (eg. Tear-off)" value="${escapeHtml(section.name ?? "")}" aria-label="Section name" />
+        <div class="s-actions no-print">
+          <button type="button" class="btn small" data-action="section-add-item" title="Add a line to this section">+ Line</button>
+          <button type="button" class="btn small" data-action="section-up" title="Move section up" aria-label="Move section up">↑</button>
+          <button type="button" class="btn small" data-action="section-down" title="Move section down" aria-label="Move section down">↓</button>
+        </div>
+      </div>
+    </td>
+    <td class="line-total s-subtotal" title="Section subtotal"><span>$0.00</span></td>
+    <td class="no-print slim">
+      <button
+        class="btn small"
+        type="button"
+        data-action="section-remove"
+        title="Remove section (its lines are kept)"
+        aria-label="Remove section"
+      >✕</button>
+    </td>
+  `;
+
+  tr.querySelector('[data-action="section-toggle"]').addEventListener("click", () => {
+    setSectionCollapsed(tr, tr.dataset.collapsed !== "1");
+  });
+
+  tr.querySelector('[data-action="section-add-item"]').addEventListener("click", () => {
+    const rows = getSectionItemRows(tr);
+    const anchor = rows.length ? rows[rows.length - 1] : tr;
+    const row = buildItemRow();
+    anchor.after(row);
+    setSectionCollapsed(tr, false);
+    recalcTotals();
+    row.querySelector(".i-name")?.focus();
+  });
+
+  tr.querySelector('[data-action="section-up"]').addEventListener("click", () => {
+    let prev = tr.previousElementSibling;
+    while (prev && !prev.classList.contains("section-row")) prev = prev.previousElementSibling;
+    if (!prev) return;
+    prev.before(...getSectionBlock(tr));
+    recalcTotals();
+  });
+
+  tr.querySelector('[data-action="section-down"]').addEventListener("click", () => {
+    const block = getSectionBlock(tr);
+    const next = block[block.length - 1].nextElementSibling;
+    if (!next) return;
+    const nextBlock = getSectionBlock(next);
+    nextBlock[nextBlock.length - 1].after(...block);
+    recalcTotals();
+  });
+
+  tr.querySelector('[data-action="section-remove"]').addEventListener("click", () => {
+    // Lines fall through to the section above (or become ungrouped).
+    setSectionCollapsed(tr, false);
+    tr.remove();
+    recalcTotals();
+  });
+
+  setSectionCollapsed(tr, !!section.collapsed);
+  return tr;
+}
+
+function getSectionsFromUI() {
+  return $$(".section-row", itemRowsEl).map((row) => ({
+    id: row.dataset.sectionId,
+    name: safeStr($(".s-name", row)?.value),
+    collapsed: row.dataset.collapsed === "1",
+  }));
+}
+
+function writeSectionTotals(items, packageId) {
+  const sums = new Map();
+  for (const it of items) {
+    if (!it.section_id || !isItemCounted(it, packageId)) continue;
+    const line = lineNetCents(it);
+    sums.set(it.section_id, (sums.get(it.section_id) || 0) + line);
+  }
+
+  $$(".section-row", itemRowsEl).forEach((sectionRow) => {
+    const span = sectionRow.querySelector(".s-subtotal span");
+    if (span) span.textContent = `$${centsToMoney(sums.get(sectionRow.dataset.sectionId) || 0)}`;
+  });
+}
+
+function renderItemRows(items, sections) {
+  itemRowsEl.innerHTML = "";
+
+  const list = Array.isArray(sections) ? sections.filter((s) => safeStr(s?.id)) : [];
+  const known = new Set(list.map((s) => s.id));
+
+  // Ungrouped lines first (also catches lines pointing at a deleted section)
+  items
+    .filter((it) => !it.section_id || !known.has(it.section_id))
+    .forEach((it) => itemRowsEl.appendChild(buildItemRow(it)));
+
+  list.forEach((section) => {
+    const sectionRow = buildSectionRow(section);
+    itemRowsEl.appendChild(sectionRow);
+    items
+      .filter((it) => it.section_id === section.id)
+      .forEach((it) => itemRowsEl.appendChild(buildItemRow(it)));
+    setSectionCollapsed(sectionRow, !!section.collapsed);
+  });
+
+  if (!$$(".item-row", itemRowsEl).length && !list.length) {
+    itemRowsEl.appendChild(buildItemRow());
+  }
+}
+
+/* ===== Line ordering + bulk edits =====
+   Lines are dragged by their handle. A line belongs to whatever section header
+   sits above it, so dropping a line under a header moves it into that section.
+   Dragging a selected line carries the whole selection with it.
+*/
+let _dragRows = null;
+
+function getSelectedItemRows() {
+  return $$(".item-row", itemRowsEl).filter((row) => row.querySelector(".i-select")?.checked);
+}
+
+function syncBulkBar() {
+  if (!bulkBarEl) return;
+
+  const rows = $$(".item-row", itemRowsEl);
+  const selected = rows.filter((row) => row.querySelector(".i-select")?.checked);
+  rows.forEach((row) => row.classList.toggle("is-selected", selected.includes(row)));
+
+  bulkBarEl.hidden = !selected.length;
+  if (bulkCountEl) bulkCountEl.textContent = `${selected.length} selected`;
+  if (selectAllLinesEl) {
+    selectAllLinesEl.checked = !!rows.length && selected.length === rows.length;
+    selectAllLinesEl.indeterminate = !!selected.length && selected.length < rows.length;
+  }
+
+  if (bulkSectionEl && selected.length) {
+    const sections = getSectionsFromUI();
+    bulkSectionEl.innerHTML = [
+      `<option value="">Move to section…</option>`,
+      `<option value="__none__">No section</option>`,
+      ...sections.map((s, i) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name || `Section ${i + 1}`)}</option>`),
+    ].join("");
+    bulkSectionEl.hidden = !sections.length;
+  }
+}
+
+function moveRowsToSection(rows, sectionId) {
+  if (!rows.length) return;
+
+  if (sectionId === "__none__") {
+    // Ungrouped lines live above the first section header
+    const firstSection = $(".section-row", itemRowsEl);
+    if (firstSection) firstSection.before(...rows);
+    else itemRowsEl.append(...rows);
+    return;
+  }
+
+  const sectionRow = $$(".section-row", itemRowsEl).find((r) => r.dataset.sectionId === sectionId);
+  if (!sectionRow) return;
+  const block = getSectionBlock(sectionRow).filter((r) => !rows.includes(r));
+  block[block.length - 1].after(...rows);
+  setSectionCollapsed(sectionRow, false);
+}
+
+function applyBulkAction(action) {
+  const rows = getSelectedItemRows();
+
+  if (action === "clear") {
+    rows.forEach((row) => {
+      const box = row.querySelector(".i-select");
+      if (box) box.checked = false;
+    });
+    syncBulkBar();
+    return;
+  }
+
+  if (!rows.length) return;
+
+  if (action === "taxable" || action === "non-taxable") {
+    rows.forEach((row) => {
+      const box = row.querySelector(".i-tax");
+      if (box) box.checked = action === "taxable";
+      syncItemTaxClassUI(row);
+    });
+  } else if (action === "total-only") {
+    rows.forEach((row) => {
+      row.dataset.showQtyUnitPrice = "0";
+      syncCustomerViewUI(row);
+    });
+  } else if (action === "increase") {
+    const raw = window.prompt(
+      `Change unit prices on ${rows.length} line${rows.length === 1 ? "" : "s"} by what %?\n\nEg. 5 for +5%, or -10 to lower by 10%.`
+    );
+    if (raw === null) return;
+    const pct = parseNum(raw);
+    if (!pct || pct <= -100) {
+      showMsg("Enter a percentage, eg. 5 or -10.");
+      setTimeout(() => showMsg(""), 1800);
+      return;
+    }
+    rows.forEach((row) => {
+      const input = row.querySelector(".i-price");
+      if (!input) return;
+      const cents = Math.max(0, parseUnitPriceToCents(input.value));
+      input.value = unitPriceToMoney(roundUnitCents(cents * (1 + pct / 100)));
+      delete row.dataset.priceTiers;
+      delete row.dataset.basePriceCents;
+    });
+  } else if (action === "delete") {
+    const ok = window.confirm(`Delete ${rows.length} line${rows.length === 1 ? "" : "s"}?`);
+    if (!ok) return;
+    rows.forEach((row) => row.remove());
+    if (!$$(".item-row", itemRowsEl).length && !$(".section-row", itemRowsEl)) itemRowsEl.appendChild(buildItemRow());
+  } else {
+    return;
+  }
+
+  recalcTotals();
+}
+
+function wireLineOrderingAndBulk() {
+  if (!itemRowsEl) return;
+
+  // Only the handle starts a drag (so text inside inputs can still be selected)
+  itemRowsEl.addEventListener("pointerdown", (e) => {
+    const handle = e.target instanceof Element ? e.target.closest(".i-drag") : null;
+    if (!handle || _quoteEditingLocked) return;
+    const row = handle.closest(".item-row");
+    if (row) row.draggable = true;
+  });
+
+  itemRowsEl.addEventListener("pointerup", () => {
+    if (_dragRows) return;
+    $$(".item-row[draggable=\"true\"]", itemRowsEl).forEach((row) => { row.draggable = false; });
+  });
+
+  itemRowsEl.addEventListener("dragstart", (e) => {
+    const row = e.target instanceof Element ? e.target.closest(".item-row") : null;
+    if (!row?.draggable) return;
+
+    const selected = getSelectedItemRows();
+    _dragRows = selected.includes(row) ? selected : [row];
+    _dragRows.forEach((r) => r.classList.add("is-dragging"));
+
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = "move";
+      try { e.dataTransfer.setData("text/plain", row.dataset.lineId || ""); } catch {}
+    }
+  });
+
+  itemRowsEl.addEventListener("dragover", (e) => {
+    if (!_dragRows) return;
+    e.preventDefault();
+
+    const target = e.target instanceof Element ? e.target.closest(".item-row, .section-row") : null;
+    if (!target || _dragRows.includes(target)) return;
+
+    const rect = target.getBoundingClientRect();
+    if (e.clientY > rect.top + rect.height / 2) target.after(..._dragRows);
+    else target.before(..._dragRows);
+  });
+
+  itemRowsEl.addEventListener("drop", (e) => {
+    if (_dragRows) e.preventDefault();
+  });
+
+  itemRowsEl.addEventListener("dragend", () => {
+    if (!_dragRows) return;
+    const moved = _dragRows;
+    _dragRows = null;
+
+    moved.forEach((row) => {
+      row.classList.remove("is-dragging");
+      row.draggable = false;
+    });
+    expandSectionForRow(moved[0]);
+    recalcTotals();
+  });
+
+  selectAllLinesEl?.addEventListener("change", () => {
+    const on = !!selectAllLinesEl.checked;
+    $$(".item-row .i-select", itemRowsEl).forEach((box) => { box.checked = on; });
+    syncBulkBar();
+  });
+
+  bulkBarEl?.addEventListener("click", (e) => {
+    const btn = e.target instanceof Element ? e.target.closest("[data-bulk]") : null;
+    if (btn) applyBulkAction(btn.dataset.bulk);
+  });
+
+  bulkSectionEl?.addEventListener("change", () => {
+    const sectionId = bulkSectionEl.value;
+    if (!sectionId) return;
+    moveRowsToSection(getSelectedItemRows(), sectionId);
+    bulkSectionEl.value = "";
+    recalcTotals();
+  });
+}
+
+wireLineOrderingAndBulk();
+
 function isRowEffectivelyEmpty(row) {
   const name = safeStr($(".i-name", row)?.value);
   const desc = safeStr($(".i-desc", row)?.value);
@@ -1449,7 +2633,7 @@ function isRowEffectivelyEmpty(row) {
   if (name || desc) return false;
 
   const qty = parseNum($(".i-qty", row)?.value);
-  const price = parseMoneyToCents($(".i-price", row)?.value);
+  const price = parseUnitPriceToCents($(".i-price", row)?.value);
 
   return (qty === 0 || qty === 1) && price === 0;
 }
@@ -1463,6 +2647,12 @@ function maybeRemoveSingleEmptyRow() {
 function getItemsFromUI() {
   const rows = $$(".item-row", itemRowsEl);
   return rows.map((row) => {
+    let sectionRow = row.previousElementSibling;
+    while (sectionRow && !sectionRow.classList.contains("section-row")) {
+      sectionRow = sectionRow.previousElementSibling;
+    }
+    const section_id = safeStr(sectionRow?.dataset?.sectionId) || null;
+
     const show_qty_unit_price = row.dataset.showQtyUnitPrice !== "0";
     const product_id = safeStr(row.dataset.productId) || null;
     const unit_type =
@@ -1473,31 +2663,143 @@ function getItemsFromUI() {
     const name = safeStr($(".i-name", row)?.value);
     const description = safeStr($(".i-desc", row)?.value);
     const taxable = !!$(".i-tax", row)?.checked;
-
-    const qty = Math.max(0, parseNum($(".i-qty", row)?.value));
-    const unit_price_cents = Math.max(0, parseMoneyToCents($(".i-price", row)?.value));
-
-    return { product_id, name, description, unit_type, show_qty_unit_price, qty, unit_price_cents, taxable };
+    const optional = !!$(".i-optional", row)?.checked;
+    const id = safeStr(row.dataset.lineId) || null;
+    const package_id = safeStr(row.dataset.packageId) || null;
+    const tax_class_id = safeStr(row.dataset.taxClassId) || null;
+    const qty_formula = safeStr(row.dataset.qtyFormula) || null;
+    const costRaw = safeStr($(".i-cost-input", row)?.value);
+    const cost_cents = costRaw ? Math.max(0, parseMoneyToCents(costRaw)) : null;
+    const supplier = safeStr(row.dataset.supplier) || null;
+    const components = readRowComponents(row);
+    const discount = parseDiscountInput($(".i-discount", row)?.value);
+    const tiers = readRowTiers(row);
+    const price_tiers = tiers.length ? tiers : null;
+    const base_price_cents = tiers.length ? roundUnitCents(row.dataset.basePriceCents) : null;
+    const min_charge_cents = normalizeMinCharge(row.dataset.minChargeCents);
+
+    const qty = Math.max(0, rowQty(row));
+    const unit_price_cents = Math.max(0, parseUnitPriceToCents($(".i-price", row)?.value));
+
+    return { id, product_id, name, description, unit_type, show_qty_unit_price, qty, qty_formula, unit_price_cents, price_tiers, base_price_cents, min_charge_cents, cost_cents, supplier, components, taxable, tax_class_id, discount, optional, section_id, package_id };
   });
 }
 
 function writeLineTotals(items) {
   const rows = $$(".item-row", itemRowsEl);
   items.forEach((it, idx) => {
-    const line = Math.round((it.qty || 0) * (it.unit_price_cents || 0));
+    const line = lineNetCents(it);
     const span = rows[idx]?.querySelector(".line-total span");
     if (span) span.textContent = `$${centsToMoney(line)}`;
+
+    const note = rows[idx]?.querySelector(".i-disc-note");
+    if (note) {
+      const d = normalizeDiscount(it.discount);
+      const parts = [
+        isMinChargeApplied(it) ? "Minimum charge" : "",
+        !d ? "" : d.type === "percent" ? `Incl. ${d.value}% off` : `Incl. $${centsToMoney(d.value)} off`,
+      ].filter(Boolean);
+      note.hidden = !parts.length;
+      note.textContent = parts.join(" • ");
+    }
+  });
+}
+
+/* ===== Cost / margin (internal) =====
+   items[].cost_cents + supplier come from the product and can be edited per line.
+   Builder only: /api/public-quote strips them, and nothing here goes into data.computed.
+*/
+function lineCostCents(it) {
+  if (it?.cost_cents === null || it?.cost_cents === undefined) return null;
+  return Math.round((it?.qty || 0) * (Number(it.cost_cents) || 0));
+}
+
+function marginPctFor(revenueCents, costCents) {
+  if (!(revenueCents > 0)) return null;
+  return ((revenueCents - costCents) / revenueCents) * 100;
+}
+
+function writeLineMargins(items) {
+  const rows = $$(".item-row", itemRowsEl);
+  items.forEach((it, idx) => {
+    const el = rows[idx]?.querySelector(".i-margin");
+    if (!el) return;
+    const cost = lineCostCents(it);
+    const revenue = lineNetCents(it);
+    const m = cost === null ? null : marginPctFor(revenue, cost);
+    el.textContent = m === null ? "" : `Margin ${m.toFixed(1)}% • Profit $${centsToMoney(revenue - cost)}`;
+    el.classList.toggle("is-low", m !== null && m < 15);
+  });
+}
+
+/* ===== Assembly parts (internal) =====
+   A line added from an assembly product keeps items[].components: the parts per 1 unit
+   ({ product_id, name, unit_type, qty, cost_cents, supplier }). Shown scaled by the line qty
+   for material ordering; /api/public-quote strips them like cost + supplier.
+*/
+function readRowComponents(row) {
+  try {
+    const parts = JSON.parse(row?.dataset?.components || "null");
+    return Array.isArray(parts) && parts.length ? parts : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatPartQty(n) {
+  return String(Math.round((Number(n) || 0) * 100) / 100);
+}
+
+function writeLineParts(items) {
+  const rows = $$(".item-row", itemRowsEl);
+  items.forEach((it, idx) => {
+    const el = rows[idx]?.querySelector(".i-parts");
+    if (!el) return;
+    const parts = scaleParts(it.components, it.qty);
+    el.hidden = !parts.length;
+    el.innerHTML = parts.length
+      ? `<span class="i-parts-title">Parts:</span> ${parts
+          .map((p) => `${formatPartQty(p.qty)} ${escapeHtml(p.unit_type)} ${escapeHtml(p.name)}${p.supplier ? ` (${escapeHtml(p.supplier)})` : ""}`)
+          .join(" • ")}`
+      : "";
   });
 }
 
+// Quote-level gross margin on what the customer pays before tax and fees
+function writeQuoteMargin(items, packageId, totals) {
+  let cost = 0;
+  let hasCost = false;
+  for (const it of items) {
+    if (!isItemCounted(it, packageId)) continue;
+    const c = lineCostCents(it);
+    if (c === null) continue;
+    hasCost = true;
+    cost += c;
+  }
+
+  if (costTotalRowEl) costTotalRowEl.hidden = !hasCost;
+  if (profitTotalRowEl) profitTotalRowEl.hidden = !hasCost;
+  if (!hasCost) return;
+
+  const revenue = totals.subtotal - totals.discount;
+  const m = marginPctFor(revenue, cost);
+  if (costTotalEl) costTotalEl.textContent = centsToMoney(cost);
+  if (profitTotalEl) profitTotalEl.textContent = centsToMoney(revenue - cost);
+  if (profitTotalLabelEl) {
+    profitTotalLabelEl.textContent = m === null ? "Gross profit (internal)" : `Gross profit (internal, ${m.toFixed(1)}%)`;
+  }
+}
+
 /* ===== Products dialog ===== */
 
-function formatCurrency(cents, currency = "CAD") {
+// unitPrice: keep up to 4 decimals so sub-cent unit prices (eg. $0.0375) aren't rounded away
+function formatCurrency(cents, currency = "CAD", { unitPrice = false } = {}) {
   const amount = (Number(cents) || 0) / 100;
+  const digits = unitPrice ? { minimumFractionDigits: 2, maximumFractionDigits: 4 } : {};
   try {
-    return new Intl.NumberFormat("en-CA", { style: "currency", currency }).format(amount);
+    return new Intl.NumberFormat("en-CA", { style: "currency", currency, ...digits }).format(amount);
   } catch {
-    return `$${centsToMoney(Number(cents) || 0)}`;
+    return `$${unitPrice ? unitPriceToMoney(cents) : centsToMoney(Number(cents) || 0)}`;
   }
 }
 
@@ -1523,10 +2825,49 @@ function getProductUnitType(p) {
 function getProductPriceCents(p) {
   const v = p?.price_per_unit_cents ?? p?.unit_price_cents ?? p?.price_cents ?? p?.price ?? 0;
   const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
+  return Number.isFinite(n) ? roundUnitCents(n) : 0;
+}
+
+function activePriceList() {
+  return findPriceList(_priceLists, _priceListId);
+}
+
+// Catalog product as priced for this quote (negotiated rate from the customer's list, if any)
+function pricedProduct(product) {
+  return withListPrice(product, activePriceList());
 }
 
-function productToItem(product) {
+function renderProductsPriceList() {
+  if (!productsPriceListEl) return;
+  productsPriceListEl.innerHTML = "";
+  productsPriceListEl.appendChild(new Option("Catalog prices", ""));
+  for (const l of _priceLists) productsPriceListEl.appendChild(new Option(l.name, l.id));
+  if (_priceListId && !activePriceList()) {
+    productsPriceListEl.appendChild(new Option(`${_priceListName || "Price list"} (deleted — catalog prices)`, _priceListId));
+  }
+  productsPriceListEl.value = _priceListId;
+  if (productsPricingEl) productsPricingEl.hidden = !_priceLists.length && !_priceListId;
+}
+
+function productToItem(product, rollup = null) {
+  const qty_formula = safeStr(product.qty_formula) || null;
+  const resolved = qty_formula ? resolveQtyFormula(qty_formula) : null;
+  const qty = resolved && !resolved.error ? resolved.qty : 1;
+  const tiers = normalizeTiers(product.price_tiers);
+  const basePrice = rollup ? rollup.price_cents : getProductPriceCents(product);
+
+  if (rollup) {
+    // One line for the whole assembly; the parts stay on the line for ordering
+    return {
+      ...productToItem(product),
+      unit_price_cents: tierPriceFor(basePrice, tiers, qty).price_cents,
+      base_price_cents: tiers.length ? basePrice : null,
+      cost_cents: rollup.cost_cents,
+      supplier: null,
+      components: rollup.parts.map(({ unit_price_cents, ...part }) => part),
+    };
+  }
+
   return {
     product_id: product.id,
     name: getProductTitle(product),
@@ -1534,12 +2875,63 @@ function productToItem(product) {
     unit_type: getProductUnitType(product),
     // Default to showing breakdown unless explicitly turned off
     show_qty_unit_price: product.show_qty_unit_price !== false,
-    qty: 1,
-    unit_price_cents: getProductPriceCents(product),
+    qty,
+    qty_formula,
+    unit_price_cents: tierPriceFor(basePrice, tiers, qty).price_cents,
+    price_tiers: tiers.length ? tiers : null,
+    base_price_cents: tiers.length ? basePrice : null,
+    min_charge_cents: normalizeMinCharge(product.min_charge_cents),
     taxable: true,
+    tax_class_id: safeStr(product.tax_class_id) || null,
+    cost_cents: Number.isFinite(Number(product.cost_cents)) && product.cost_cents !== null ? Math.round(Number(product.cost_cents)) : null,
+    supplier: safeStr(product.supplier) || null,
   };
 }
 
+// An assembly expanded into its parts: one line each, qty = assembly qty × qty per unit.
+function assemblyPartItems(product, rollup, partsById) {
+  const formula = safeStr(product.qty_formula);
+  const base = formula ? resolveQtyFormula(formula) : null;
+  const assemblyQty = base && !base.error ? base.qty : 1;
+
+  return rollup.parts.map((part) => {
+    const item = productToItem(partsById.get(part.product_id) || { id: part.product_id, name: part.name });
+    item.qty = roundQty(assemblyQty * part.qty);
+    item.qty_formula = formula ? (part.qty === 1 ? formula : `(${formula.replace(/^=/, "")}) * ${part.qty}`) : null;
+    return item;
+  });
+}
+
+async function addProductToQuote(product, { expand = false } = {}) {
+  let rollup = null;
+  let partsById = new Map();
+
+  if (isAssembly(product)) {
+    const parts = await listProductsByIds(normalizeComponents(product.components).map((c) => c.product_id));
+    partsById = new Map(parts.map((p) => [p.id, pricedProduct(p)]));
+    rollup = rollUpAssembly(product, partsById);
+    if (rollup.missing) {
+      showMsg(`${rollup.missing} component${rollup.missing === 1 ? " is" : "s are"} no longer in the catalog; the price only includes the rest.`);
+      setTimeout(() => showMsg(""), 3200);
+    }
+    // A list price on the assembly itself beats the rolled-up part prices
+    const listed = listPriceFor(activePriceList(), product.id);
+    if (listed !== null) rollup = { ...rollup, price_cents: listed };
+  }
+  product = pricedProduct(product);
+
+  const items = expand && rollup ? assemblyPartItems(product, rollup, partsById) : [productToItem(product, rollup)];
+
+  maybeRemoveSingleEmptyRow();
+  for (const item of items) {
+    const itemRow = buildItemRow(item);
+    itemRowsEl.appendChild(itemRow);
+    expandSectionForRow(itemRow);
+  }
+  recalcTotals();
+  closeDialog(productsDialog);
+}
+
 function renderProductsList(products, currency) {
   if (!productsListEl) return;
   productsListEl.innerHTML = "";
@@ -1563,9 +2955,15 @@ function renderProductsList(products, currency) {
     const meta = document.createElement("div");
     meta.className = "product-meta";
 
+    const list = activePriceList();
+    const listed = listPriceFor(list, p.id);
     const priceTag = document.createElement("span");
     priceTag.className = "tag";
-    priceTag.textContent = formatCurrency(getProductPriceCents(p), currency);
+    priceTag.textContent = formatCurrency(getProductPriceCents(pricedProduct(p)), currency, { unitPrice: true });
+    if (listed !== null) {
+      priceTag.textContent += ` • ${list.name}`;
+      priceTag.title = `Catalog price ${formatCurrency(getProductPriceCents(p), currency, { unitPrice: true })}`;
+    }
 
     const unitTag = document.createElement("span");
     unitTag.className = "tag";
@@ -1583,23 +2981,55 @@ function renderProductsList(products, currency) {
     meta.appendChild(unitTag);
     meta.appendChild(modeTag);
 
+    const partCount = normalizeComponents(p.components).length;
+    if (partCount) {
+      const asmTag = document.createElement("span");
+      asmTag.className = "tag";
+      asmTag.textContent = `Assembly • ${partCount} part${partCount === 1 ? "" : "s"}`;
+      asmTag.title = "Add as one line (parts kept internally) or add each part as its own line.";
+      meta.appendChild(asmTag);
+    }
+
     main.appendChild(name);
     main.appendChild(desc);
     main.appendChild(meta);
 
     const actions = document.createElement("div");
+    actions.className = "product-actions";
+
+    const addWith = (btn, opts) =>
+      btn.addEventListener("click", async () => {
+        try {
+          btn.disabled = true;
+          await addProductToQuote(p, opts);
+        } catch (e) {
+          console.error(e);
+          if (productsMsgEl) {
+            productsMsgEl.hidden = false;
+            productsMsgEl.textContent = e?.message || "Failed to add item.";
+          }
+        } finally {
+          btn.disabled = false;
+        }
+      });
+
     const btn = document.createElement("button");
     btn.type = "button";
     btn.className = "btn small brand";
     btn.textContent = "Add";
-    btn.addEventListener("click", () => {
-      maybeRemoveSingleEmptyRow();
-      itemRowsEl.appendChild(buildItemRow(productToItem(p)));
-      recalcTotals();
-      closeDialog(productsDialog);
-    });
+    addWith(btn, { expand: false });
     actions.appendChild(btn);
 
+    if (partCount) {
+      const partsBtn = document.createElement("button");
+      partsBtn.type = "button";
+      partsBtn.className = "btn small";
+      partsBtn.textContent = "Add parts";
+      partsBtn.title = "Add each component as its own line";
+      addWith(partsBtn, { expand: true });
+      actions.appendChild(partsBtn);
+    }
+
     row.appendChild(main);
     row.appendChild(actions);
 
@@ -1621,48 +3051,221 @@ async function loadProductsIntoDialog(search = "") {
     const products = await listProducts({ search, limit: 200 });
     if (productsMsgEl) productsMsgEl.hidden = true;
 
-    if (!products.length) {
-      productsListEl.innerHTML = "";
-      if (productsEmptyEl) productsEmptyEl.hidden = false;
-      return;
-    }
+    if (!products.length) {
+      productsListEl.innerHTML = "";
+      if (productsEmptyEl) productsEmptyEl.hidden = false;
+      return;
+    }
+
+    if (productsEmptyEl) productsEmptyEl.hidden = true;
+    renderProductsList(products, currency);
+  } catch (e) {
+    console.error(e);
+    if (productsMsgEl) {
+      productsMsgEl.hidden = false;
+      productsMsgEl.textContent = e?.message || "Failed to load products.";
+    }
+  }
+}
+
+/* ===== Packages (Good / Better / Best) =====
+   Alternatives on one quote. A line either belongs to one package
+   (items[].package_id) or to all of them (no package_id). The customer
+   picks exactly one when signing. Saved as data.packages = [{ id, name, description }].
+*/
+function getPackagesFromUI() {
+  return $$(".pkg-row", packageListEl).map((row) => ({
+    id: row.dataset.packageId,
+    name: safeStr($(".pkg-name", row)?.value),
+    description: safeStr($(".pkg-desc", row)?.value),
+  }));
+}
+
+// The summary shows the chosen package once accepted, otherwise the first one.
+function getActivePackageId() {
+  const ids = $$(".pkg-row", packageListEl).map((row) => row.dataset.packageId);
+  if (!ids.length) return "";
+  return ids.includes(_acceptedPackageId) ? _acceptedPackageId : ids[0];
+}
+
+function packageLabel(pkg, idx) {
+  return safeStr(pkg?.name) || `Package ${idx + 1}`;
+}
+
+function syncItemPackageUI(tr) {
+  const select = tr.querySelector(".i-package");
+  const badge = tr.querySelector(".i-pkg-badge");
+  const packages = getPackagesFromUI();
+  const current = safeStr(tr.dataset.packageId);
+
+  if (select) {
+    select.innerHTML = "";
+    select.appendChild(new Option("All packages", ""));
+    packages.forEach((pkg, idx) => select.appendChild(new Option(packageLabel(pkg, idx), pkg.id)));
+    select.value = packages.some((pkg) => pkg.id === current) ? current : "";
+    select.hidden = !packages.length;
+  }
+
+  if (badge) {
+    const idx = packages.findIndex((pkg) => pkg.id === current);
+    badge.hidden = idx < 0;
+    badge.textContent = idx < 0 ? "" : packageLabel(packages[idx], idx);
+  }
+}
+
+function buildPackageRow(pkg = {}) {
+  const row = document.createElement("div");
+  row.className = "pkg-row";
+  row.dataset.packageId = safeStr(pkg.id) || makeClientId("pkg");
+
+  row.innerHTML = `
+    <div class="pkg-fields">
+      <input type="text" class="pkg-name" placeholder="Package name (eg. Standing seam)" value="${escapeHtml(pkg.name ?? "")}" aria-label="Package name" />
+      <input type="text" class="pkg-desc" placeholder="Short description (optional)" value="${escapeHtml(pkg.description ?? "")}" aria-label="Package description" />
+    </div>
+    <div class="pkg-side">
+      <span class="pkg-chosen" hidden>Chosen by customer</span>
+      <span class="pkg-total">$0.00</span>
+      <button type="button" class="btn small no-print" data-action="package-remove" title="Remove package (its lines move to all packages)" aria-label="Remove package">✕</button>
+    </div>
+  `;
+
+  const refresh = () => {
+    $$(".item-row", itemRowsEl).forEach(syncItemPackageUI);
+    recalcTotals();
+  };
+  row.querySelector(".pkg-name")?.addEventListener("input", refresh);
+
+  row.querySelector('[data-action="package-remove"]')?.addEventListener("click", () => {
+    const id = row.dataset.packageId;
+    $$(".item-row", itemRowsEl).forEach((tr) => {
+      if (tr.dataset.packageId === id) tr.dataset.packageId = "";
+    });
+    row.remove();
+    syncPackagesPanel();
+    refresh();
+  });
+
+  return row;
+}
+
+function syncPackagesPanel() {
+  const count = $$(".pkg-row", packageListEl).length;
+  if (packageListEl) packageListEl.hidden = !count;
+  packagesPanelEl?.classList.toggle("is-empty", !count);
+}
 
-    if (productsEmptyEl) productsEmptyEl.hidden = true;
-    renderProductsList(products, currency);
-  } catch (e) {
-    console.error(e);
-    if (productsMsgEl) {
-      productsMsgEl.hidden = false;
-      productsMsgEl.textContent = e?.message || "Failed to load products.";
-    }
-  }
+function renderPackages(packages) {
+  if (!packageListEl) return;
+  packageListEl.innerHTML = "";
+  (Array.isArray(packages) ? packages : []).forEach((pkg) => packageListEl.appendChild(buildPackageRow(pkg)));
+  syncPackagesPanel();
 }
 
-function recalcTotals() {
-  const items = getItemsFromUI();
+// Optional add-ons only count toward the total once the customer has selected them,
+// and package lines only count for their own package.
+function isItemCounted(it, packageId = getActivePackageId()) {
+  if (it?.package_id && it.package_id !== packageId) return false;
+  return !it?.optional || _acceptedOptionIds.has(it.id);
+}
 
+function computeTotalsFor(items, packageId) {
+  const taxes = getTaxesFromUI();
+  const taxableNetById = new Map(taxes.map((t) => [t.id, 0]));
   let subtotal = 0;
-  let taxableBase = 0;
+  let optionalPending = 0;
 
   for (const it of items) {
-    const line = Math.round((it.qty || 0) * (it.unit_price_cents || 0));
+    if (it?.package_id && it.package_id !== packageId) continue;
+    const line = lineNetCents(it);
+    if (!isItemCounted(it, packageId)) {
+      optionalPending += line;
+      continue;
+    }
     subtotal += line;
-    if (it.taxable) taxableBase += line;
+    for (const id of itemTaxIds(it, taxes)) {
+      if (taxableNetById.has(id)) taxableNetById.set(id, taxableNetById.get(id) + line);
+    }
   }
 
-  writeLineTotals(items);
+  // Quote-level discount comes off the (already line-discounted) subtotal, before tax.
+  // Each tax base shrinks by its proportional share of that discount.
+  const discount = discountCentsFor(subtotal, parseDiscountInput(discountValueEl?.value));
+  const fees = parseMoneyToCents(feesEl.value);
 
-  const taxRate = parseNum(taxRateEl.value);
-  const tax = Math.round(taxableBase * (taxRate / 100));
+  const taxLines = taxes.map((t) => {
+    const net = taxableNetById.get(t.id) || 0;
+    let base = subtotal > 0 ? net - Math.round((discount * net) / subtotal) : 0;
+    if (t.apply_to_fees) base += fees;
+    if (isTaxExempt(t.id)) return { id: t.id, name: t.name, rate: 0, exempt: true, tax_cents: 0 };
+    return { id: t.id, name: t.name, rate: t.rate, tax_cents: Math.round(base * (t.rate / 100)) };
+  });
+  const tax = taxLines.reduce((sum, t) => sum + t.tax_cents, 0);
 
-  const fees = parseMoneyToCents(feesEl.value);
-  const grand = Math.max(0, subtotal + tax + fees);
+  const grand = Math.max(0, subtotal - discount + tax + fees);
+
+  return { subtotal, discount, tax, taxes: taxLines, fees, grand, optionalPending };
+}
+
+function discountLabelText() {
+  const label = safeStr(discountLabelEl?.value) || "Discount";
+  const d = parseDiscountInput(discountValueEl?.value);
+  return d?.type === "percent" ? `${label} (${d.value}%)` : label;
+}
+
+function recalcTotals() {
+  syncQtyFormulas();
+  syncTierPrices();
+  const items = getItemsFromUI();
+  const activePackageId = getActivePackageId();
+
+  writeLineTotals(items);
+  writeLineMargins(items);
+  writeLineParts(items);
+  writeSectionTotals(items, activePackageId);
+
+  // Per-package totals in the packages panel
+  $$(".pkg-row", packageListEl).forEach((row) => {
+    const id = row.dataset.packageId;
+    const t = computeTotalsFor(items, id);
+    const totalEl = row.querySelector(".pkg-total");
+    if (totalEl) totalEl.textContent = `$${centsToMoney(t.grand)}`;
+    row.classList.toggle("is-active", id === activePackageId);
+    const chosenEl = row.querySelector(".pkg-chosen");
+    if (chosenEl) chosenEl.hidden = !_acceptedPackageId || id !== _acceptedPackageId;
+  });
+
+  const { subtotal, discount, tax, taxes, fees, grand, optionalPending } = computeTotalsFor(items, activePackageId);
 
   subtotalEl.textContent = centsToMoney(subtotal);
-  taxAmountEl.textContent = centsToMoney(tax);
+  if (discountAmountEl) discountAmountEl.textContent = centsToMoney(discount);
+  if (discountLabelTextEl) discountLabelTextEl.textContent = discountLabelText();
+  if (discountRowEl) discountRowEl.hidden = discount <= 0;
+  for (const t of taxes) {
+    const line = taxRowsEl?.querySelector(`.tax-line[data-tax-id="${CSS.escape(t.id)}"]`);
+    if (!line) continue;
+    const labelEl = line.querySelector(".tax-line-label");
+    const amountEl = line.querySelector(".tax-amount");
+    if (labelEl) labelEl.textContent = taxLabel(t);
+    if (amountEl) amountEl.textContent = centsToMoney(t.tax_cents);
+  }
   grandTotalEl.textContent = centsToMoney(grand);
 
-  _lastTotals = { subtotal_cents: subtotal, tax_cents: tax, fees_cents: fees, total_cents: grand };
+  if (optionalTotalEl) optionalTotalEl.textContent = centsToMoney(optionalPending);
+  if (optionalTotalRowEl) optionalTotalRowEl.hidden = optionalPending <= 0;
+
+  writeQuoteMargin(items, activePackageId, { subtotal, discount });
+  syncBulkBar();
+
+  _lastTotals = {
+    subtotal_cents: subtotal,
+    discount_cents: discount,
+    discount_label: discount > 0 ? discountLabelText() : "",
+    tax_cents: tax,
+    taxes,
+    fees_cents: fees,
+    total_cents: grand,
+  };
 
   // Keep payment schedule amounts in sync with the current quote total
   syncPaymentScheduleUI(grand);
@@ -1696,16 +3299,41 @@ function mergeDefaults(existing, fallback) {
         typeof it.show_qty_unit_price === "boolean" ? it.show_qty_unit_price : true,
       qty: it.qty ?? 1,
       unit_price_cents: it.unit_price_cents ?? it.price_per_unit_cents ?? 0,
+      price_tiers: Array.isArray(it.price_tiers) && it.price_tiers.length ? it.price_tiers : null,
+      base_price_cents: it.base_price_cents ?? null,
+      min_charge_cents: it.min_charge_cents ?? null,
       taxable: typeof it.taxable === "boolean" ? it.taxable : true,
+      tax_class_id: it.tax_class_id ?? null,
+      qty_formula: it.qty_formula ?? null,
+      cost_cents: it.cost_cents ?? null,
+      supplier: it.supplier ?? null,
+      components: Array.isArray(it.components) && it.components.length ? it.components : null,
+      optional: it.optional === true,
+      discount: normalizeDiscount(it.discount),
+      package_id: it.package_id ?? null,
+      id: it.id ?? null,
+      section_id: it.section_id ?? null,
     }));
   }
 
+  out.packages = Array.isArray(out.packages)
+    ? out.packages
+        .filter((p) => p && safeStr(p.id))
+        .map((p) => ({ id: safeStr(p.id), name: safeStr(p.name), description: safeStr(p.description) }))
+    : [];
+
+  out.sections = Array.isArray(out.sections)
+    ? out.sections
+        .filter((s) => s && safeStr(s.id))
+        .map((s) => ({ id: safeStr(s.id), name: safeStr(s.name), collapsed: !!s.collapsed }))
+    : [];
+
   return out;
 }
 
 function fillUIFromData(qRow, data, ctx) {
   // Ensure shape + core defaults exist (prevents blank meta fields)
-  ensureMetaDates(data);
+  ensureMetaDates(data, ctx);
   ensureBillToShape(data);
   ensureProjectShape(data);
   ensureBillToFromQuoteRow(data, qRow);
@@ -1729,13 +3357,22 @@ function fillUIFromData(qRow, data, ctx) {
   quoteCodeEl.textContent = quoteCode;
   if (docQuoteCodeEl) docQuoteCodeEl.textContent = quoteCode;
 
-  syncQuoteStatusUI(qRow.status);
-
   setBoundValue("quote_no", quoteCode);
   setBoundValue("quote_date", data.meta.quote_date);
   setBoundValue("quote_expires", data.meta.quote_expires);
   setBoundValue("prepared_by", preparedBy);
 
+  _validityDays = quoteValidityDays(ctx?.company);
+  _updateRequestedAt = safeStr(data.meta.update_requested_at);
+  _decline = normalizeDecline(data.meta.decline);
+  syncQuoteStatusUI(qRow.status);
+
+  _comments = normalizeQuoteComments(data.meta.comments);
+  syncCommentsUI();
+
+  _views = normalizeQuoteViews(data.meta.views);
+  syncViewsUI();
+
   setBoundValue("client_name", data.bill_to.client_name);
   setBoundValue("client_phone", data.bill_to.client_phone);
   setBoundValue("client_email", data.bill_to.client_email);
@@ -1746,19 +3383,35 @@ function fillUIFromData(qRow, data, ctx) {
   setBoundValue("terms", data.terms);
   setBoundValue("notes", data.notes);
 
-  taxRateEl.value = String(data.tax_rate ?? 13);
+  // Taxes (and classes) before item rows so each row can fill its tax class picker
+  _taxClasses = normalizeTaxClasses(data.tax_classes);
+
+  _taxExemption = readQuoteTaxExemption(data.tax_exemption);
+  syncTaxExemptUI();
+
+  _priceLists = normalizePriceLists(ctx?.company?.price_lists);
+  _priceListId = safeStr(data.meta?.price_list_id);
+  _priceListName = activePriceList()?.name || safeStr(data.meta?.price_list_name);
+  renderTaxRows(getQuoteTaxes(data));
   feesEl.value = centsToMoney(data.fees_cents ?? 0);
 
+  const quoteDiscount = normalizeDiscount(data.discount);
+  if (discountLabelEl) discountLabelEl.value = safeStr(data.discount?.label);
+  if (discountValueEl) discountValueEl.value = formatDiscountInput(quoteDiscount);
+
   // Payment schedule (per-quote override). If missing, seed from Company Settings.
   ensurePaymentSchedule(data, ctx);
   renderPaymentSchedule(data.payment_schedule);
 
-  itemRowsEl.innerHTML = "";
-  const items = Array.isArray(data.items) && data.items.length
-    ? data.items
-    : [{ name: "", description: "", unit_type: "Each", show_qty_unit_price: true, qty: 1, unit_price_cents: 0, taxable: true }];
+  const acceptedOptions = data?.acceptance?.selected_option_ids;
+  _acceptedOptionIds = new Set(Array.isArray(acceptedOptions) ? acceptedOptions : []);
+  _acceptedPackageId = safeStr(data?.acceptance?.selected_package_id);
+
+  fillMeasurementsUI(data.measurements);
 
-  for (const it of items) itemRowsEl.appendChild(buildItemRow(it));
+  // Packages first so each item row can fill its package picker
+  renderPackages(data.packages);
+  renderItemRows(Array.isArray(data.items) ? data.items : [], data.sections);
 
   recalcTotals();
   autosizeAll();
@@ -1774,6 +3427,8 @@ function collectDataFromUI(qRow, existingAcceptance = null) {
     quote_date: getBoundValue("quote_date"),
     quote_expires: getBoundValue("quote_expires"),
     prepared_by: getBoundValue("prepared_by"),
+    price_list_id: _priceListId || null,
+    price_list_name: _priceListId ? activePriceList()?.name || _priceListName || null : null,
   };
 
   const bill_to = {
@@ -1793,6 +3448,7 @@ function collectDataFromUI(qRow, existingAcceptance = null) {
   );
 
     const payment_schedule = readPaymentScheduleFromUI();
+  const taxes = getTaxesFromUI();
 
 
   return {
@@ -1802,9 +3458,21 @@ function collectDataFromUI(qRow, existingAcceptance = null) {
     meta,
     bill_to,
     project,
+    sections: getSectionsFromUI(),
+    packages: getPackagesFromUI(),
+    measurements: getMeasurementsFromUI(),
     items: itemsForSave,
-    tax_rate: parseNum(taxRateEl.value) || 13,
+    taxes,
+    tax_classes: _taxClasses,
+    tax_exemption: _taxExemption || undefined,
+    // Legacy single-tax fields mirror the first tax for older readers
+    tax_name: taxes[0]?.name || "Tax",
+    tax_rate: taxes[0]?.rate ?? 0,
     fees_cents: totals.fees_cents,
+    discount: (() => {
+      const d = parseDiscountInput(discountValueEl?.value);
+      return d ? { ...d, label: safeStr(discountLabelEl?.value) } : null;
+    })(),
     payment_schedule,
     terms: getBoundValue("terms"),
     notes: getBoundValue("notes"),
@@ -1875,6 +3543,13 @@ function scrubForNewVersion(data) {
     "manual_cancelled_by",
     "manual_cancelled_previous_status",
     "manual_cancelled_after_acceptance",
+    "expiry_extensions",
+    "update_requested_at",
+    "sent_at",
+    "reminders",
+    "views",
+    "decline",
+    "comments",
   ];
 
   for (const k of kill) {
@@ -1930,7 +3605,29 @@ async function createQuoteVersionFromPayload(sourceQuote, payload, ctx) {
 }
 
 /* =========================================================
-   PDF EXPORT (manual, no sideways drift)
+   PDF EXPORT
+   - /api/quote-pdf renders a vector PDF from the saved quote (same file the customer gets)
+   - the in-browser export below is only a fallback when that request fails
+   ========================================================= */
+
+async function downloadServerPdf(url, filename) {
+  const res = await fetch(url, { cache: "no-store" });
+  const type = String(res.headers.get("content-type") || "");
+  if (!res.ok || !type.includes("application/pdf")) throw new Error(`PDF request failed (${res.status})`);
+
+  const blob = await res.blob();
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1500);
+}
+
+/* =========================================================
+   PDF EXPORT (manual fallback, no sideways drift)
    - html2canvas -> jsPDF
    - on-screen sandbox at (0,0) but opacity 0 (no negative-left)
    - slice pages between cards
@@ -2038,6 +3735,16 @@ function buildPdfClone() {
   // Remove screen-only controls (add/remove buttons etc.)
   clone.querySelectorAll(".no-print").forEach((n) => n.remove());
 
+  // Collapsed sections are a builder convenience only: the PDF always lists every line,
+  // and sections with no lines are left out (same as the customer view).
+  clone.querySelectorAll("tr.item-row[hidden]").forEach((row) => {
+    row.hidden = false;
+  });
+  clone.querySelectorAll("tr.section-row").forEach((row) => {
+    const next = row.nextElementSibling;
+    if (!next || !next.classList.contains("item-row")) row.remove();
+  });
+
   // Hard-pin dimensions to avoid any “layout drift”
   clone.style.width = `${PAGE_W_CSS}px`;
   clone.style.minHeight = `${PAGE_H_CSS}px`;
@@ -2269,6 +3976,12 @@ function removeTableColumns(table, colIndexes) {
   });
 
   Array.from(table.tBodies?.[0]?.rows || []).forEach((row) => {
+    // Section header cells span the leading columns, so shrink the span instead
+    if (row.classList.contains("section-row")) {
+      const head = row.children[0];
+      if (head) head.colSpan = Math.max(1, head.colSpan - sorted.filter((idx) => idx < 5).length);
+      return;
+    }
     sorted.forEach((idx) => {
       if (row.children?.[idx]) row.children[idx].remove();
     });
@@ -2467,8 +4180,10 @@ if (!safeStr(data.terms) && safeStr(ctx?.company?.payment_terms)) {
 
   function getEditAttemptControl(target) {
     if (!(target instanceof Element) || !quotePageEl) return null;
-    const el = target.closest("input, textarea, select, button");
+    const el = target.closest("input, textarea, select, button, .i-drag");
     if (!el || !quotePageEl.contains(el) || el.disabled) return null;
+    // Extending the expiry is its own (logged) action, even on sent quotes
+    if (el === extendExpiryBtn) return null;
 
     if ((el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) && el.readOnly) {
       return null;
@@ -2558,26 +4273,70 @@ This will open a separate draft copy so you can make changes without overwriting
   });
 
   addItemBtn.addEventListener("click", () => {
-    itemRowsEl.appendChild(buildItemRow());
+    const row = buildItemRow();
+    itemRowsEl.appendChild(row);
+    expandSectionForRow(row);
+    recalcTotals();
+  });
+
+  addPackageBtn?.addEventListener("click", () => {
+    const row = buildPackageRow({ name: "" });
+    packageListEl?.appendChild(row);
+    syncPackagesPanel();
+    $$(".item-row", itemRowsEl).forEach(syncItemPackageUI);
+    recalcTotals();
+    row.querySelector(".pkg-name")?.focus();
+  });
+
+  addSectionBtn?.addEventListener("click", () => {
+    const row = buildSectionRow({ name: "" });
+    itemRowsEl.appendChild(row);
     recalcTotals();
+    row.querySelector(".s-name")?.focus();
   });
 
   // Add from Products
   addProductBtn?.addEventListener("click", async () => {
     openDialog(productsDialog);
     if (productsSearchEl) productsSearchEl.value = "";
+    renderProductsPriceList();
     await loadProductsIntoDialog("");
     setTimeout(() => productsSearchEl?.focus(), 0);
   });
 
   productsCloseBtn?.addEventListener("click", () => closeDialog(productsDialog));
+  // Changing the list only affects items added from now on; lines already on the quote keep their price
+  productsPriceListEl?.addEventListener("change", () => {
+    _priceListId = safeStr(productsPriceListEl.value);
+    _priceListName = activePriceList()?.name || "";
+    renderProductsPriceList();
+    markDirty();
+    loadProductsIntoDialog(productsSearchEl?.value || "");
+  });
   productsSearchEl?.addEventListener(
     "input",
     debounce(() => loadProductsIntoDialog(productsSearchEl.value || ""), 180)
   );
 
-  taxRateEl.addEventListener("input", recalcTotals);
   feesEl.addEventListener("input", recalcTotals);
+  taxExemptApplyEl?.addEventListener("change", () => {
+    if (!_taxExemption) return;
+    _taxExemption.applied = taxExemptApplyEl.checked;
+    syncTaxExemptUI();
+    recalcTotals();
+  });
+  measureInputEls.forEach((el) =>
+    el.addEventListener("input", () => {
+      syncMeasureSummary();
+      recalcTotals();
+    })
+  );
+  discountLabelEl?.addEventListener("input", recalcTotals);
+  discountValueEl?.addEventListener("input", recalcTotals);
+  discountValueEl?.addEventListener("blur", () => {
+    discountValueEl.value = formatDiscountInput(parseDiscountInput(discountValueEl.value));
+    recalcTotals();
+  });
 
   // Payment schedule controls
   addPaymentStepBtn?.addEventListener("click", addPaymentScheduleStep);
@@ -2591,6 +4350,242 @@ This will open a separate draft copy so you can make changes without overwriting
     syncRepDateFromQuoteDate();
   });
 
+  // Save as template (works on locked quotes too; it only reads the builder)
+  const setTemplateMsg = (text) => {
+    if (!templateMsgEl) return;
+    templateMsgEl.hidden = !text;
+    templateMsgEl.textContent = text || "";
+  };
+
+  saveTemplateBtn?.addEventListener("click", () => {
+    setTemplateMsg("");
+    if (templateNameEl) templateNameEl.value = safeStr(qRow?.data?.meta?.template_name);
+    if (templateDescEl) templateDescEl.value = "";
+    openDialog(templateDialog);
+    setTimeout(() => templateNameEl?.focus(), 0);
+  });
+
+  templateCloseBtn?.addEventListener("click", () => closeDialog(templateDialog));
+
+  templateForm?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    setTemplateMsg("");
+
+    const name = safeStr(templateNameEl?.value);
+    if (!name) {
+      setTemplateMsg("Give the template a name.");
+      templateNameEl?.focus();
+      return;
+    }
+
+    try {
+      templateSubmitBtn.disabled = true;
+      templateSubmitBtn.textContent = "Saving…";
+
+      await createTemplate({
+        name,
+        description: safeStr(templateDescEl?.value) || null,
+        data: collectDataFromUI(qRow),
+      });
+
+      closeDialog(templateDialog);
+      showMsg(`Saved template "${name}".`);
+      setTimeout(() => showMsg(""), 1800);
+    } catch (err) {
+      setTemplateMsg(err?.message || "Failed to save template.");
+    } finally {
+      templateSubmitBtn.disabled = false;
+      templateSubmitBtn.textContent = "Save template";
+    }
+  });
+
+  // Versions: the whole chain (original + every "New version"), with a diff between any two
+  let versions = [];
+
+  const setVersionsMsg = (text) => {
+    if (!versionsMsgEl) return;
+    versionsMsgEl.hidden = !text;
+    versionsMsgEl.textContent = text || "";
+  };
+
+  const versionCode = (v) => formatQuoteCode(v.quote_no, v?.data?.meta?.quote_date) || `Q-${v.quote_no ?? "?"}`;
+
+  const versionLabel = (v, i) => {
+    const when = formatDateDisplay(String(v.created_at || "").slice(0, 10));
+    return `v${i + 1} · ${versionCode(v)}${when ? ` · ${when}` : ""}${v.id === quoteId ? " (this quote)" : ""}`;
+  };
+
+  const renderVersionsList = () => {
+    if (!versionsListEl) return;
+    versionsListEl.innerHTML = "";
+
+    versions.forEach((v, i) => {
+      const row = document.createElement("div");
+      row.className = "product-row";
+
+      const main = document.createElement("div");
+      main.className = "product-main";
+
+      const name = document.createElement("div");
+      name.className = "product-name";
+      name.textContent = `v${i + 1} · ${versionCode(v)}`;
+
+      const meta = document.createElement("div");
+      meta.className = "product-meta";
+      const tags = [
+        prettyStatus(v.status),
+        `$${centsToMoney(v.total_cents)}`,
+        formatDateDisplay(String(v.created_at || "").slice(0, 10)),
+      ].filter(Boolean);
+      if (v.id === quoteId) tags.unshift("This quote");
+      for (const t of tags) {
+        const tag = document.createElement("span");
+        tag.className = "tag";
+        tag.textContent = t;
+        meta.appendChild(tag);
+      }
+
+      main.append(name, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "product-actions";
+      if (v.id !== quoteId) {
+        const open = document.createElement("a");
+        open.className = "btn small";
+        open.href = `./quote.html?id=${encodeURIComponent(v.id)}`;
+        open.textContent = "Open";
+        actions.appendChild(open);
+      }
+
+      row.append(main, actions);
+      versionsListEl.appendChild(row);
+    });
+  };
+
+  const renderVersionsDiff = () => {
+    const from = versions.find((v) => v.id === versionsFromEl?.value);
+    const to = versions.find((v) => v.id === versionsToEl?.value);
+    if (!versionsDiffEl || !from || !to) return;
+
+    versionsDiffEl.hidden = false;
+    renderDiffList(versionsDiffEl, from === to ? [] : diffQuoteData(from.data, to.data), {
+      emptyText: from === to ? "Pick two different versions to compare." : "No differences between these versions.",
+    });
+  };
+
+  versionsBtn?.addEventListener("click", async () => {
+    setVersionsMsg("Loading versions…");
+    if (versionsListEl) versionsListEl.innerHTML = "";
+    if (versionsCompareEl) versionsCompareEl.hidden = true;
+    if (versionsDiffEl) versionsDiffEl.hidden = true;
+    openDialog(versionsDialog);
+
+    try {
+      versions = await listQuoteVersions(quoteId);
+
+      // Compare against what's on screen for this quote, not its last save
+      const current = versions.find((v) => v.id === quoteId);
+      if (current) current.data = collectDataFromUI(qRow, qRow?.data?.acceptance || null);
+
+      renderVersionsList();
+
+      if (versions.length < 2) {
+        setVersionsMsg("This quote has no other versions yet. Use \"New version\" to start one.");
+        return;
+      }
+      setVersionsMsg("");
+
+      const options = versions.map((v, i) => `<option value="${escapeHtml(v.id)}">${escapeHtml(versionLabel(v, i))}</option>`).join("");
+      versionsFromEl.innerHTML = options;
+      versionsToEl.innerHTML = options;
+
+      // Default: the version before this one → this one
+      const idx = Math.max(0, versions.findIndex((v) => v.id === quoteId));
+      versionsToEl.value = versions[idx].id;
+      versionsFromEl.value = versions[idx > 0 ? idx - 1 : 1].id;
+
+      versionsCompareEl.hidden = false;
+      renderVersionsDiff();
+    } catch (e) {
+      console.error(e);
+      setVersionsMsg(e?.message || "Failed to load versions.");
+    }
+  });
+
+  versionsFromEl?.addEventListener("change", renderVersionsDiff);
+  versionsToEl?.addEventListener("change", renderVersionsDiff);
+  versionsCloseBtn?.addEventListener("click", () => closeDialog(versionsDialog));
+
+  const setCommentsMsg = (text) => {
+    if (!commentsMsgEl) return;
+    commentsMsgEl.hidden = !text;
+    commentsMsgEl.textContent = text || "";
+  };
+
+  commentsBtn?.addEventListener("click", async () => {
+    setCommentsMsg("");
+    renderCommentsThread();
+    openDialog(commentsDialog);
+
+    // Pick up questions posted since this page loaded
+    try {
+      const latest = await getQuote(quoteId);
+      _comments = normalizeQuoteComments(latest?.data?.meta?.comments);
+      if (qRow?.data?.meta) qRow.data.meta.comments = latest?.data?.meta?.comments || [];
+      syncCommentsUI();
+      renderCommentsThread();
+    } catch {}
+  });
+  commentsCloseBtn?.addEventListener("click", () => closeDialog(commentsDialog));
+
+  commentReplySendBtn?.addEventListener("click", async () => {
+    const body = safeStr(commentReplyEl?.value);
+    if (!body) {
+      setCommentsMsg("Write a reply first.");
+      commentReplyEl?.focus();
+      return;
+    }
+
+    commentReplySendBtn.disabled = true;
+    commentReplySendBtn.textContent = "Sending…";
+    setCommentsMsg("");
+
+    try {
+      const { data: sData } = await supabase.auth.getSession();
+      const token = sData?.session?.access_token;
+      if (!token) throw new Error("Not authenticated.");
+
+      const res = await fetch("/api/quote-comment", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ quote_id: quoteId, body }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || "Failed to send reply.");
+
+      if (qRow?.data?.meta) qRow.data.meta.comments = json.comments || [];
+      _comments = normalizeQuoteComments(json.comments);
+      syncCommentsUI();
+      renderCommentsThread();
+      if (commentReplyEl) commentReplyEl.value = "";
+      setCommentsMsg(json.emailed ? "Reply sent. The customer was emailed." : "Reply posted on the quote page.");
+    } catch (e) {
+      setCommentsMsg(e?.message || "Failed to send reply.");
+    } finally {
+      commentReplySendBtn.disabled = false;
+      commentReplySendBtn.textContent = "Send reply";
+    }
+  });
+
+  quoteViewsBtn?.addEventListener("click", () => {
+    renderViewsList();
+    openDialog(viewsDialog);
+  });
+  viewsCloseBtn?.addEventListener("click", () => closeDialog(viewsDialog));
+
 /* =======================
    AUTO-SAVE (admin)
    - Saves after changes with a short debounce so users don't lose work.
@@ -2604,6 +4599,9 @@ let _autoTimer = null;
 let _autoInFlight = null;
 let _lastAutoErrorAt = 0;
 
+// Set when a save was rejected because the quote changed elsewhere; auto-save pauses until resolved.
+let _conflictLatest = null;
+
 function setStateSaved() {
   setSaveState("saved", "All changes saved");
   setManualSaveVisible(false);
@@ -2635,6 +4633,7 @@ function scheduleAutoSave() {
 
 function markDirty() {
   _autoDirty = true;
+  scheduleHistoryCheckpoint();
 
   // Update the status immediately so the user understands they don't need a Save button.
   if (canAutoSaveNow()) {
@@ -2653,6 +4652,11 @@ async function flushAutoSave() {
 }
 
 function canAutoSaveNow() {
+  if (_conflictLatest) {
+    setSaveState("attention", "Changed elsewhere — not saved");
+    return false;
+  }
+
   if (isAcceptedStatus(qRow?.status) || isCancelledStatus(qRow?.status)) {
     setSaveState(
       "saved",
@@ -2722,16 +4726,19 @@ function wireAutoSaveListeners() {
   if (!quotePageEl) return;
 
   // Typing/changes anywhere inside the quote triggers autosave.
+  // Ticking lines for bulk edits isn't an edit.
+  const isEditControl = (t) => t.matches("input, textarea, select") && !t.matches(".i-select");
+
   quotePageEl.addEventListener("input", (e) => {
     const t = e.target;
     if (!(t instanceof HTMLElement)) return;
-    if (t.matches("input, textarea, select")) markDirty();
+    if (isEditControl(t)) markDirty();
   });
 
   quotePageEl.addEventListener("change", (e) => {
     const t = e.target;
     if (!(t instanceof HTMLElement)) return;
-    if (t.matches("input, textarea, select")) markDirty();
+    if (isEditControl(t)) markDirty();
   });
 
   // Click actions that mutate the quote but don't fire input/change.
@@ -2745,7 +4752,12 @@ function wireAutoSaveListeners() {
       el.closest('[data-action="custview-total"]') ||
       el.closest(".ps-remove") ||
       el.closest("#add-item") ||
+      el.closest("#add-section") ||
+      el.closest("#add-package") ||
+      el.closest('[data-action="package-remove"]') ||
+      el.closest('[data-action^="section-"]') ||
       el.closest("#btn-add-payment-step") ||
+      el.closest("[data-bulk]") ||
       el.closest("#btn-use-default-schedule")
     ) {
       markDirty();
@@ -2761,7 +4773,7 @@ function wireAutoSaveListeners() {
     const btn = el.closest("button");
     if (!row || !btn) return;
 
-    if (safeStr(btn.textContent).toLowerCase() === "add") {
+    if (["add", "add parts"].includes(safeStr(btn.textContent).toLowerCase())) {
       markDirty();
     }
   });
@@ -2769,16 +4781,238 @@ function wireAutoSaveListeners() {
 
 wireAutoSaveListeners();
 
+/* =======================
+   UNDO / REDO (admin, in-session)
+   - Each step is a JSON snapshot of the editable quote (same shape autosave writes).
+   - Edits are grouped into a step after a short pause, or right before a click
+     (so "type, then remove a row" is two steps).
+   - Undo/redo re-renders the builder from the snapshot and goes through markDirty(),
+     so the restored state autosaves like any other edit.
+   ======================= */
+const HISTORY_IDLE_MS = 500;
+const HISTORY_LIMIT = 100;
+
+let _historyCurrent = null;
+let _historyTimer = null;
+let _historyRestoring = false;
+const _undoStack = [];
+const _redoStack = [];
+
+function historySnapshot() {
+  const data = collectDataFromUI(qRow);
+  // Keep blank rows too, so undo brings back the exact table
+  data.items = getItemsFromUI();
+  delete data.computed;
+  delete data.acceptance;
+  // Sends, reminders, views, comments, declines + extensions aren't edits to undo
+  data.meta = withoutServerMeta(data.meta);
+  return JSON.stringify(data);
+}
+
+function syncHistoryButtons() {
+  const locked = isAcceptedStatus(qRow?.status) || isCancelledStatus(qRow?.status);
+  if (undoBtn) undoBtn.disabled = locked || !_undoStack.length;
+  if (redoBtn) redoBtn.disabled = locked || !_redoStack.length;
+}
+
+function resetHistory() {
+  clearTimeout(_historyTimer);
+  _historyTimer = null;
+  _undoStack.length = 0;
+  _redoStack.length = 0;
+  _historyCurrent = historySnapshot();
+  syncHistoryButtons();
+}
+
+function commitHistoryCheckpoint() {
+  clearTimeout(_historyTimer);
+  _historyTimer = null;
+  if (_historyRestoring || _historyCurrent === null) return;
+
+  const next = historySnapshot();
+  if (next === _historyCurrent) return;
+
+  _undoStack.push(_historyCurrent);
+  if (_undoStack.length > HISTORY_LIMIT) _undoStack.shift();
+  _redoStack.length = 0;
+  _historyCurrent = next;
+  syncHistoryButtons();
+}
+
+function scheduleHistoryCheckpoint() {
+  if (_historyRestoring) return;
+  clearTimeout(_historyTimer);
+  _historyTimer = setTimeout(commitHistoryCheckpoint, HISTORY_IDLE_MS);
+}
+
+function restoreHistorySnapshot(json) {
+  const base = qRow?.data && typeof qRow.data === "object" ? qRow.data : {};
+  const snapshot = JSON.parse(json);
+  const data = {
+    ...base,
+    ...snapshot,
+    acceptance: base.acceptance,
+    meta: mergeServerMeta(snapshot.meta, base.meta),
+  };
+
+  _historyRestoring = true;
+  try {
+    fillUIFromData(qRow, data, ctx);
+  } finally {
+    _historyRestoring = false;
+  }
+
+  // Re-read rather than reuse `json`: rendering fills defaults, and the next diff must start from what's on screen
+  _historyCurrent = historySnapshot();
+  syncHistoryButtons();
+  markDirty();
+}
+
+function undo() {
+  if (_quoteEditingLocked) return;
+  commitHistoryCheckpoint();
+  if (!_undoStack.length) return;
+  _redoStack.push(_historyCurrent);
+  restoreHistorySnapshot(_undoStack.pop());
+}
+
+function redo() {
+  if (_quoteEditingLocked) return;
+  commitHistoryCheckpoint();
+  if (!_redoStack.length) return;
+  _undoStack.push(_historyCurrent);
+  restoreHistorySnapshot(_redoStack.pop());
+}
+
+function wireHistory() {
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || "");
+  if (undoBtn) undoBtn.title = isMac ? "Undo (⌘Z)" : "Undo (Ctrl+Z)";
+  if (redoBtn) redoBtn.title = isMac ? "Redo (⇧⌘Z)" : "Redo (Ctrl+Shift+Z)";
+
+  undoBtn?.addEventListener("click", undo);
+  redoBtn?.addEventListener("click", redo);
+
+  // Close the pending step before any click lands (remove, add, section/package actions…)
+  quotePageEl?.addEventListener("pointerdown", () => {
+    if (_historyTimer) commitHistoryCheckpoint();
+  }, true);
+
+  // Row adds / removals / reorders (drag-and-drop, bulk moves) that don't come through an input event
+  if (itemRowsEl) {
+    new MutationObserver(() => markDirty()).observe(itemRowsEl, { childList: true });
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = String(e.key || "").toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.metaKey);
+    if (!isUndo && !isRedo) return;
+
+    // Dialogs (template name, product search) keep the browser's own text undo
+    if (e.target instanceof Element && e.target.closest("dialog")) return;
+
+    e.preventDefault();
+    if (isUndo) undo();
+    else redo();
+  });
+}
+
+wireHistory();
+resetHistory();
+
+/* =======================
+   EDIT CONFLICTS
+   - Every save sends the revision we loaded; a stale save is rejected instead of overwriting.
+   - The user picks: reload the latest, review what differs, or keep (re-save) their copy.
+   ======================= */
+let _conflictMine = null;
+
+function showConflict(latest, mine) {
+  clearTimeout(_autoTimer);
+  _conflictLatest = latest;
+  _conflictMine = mine;
+  _autoDirty = true;
+
+  const lockedElsewhere = isAcceptedStatus(latest?.status) || isCancelledStatus(latest?.status);
+  if (conflictSubEl) {
+    conflictSubEl.textContent = lockedElsewhere
+      ? `Someone marked this quote ${isAcceptedStatus(latest?.status) ? "accepted" : "cancelled"} after you opened it. Your latest changes have not been saved.`
+      : "Someone saved this quote after you opened it. Your latest changes have not been saved.";
+  }
+  if (conflictKeepBtn) conflictKeepBtn.hidden = lockedElsewhere;
+  if (conflictDiffEl) conflictDiffEl.hidden = true;
+  if (conflictReviewBtn) conflictReviewBtn.textContent = "Review differences";
+
+  canAutoSaveNow();
+  showMsg("");
+  openDialog(conflictDialog);
+}
+
+function wireConflictDialog() {
+  // Escape would leave the builder in a paused state with no way back to the choices
+  conflictDialog?.addEventListener("cancel", (e) => e.preventDefault());
+
+  conflictReloadBtn?.addEventListener("click", () => {
+    window.location.reload();
+  });
+
+  conflictReviewBtn?.addEventListener("click", () => {
+    if (!conflictDiffEl) return;
+    const show = conflictDiffEl.hidden;
+    if (show) {
+      // Before = what's saved now, after = what saving your copy would write
+      renderDiffList(conflictDiffEl, diffQuoteData(_conflictLatest?.data, _conflictMine), {
+        emptyText: "Your copy matches the saved quote.",
+      });
+    }
+    conflictDiffEl.hidden = !show;
+    conflictReviewBtn.textContent = show ? "Hide differences" : "Review differences";
+  });
+
+  conflictKeepBtn?.addEventListener("click", () => {
+    if (!_conflictLatest) return;
+
+    // Adopt the latest revision so the next save overwrites it with this copy,
+    // but keep what was written to the quote outside the builder (sent_at, reminders, decline, ...)
+    const data = qRow?.data && typeof qRow.data === "object" ? qRow.data : {};
+    qRow = {
+      ...qRow,
+      status: _conflictLatest.status,
+      revision: _conflictLatest.revision,
+      data: { ...data, meta: mergeServerMeta(data.meta, _conflictLatest.data?.meta) },
+    };
+    _conflictLatest = null;
+    _conflictMine = null;
+    closeDialog(conflictDialog);
+
+    syncQuoteStatusUI(qRow.status);
+    markDirty();
+    runAutoSave();
+  });
+}
+
+wireConflictDialog();
+
 
   async function saveNow({ quiet = false } = {}) {
-    // Preserve any customer acceptance signature so admin saves don't wipe it
+    // Preserve any customer acceptance signature (and the sends, reminders, views, comments + requests
+    // recorded on the quote since this page loaded, see js/quoteMeta.js) so admin saves don't wipe them
     let existingAcceptance = qRow?.data?.acceptance || null;
+    let latestMeta = null;
     try {
       const latest = await getQuote(quoteId);
       existingAcceptance = latest?.data?.acceptance || existingAcceptance;
+      if (latest) latestMeta = latest.data?.meta || {};
     } catch {}
 
     const payload = collectDataFromUI(qRow, existingAcceptance);
+    if (latestMeta) payload.meta = mergeServerMeta(payload.meta, latestMeta);
+    _updateRequestedAt = safeStr(payload.meta.update_requested_at);
+    _views = normalizeQuoteViews(payload.meta.views);
+    syncViewsUI();
+    _comments = normalizeQuoteComments(payload.meta.comments);
+    syncCommentsUI();
 
     // Payment schedule must be valid before saving/sending
     const schedV = validatePaymentSchedule(payload.payment_schedule);
@@ -2800,12 +5034,23 @@ wireAutoSaveListeners();
     setStateSaving();
     if (!quiet) showMsg("Saving…");
 
-    const updated = await updateQuote(quoteId, {
-      customer_name: payload.bill_to.client_name,
-      customer_email: payload.bill_to.client_email || null,
-      total_cents: payload.computed.total_cents,
-      data: payload,
-    });
+    let updated;
+    try {
+      updated = await updateQuote(
+        quoteId,
+        {
+          customer_name: payload.bill_to.client_name,
+          customer_email: payload.bill_to.client_email || null,
+          total_cents: payload.computed.total_cents,
+          data: payload,
+        },
+        { expectedRevision: qRow?.revision }
+      );
+    } catch (e) {
+      if (!(e instanceof QuoteConflictError)) throw e;
+      showConflict(e.latest, payload);
+      return null;
+    }
 
     qRow = updated;
     syncQuoteStatusUI(qRow.status);
@@ -2877,6 +5122,16 @@ wireAutoSaveListeners();
         syncQuoteStatusUI(result.status);
       }
 
+      // Keep the send time so later saves don't drop it (reminders count from it).
+      // The send bumped the revision; take it only if nothing else changed the quote in between.
+      if (result?.sent_at) {
+        const meta = { ...(qRow?.data?.meta || {}), sent_at: result.sent_at };
+        qRow = { ...qRow, data: { ...(qRow?.data || {}), meta } };
+        if (Number.isInteger(result.revision) && result.revision === (qRow?.revision ?? -1) + 1) {
+          qRow = { ...qRow, revision: result.revision };
+        }
+      }
+
       // Copy link (nice touch)
       if (result?.view_url && navigator.clipboard?.writeText) {
         try { await navigator.clipboard.writeText(result.view_url); } catch {}
@@ -2923,7 +5178,7 @@ wireAutoSaveListeners();
       data.meta.manual_cancelled_previous_status = String(qRow?.status || "");
       data.meta.manual_cancelled_after_acceptance = wasAccepted ? true : false;
 
-      const updated = await updateQuote(quoteId, { status: "cancelled", data });
+      const updated = await updateQuote(quoteId, { status: "cancelled", data }, { expectedRevision: qRow?.revision });
       qRow = updated;
       _sentEditConfirmed = false;
 
@@ -2933,6 +5188,10 @@ wireAutoSaveListeners();
       setTimeout(() => showMsg(""), 1200);
     } catch (e) {
       console.error(e);
+      if (e instanceof QuoteConflictError) {
+        showConflict(e.latest, collectDataFromUI(qRow));
+        return;
+      }
       showMsg(e?.message || "Failed to cancel quote.");
       setTimeout(() => showMsg(""), 2400);
     } finally {
@@ -2940,6 +5199,59 @@ wireAutoSaveListeners();
     }
   });
 
+  // Extend expiry: new date = today + the company validity period, logged in meta.expiry_extensions
+  extendExpiryBtn?.addEventListener("click", async () => {
+    try {
+      if (isAcceptedStatus(qRow?.status) || isCancelledStatus(qRow?.status)) return;
+
+      extendExpiryBtn.disabled = true;
+
+      const from = getBoundValue("quote_expires");
+      const to = addDaysIso(todayIsoLocal(), _validityDays);
+
+      await flushAutoSave();
+      setBoundValue("quote_expires", to);
+      const saved = await saveNow({ quiet: true });
+      if (!saved) {
+        setBoundValue("quote_expires", from);
+        showMsg("Couldn't extend the expiry. Fix what's blocking the save and try again.");
+        return;
+      }
+
+      const { payload } = saved;
+      const data = (payload && typeof payload === "object") ? { ...payload } : {};
+      data.meta = (data.meta && typeof data.meta === "object") ? { ...data.meta } : {};
+      data.meta.expiry_extensions = [
+        ...(Array.isArray(data.meta.expiry_extensions) ? data.meta.expiry_extensions : []),
+        {
+          at: new Date().toISOString(),
+          by: String(ctx?.userName || ctx?.user?.email || "").trim(),
+          from: from || null,
+          to,
+        },
+      ];
+
+      const updated = await updateQuote(quoteId, { data }, { expectedRevision: qRow?.revision });
+      qRow = updated;
+
+      showMsg(`Expiry extended to ${to}.`);
+      setTimeout(() => showMsg(""), 1600);
+    } catch (e) {
+      console.error(e);
+      if (e instanceof QuoteConflictError) {
+        showConflict(e.latest, collectDataFromUI(qRow));
+        return;
+      }
+      showMsg(e?.message || "Failed to extend the expiry.");
+      setTimeout(() => showMsg(""), 2200);
+    } finally {
+      extendExpiryBtn.disabled = false;
+      syncQuoteStatusUI(qRow?.status);
+    }
+  });
+
+  $('[data-bind="quote_expires"]')?.addEventListener("change", () => syncExpiryUI(qRow?.status));
+
   // Manual: Mark quote as Accepted (without a customer signature)
   markAcceptedBtn?.addEventListener("click", async () => {
     try {
@@ -2970,7 +5282,7 @@ wireAutoSaveListeners();
       data.meta.manual_accepted_by = String(ctx?.userName || ctx?.user?.email || "").trim();
 
       // Status drives dashboards + filtering. We intentionally do NOT create data.acceptance here.
-      const updated = await updateQuote(quoteId, { status: "accepted", data });
+      const updated = await updateQuote(quoteId, { status: "accepted", data }, { expectedRevision: qRow?.revision });
       qRow = updated;
       _sentEditConfirmed = false;
 
@@ -2980,6 +5292,10 @@ wireAutoSaveListeners();
       setTimeout(() => showMsg(""), 1200);
     } catch (e) {
       console.error(e);
+      if (e instanceof QuoteConflictError) {
+        showConflict(e.latest, collectDataFromUI(qRow));
+        return;
+      }
       showMsg(e?.message || "Failed to mark as accepted.");
       setTimeout(() => showMsg(""), 2200);
     } finally {
@@ -3003,7 +5319,16 @@ wireAutoSaveListeners();
       const client = (payload.bill_to.client_name || "Client").replace(/[^\w\-]+/g, "_");
       const filename = `${client}_${payload.quote_code}.pdf`;
 
-      await exportPdfManual({ filename });
+      const params = new URLSearchParams({ id: quoteId, download: "1" });
+      const packageId = getActivePackageId();
+      if (packageId) params.set("package", packageId);
+
+      try {
+        await downloadServerPdf(`/api/quote-pdf?${params.toString()}`, filename);
+      } catch (e) {
+        console.warn("Server PDF failed, using in-browser export.", e);
+        await exportPdfManual({ filename });
+      }
     } catch (e) {
       console.error(e);
       showMsg("PDF export failed. Check console.");
@@ -1,5 +1,6 @@
 import { supabase } from "../js/api.js";
 import { makeDefaultQuoteData } from "../js/quoteDefaults.js";
+import { viewsSummary } from "../js/quoteViews.js";
 
 const userEmailEl = document.getElementById("user-email");
 
@@ -168,6 +169,7 @@ function normalizeStatus(status) {
   if (["accepted", "signed"].includes(s)) return "accepted";
   if (s === "viewed") return "viewed";
   if (s === "sent") return "sent";
+  if (s === "declined") return "declined";
   if (["cancelled", "canceled"].includes(s)) return "cancelled";
   return s || "draft";
 }
@@ -177,6 +179,7 @@ function prettyStatus(status) {
   if (s === "accepted") return "Accepted";
   if (s === "viewed") return "Viewed";
   if (s === "sent") return "Sent";
+  if (s === "declined") return "Declined";
   if (s === "cancelled") return "Cancelled";
   return "Draft";
 }
@@ -186,6 +189,7 @@ function badgeClass(status) {
   if (s === "accepted") return "accepted";
   if (s === "sent") return "sent";
   if (s === "viewed") return "viewed";
+  if (s === "declined") return "declined";
   if (s === "cancelled") return "cancelled";
   return "draft";
 }
@@ -223,6 +227,9 @@ function scrubForNewVersion(data) {
     "publicId",
     "public_token",
     "publicToken",
+    "views",
+    "decline",
+    "comments",
   ];
 
   for (const k of kill) {
@@ -277,6 +284,15 @@ function renderRow(q) {
   badge.appendChild(document.createTextNode(prettyStatus(q.status)));
   tdStatus.appendChild(badge);
 
+  // Customer opens of the quote link (data.meta.views)
+  const viewed = viewsSummary(q.views);
+  if (viewed) {
+    const views = document.createElement("span");
+    views.className = "customer-sub";
+    views.textContent = viewed;
+    tdStatus.appendChild(views);
+  }
+
   const tdCreated = document.createElement("td");
   tdCreated.textContent = formatDate(q.created_at);
 
@@ -420,7 +436,7 @@ async function loadQuotes() {
   try {
     const { data, error } = await supabase
       .from("quotes")
-      .select("id, quote_no, customer_name, customer_email, total_cents, currency, status, created_at")
+      .select("id, quote_no, customer_name, customer_email, total_cents, currency, status, created_at, views:data->meta->views")
       .order("created_at", { ascending: false })
       .limit(500);
 
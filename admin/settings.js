@@ -1,4 +1,6 @@
 import { supabase } from "../js/api.js";
+import { quoteValidityDays } from "../js/quoteDefaults.js";
+import { normalizeReminderSettings, parseReminderDays, formatReminderDays } from "../js/quoteReminders.js";
 
 /**
  * Settings (v1)
@@ -34,8 +36,6 @@ const companyPermsNote = document.getElementById("company-perms-note");
 
 // Quote defaults
 const companyPaymentTermsEl = document.getElementById("company_payment_terms");
-const companyTaxNameEl = document.getElementById("company_tax_name");
-const companyTaxRateEl = document.getElementById("company_tax_rate");
 const saveQuoteDefaultsBtn = document.getElementById("btn-save-quote-defaults");
 const quoteDefaultsPermsNote = document.getElementById("quote-defaults-perms-note");
 
@@ -46,6 +46,20 @@ const paymentScheduleMsgEl = document.getElementById("payment-schedule-msg");
 const addPaymentStepBtn = document.getElementById("btn-add-payment-step");
 const paymentScheduleExampleBtn = document.getElementById("btn-payment-schedule-example");
 
+// Taxes + tax classes (Quote defaults)
+const taxesBodyEl = document.getElementById("taxes-body");
+const addTaxBtn = document.getElementById("btn-add-tax");
+const taxClassesBodyEl = document.getElementById("tax-classes-body");
+const addTaxClassBtn = document.getElementById("btn-add-tax-class");
+
+// Emails (Quote defaults)
+const companyEmailAttachPdfEl = document.getElementById("company_email_attach_pdf");
+const companyQuoteValidityDaysEl = document.getElementById("company_quote_validity_days");
+const companyRemindersEnabledEl = document.getElementById("company_reminders_enabled");
+const companyNotifyQuoteViewedEl = document.getElementById("company_notify_quote_viewed");
+const companyReminderAfterDaysEl = document.getElementById("company_reminder_after_days");
+const companyReminderBeforeDaysEl = document.getElementById("company_reminder_before_days");
+
 
 // Logo
 const companyLogoImg = document.getElementById("company-logo");
@@ -235,8 +249,14 @@ function fillCompanyForm(company) {
 
   if (companyPaymentTermsEl) companyPaymentTermsEl.value = company?.payment_terms || "";
 
-  if (companyTaxNameEl) companyTaxNameEl.value = company?.tax_name || "Tax";
-  if (companyTaxRateEl) companyTaxRateEl.value = company?.tax_rate ?? "";
+  // Taxes (falls back to the legacy single tax_name / tax_rate)
+  if (taxesBodyEl) renderTaxes(normalizeTaxes(company));
+  if (taxClassesBodyEl) renderTaxClasses(company?.tax_classes);
+
+  if (companyEmailAttachPdfEl) companyEmailAttachPdfEl.checked = company?.email_attach_pdf === true;
+  if (companyQuoteValidityDaysEl) companyQuoteValidityDaysEl.value = String(quoteValidityDays(company));
+  fillReminderSettings(company?.reminder_settings);
+  if (companyNotifyQuoteViewedEl) companyNotifyQuoteViewedEl.checked = company?.notify_quote_viewed === true;
 
   // Payment schedule (milestone payments)
   if (paymentScheduleBodyEl) {
@@ -289,8 +309,21 @@ function applyPermissions() {
 
   // Quote defaults
   if (companyPaymentTermsEl) companyPaymentTermsEl.disabled = !isAdmin;
-  if (companyTaxNameEl) companyTaxNameEl.disabled = !isAdmin;
-  if (companyTaxRateEl) companyTaxRateEl.disabled = !isAdmin;
+  if (companyEmailAttachPdfEl) companyEmailAttachPdfEl.disabled = !isAdmin;
+  if (companyQuoteValidityDaysEl) companyQuoteValidityDaysEl.disabled = !isAdmin;
+  if (companyRemindersEnabledEl) companyRemindersEnabledEl.disabled = !isAdmin;
+  syncReminderInputs();
+  if (companyNotifyQuoteViewedEl) companyNotifyQuoteViewedEl.disabled = !isAdmin;
+  if (addTaxBtn) addTaxBtn.disabled = !isAdmin;
+  if (addTaxClassBtn) addTaxClassBtn.disabled = !isAdmin;
+
+  for (const body of [taxesBodyEl, taxClassesBodyEl]) {
+    if (!body) continue;
+    for (const el of body.querySelectorAll("input, button")) {
+      el.disabled = !isAdmin;
+    }
+  }
+  syncTaxRemoveButtons();
 
   if (addPaymentStepBtn) addPaymentStepBtn.disabled = !isAdmin;
   if (paymentScheduleExampleBtn) paymentScheduleExampleBtn.disabled = !isAdmin;
@@ -784,6 +817,289 @@ function wirePaymentSchedule() {
     paymentScheduleExampleBtn.addEventListener("click", usePaymentScheduleExample);
 }
 
+/* =========================================================
+   Taxes + tax classes (Quote defaults)
+   ---------------------------------------------------------
+   companies.taxes        = [{ id, name, rate, apply_to_fees }]
+   companies.tax_classes  = [{ id, name, tax_ids: [] }]
+   tax_name / tax_rate stay in sync with the first tax for older readers.
+   ========================================================= */
+
+function makeClientId(prefix) {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${prefix}_${Date.now().toString(36)}${rand}`;
+}
+
+function normalizeTaxes(company) {
+  const list = coercePaymentSchedule(company?.taxes) || [];
+  const out = [];
+
+  for (const t of list) {
+    const id = sanitizeString(t?.id);
+    if (!id) continue;
+    const rate = Number(t?.rate);
+    out.push({
+      id,
+      name: sanitizeString(t?.name) || "Tax",
+      rate: Number.isFinite(rate) ? clampNumber(rate, 0, 100) : 0,
+      apply_to_fees: t?.apply_to_fees === true,
+    });
+  }
+
+  if (out.length) return out;
+
+  // Legacy: a single company-wide tax
+  const legacyRate = Number(company?.tax_rate);
+  return [
+    {
+      id: "tax",
+      name: sanitizeString(company?.tax_name) || "Tax",
+      rate: Number.isFinite(legacyRate) ? clampNumber(legacyRate, 0, 100) : "",
+      apply_to_fees: false,
+    },
+  ];
+}
+
+function normalizeTaxClasses(raw) {
+  const list = coercePaymentSchedule(raw) || [];
+  return list
+    .filter((c) => c && sanitizeString(c.id))
+    .map((c) => ({
+      id: sanitizeString(c.id),
+      name: sanitizeString(c.name),
+      tax_ids: Array.isArray(c.tax_ids) ? c.tax_ids.map((x) => sanitizeString(x)).filter(Boolean) : [],
+    }));
+}
+
+function getTaxRows() {
+  if (!taxesBodyEl) return [];
+  return Array.from(taxesBodyEl.querySelectorAll("tr.tax-row"));
+}
+
+function readTaxesFromUI() {
+  return getTaxRows().map((row) => {
+    const rate = normalizeNumber(row.querySelector(".tax-rate")?.value, { min: 0, max: 100 });
+    return {
+      id: row.dataset.taxId,
+      name: sanitizeString(row.querySelector(".tax-name")?.value) || "Tax",
+      rate: rate == null ? 0 : rate,
+      apply_to_fees: !!row.querySelector(".tax-fees")?.checked,
+    };
+  });
+}
+
+function syncTaxRemoveButtons() {
+  const rows = getTaxRows();
+  for (const row of rows) {
+    const btn = row.querySelector(".ps-remove");
+    if (btn) btn.disabled = !state.isAdmin || rows.length <= 1;
+  }
+}
+
+function addTaxRow(tax = {}) {
+  if (!taxesBodyEl) return null;
+
+  const tr = document.createElement("tr");
+  tr.className = "tax-row";
+  tr.dataset.taxId = sanitizeString(tax?.id) || makeClientId("tax");
+
+  const tdName = document.createElement("td");
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "tax-name";
+  nameInput.placeholder = "GST";
+  nameInput.value = sanitizeString(tax?.name || "");
+  nameInput.disabled = !state.isAdmin;
+  tdName.appendChild(nameInput);
+
+  const tdRate = document.createElement("td");
+  const rateInput = document.createElement("input");
+  rateInput.type = "number";
+  rateInput.inputMode = "decimal";
+  rateInput.step = "0.01";
+  rateInput.min = "0";
+  rateInput.max = "100";
+  rateInput.className = "tax-rate";
+  rateInput.placeholder = "5";
+  const rate = Number(tax?.rate);
+  rateInput.value = tax?.rate === "" || !Number.isFinite(rate) ? "" : String(rate);
+  rateInput.disabled = !state.isAdmin;
+  tdRate.appendChild(rateInput);
+
+  const tdFees = document.createElement("td");
+  tdFees.className = "tax-fees-cell";
+  const feesInput = document.createElement("input");
+  feesInput.type = "checkbox";
+  feesInput.className = "tax-fees";
+  feesInput.checked = tax?.apply_to_fees === true;
+  feesInput.disabled = !state.isAdmin;
+  feesInput.setAttribute("aria-label", "Apply this tax to additional fees");
+  tdFees.appendChild(feesInput);
+
+  const tdAct = document.createElement("td");
+  const rmBtn = document.createElement("button");
+  rmBtn.type = "button";
+  rmBtn.className = "ps-remove";
+  rmBtn.textContent = "✕";
+  rmBtn.setAttribute("aria-label", "Remove tax");
+  rmBtn.disabled = !state.isAdmin;
+  tdAct.appendChild(rmBtn);
+
+  rmBtn.addEventListener("click", () => {
+    // Keep at least 1 tax row
+    if (getTaxRows().length <= 1) return;
+    tr.remove();
+    syncTaxRemoveButtons();
+    syncTaxClassOptions();
+  });
+
+  // Class checkboxes are labelled by tax name
+  nameInput.addEventListener("input", syncTaxClassOptions);
+
+  tr.appendChild(tdName);
+  tr.appendChild(tdRate);
+  tr.appendChild(tdFees);
+  tr.appendChild(tdAct);
+  taxesBodyEl.appendChild(tr);
+
+  return { tr, nameInput, rateInput };
+}
+
+function renderTaxes(taxes) {
+  if (!taxesBodyEl) return;
+  taxesBodyEl.innerHTML = "";
+  for (const t of taxes) addTaxRow(t);
+  syncTaxRemoveButtons();
+}
+
+function getTaxClassRows() {
+  if (!taxClassesBodyEl) return [];
+  return Array.from(taxClassesBodyEl.querySelectorAll("tr.tax-class-row"));
+}
+
+function readTaxClassesFromUI() {
+  return getTaxClassRows()
+    .map((row) => ({
+      id: row.dataset.classId,
+      name: sanitizeString(row.querySelector(".tax-class-name")?.value),
+      tax_ids: Array.from(row.querySelectorAll(".tax-class-tax:checked")).map((el) => el.value),
+    }))
+    .filter((c) => c.name);
+}
+
+function renderTaxClassCheckboxes(container, checkedIds) {
+  container.innerHTML = "";
+  const taxes = readTaxesFromUI();
+
+  for (const t of taxes) {
+    const label = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.className = "tax-class-tax";
+    cb.value = t.id;
+    cb.checked = checkedIds.has(t.id);
+    cb.disabled = !state.isAdmin;
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(t.name));
+    container.appendChild(label);
+  }
+
+  if (!taxes.length) {
+    const none = document.createElement("span");
+    none.className = "muted";
+    none.textContent = "Add a tax first.";
+    container.appendChild(none);
+  }
+}
+
+// Rebuild class checkboxes after taxes are renamed/added/removed (keeps ticks by tax id).
+function syncTaxClassOptions() {
+  for (const row of getTaxClassRows()) {
+    const container = row.querySelector(".tax-class-taxes");
+    if (!container) continue;
+    const checked = new Set(
+      Array.from(container.querySelectorAll(".tax-class-tax:checked")).map((el) => el.value)
+    );
+    renderTaxClassCheckboxes(container, checked);
+  }
+}
+
+function addTaxClassRow(cls = {}) {
+  if (!taxClassesBodyEl) return null;
+
+  const tr = document.createElement("tr");
+  tr.className = "tax-class-row";
+  tr.dataset.classId = sanitizeString(cls?.id) || makeClientId("taxclass");
+
+  const tdName = document.createElement("td");
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "tax-class-name";
+  nameInput.placeholder = "GST only";
+  nameInput.value = sanitizeString(cls?.name || "");
+  nameInput.disabled = !state.isAdmin;
+  tdName.appendChild(nameInput);
+
+  const tdTaxes = document.createElement("td");
+  const taxesWrap = document.createElement("div");
+  taxesWrap.className = "tax-class-taxes";
+  renderTaxClassCheckboxes(taxesWrap, new Set(Array.isArray(cls?.tax_ids) ? cls.tax_ids : []));
+  tdTaxes.appendChild(taxesWrap);
+
+  const tdAct = document.createElement("td");
+  const rmBtn = document.createElement("button");
+  rmBtn.type = "button";
+  rmBtn.className = "ps-remove";
+  rmBtn.textContent = "✕";
+  rmBtn.setAttribute("aria-label", "Remove tax class");
+  rmBtn.disabled = !state.isAdmin;
+  tdAct.appendChild(rmBtn);
+
+  rmBtn.addEventListener("click", () => tr.remove());
+
+  tr.appendChild(tdName);
+  tr.appendChild(tdTaxes);
+  tr.appendChild(tdAct);
+  taxClassesBodyEl.appendChild(tr);
+
+  return { tr, nameInput };
+}
+
+function renderTaxClasses(classes) {
+  if (!taxClassesBodyEl) return;
+  taxClassesBodyEl.innerHTML = "";
+  for (const c of normalizeTaxClasses(classes)) addTaxClassRow(c);
+}
+
+function addTax() {
+  if (!state.isAdmin) {
+    toast("Only owners/admins can edit quote defaults.");
+    return;
+  }
+  const added = addTaxRow({ name: "", rate: "" });
+  syncTaxRemoveButtons();
+  syncTaxClassOptions();
+  try {
+    added?.nameInput?.focus();
+  } catch {}
+}
+
+function addTaxClass() {
+  if (!state.isAdmin) {
+    toast("Only owners/admins can edit quote defaults.");
+    return;
+  }
+  const added = addTaxClassRow({ name: "", tax_ids: [] });
+  try {
+    added?.nameInput?.focus();
+  } catch {}
+}
+
+function wireTaxes() {
+  if (addTaxBtn) addTaxBtn.addEventListener("click", addTax);
+  if (addTaxClassBtn) addTaxClassBtn.addEventListener("click", addTaxClass);
+}
+
 
 /* =========================================================
    Auto-save (Settings)
@@ -949,10 +1265,38 @@ function companySnapshotForSave() {
   });
 }
 
+function fillReminderSettings(raw) {
+  const r = normalizeReminderSettings(raw);
+  if (companyRemindersEnabledEl) companyRemindersEnabledEl.checked = r.enabled;
+  if (companyReminderAfterDaysEl) companyReminderAfterDaysEl.value = formatReminderDays(r.after_sent_days);
+  if (companyReminderBeforeDaysEl) companyReminderBeforeDaysEl.value = formatReminderDays(r.before_expiry_days);
+  syncReminderInputs();
+}
+
+// Timing only matters (and is only editable) while reminders are on
+function syncReminderInputs() {
+  const editable = Boolean(state.isAdmin && companyRemindersEnabledEl?.checked);
+  if (companyReminderAfterDaysEl) companyReminderAfterDaysEl.disabled = !editable;
+  if (companyReminderBeforeDaysEl) companyReminderBeforeDaysEl.disabled = !editable;
+}
+
+function readReminderSettings() {
+  return {
+    enabled: !!companyRemindersEnabledEl?.checked,
+    after_sent_days: parseReminderDays(companyReminderAfterDaysEl?.value),
+    before_expiry_days: parseReminderDays(companyReminderBeforeDaysEl?.value),
+  };
+}
+
+// Blank / out of range falls back to the default (30)
+function readQuoteValidityDays() {
+  return quoteValidityDays({ quote_validity_days: companyQuoteValidityDaysEl?.value });
+}
+
 function quoteDefaultsSnapshotForSave() {
   const terms = normalizeOptional(companyPaymentTermsEl?.value);
-  const tax_name = normalizeOptional(companyTaxNameEl?.value);
-  const tax_rate = normalizeNumber(companyTaxRateEl?.value, { min: 0, max: 100 });
+  const taxes = readTaxesFromUI();
+  const tax_classes = readTaxClassesFromUI();
 
   // Payment schedule: while invalid, keep snapshot pinned to last-saved schedule
   // so we don't spam saves while the user is adjusting percents.
@@ -966,8 +1310,12 @@ function quoteDefaultsSnapshotForSave() {
 
   return JSON.stringify({
     payment_terms: terms,
-    tax_name,
-    tax_rate,
+    taxes,
+    tax_classes,
+    email_attach_pdf: !!companyEmailAttachPdfEl?.checked,
+    quote_validity_days: readQuoteValidityDays(),
+    reminder_settings: readReminderSettings(),
+    notify_quote_viewed: !!companyNotifyQuoteViewedEl?.checked,
     payment_schedule: scheduleForSnap,
   });
 }
@@ -1078,8 +1426,27 @@ function setupAutoSave() {
   }
 
   // Quote defaults fields
-  for (const el of [companyPaymentTermsEl, companyTaxNameEl, companyTaxRateEl]) {
-    wireAutosaveField(el, autosave.quoteDefaults);
+  wireAutosaveField(companyPaymentTermsEl, autosave.quoteDefaults);
+  wireAutosaveField(companyEmailAttachPdfEl, autosave.quoteDefaults);
+  wireAutosaveField(companyQuoteValidityDaysEl, autosave.quoteDefaults);
+  wireAutosaveField(companyRemindersEnabledEl, autosave.quoteDefaults);
+  wireAutosaveField(companyReminderAfterDaysEl, autosave.quoteDefaults);
+  wireAutosaveField(companyReminderBeforeDaysEl, autosave.quoteDefaults);
+  wireAutosaveField(companyNotifyQuoteViewedEl, autosave.quoteDefaults);
+
+  // Taxes + tax classes (event delegation, same as the payment schedule)
+  for (const body of [taxesBodyEl, taxClassesBodyEl]) {
+    if (!body) continue;
+    const taxHandler = () => autosave.quoteDefaults?.schedule();
+    body.addEventListener("input", taxHandler);
+    body.addEventListener("change", taxHandler);
+    body.addEventListener("click", (e) => {
+      const t = e.target;
+      if (t && t.closest && t.closest("button")) taxHandler();
+    });
+  }
+  for (const btn of [addTaxBtn, addTaxClassBtn]) {
+    if (btn) btn.addEventListener("click", () => autosave.quoteDefaults?.schedule());
   }
 
   // Payment schedule inputs (event delegation)
@@ -1213,25 +1580,82 @@ async function saveQuoteDefaults({ mode = "manual" } = {}) {
       }
     }
 
+    const taxes = readTaxesFromUI();
+    const firstTax = taxes[0] || null;
+
     const updates = {
       payment_terms: normalizeOptional(companyPaymentTermsEl?.value),
-      tax_name: normalizeOptional(companyTaxNameEl?.value),
-      tax_rate: normalizeNumber(companyTaxRateEl?.value, { min: 0, max: 100 }),
+      // Legacy single-tax fields mirror the first tax
+      tax_name: firstTax ? firstTax.name : null,
+      tax_rate: firstTax ? firstTax.rate : null,
     };
 
+    if (taxesBodyEl) {
+      updates.taxes = taxes;
+      updates.tax_classes = readTaxClassesFromUI();
+    }
+
+    if (companyEmailAttachPdfEl) updates.email_attach_pdf = companyEmailAttachPdfEl.checked;
+    if (companyQuoteValidityDaysEl) updates.quote_validity_days = readQuoteValidityDays();
+    if (companyRemindersEnabledEl) updates.reminder_settings = readReminderSettings();
+    if (companyNotifyQuoteViewedEl) updates.notify_quote_viewed = companyNotifyQuoteViewedEl.checked;
+
     if (paymentScheduleBodyEl && scheduleOk) {
       updates.payment_schedule = schedule;
     }
 
-    const { data, error } = await supabase
+    let { data, error } = await supabase
       .from("companies")
       .update(updates)
       .eq("id", state.company.id)
       .select("*")
       .single();
 
+    // Older schemas: save everything else, then tell the admin which columns to add.
+    const optionalColumns = [
+      {
+        cols: ["taxes", "tax_classes"],
+        note: "Only the first tax was saved. Add companies.taxes (jsonb) and companies.tax_classes (jsonb) in Supabase to use multiple taxes.",
+      },
+      {
+        cols: ["email_attach_pdf"],
+        note: "The PDF attachment setting was not saved. Add companies.email_attach_pdf (boolean) in Supabase.",
+      },
+      {
+        cols: ["quote_validity_days"],
+        note: "The quote validity period was not saved (new quotes use 30 days). Add companies.quote_validity_days (integer) in Supabase.",
+      },
+      {
+        cols: ["reminder_settings"],
+        note: "Reminder settings were not saved. Add companies.reminder_settings (jsonb) in Supabase to send follow-up reminders.",
+      },
+      {
+        cols: ["notify_quote_viewed"],
+        note: "The quote viewed email setting was not saved. Add companies.notify_quote_viewed (boolean) in Supabase.",
+      },
+    ];
+    const notes = [];
+
+    while (error) {
+      const msg = String(error.message || "").toLowerCase();
+      if (!(msg.includes("column") || msg.includes("schema"))) break;
+      const group = optionalColumns.find((g) => !notes.includes(g.note) && g.cols.some((c) => msg.includes(c)));
+      if (!group) break;
+
+      notes.push(group.note);
+      for (const c of group.cols) delete updates[c];
+      ({ data, error } = await supabase
+        .from("companies")
+        .update(updates)
+        .eq("id", state.company.id)
+        .select("*")
+        .single());
+    }
+
     if (error) throw error;
 
+    if (notes.length) setError(notes.join(" "));
+
     state.company = data;
 
     if (!isAuto) toast("Quote defaults saved.");
@@ -1248,7 +1672,7 @@ async function saveQuoteDefaults({ mode = "manual" } = {}) {
     // If the column hasn't been added yet, Supabase will error here.
     setError(
       e?.message ||
-        "Failed to save quote defaults. Make sure you added companies.payment_terms, companies.tax_name, companies.tax_rate, and companies.payment_schedule (jsonb) in Supabase."
+        "Failed to save quote defaults. Make sure you added companies.payment_terms, companies.tax_name, companies.tax_rate, companies.taxes (jsonb), companies.tax_classes (jsonb), and companies.payment_schedule (jsonb) in Supabase."
     );
     return false;
   } finally {
@@ -1674,6 +2098,8 @@ async function init() {
 
   wireLogoPicker();
   wirePaymentSchedule();
+  wireTaxes();
+  companyRemindersEnabledEl?.addEventListener("change", syncReminderInputs);
   wireInvite();
 
   // Session
@@ -1834,6 +2260,12 @@ init();
           </span>
           <span>Products</span>
         </a>
+        <a class="nav-item" href="./templates.html" data-mobile-close>
+          <span class="nav-ico" aria-hidden="true">
+            <svg viewBox="0 0 24 24" fill="none"><path d="M4 4h10v10H4z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M10 20h10V10" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/><path d="M7 17h10V7" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/></svg>
+          </span>
+          <span>Templates</span>
+        </a>
       </div>
 
       <div class="nav-group">
@@ -0,0 +1,620 @@
+import { supabase } from "../js/api.js";
+import { listTemplates, updateTemplate, deleteTemplate } from "../js/templatesApi.js";
+
+/**
+ * Quote templates page
+ * - List + search
+ * - Rename / edit description, terms and notes
+ * - Delete
+ * Templates are created from the quote builder ("Save as template").
+ */
+
+const workspaceNameEl = document.getElementById("workspace-name");
+const userEmailEl = document.getElementById("user-email");
+const errorBox = document.getElementById("error-box");
+
+const toastEl = document.getElementById("toast");
+let toastTimer = null;
+
+const logoutBtn = document.getElementById("logout-btn");
+
+const searchEl = document.getElementById("search");
+const countEl = document.getElementById("template-count");
+
+const loadingEl = document.getElementById("loading");
+const emptyEl = document.getElementById("empty");
+const tableWrap = document.getElementById("table-wrap");
+const tbody = document.getElementById("templates-body");
+
+// Dialog
+const dialog = document.getElementById("template-dialog");
+const form = document.getElementById("template-form");
+const cancelBtn = document.getElementById("template-cancel");
+const submitBtn = document.getElementById("template-submit");
+const deleteBtn = document.getElementById("template-delete");
+const dialogTitle = document.getElementById("dialog-title");
+const metaEl = document.getElementById("template-meta");
+const msgEl = document.getElementById("template-msg");
+const contentsEl = document.getElementById("template-contents");
+
+// Inputs
+const nameEl = document.getElementById("name");
+const descEl = document.getElementById("description");
+const termsEl = document.getElementById("terms");
+const notesEl = document.getElementById("notes");
+
+let editing = null;
+
+function toast(msg) {
+  if (!toastEl) return;
+  toastEl.textContent = msg;
+  toastEl.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toastEl.hidden = true;
+  }, 2400);
+}
+
+function setError(message) {
+  if (!errorBox) return;
+  if (!message) {
+    errorBox.hidden = true;
+    errorBox.textContent = "";
+    return;
+  }
+  errorBox.hidden = false;
+  errorBox.textContent = message;
+}
+
+function setFormMsg(message) {
+  if (msgEl) msgEl.textContent = message || "";
+}
+
+function setMeta(text) {
+  if (metaEl) metaEl.textContent = text || "";
+}
+
+function openDialog(d) {
+  if (!d) return;
+  if (typeof d.showModal === "function") d.showModal();
+  else d.setAttribute("open", "");
+}
+
+function closeDialog(d) {
+  if (!d) return;
+  if (typeof d.close === "function") d.close();
+  else d.removeAttribute("open");
+}
+
+function inferWorkspaceName(session) {
+  const md = session?.user?.user_metadata || {};
+  const name =
+    md.company_name ||
+    md.company ||
+    md.workspace ||
+    md.business_name ||
+    md.org ||
+    md.organization ||
+    "";
+  if (name) return String(name);
+
+  const email = session?.user?.email || "";
+  const domain = email.includes("@") ? email.split("@")[1] : "";
+  if (domain) return domain.replace(/^www\./, "");
+  return "Workspace";
+}
+
+function formatDateShort(iso) {
+  try {
+    return new Date(iso).toLocaleDateString("en-CA", {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+    });
+  } catch {
+    return iso ?? "";
+  }
+}
+
+function formatMoney(cents = 0, currency = "CAD") {
+  const dollars = (Number(cents) || 0) / 100;
+  return new Intl.NumberFormat("en-CA", { style: "currency", currency }).format(dollars);
+}
+
+function sanitizeString(s) {
+  return String(s || "").trim();
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function templateItems(t) {
+  return Array.isArray(t?.data?.items) ? t.data.items : [];
+}
+
+function lineCents(it) {
+  const qty = Number(it?.qty) || 0;
+  const gross = Math.round(qty * (Number(it?.unit_price_cents) || 0));
+  const min = Math.max(0, Math.round(Number(it?.min_charge_cents) || 0));
+  return qty > 0 && min > gross ? min : gross;
+}
+
+// Required lines plus the first package (what a customer would see by default), before discounts.
+function templateValueCents(t) {
+  const firstPackageId = t?.data?.packages?.[0]?.id || null;
+  return templateItems(t)
+    .filter((it) => !it.optional && (!it.package_id || it.package_id === firstPackageId))
+    .reduce((sum, it) => sum + lineCents(it), 0);
+}
+
+function contentsSummary(t) {
+  const d = t?.data || {};
+  const parts = [plural(templateItems(t).length, "line")];
+  if (d.sections?.length) parts.push(plural(d.sections.length, "section"));
+  if (d.packages?.length) parts.push(plural(d.packages.length, "package"));
+  if (d.payment_schedule?.length) parts.push("payment schedule");
+  if (sanitizeString(d.terms)) parts.push("terms");
+  return parts.join(" • ");
+}
+
+function renderContents(t) {
+  if (!contentsEl) return;
+  contentsEl.innerHTML = "";
+
+  const items = templateItems(t);
+  if (!items.length) {
+    contentsEl.textContent = "No line items.";
+    return;
+  }
+
+  const sections = Array.isArray(t?.data?.sections) ? t.data.sections : [];
+  const sectionIds = new Set(sections.map((s) => s.id));
+  const groups = [{ id: null, title: sections.length ? "Other items" : "" }, ...sections];
+
+  for (const g of groups) {
+    const rows = items.filter((it) => (g.id ? it.section_id === g.id : !sectionIds.has(it.section_id)));
+    if (!rows.length) continue;
+
+    if (g.id || g.title) {
+      const head = document.createElement("div");
+      head.className = "tc-section";
+      head.textContent = g.title || "Section";
+      contentsEl.appendChild(head);
+    }
+
+    for (const it of rows) {
+      const line = document.createElement("div");
+      line.className = "tc-line";
+
+      const name = document.createElement("span");
+      name.textContent = `${it.name || "(Untitled)"}${it.optional ? " (optional)" : ""}`;
+
+      const amt = document.createElement("span");
+      amt.className = "tc-amt";
+      amt.textContent = it.qty_formula ? `= ${it.qty_formula}` : formatMoney(lineCents(it));
+
+      line.append(name, amt);
+      contentsEl.appendChild(line);
+    }
+  }
+}
+
+function clearTable() {
+  if (tbody) tbody.innerHTML = "";
+}
+
+function setLoading(isLoading) {
+  if (loadingEl) loadingEl.hidden = !isLoading;
+}
+
+function setEmpty(isEmpty) {
+  if (emptyEl) emptyEl.hidden = !isEmpty;
+  if (tableWrap) tableWrap.hidden = isEmpty;
+}
+
+function renderRow(t) {
+  const tr = document.createElement("tr");
+
+  // Template
+  const tdName = document.createElement("td");
+  const strong = document.createElement("div");
+  strong.className = "cell-strong";
+  strong.textContent = t.name || "(Untitled)";
+  tdName.appendChild(strong);
+
+  const sub = document.createElement("div");
+  sub.className = "cell-sub cell-truncate";
+  sub.title = t.description || "";
+  sub.textContent = t.description || "—";
+  tdName.appendChild(sub);
+  tr.appendChild(tdName);
+
+  // Contents
+  const tdContents = document.createElement("td");
+  tdContents.textContent = contentsSummary(t);
+  tr.appendChild(tdContents);
+
+  // Value
+  const tdValue = document.createElement("td");
+  tdValue.className = "price-cell";
+  tdValue.textContent = formatMoney(templateValueCents(t));
+  tr.appendChild(tdValue);
+
+  // Updated
+  const tdUpdated = document.createElement("td");
+  tdUpdated.textContent = formatDateShort(t.updated_at || t.created_at);
+  tr.appendChild(tdUpdated);
+
+  // Actions
+  const tdActions = document.createElement("td");
+  const actions = document.createElement("div");
+  actions.className = "row-actions";
+
+  const view = document.createElement("button");
+  view.className = "btn btn-secondary";
+  view.type = "button";
+  view.textContent = "View";
+  view.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openEdit(t);
+  });
+
+  actions.appendChild(view);
+  tdActions.appendChild(actions);
+  tr.appendChild(tdActions);
+
+  // Whole row click also opens
+  tr.addEventListener("click", () => openEdit(t));
+
+  return tr;
+}
+
+async function requireSessionOrRedirect() {
+  const { data, error } = await supabase.auth.getSession();
+  if (error) console.warn("getSession error", error);
+  const session = data?.session;
+  if (!session) {
+    window.location.href = "../index.html";
+    return null;
+  }
+  return session;
+}
+
+async function logout() {
+  await supabase.auth.signOut();
+  window.location.href = "../index.html";
+}
+
+async function loadTemplates({ search = "" } = {}) {
+  setError("");
+  setLoading(true);
+  setEmpty(false);
+  clearTable();
+
+  try {
+    const templates = await listTemplates({ search });
+
+    if (countEl) countEl.textContent = String(templates.length);
+
+    if (!templates.length) {
+      setEmpty(true);
+      return;
+    }
+
+    for (const t of templates) tbody.appendChild(renderRow(t));
+  } catch (err) {
+    setError(err?.message || "Failed to load templates.");
+    setEmpty(true);
+  } finally {
+    setLoading(false);
+  }
+}
+
+function openEdit(t) {
+  editing = t;
+
+  setFormMsg("");
+  setError("");
+
+  nameEl.value = t.name || "";
+  descEl.value = t.description || "";
+  termsEl.value = t.data?.terms || "";
+  notesEl.value = t.data?.notes || "";
+  renderContents(t);
+
+  dialogTitle.textContent = t.name || "Template";
+  submitBtn.textContent = "Save changes";
+
+  setMeta(
+    [`Created: ${formatDateShort(t.created_at)}`, `Updated: ${formatDateShort(t.updated_at || t.created_at)}`].join(
+      "  •  "
+    )
+  );
+
+  openDialog(dialog);
+}
+
+async function handleDelete() {
+  if (!editing) return;
+  if (!confirm(`Delete the template "${editing.name || "Untitled"}"? Quotes already created from it are not affected.`)) {
+    return;
+  }
+
+  try {
+    deleteBtn.disabled = true;
+    await deleteTemplate(editing.id);
+    toast("Template deleted.");
+    closeDialog(dialog);
+    await loadTemplates({ search: searchEl?.value || "" });
+  } catch (err) {
+    setFormMsg(err?.message || "Failed to delete template.");
+  } finally {
+    deleteBtn.disabled = false;
+  }
+}
+
+let searchTimer = null;
+function wireSearch() {
+  if (!searchEl) return;
+  searchEl.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      loadTemplates({ search: searchEl.value || "" });
+    }, 180);
+  });
+}
+
+async function init() {
+  wireSearch();
+
+  if (logoutBtn) logoutBtn.addEventListener("click", logout);
+  if (cancelBtn) cancelBtn.addEventListener("click", () => closeDialog(dialog));
+  if (deleteBtn) deleteBtn.addEventListener("click", handleDelete);
+
+  const session = await requireSessionOrRedirect();
+  if (!session) return;
+
+  if (userEmailEl) userEmailEl.textContent = session.user.email || "";
+  if (workspaceNameEl) workspaceNameEl.textContent = inferWorkspaceName(session);
+
+  if (form) {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      setFormMsg("");
+      setError("");
+      if (!editing) return;
+
+      const name = sanitizeString(nameEl.value);
+      if (!name) {
+        setFormMsg("Name is required.");
+        return;
+      }
+
+      try {
+        submitBtn.disabled = true;
+        submitBtn.textContent = "Saving…";
+
+        await updateTemplate(editing.id, {
+          name,
+          description: sanitizeString(descEl.value) || null,
+          data: { ...(editing.data || {}), terms: termsEl.value, notes: notesEl.value },
+        });
+
+        toast("Template updated.");
+        closeDialog(dialog);
+        await loadTemplates({ search: searchEl?.value || "" });
+      } catch (err) {
+        setFormMsg(err?.message || "Failed to save template.");
+      } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = "Save changes";
+      }
+    });
+  }
+
+  await loadTemplates({ search: "" });
+}
+
+init();
+
+/* =========================================================
+   Mobile menu + mobile table labels for Templates page
+   ========================================================= */
+(function () {
+  const doc = document;
+  const body = doc.body;
+  if (!body) return;
+
+  const topbarLeft = doc.querySelector('.topbar-left');
+  const topbar = doc.querySelector('.topbar');
+  const workspaceNameNode = doc.getElementById('workspace-name');
+  const userEmailNode = doc.getElementById('user-email');
+  const logoutDesktop = doc.getElementById('logout-btn');
+  const templatesTbody = doc.getElementById('templates-body');
+
+  function isMobileViewport() {
+    return window.matchMedia('(max-width: 1040px)').matches;
+  }
+
+  function applyMobileTableLabels() {
+    const table = doc.querySelector('.table');
+    const tbody = doc.getElementById('templates-body');
+    if (!table || !tbody) return;
+    const headers = Array.from(table.querySelectorAll('thead th')).map((th) => String(th.textContent || '').trim());
+    tbody.querySelectorAll('tr').forEach((tr) => {
+      Array.from(tr.children).forEach((td, idx) => {
+        td.setAttribute('data-label', headers[idx] || '');
+      });
+    });
+  }
+
+  function syncMobileMenuMeta() {
+    const mobileWorkspaceName = doc.getElementById('mobile-workspace-name');
+    const mobileUserEmail = doc.getElementById('mobile-user-email');
+    if (mobileWorkspaceName) mobileWorkspaceName.textContent = workspaceNameNode?.textContent?.trim() || 'Workspace';
+    if (mobileUserEmail) mobileUserEmail.textContent = userEmailNode?.textContent?.trim() || '—';
+  }
+
+  function closeMobileMenu() {
+    body.classList.remove('mobile-menu-open');
+    const btn = doc.getElementById('mobile-menu-btn');
+    if (btn) btn.setAttribute('aria-expanded', 'false');
+  }
+
+  function openMobileMenu() {
+    if (!isMobileViewport()) return;
+    syncMobileMenuMeta();
+    body.classList.add('mobile-menu-open');
+    const btn = doc.getElementById('mobile-menu-btn');
+    if (btn) btn.setAttribute('aria-expanded', 'true');
+  }
+
+  function injectMobileMenu() {
+    if (!topbar || !topbarLeft) return;
+    if (!doc.getElementById('mobile-menu-btn')) {
+      const btn = doc.createElement('button');
+      btn.id = 'mobile-menu-btn';
+      btn.className = 'mobile-menu-btn';
+      btn.type = 'button';
+      btn.setAttribute('aria-label', 'Open menu');
+      btn.setAttribute('aria-expanded', 'false');
+      btn.innerHTML = '<span></span><span></span><span></span>';
+      topbarLeft.insertBefore(btn, topbarLeft.firstChild);
+      btn.addEventListener('click', () => {
+        if (body.classList.contains('mobile-menu-open')) closeMobileMenu();
+        else openMobileMenu();
+      });
+    }
+
+    if (!doc.getElementById('mobile-menu-backdrop')) {
+      const backdrop = doc.createElement('button');
+      backdrop.id = 'mobile-menu-backdrop';
+      backdrop.className = 'mobile-menu-backdrop';
+      backdrop.type = 'button';
+      backdrop.setAttribute('aria-label', 'Close menu');
+      backdrop.addEventListener('click', closeMobileMenu);
+      body.appendChild(backdrop);
+    }
+
+    if (!doc.getElementById('mobile-menu-panel')) {
+      const panel = doc.createElement('aside');
+      panel.id = 'mobile-menu-panel';
+      panel.className = 'mobile-menu-panel';
+      panel.setAttribute('aria-label', 'Mobile menu');
+      panel.innerHTML = `
+        <div class="mobile-menu-head">
+          <div class="mobile-menu-brand">
+            <img class="mobile-menu-logo" src="../assets/elevate-estimator-logo-light.png" alt="Elevate Estimator" />
+            <div class="mobile-menu-meta">
+              <div id="mobile-workspace-name" class="mobile-workspace-name">Workspace</div>
+              <div id="mobile-user-email" class="mobile-user-email">—</div>
+            </div>
+          </div>
+          <button id="mobile-menu-close" class="mobile-menu-close" type="button" aria-label="Close menu">✕</button>
+        </div>
+
+        <nav class="mobile-menu-nav" aria-label="Mobile primary">
+          <div class="nav-group">
+            <div class="nav-group-label">Overview</div>
+            <a class="nav-item" href="./dashboard.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M4 10.5 12 4l8 6.5V20a1 1 0 0 1-1 1h-5v-6H10v6H5a1 1 0 0 1-1-1v-9.5Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>
+              </span>
+              <span>Dashboard</span>
+            </a>
+          </div>
+
+          <div class="nav-group">
+            <div class="nav-group-label">Sales</div>
+            <a class="nav-item" href="./quotes.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M7 3h8l4 4v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2Z" stroke="currentColor" stroke-width="2"/><path d="M15 3v5h5" stroke="currentColor" stroke-width="2"/><path d="M8 12h8M8 16h8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
+              </span>
+              <span>Quotes</span>
+            </a>
+            <a class="nav-item" href="./customers.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M16 11a4 4 0 1 0-8 0 4 4 0 0 0 8 0Z" stroke="currentColor" stroke-width="2"/><path d="M4 21a8 8 0 0 1 16 0" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
+              </span>
+              <span>Customers</span>
+            </a>
+            <a class="nav-item" href="./leads.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M12 3 3 7.5l9 4.5 9-4.5L12 3Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M5 11.5v4.8c0 .5.2 1 .6 1.3 1.4 1.2 3.9 2.9 6.4 2.9 2.5 0 5-1.7 6.4-2.9.4-.3.6-.8.6-1.3v-4.8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+              </span>
+              <span>Leads</span>
+            </a>
+          </div>
+
+          <div class="nav-group">
+            <div class="nav-group-label">Catalog</div>
+            <a class="nav-item" href="./products.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M20 7 12 3 4 7v10l8 4 8-4V7Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M12 7v14" stroke="currentColor" stroke-width="2" opacity=".55"/><path d="M4 7l8 4 8-4" stroke="currentColor" stroke-width="2" opacity=".55"/></svg>
+              </span>
+              <span>Products</span>
+            </a>
+            <a class="nav-item active" href="./templates.html" aria-current="page" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M4 4h10v10H4z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M10 20h10V10" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/><path d="M7 17h10V7" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity=".55"/></svg>
+              </span>
+              <span>Templates</span>
+            </a>
+          </div>
+
+          <div class="nav-group">
+            <div class="nav-group-label">Admin</div>
+            <a class="nav-item" href="./settings.html" data-mobile-close>
+              <span class="nav-ico" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none"><path d="M12 15.5a3.5 3.5 0 1 0 0-7 3.5 3.5 0 0 0 0 7Z" stroke="currentColor" stroke-width="2"/><path d="M19.4 15a7.7 7.7 0 0 0 .1-1 7.7 7.7 0 0 0-.1-1l2-1.5-2-3.5-2.4.6a7.8 7.8 0 0 0-1.7-1L13.8 3h-3.6L8.7 6.6a7.8 7.8 0 0 0-1.7 1L4.6 7l-2 3.5 2 1.5a7.7 7.7 0 0 0-.1 1 7.7 7.7 0 0 0 .1 1l-2 1.5 2 3.5 2.4-.6a7.8 7.8 0 0 0 1.7 1L10.2 21h3.6l1.5-3.6a7.8 7.8 0 0 0 1.7-1l2.4.6 2-3.5-2-1.5Z" stroke="currentColor" stroke-width="2" opacity=".55" stroke-linejoin="round"/></svg>
+              </span>
+              <span>Settings</span>
+            </a>
+          </div>
+        </nav>
+
+        <div class="mobile-menu-actions">
+          <button id="mobile-logout-btn" class="btn btn-quiet" type="button">Log out</button>
+        </div>
+      `;
+      body.appendChild(panel);
+
+      panel.querySelector('#mobile-menu-close')?.addEventListener('click', closeMobileMenu);
+      panel.querySelectorAll('[data-mobile-close]').forEach((el) => {
+        el.addEventListener('click', () => {
+          if (isMobileViewport()) closeMobileMenu();
+        });
+      });
+      panel.querySelector('#mobile-logout-btn')?.addEventListener('click', () => {
+        closeMobileMenu();
+        logoutDesktop?.click();
+      });
+    }
+
+    syncMobileMenuMeta();
+  }
+
+  injectMobileMenu();
+  applyMobileTableLabels();
+
+  if (templatesTbody) {
+    const observer = new MutationObserver(() => applyMobileTableLabels());
+    observer.observe(templatesTbody, { childList: true, subtree: true });
+  }
+
+  if (workspaceNameNode || userEmailNode) {
+    const metaObserver = new MutationObserver(() => syncMobileMenuMeta());
+    if (workspaceNameNode) metaObserver.observe(workspaceNameNode, { childList: true, subtree: true, characterData: true });
+    if (userEmailNode) metaObserver.observe(userEmailNode, { childList: true, subtree: true, characterData: true });
+  }
+
+  doc.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeMobileMenu();
+  });
+
+  window.addEventListener('resize', () => {
+    if (!isMobileViewport()) closeMobileMenu();
+    applyMobileTableLabels();
+  });
+})();
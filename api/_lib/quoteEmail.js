@@ -0,0 +1,453 @@
+// api/_lib/quoteEmail.js
+// Branded email pieces shared by /api/send-quote-link, /api/send-reminders and /api/accept-quote.
+import { buildQuotePdf } from "./quotePdf.js";
+
+export function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+export function safeEmail(v) {
+  const s = safeStr(v).toLowerCase();
+  // Very light validation
+  if (!s || !s.includes("@") || s.includes(" ")) return "";
+  return s;
+}
+
+export function uniqueEmails(list) {
+  const out = [];
+  const seen = new Set();
+  for (const v of list || []) {
+    const e = safeEmail(v);
+    if (!e) continue;
+    if (seen.has(e)) continue;
+    seen.add(e);
+    out.push(e);
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+export function normalizeHexColor(input) {
+  let v = safeStr(input);
+  if (!v) return "";
+  if (!v.startsWith("#")) v = `#${v}`;
+
+  // Expand #RGB -> #RRGGBB
+  if (/^#[0-9a-fA-F]{3}$/.test(v)) {
+    const h = v.slice(1);
+    v = "#" + h.split("").map((c) => c + c).join("");
+  }
+
+  if (!/^#[0-9a-fA-F]{6}$/.test(v)) return "";
+  return v.toUpperCase();
+}
+
+function hexToRgb(hex) {
+  const h = normalizeHexColor(hex);
+  if (!h) return null;
+  const n = parseInt(h.slice(1), 16);
+  return {
+    r: (n >> 16) & 255,
+    g: (n >> 8) & 255,
+    b: n & 255,
+  };
+}
+
+function rgbToHex({ r, g, b }) {
+  const clamp = (x) => Math.max(0, Math.min(255, Math.round(Number(x) || 0)));
+  const rr = clamp(r).toString(16).padStart(2, "0");
+  const gg = clamp(g).toString(16).padStart(2, "0");
+  const bb = clamp(b).toString(16).padStart(2, "0");
+  return `#${rr}${gg}${bb}`.toUpperCase();
+}
+
+export function darkenHex(hex, amount = 0.2) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return "#000000";
+  const factor = 1 - Math.max(0, Math.min(0.9, Number(amount) || 0));
+  return rgbToHex({
+    r: rgb.r * factor,
+    g: rgb.g * factor,
+    b: rgb.b * factor,
+  });
+}
+
+function extractEmail(fromField) {
+  const s = safeStr(fromField);
+  if (!s) return "";
+  const m = /<([^>]+)>/.exec(s);
+  if (m) return safeStr(m[1]);
+  if (s.includes("@")) return s;
+  return "";
+}
+
+export function formatFrom(companyName, postmarkFrom) {
+  const email = extractEmail(postmarkFrom);
+  if (!email) return postmarkFrom;
+
+  const name = safeStr(companyName).replaceAll('"', "'");
+  if (!name) return email;
+
+  // Quote the name so punctuation is safe (Postmark recommends this)
+  return `"${name}" <${email}>`;
+}
+
+function parseDataUrl(dataUrl) {
+  const s = safeStr(dataUrl);
+  if (!s.startsWith("data:")) return null;
+  const m = /^data:([^;]+);base64,(.+)$/i.exec(s);
+  if (!m) return null;
+  const contentType = safeStr(m[1]) || "application/octet-stream";
+  const base64 = String(m[2] || "").trim();
+  if (!base64) return null;
+  return { contentType, base64 };
+}
+
+export function buildInlineLogoAttachment(logoUrl) {
+  // Prefer CID inline attachments (reliable even when external images are blocked)
+  const parsed = parseDataUrl(logoUrl);
+  if (parsed && parsed.base64.length < 8_000_000) {
+    const cid = "cid:company-logo";
+    return {
+      logoSrc: cid,
+      attachments: [
+        {
+          Name: "company-logo",
+          Content: parsed.base64,
+          ContentType: parsed.contentType || "image/png",
+          ContentID: cid,
+        },
+      ],
+    };
+  }
+
+  // If it's already a remote URL, use it (some clients may still block until user loads images)
+  if (/^https?:\/\//i.test(safeStr(logoUrl))) {
+    return { logoSrc: safeStr(logoUrl), attachments: [] };
+  }
+
+  return { logoSrc: "", attachments: [] };
+}
+
+// Postmark caps the whole message at 10 MB; skip the PDF well before that.
+export async function buildPdfAttachment(supabase, quote, filename) {
+  try {
+    const pdf = await buildQuotePdf(supabase, quote);
+    if (!pdf?.length || pdf.length > 7_000_000) return null;
+    return { Name: filename, Content: pdf.toString("base64"), ContentType: "application/pdf" };
+  } catch {
+    return null;
+  }
+}
+
+function formatMoneyCents(cents, currency = "CAD") {
+  const n = (Number(cents) || 0) / 100;
+  try {
+    return new Intl.NumberFormat("en-CA", { style: "currency", currency }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+}
+
+// One row per tax (eg. GST + PST); older totals only have a single tax_cents.
+function taxSummaryRows(totals, taxName) {
+  const taxes = Array.isArray(totals?.taxes) ? totals.taxes : [];
+  if (!taxes.length) return [[taxName || "Tax", totals?.tax_cents]];
+  return taxes.map((t) => {
+    const name = safeStr(t?.name) || "Tax";
+    const rate = Number(t?.rate);
+    if (t?.exempt) return [`${name} (exempt)`, t?.tax_cents];
+    return [Number.isFinite(rate) && rate > 0 ? `${name} (${rate}%)` : name, t?.tax_cents];
+  });
+}
+
+/**
+ * Small price summary for the quote, reminder and acceptance emails:
+ * Subtotal / Discount / Tax / Fees / Total (discount + fees only when non-zero),
+ * or one total per package when `totals.packages` is set (see quoteEmailTotals).
+ */
+export function buildTotalsSummaryHtml({ totals, currency, taxName }) {
+  if (!totals) return "";
+  const byPackage = Array.isArray(totals.packages) && totals.packages.length > 0;
+  const rows = byPackage
+    ? totals.packages.map((p) => [p.name, formatMoneyCents(p.total_cents, currency)])
+    : [["Subtotal", formatMoneyCents(totals.subtotal_cents, currency)]];
+  if (!byPackage) {
+    if (Number(totals.discount_cents) > 0) {
+      rows.push([totals.discount_label || "Discount", `−${formatMoneyCents(totals.discount_cents, currency)}`]);
+    }
+    for (const [label, cents] of taxSummaryRows(totals, taxName)) rows.push([label, formatMoneyCents(cents, currency)]);
+    if (Number(totals.fees_cents) > 0) rows.push(["Additional fees", formatMoneyCents(totals.fees_cents, currency)]);
+    rows.push(["Total", formatMoneyCents(totals.total_cents, currency)]);
+  }
+
+  const font = "font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;";
+  const body = rows
+    .map(([label, value], i) => {
+      const isTotal = !byPackage && i === rows.length - 1;
+      const weight = isTotal ? 950 : 800;
+      const border = isTotal ? "border-top:1px solid #e6e9f1;" : "";
+      return `<tr>
+        <td class="txt" style="${font}${border}padding:6px 0;font-size:13px;font-weight:${weight};color:#0b0f14;text-align:left;">${escapeHtml(label)}</td>
+        <td class="txt" style="${font}${border}padding:6px 0;font-size:13px;font-weight:${weight};color:#0b0f14;text-align:right;white-space:nowrap;">${escapeHtml(value)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" class="detail" bgcolor="#f8fafc"
+    style="background:#f8fafc;border:1px solid #e6e9f1;border-radius:18px;overflow:hidden;max-width:520px;">
+    <tr><td style="padding:10px 16px;">
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${body}</table>
+    </td></tr>
+  </table>`;
+}
+
+export function buildTotalsSummaryText({ totals, currency, taxName }) {
+  if (!totals) return "";
+  if (Array.isArray(totals.packages) && totals.packages.length) {
+    return totals.packages.map((p) => `${p.name}: ${formatMoneyCents(p.total_cents, currency)}`).join("\n");
+  }
+  const lines = [`Subtotal: ${formatMoneyCents(totals.subtotal_cents, currency)}`];
+  if (Number(totals.discount_cents) > 0) {
+    lines.push(`${totals.discount_label || "Discount"}: -${formatMoneyCents(totals.discount_cents, currency)}`);
+  }
+  for (const [label, cents] of taxSummaryRows(totals, taxName)) lines.push(`${label}: ${formatMoneyCents(cents, currency)}`);
+  if (Number(totals.fees_cents) > 0) lines.push(`Additional fees: ${formatMoneyCents(totals.fees_cents, currency)}`);
+  lines.push(`Total: ${formatMoneyCents(totals.total_cents, currency)}`);
+  return lines.join("\n");
+}
+
+export function buildQuoteReadyHtml({
+  brand,
+  brandDark,
+  logoSrc,
+  viewUrl,
+  customerName,
+  quoteCode,
+  expires,
+  preparedBy,
+  totalsHtml = "",
+  companyName,
+  phone,
+  email,
+  web,
+  // Reminders reuse this layout with their own wording
+  heading = "Review & sign online",
+  intro = `Hi ${customerName}. Tap the button below to view your quote on mobile or desktop — then accept & sign right on the page.`,
+  preheader = "Your quote is ready — view on any device and sign online.",
+}) {
+  const safeCompany = escapeHtml(companyName);
+  const safeCode = escapeHtml(quoteCode);
+  const safeExpires = escapeHtml(expires || "—");
+  const safePrepared = escapeHtml(preparedBy || "—");
+  const safePhone = escapeHtml(phone || "");
+  const safeEmail = escapeHtml(email || "");
+  const safeWeb = escapeHtml(web || "");
+  const safeViewUrl = escapeHtml(viewUrl);
+
+  const logoBlock = logoSrc
+    ? `<img src="${escapeHtml(logoSrc)}" width="200" alt="${safeCompany}"
+         style="display:block;width:200px;max-width:200px;height:auto;margin:0 auto;border:0;outline:none;text-decoration:none;" />`
+    : `<div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-weight:950;font-size:18px;color:#0b0f14;">${safeCompany}</div>`;
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="x-apple-disable-message-reformatting" />
+    <meta name="color-scheme" content="light dark" />
+    <meta name="supported-color-schemes" content="light dark" />
+    <title>${safeCompany} — Quote</title>
+
+    <style>
+      :root { color-scheme: light dark; supported-color-schemes: light dark; }
+      @media only screen and (max-width: 600px) {
+        .container { width: 100% !important; }
+        .px { padding-left: 18px !important; padding-right: 18px !important; }
+        .cta { width: 100% !important; }
+        .cta a { display:block !important; }
+        .h1 { font-size: 22px !important; }
+        .sub { font-size: 14px !important; }
+      }
+      @media (prefers-color-scheme: dark) {
+        body, .bg { background:#0b1020 !important; }
+        .card { background:#0f172a !important; border-color: rgba(255,255,255,0.14) !important; }
+        .txt { color:#e8eefc !important; }
+        .muted { color: rgba(232,238,252,0.72) !important; }
+        .detail { background: rgba(255,255,255,0.06) !important; border-color: rgba(255,255,255,0.14) !important; }
+        .divider { border-color: rgba(255,255,255,0.14) !important; }
+        /* Keep logo container WHITE so any logo works */
+        .logo-wrap, .logo-shell { background:#ffffff !important; }
+      }
+      [data-ogsc] body, [data-ogsc] .bg { background:#0b1020 !important; }
+      [data-ogsc] .card { background:#0f172a !important; border-color: rgba(255,255,255,0.14) !important; }
+      [data-ogsc] .txt { color:#e8eefc !important; }
+      [data-ogsc] .muted { color: rgba(232,238,252,0.72) !important; }
+      [data-ogsc] .detail { background: rgba(255,255,255,0.06) !important; border-color: rgba(255,255,255,0.14) !important; }
+      [data-ogsc] .divider { border-color: rgba(255,255,255,0.14) !important; }
+      [data-ogsc] .logo-wrap, [data-ogsc] .logo-shell { background:#ffffff !important; }
+    </style>
+  </head>
+
+  <body class="bg" bgcolor="#f5f7fb" style="margin:0;padding:0;background:#f5f7fb;">
+    <div style="display:none;max-height:0;overflow:hidden;opacity:0;color:transparent;">
+      ${escapeHtml(preheader)}
+    </div>
+
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" class="bg" bgcolor="#f5f7fb"
+      style="width:100%;background:#f5f7fb;padding:26px 12px;">
+      <tr>
+        <td align="center" style="padding:0;margin:0;">
+
+          <table role="presentation" class="container" width="640" cellpadding="0" cellspacing="0" style="width:640px;max-width:640px;">
+            <tr>
+              <td class="card" bgcolor="#ffffff" style="background:#ffffff;border:1px solid #e6e9f1;border-radius:22px;overflow:hidden;">
+
+                <!-- Accent bar -->
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td height="6" style="height:6px;background:linear-gradient(90deg,${brand},${brandDark});line-height:6px;font-size:0;">&nbsp;</td>
+                  </tr>
+                </table>
+
+                <!-- Logo header -->
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td class="logo-wrap" align="center" bgcolor="#ffffff" style="background:#ffffff;padding:18px 22px 14px;text-align:center;">
+                      <table role="presentation" align="center" cellpadding="0" cellspacing="0" class="logo-shell" bgcolor="#ffffff"
+                        style="margin:0 auto;background:#ffffff;border:1px solid #e6e9f1;border-radius:18px;overflow:hidden;">
+                        <tr>
+                          <td align="center" style="padding:12px 14px;">
+                            ${logoBlock}
+                          </td>
+                        </tr>
+                      </table>
+
+                      <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;margin-top:12px;">
+                        <div class="muted" style="font-size:12px;font-weight:900;letter-spacing:.16em;text-transform:uppercase;color:#6b7280;">Quote</div>
+                        <div class="txt" style="margin-top:6px;font-size:14px;font-weight:950;letter-spacing:.10em;color:#0b0f14;word-break:break-word;">${safeCode}</div>
+                      </div>
+                    </td>
+                  </tr>
+                </table>
+
+                <!-- Copy -->
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td class="px" align="center" style="padding:18px 26px 10px;text-align:center;">
+                      <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;">
+                        <div class="txt h1" style="font-size:26px;font-weight:950;line-height:1.2;color:#0b0f14;">${escapeHtml(heading)}</div>
+                        <div class="muted sub" style="margin-top:10px;font-size:14px;line-height:1.65;color:#4b5563;max-width:520px;">
+                          ${escapeHtml(intro)}
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+
+                  <!-- CTA -->
+                  <tr>
+                    <td align="center" style="padding:12px 26px 8px;">
+                      <!--[if mso]>
+                        <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${safeViewUrl}"
+                          style="height:54px;v-text-anchor:middle;width:420px;" arcsize="16%"
+                          strokecolor="${brand}" fillcolor="${brand}">
+                          <w:anchorlock/>
+                          <center style="color:#ffffff;font-family:Arial,sans-serif;font-size:16px;font-weight:bold;">
+                            View quote & sign
+                          </center>
+                        </v:roundrect>
+                      <![endif]-->
+
+                      <!--[if !mso]><!-- -->
+                      <table role="presentation" cellpadding="0" cellspacing="0" class="cta" style="margin:0 auto;width:420px;max-width:100%;">
+                        <tr>
+                          <td align="center" bgcolor="${brand}"
+                            style="border-radius:16px;background-color:${brand};background:${brand};background-image:linear-gradient(90deg,${brand},${brandDark});">
+                            <a href="${safeViewUrl}"
+                              style="display:block;padding:18px 18px;border-radius:16px;text-align:center;
+                                     font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;
+                                     font-weight:950;font-size:16px;letter-spacing:.2px;text-decoration:none;
+                                     color:#ffffff;-webkit-text-fill-color:#ffffff;">
+                              View quote &amp; sign
+                            </a>
+                          </td>
+                        </tr>
+                      </table>
+                      <!--<![endif]-->
+                    </td>
+                  </tr>
+
+                  <!-- Link -->
+                  <tr>
+                    <td align="center" style="padding:0 26px 18px;text-align:center;">
+                      <div class="muted" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:12px;line-height:1.6;color:#6b7280;">
+                        If the button doesn’t work, copy &amp; paste this link:
+                        <br />
+                        <span style="color:${brand};word-break:break-all;">${safeViewUrl}</span>
+                      </div>
+                    </td>
+                  </tr>
+
+                  ${totalsHtml ? `<tr><td class="px" align="center" style="padding:0 26px 12px;">${totalsHtml}</td></tr>` : ""}
+
+                  <!-- Details -->
+                  <tr>
+                    <td class="px" align="center" style="padding:0 26px 22px;text-align:center;">
+                      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" class="detail" bgcolor="#f8fafc"
+                        style="background:#f8fafc;border:1px solid #e6e9f1;border-radius:18px;overflow:hidden;max-width:520px;">
+                        <tr>
+                          <td align="center" style="padding:14px 16px;text-align:center;">
+                            <div class="muted" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:11px;font-weight:900;letter-spacing:.14em;text-transform:uppercase;color:#6b7280;">Expires</div>
+                            <div class="txt" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:15px;font-weight:950;color:#0b0f14;margin-top:6px;">${safeExpires}</div>
+                          </td>
+                        </tr>
+                        <tr><td class="divider" style="border-top:1px solid #e6e9f1;"></td></tr>
+                        <tr>
+                          <td align="center" style="padding:14px 16px;text-align:center;">
+                            <div class="muted" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:11px;font-weight:900;letter-spacing:.14em;text-transform:uppercase;color:#6b7280;">Prepared by</div>
+                            <div class="txt" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:15px;font-weight:950;color:#0b0f14;margin-top:6px;">${safePrepared}</div>
+                          </td>
+                        </tr>
+                      </table>
+                    </td>
+                  </tr>
+
+                  <!-- Footer -->
+                  <tr><td class="divider" style="border-top:1px solid #e6e9f1;"></td></tr>
+                  <tr>
+                    <td align="center" style="padding:14px 24px 18px;text-align:center;">
+                      <div class="muted" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:12px;line-height:1.55;color:#6b7280;">
+                        ${safePhone ? `Questions? Reply to this email or call <span class="txt" style="color:#0b0f14;font-weight:950;">${safePhone}</span><br />` : ""}
+                        <span style="color:#9ca3af;">${safeCompany}${safeEmail ? ` • ${safeEmail}` : ""}${safeWeb ? ` • ${safeWeb}` : ""}</span>
+                      </div>
+                    </td>
+                  </tr>
+
+                </table>
+              </td>
+            </tr>
+
+            <tr>
+              <td align="center" style="padding:14px 6px 0;">
+                <div class="muted" style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:11px;line-height:1.5;color:#9ca3af;text-align:center;">
+                  © ${new Date().getFullYear()} ${safeCompany}
+                </div>
+              </td>
+            </tr>
+
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+}
@@ -0,0 +1,1032 @@
+// api/_lib/quotePdf.js
+// Quote PDF rendering shared by /api/quote-pdf and the email attachments
+// (/api/send-quote-link, /api/accept-quote). Not a route: Vercel skips files under api/_lib.
+import fs from "fs";
+import { createRequire } from "module";
+import { PDFDocument, rgb } from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import { computeAcceptedTotals, lineGrossCents, lineNetCents } from "./quoteTotals.js";
+
+/**
+ * Build the quote PDF (Buffer) for a quote row: { id, company_id, status, customer_name,
+ * customer_email, quote_no, data }. `selectedIds` / `packageId` only matter before signing.
+ */
+export async function buildQuotePdf(supabase, quote, { selectedIds = new Set(), packageId = "" } = {}) {
+  const data = quote?.data && typeof quote.data === "object" ? quote.data : {};
+  const snapCompany = data.company && typeof data.company === "object" ? data.company : {};
+
+  // Company defaults first, then the quote snapshot (same merge as /api/public-quote)
+  let companyRow = null;
+  const companyId = safeStr(quote?.company_id) || safeStr(data.company_id) || safeStr(snapCompany.id);
+  if (companyId) {
+    try {
+      const { data: c } = await supabase
+        .from("companies")
+        .select("id,name,addr1,addr2,phone,email,web,logo_url,brand_color,currency")
+        .eq("id", companyId)
+        .maybeSingle();
+      companyRow = c || null;
+    } catch {
+      companyRow = null;
+    }
+  }
+  const company = { ...(companyRow || {}), ...snapCompany };
+
+  let logoBytes = null;
+  try {
+    logoBytes = await loadLogoBytes(supabase, company, companyRow);
+  } catch {
+    logoBytes = null;
+  }
+
+  return renderQuotePdf({ quote, data, company, logoBytes, selectedIds, packageId });
+}
+
+/* =========================
+   Quote notes (totals come from ./quoteTotals.js)
+   ========================= */
+
+function discountNote(d, currency) {
+  const value = Number(d?.value);
+  if (!d || !Number.isFinite(value) || value <= 0) return "";
+  if (d.type === "percent") return `Incl. ${Math.min(100, value)}% off`;
+  if (d.type === "amount") return `Incl. ${formatMoney(value, currency)} off`;
+  return "";
+}
+
+// Under the line total: minimum charge and / or the line discount
+function lineNoteFor(it, currency) {
+  const minApplied = lineGrossCents(it) > Math.round(Number(it?.qty || 0) * Number(it?.unit_price_cents || 0));
+  return [minApplied ? "Minimum charge" : "", discountNote(it?.discount, currency)].filter(Boolean).join(" • ");
+}
+
+// Printed reference for an applied exemption: "Tax exempt • No. 12345 • Expires Jan 01, 2027"
+function taxExemptionNote(data) {
+  const ex = data?.tax_exemption;
+  if (!ex || typeof ex !== "object" || ex.applied === false) return "";
+  return [
+    "Tax exempt",
+    safeStr(ex.number) ? `No. ${safeStr(ex.number)}` : "",
+    safeStr(ex.expires) ? `Expires ${fmtDate(ex.expires)}` : "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+function isInPackage(it, packageId) {
+  return !it?.package_id || safeStr(it.package_id) === packageId;
+}
+
+function isItemIncluded(it, selectedIds) {
+  if (it?.optional !== true) return true;
+  return selectedIds.has(safeStr(it?.id));
+}
+
+/**
+ * What the PDF prices: the signed package + add-ons once accepted, otherwise what the customer
+ * has picked on screen (first package by default). Totals come from the shared server maths,
+ * so the PDF always agrees with the emails and the acceptance snapshot.
+ */
+export function pdfSelection(data, selectedIds = new Set(), packageId = "") {
+  const acceptance = data?.acceptance?.accepted_at ? data.acceptance : null;
+  const packages = Array.isArray(data?.packages) ? data.packages.filter((p) => safeStr(p?.id)) : [];
+  const packageIds = packages.map((p) => safeStr(p.id));
+  let pkgId = "";
+  if (packages.length) {
+    const accepted = acceptance ? safeStr(acceptance.selected_package_id) : "";
+    pkgId = [accepted, safeStr(packageId)].find((v) => v && packageIds.includes(v)) || packageIds[0];
+  }
+  const chosenIds = acceptance
+    ? new Set((Array.isArray(acceptance.selected_option_ids) ? acceptance.selected_option_ids : []).map(safeStr))
+    : selectedIds;
+
+  return { packages, pkgId, chosenIds, totals: computeAcceptedTotals(data, chosenIds, pkgId) };
+}
+
+function percentToHundredths(percent) {
+  const n = Number(percent);
+  if (!Number.isFinite(n)) return 0;
+  return Math.round(Math.min(Math.max(n, 0), 100) * 100);
+}
+
+function formatPercentDisplay(percent) {
+  const n = Number(percent);
+  if (!Number.isFinite(n)) return "0";
+  const fixed = n.toFixed(2);
+  if (fixed.endsWith(".00")) return String(Math.round(n));
+  return fixed.replace(/0$/, "");
+}
+
+function normalizePaymentSchedule(raw) {
+  let arr = Array.isArray(raw) ? raw : null;
+  if (!arr && typeof raw === "string") {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) arr = parsed;
+    } catch {
+      arr = null;
+    }
+  }
+  if (!arr || !arr.length) return null;
+
+  return arr.map((step) => ({
+    title: safeStr(step?.title || step?.name || step?.label || ""),
+    percent: Math.min(Math.max(Number(step?.percent ?? step?.percentage ?? step?.pct ?? 0) || 0, 0), 100),
+  }));
+}
+
+// Older quotes: fall back to the deposit fields (or 40 / 60), like the customer page.
+function deriveLegacyPaymentSchedule(data, totalCents) {
+  const total = Math.max(0, Number(totalCents || 0));
+  if (total > 0 && safeStr(data?.deposit_mode) === "custom") {
+    const dep = Math.max(0, Number(data?.deposit_cents || 0));
+    const depPct = Math.min(Math.max(Math.round((dep * 10000) / total), 0), 10000) / 100;
+    const balPct = Math.max(0, 100 - depPct);
+    if (depPct > 0 && balPct > 0) {
+      return [
+        { title: "Deposit", percent: depPct },
+        { title: "Balance", percent: balPct },
+      ];
+    }
+  }
+  return [
+    { title: "Deposit", percent: 40 },
+    { title: "Balance", percent: 60 },
+  ];
+}
+
+function scheduleAmounts(totalCents, steps) {
+  const total = Math.max(0, Number(totalCents) || 0);
+  const pHund = steps.map((s) => percentToHundredths(s?.percent));
+  const sum = pHund.reduce((a, b) => a + b, 0);
+
+  // Only spread rounding pennies when the schedule adds up to 100%
+  if (sum !== 10000) return pHund.map((p) => Math.round((total * p) / 10000));
+
+  const base = pHund.map((p) => Math.floor((total * p) / 10000));
+  let remainder = total - base.reduce((a, b) => a + b, 0);
+  let i = 0;
+  while (remainder > 0 && base.length) {
+    base[i % base.length] += 1;
+    remainder -= 1;
+    i += 1;
+  }
+  return base;
+}
+
+/**
+ * Ungrouped lines first, then each named section (saved order) with its lines.
+ */
+function groupItemsBySection(items, sections) {
+  const list = Array.isArray(sections) ? sections.filter((s) => safeStr(s?.id)) : [];
+  const known = new Set(list.map((s) => s.id));
+
+  const groups = [];
+  const loose = items.filter((it) => !it.section_id || !known.has(it.section_id));
+  if (loose.length) groups.push({ section: null, items: loose });
+
+  for (const section of list) {
+    const inSection = items.filter((it) => it.section_id === section.id);
+    if (inSection.length) groups.push({ section, items: inSection });
+  }
+  return groups;
+}
+
+/* =========================
+   Layout
+   ========================= */
+
+const PAGE_W = 612; // Letter, pt
+const PAGE_H = 792;
+const MARGIN = 40;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+const FOOTER_H = 28;
+
+const INK = "#111827";
+const MUTED = "#6b7280";
+const BORDER = "#e5e7eb";
+const SHADE = "#f3f4f6";
+
+async function renderQuotePdf({ quote, data, company, logoBytes, selectedIds, packageId }) {
+  const meta = data.meta || {};
+  const bill = data.bill_to || {};
+  const project = data.project || {};
+  const acceptance = data.acceptance?.accepted_at ? data.acceptance : null;
+
+  const currency = safeStr(company.currency) || safeStr(data.currency) || "CAD";
+  const brand = normalizeHexColor(company.brand_color || company.brandColour || company.brand) || "#000000";
+  const quoteCode = quoteCodeFor(quote);
+  const companyName = safeStr(company.name) || "Company";
+
+  // Selection: what was signed, otherwise what the customer has picked on screen
+  const { packages, pkgId, chosenIds, totals } = pdfSelection(data, selectedIds, packageId);
+
+  const allItems = Array.isArray(data.items) ? data.items.filter((it) => it && typeof it === "object") : [];
+  const items = allItems.filter((it) => isInPackage(it, pkgId));
+
+  const doc = await createPdfDocument();
+  const logo = await doc.addImage(logoBytes);
+
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+  };
+
+  const ensureSpace = (h, onBreak) => {
+    if (y + h <= PAGE_H - MARGIN - FOOTER_H) return false;
+    newPage();
+    if (onBreak) onBreak();
+    return true;
+  };
+
+  const heading = (title) => {
+    ensureSpace(40);
+    y += 8;
+    doc.text(title, MARGIN, y + 10, { font: "F2", size: 11, color: INK });
+    y += 16;
+    doc.line(MARGIN, y, MARGIN + CONTENT_W, y, { color: BORDER, width: 0.75 });
+    y += 8;
+  };
+
+  const paragraph = (text, { size = 9, color = INK, lineH = 12.5 } = {}) => {
+    for (const line of wrapText(text, "F1", size, CONTENT_W)) {
+      ensureSpace(lineH);
+      doc.text(line, MARGIN, y + size, { size, color });
+      y += lineH;
+    }
+  };
+
+  newPage();
+
+  /* ----- Letterhead ----- */
+  const logoBox = 56;
+  if (logo) {
+    const fit = fitInBox(logo.width, logo.height, logoBox, logoBox);
+    doc.image(logo, MARGIN + (logoBox - fit.w) / 2, y + (logoBox - fit.h) / 2, fit.w, fit.h);
+  } else {
+    doc.rect(MARGIN, y, logoBox, logoBox, { fill: brand });
+    const initials = initialsFromName(companyName);
+    doc.text(initials, MARGIN + (logoBox - textWidth(initials, "F2", 18)) / 2, y + logoBox / 2 + 6, {
+      font: "F2",
+      size: 18,
+      color: readableTextOn(brand),
+    });
+  }
+
+  const docBlockW = 120;
+  const nameX = MARGIN + logoBox + 14;
+  const nameW = CONTENT_W - logoBox - 14 - docBlockW - 14;
+
+  let ly = y + 16;
+  for (const line of wrapText(companyName, "F2", 15, nameW)) {
+    doc.text(line, nameX, ly, { font: "F2", size: 15, color: INK });
+    ly += 18;
+  }
+
+  const contact = [
+    company.addr1 || company.address1 || company.address,
+    company.addr2 || company.address2,
+    company.phone,
+    company.email || company.owner_email,
+    company.web || company.website,
+  ]
+    .map(safeStr)
+    .filter(Boolean)
+    .join("  •  ");
+  for (const line of wrapText(contact, "F1", 8.5, nameW)) {
+    doc.text(line, nameX, ly, { size: 8.5, color: MUTED });
+    ly += 11;
+  }
+
+  const docX = MARGIN + CONTENT_W - docBlockW;
+  doc.rect(docX, y, docBlockW, 20, { fill: brand });
+  doc.text("QUOTE", docX + (docBlockW - textWidth("QUOTE", "F2", 10)) / 2, y + 13.5, {
+    font: "F2",
+    size: 10,
+    color: readableTextOn(brand),
+  });
+  doc.textRight(quoteCode, docX + docBlockW, y + 38, { font: "F2", size: 11, color: INK });
+
+  y = Math.max(y + logoBox, ly) + 10;
+  doc.rect(MARGIN, y, CONTENT_W, 3, { fill: brand });
+  y += 3;
+
+  /* ----- Meta strip ----- */
+  const metaFields = [
+    ["QUOTE #", quoteCode],
+    ["DATE", fmtDate(meta.quote_date)],
+    ["EXPIRES", fmtDate(meta.quote_expires)],
+    ["PREPARED BY", safeStr(meta.prepared_by) || "—"],
+  ];
+  const metaW = CONTENT_W / metaFields.length;
+  metaFields.forEach(([label, value], i) => {
+    const x = MARGIN + i * metaW + (i ? 10 : 0);
+    doc.text(label, x, y + 15, { font: "F2", size: 7, color: MUTED });
+    doc.text(truncateToWidth(value, "F2", 9.5, metaW - 12), x, y + 28, { font: "F2", size: 9.5, color: INK });
+  });
+  y += 36;
+  doc.line(MARGIN, y, MARGIN + CONTENT_W, y, { color: BORDER, width: 0.75 });
+  y += 14;
+
+  /* ----- Bill To / Job Site ----- */
+  const colGap = 14;
+  const colW = (CONTENT_W - colGap) / 2;
+  const clientName = safeStr(bill.client_name || quote.customer_name) || "—";
+  const job = safeStr(project.project_location);
+
+  const contactCard = (x, title, name, subLines) => {
+    let cy = y + 10;
+    doc.text(title, x + 10, cy + 7, { font: "F2", size: 7.5, color: MUTED });
+    cy += 12;
+    for (const line of wrapText(name, "F2", 10.5, colW - 20)) {
+      doc.text(line, x + 10, cy + 10, { font: "F2", size: 10.5, color: INK });
+      cy += 13;
+    }
+    for (const sub of subLines) {
+      for (const line of wrapText(sub, "F1", 8.5, colW - 20)) {
+        doc.text(line, x + 10, cy + 9, { size: 8.5, color: MUTED });
+        cy += 11;
+      }
+    }
+    return cy + 10 - y;
+  };
+
+  const billSub = [
+    [safeStr(bill.client_phone), safeStr(bill.client_email || quote.customer_email)].filter(Boolean).join("  •  "),
+    safeStr(bill.client_addr),
+  ].filter(Boolean);
+
+  const h1 = contactCard(MARGIN, "BILL TO", clientName, billSub);
+  const h2 = contactCard(MARGIN + colW + colGap, "JOB SITE", job || "Same as billing address", job ? ["Installation address"] : []);
+  const cardH = Math.max(h1, h2);
+  doc.rect(MARGIN, y, colW, cardH, { stroke: BORDER });
+  doc.rect(MARGIN + colW + colGap, y, colW, cardH, { stroke: BORDER });
+  y += cardH + 6;
+
+  /* ----- Packages ----- */
+  if (packages.length) {
+    heading(acceptance ? "Package" : "Packages");
+    packages.forEach((pkg, idx) => {
+      const id = safeStr(pkg.id);
+      const isSelected = id === pkgId;
+      if (acceptance && !isSelected) return;
+
+      const pkgTotal = computeAcceptedTotals(data, chosenIds, id).total_cents;
+      const title = safeStr(pkg.name) || `Package ${idx + 1}`;
+      const descLines = wrapText(safeStr(pkg.description), "F1", 8.5, CONTENT_W - 150);
+
+      ensureSpace(20 + descLines.length * 11);
+      if (isSelected) doc.rect(MARGIN, y, 3, 16 + descLines.length * 11, { fill: brand });
+      doc.text(title, MARGIN + 10, y + 11, { font: "F2", size: 10, color: isSelected ? INK : MUTED });
+      if (isSelected) {
+        const tag = acceptance ? "Chosen" : "Selected";
+        doc.text(tag, MARGIN + 16 + textWidth(title, "F2", 10), y + 11, { font: "F2", size: 8, color: brand });
+      }
+      doc.textRight(formatMoney(pkgTotal, currency), MARGIN + CONTENT_W, y + 11, {
+        font: "F2",
+        size: 10,
+        color: isSelected ? INK : MUTED,
+      });
+      y += 16;
+      for (const line of descLines) {
+        doc.text(line, MARGIN + 10, y + 8, { size: 8.5, color: MUTED });
+        y += 11;
+      }
+      y += 6;
+    });
+  }
+
+  /* ----- Items ----- */
+  heading("Items & Pricing");
+
+  const anyBreakdown = items.some((it) => it.show_qty_unit_price !== false);
+  const colDefs = anyBreakdown
+    ? [
+        { key: "item", label: "Item", pct: 0, align: "left" },
+        { key: "qty", label: "Qty", pct: 0.1, align: "right" },
+        { key: "unit", label: "Unit", pct: 0.12, align: "right" },
+        { key: "unit_price", label: "Unit Price", pct: 0.16, align: "right" },
+        { key: "tax", label: "Tax", pct: 0.1, align: "center" },
+        { key: "line_total", label: "Line Total", pct: 0.18, align: "right" },
+      ]
+    : [
+        { key: "item", label: "Item", pct: 0, align: "left" },
+        { key: "tax", label: "Tax", pct: 0.12, align: "center" },
+        { key: "line_total", label: "Line Total", pct: 0.22, align: "right" },
+      ];
+
+  const fixedW = colDefs.reduce((sum, c) => sum + c.pct * CONTENT_W, 0);
+  let cx = MARGIN;
+  const cols = colDefs.map((c) => {
+    const w = c.pct ? c.pct * CONTENT_W : CONTENT_W - fixedW;
+    const col = { ...c, x: cx, w };
+    cx += w;
+    return col;
+  });
+  const pad = 6;
+
+  const cellText = (col, text, baseline, opts) => {
+    if (col.align === "right") doc.textRight(text, col.x + col.w - pad, baseline, opts);
+    else if (col.align === "center") doc.text(text, col.x + (col.w - textWidth(text, opts.font || "F1", opts.size)) / 2, baseline, opts);
+    else doc.text(text, col.x + pad, baseline, opts);
+  };
+
+  const tableHead = () => {
+    doc.rect(MARGIN, y, CONTENT_W, 18, { fill: SHADE });
+    for (const col of cols) cellText(col, col.label.toUpperCase(), y + 12, { font: "F2", size: 7.5, color: MUTED });
+    y += 18;
+  };
+
+  ensureSpace(60);
+  tableHead();
+
+  if (!items.length) {
+    doc.text("No line items", MARGIN + pad, y + 16, { size: 9, color: MUTED });
+    y += 24;
+  }
+
+  const itemCol = cols[0];
+  const itemTextW = itemCol.w - pad * 2;
+
+  const renderItem = (it) => {
+    const included = isItemIncluded(it, chosenIds);
+    const isOptional = it.optional === true;
+    const showBreakdown = it.show_qty_unit_price !== false;
+    const color = included ? INK : MUTED;
+
+    // Left cell: name, description, option state (drawn line by line so long descriptions can break pages)
+    const lines = [];
+    for (const line of wrapText(safeStr(it.name) || safeStr(it.item) || "Item", "F2", 9.5, itemTextW)) {
+      lines.push({ text: line, font: "F2", size: 9.5, color, h: 12.5 });
+    }
+    for (const line of wrapText(safeStr(it.description), "F1", 8.5, itemTextW)) {
+      lines.push({ text: line, font: "F1", size: 8.5, color: MUTED, h: 11 });
+    }
+    if (isOptional) {
+      const state = acceptance
+        ? (included ? "Optional add-on (selected)" : "Optional add-on (not selected)")
+        : (included ? "Optional add-on (added)" : "Optional add-on (not added)");
+      lines.push({ text: state, font: "F2", size: 7.5, color: included ? brand : MUTED, h: 11 });
+    }
+
+    const lineNote = lineNoteFor(it, currency);
+    const firstH = lines[0].h + (lineNote ? 10 : 0);
+    ensureSpace(Math.min(firstH + pad * 2 + 22, 80), tableHead);
+
+    const top = y;
+    y += pad;
+    const baseline = y + 9.5;
+
+    const values = {
+      qty: showBreakdown ? (Number(it.qty || 0) ? String(Number(it.qty)) : "") : "",
+      unit: showBreakdown ? safeStr(it.unit_type) || "Each" : "",
+      unit_price: showBreakdown ? formatUnitPriceNoSymbol(Number(it.unit_price_cents || 0)) : "",
+      tax: it.taxable !== false ? "Yes" : "No",
+      line_total: formatMoney(lineNetCents(it), currency),
+    };
+    for (const col of cols.slice(1)) {
+      const value = values[col.key];
+      if (!value) continue;
+      cellText(col, truncateToWidth(value, col.key === "line_total" ? "F2" : "F1", 9, col.w - pad * 2), baseline, {
+        font: col.key === "line_total" ? "F2" : "F1",
+        size: 9,
+        color,
+      });
+    }
+    let rightBottom = y + 12.5;
+    if (lineNote) {
+      const totalCol = cols[cols.length - 1];
+      cellText(totalCol, lineNote, y + 21, { size: 7.5, color: MUTED });
+      rightBottom = y + 24;
+    }
+
+    lines.forEach((line, i) => {
+      if (i > 0 && ensureSpace(line.h, tableHead)) rightBottom = 0;
+      doc.text(line.text, itemCol.x + pad, y + line.size, { font: line.font, size: line.size, color: line.color });
+      y += line.h;
+    });
+
+    y = Math.max(y, rightBottom) + pad;
+    if (y - top > 0) doc.line(MARGIN, y, MARGIN + CONTENT_W, y, { color: BORDER, width: 0.5 });
+  };
+
+  for (const group of groupItemsBySection(items, data.sections)) {
+    if (group.section) {
+      const subtotal = group.items
+        .filter((it) => isItemIncluded(it, chosenIds))
+        .reduce((sum, it) => sum + lineNetCents(it), 0);
+      ensureSpace(44, tableHead);
+      doc.rect(MARGIN, y, CONTENT_W, 20, { fill: "#f9fafb" });
+      doc.text(
+        truncateToWidth(safeStr(group.section.name) || "Section", "F2", 9.5, CONTENT_W - 140),
+        MARGIN + pad,
+        y + 13.5,
+        { font: "F2", size: 9.5, color: INK }
+      );
+      doc.textRight(formatMoney(subtotal, currency), MARGIN + CONTENT_W - pad, y + 13.5, { font: "F2", size: 9.5, color: INK });
+      y += 20;
+      doc.line(MARGIN, y, MARGIN + CONTENT_W, y, { color: BORDER, width: 0.5 });
+    }
+    group.items.forEach(renderItem);
+  }
+
+  /* ----- Totals ----- */
+  const totalRows = [["Subtotal", formatMoney(totals.subtotal_cents, currency)]];
+  if (totals.discount_cents > 0) totalRows.push([totals.discount_label, `−${formatMoney(totals.discount_cents, currency)}`]);
+  for (const t of totals.taxes) {
+    totalRows.push([t.exempt ? `${t.name} (exempt)` : t.rate > 0 ? `${t.name} (${t.rate}%)` : t.name, formatMoney(t.tax_cents, currency)]);
+  }
+  if (totals.fees_cents > 0) totalRows.push(["Additional Fees", formatMoney(totals.fees_cents, currency)]);
+
+  const totalsW = 250;
+  const totalsX = MARGIN + CONTENT_W - totalsW;
+  y += 10;
+  ensureSpace(totalRows.length * 16 + 34);
+  for (const [label, value] of totalRows) {
+    doc.text(truncateToWidth(label, "F1", 9, totalsW - 100), totalsX, y + 11, { size: 9, color: MUTED });
+    doc.textRight(value, totalsX + totalsW, y + 11, { size: 9, color: INK });
+    y += 16;
+  }
+  y += 4;
+  doc.line(totalsX, y, totalsX + totalsW, y, { color: INK, width: 1 });
+  y += 6;
+  doc.text("Total", totalsX, y + 13, { font: "F2", size: 12, color: INK });
+  doc.textRight(formatMoney(totals.total_cents, currency), totalsX + totalsW, y + 13, { font: "F2", size: 12, color: INK });
+  y += 24;
+
+  const exemptNote = taxExemptionNote(data);
+  if (exemptNote) {
+    doc.text(truncateToWidth(exemptNote, "F1", 8.5, totalsW), totalsX, y + 4, { size: 8.5, color: MUTED });
+    y += 14;
+  }
+
+  /* ----- Payment schedule ----- */
+  let schedule = normalizePaymentSchedule(data.payment_schedule);
+  if (!schedule || !schedule.length) schedule = deriveLegacyPaymentSchedule(data, totals.total_cents);
+
+  if (schedule.length) {
+    heading("Payment schedule");
+    const amounts = scheduleAmounts(totals.total_cents, schedule);
+    const pctX = MARGIN + CONTENT_W * 0.6;
+    const amtX = MARGIN + CONTENT_W;
+
+    const psHead = () => {
+      doc.rect(MARGIN, y, CONTENT_W, 18, { fill: SHADE });
+      doc.text("STEP", MARGIN + pad, y + 12, { font: "F2", size: 7.5, color: MUTED });
+      doc.textRight("PERCENT", pctX + CONTENT_W * 0.18 - pad, y + 12, { font: "F2", size: 7.5, color: MUTED });
+      doc.textRight("AMOUNT", amtX - pad, y + 12, { font: "F2", size: 7.5, color: MUTED });
+      y += 18;
+    };
+
+    ensureSpace(40);
+    psHead();
+    schedule.forEach((s, i) => {
+      ensureSpace(18, psHead);
+      doc.text(truncateToWidth(safeStr(s.title) || "—", "F1", 9, CONTENT_W * 0.58), MARGIN + pad, y + 12, { size: 9, color: INK });
+      doc.textRight(`${formatPercentDisplay(s.percent)}%`, pctX + CONTENT_W * 0.18 - pad, y + 12, { size: 9, color: INK });
+      doc.textRight(formatMoney(amounts[i] ?? 0, currency), amtX - pad, y + 12, { font: "F2", size: 9, color: INK });
+      y += 18;
+      doc.line(MARGIN, y, MARGIN + CONTENT_W, y, { color: BORDER, width: 0.5 });
+    });
+    y += 4;
+  }
+
+  /* ----- Terms / Notes ----- */
+  const terms = safeStr(data.terms);
+  if (terms) {
+    heading("Terms & Conditions");
+    paragraph(terms);
+  }
+
+  const notes = safeStr(data.notes);
+  if (notes) {
+    heading("Notes & Exclusions");
+    paragraph(notes);
+  }
+
+  /* ----- Signatures ----- */
+  ensureSpace(140);
+  y += 18;
+
+  const preparedBy = safeStr(meta.prepared_by) || "Representative";
+  const signedName = acceptance ? safeStr(acceptance.name) || clientName || "Client" : "";
+  const signedDate = acceptance
+    ? fmtDate(safeStr(acceptance.accepted_date) || safeStr(acceptance.accepted_at).slice(0, 10))
+    : "";
+
+  let signature = null;
+  if (acceptance) {
+    try {
+      const parsed = parseDataUrl(acceptance.signature_image_data_url || acceptance.signature_data_url);
+      signature = parsed ? await doc.addImage(Buffer.from(parsed.base64, "base64")) : null;
+    } catch {
+      signature = null;
+    }
+  }
+
+  const sigBlock = (x, label, drawSignature, printed, date) => {
+    const sigH = 46;
+    drawSignature(x, y, colW, sigH);
+    doc.line(x, y + sigH, x + colW, y + sigH, { color: INK, width: 0.75 });
+    doc.text(label, x, y + sigH + 11, { font: "F2", size: 7.5, color: MUTED });
+
+    const subW = (colW - 12) / 2;
+    const sy = y + sigH + 34;
+    doc.text(truncateToWidth(printed, "F1", 9.5, subW), x, sy - 4, { size: 9.5, color: INK });
+    doc.text(date, x + subW + 12, sy - 4, { size: 9.5, color: INK });
+    doc.line(x, sy, x + subW, sy, { color: INK, width: 0.75 });
+    doc.line(x + subW + 12, sy, x + colW, sy, { color: INK, width: 0.75 });
+    doc.text("Printed Name", x, sy + 11, { font: "F2", size: 7.5, color: MUTED });
+    doc.text("Date", x + subW + 12, sy + 11, { font: "F2", size: 7.5, color: MUTED });
+  };
+
+  sigBlock(
+    MARGIN,
+    "Client Signature",
+    (x, top, w, h) => {
+      if (!signature) return;
+      const fit = fitInBox(signature.width, signature.height, Math.min(w, 200), h - 4);
+      doc.image(signature, x, top + (h - fit.h), fit.w, fit.h);
+    },
+    signedName,
+    signedDate
+  );
+
+  sigBlock(
+    MARGIN + colW + colGap,
+    "Representative Signature",
+    (x, top, w, h) => {
+      doc.text(truncateToWidth(preparedBy, "F3", 18, w), x + 2, top + h - 10, { font: "F3", size: 18, color: INK });
+    },
+    preparedBy,
+    fmtDate(meta.quote_date)
+  );
+  y += 100;
+
+  if (acceptance) {
+    ensureSpace(20);
+    doc.text(`Accepted electronically by ${signedName} on ${signedDate}.`, MARGIN, y + 10, { size: 8, color: MUTED });
+    y += 16;
+  }
+
+  /* ----- Footer on every page ----- */
+  const pageCount = doc.pageCount();
+  for (let i = 0; i < pageCount; i++) {
+    doc.setPage(i);
+    const fy = PAGE_H - MARGIN + 6;
+    doc.line(MARGIN, fy - 12, MARGIN + CONTENT_W, fy - 12, { color: BORDER, width: 0.5 });
+    doc.text(truncateToWidth(`${companyName}  •  Quote ${quoteCode}`, "F1", 7.5, CONTENT_W - 80), MARGIN, fy, { size: 7.5, color: MUTED });
+    doc.textRight(`Page ${i + 1} of ${pageCount}`, MARGIN + CONTENT_W, fy, { size: 7.5, color: MUTED });
+  }
+
+  return doc.toBuffer({ title: `${companyName} — Quote ${quoteCode}` });
+}
+
+/* =========================
+   PDF writer (pdf-lib)
+   - DejaVu Sans (regular / bold / oblique) is embedded as a subset, so accents, €, Cyrillic,
+     Greek etc. print as typed instead of falling back to "?"
+   - Layout coordinates are top-down (y from the top edge), converted on write
+   ========================= */
+
+const require = createRequire(import.meta.url);
+
+const FONT_FILES = {
+  F1: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  F2: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+  F3: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf"),
+};
+
+// Font files are read once per instance; `face` is only used to measure text for layout
+let _fonts = null;
+
+function loadFonts() {
+  if (!_fonts) {
+    _fonts = {};
+    for (const [key, file] of Object.entries(FONT_FILES)) {
+      const bytes = fs.readFileSync(file);
+      _fonts[key] = { bytes, face: fontkit.create(bytes) };
+    }
+  }
+  return _fonts;
+}
+
+// Single-line text only: tabs become spaces, other control characters are dropped
+function cleanText(str) {
+  return String(str ?? "").replace(/\t/g, " ").replace(/[\u0000-\u001f\u007f]/g, "");
+}
+
+function textWidth(str, font = "F1", size = 10) {
+  const s = cleanText(str);
+  if (!s) return 0;
+  const fonts = loadFonts();
+  const { face } = fonts[font] || fonts.F1;
+  return (face.layout(s).advanceWidth * size) / face.unitsPerEm;
+}
+
+function wrapText(text, font, size, maxWidth) {
+  const out = [];
+  const paragraphs = String(text ?? "").replace(/\r\n?/g, "\n").split("\n");
+
+  for (const para of paragraphs) {
+    if (!para.trim()) {
+      if (out.length) out.push("");
+      continue;
+    }
+
+    let line = "";
+    for (const word of para.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) out.push(line);
+
+      // Very long words (URLs, part numbers) are hard-broken
+      line = "";
+      for (const ch of word) {
+        if (line && textWidth(line + ch, font, size) > maxWidth) {
+          out.push(line);
+          line = "";
+        }
+        line += ch;
+      }
+    }
+    if (line) out.push(line);
+  }
+
+  while (out.length && out[out.length - 1] === "") out.pop();
+  return out;
+}
+
+function truncateToWidth(str, font, size, maxWidth) {
+  const s = String(str ?? "");
+  if (textWidth(s, font, size) <= maxWidth) return s;
+  let out = s;
+  while (out && textWidth(`${out}…`, font, size) > maxWidth) out = out.slice(0, -1);
+  return `${out.trimEnd()}…`;
+}
+
+function pdfColor(hex) {
+  const { r, g, b } = hexToRgb(normalizeHexColor(hex) || "#000000");
+  return rgb(r / 255, g / 255, b / 255);
+}
+
+async function createPdfDocument() {
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+
+  const fonts = {};
+  for (const [key, { bytes }] of Object.entries(loadFonts())) {
+    fonts[key] = await pdf.embedFont(bytes, { subset: true });
+  }
+
+  let current = null;
+
+  return {
+    addPage() {
+      current = pdf.addPage([PAGE_W, PAGE_H]);
+    },
+
+    pageCount() {
+      return pdf.getPageCount();
+    },
+
+    setPage(i) {
+      current = pdf.getPage(i);
+    },
+
+    // PNG / JPEG bytes -> embedded image ({ width, height }); null for anything else (SVG, WebP…)
+    async addImage(bytes) {
+      if (!bytes || bytes.length < 8) return null;
+      try {
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return await pdf.embedPng(bytes);
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) return await pdf.embedJpg(bytes);
+      } catch {
+        // unreadable image: callers fall back (initials / no signature image)
+      }
+      return null;
+    },
+
+    text(str, x, y, { font = "F1", size = 10, color = INK } = {}) {
+      const s = cleanText(str);
+      if (!s) return;
+      current.drawText(s, { x, y: PAGE_H - y, size, font: fonts[font] || fonts.F1, color: pdfColor(color) });
+    },
+
+    textRight(str, xRight, y, opts = {}) {
+      this.text(str, xRight - textWidth(str, opts.font || "F1", opts.size || 10), y, opts);
+    },
+
+    rect(x, y, w, h, { fill = "", stroke = "", width = 0.75 } = {}) {
+      if (!fill && !stroke) return;
+      current.drawRectangle({
+        x,
+        y: PAGE_H - y - h,
+        width: w,
+        height: h,
+        color: fill ? pdfColor(fill) : undefined,
+        borderColor: stroke ? pdfColor(stroke) : undefined,
+        borderWidth: stroke ? width : 0,
+      });
+    },
+
+    line(x1, y1, x2, y2, { color = INK, width = 0.75 } = {}) {
+      current.drawLine({
+        start: { x: x1, y: PAGE_H - y1 },
+        end: { x: x2, y: PAGE_H - y2 },
+        thickness: width,
+        color: pdfColor(color),
+      });
+    },
+
+    image(img, x, y, w, h) {
+      current.drawImage(img, { x, y: PAGE_H - y - h, width: w, height: h });
+    },
+
+    async toBuffer({ title = "" } = {}) {
+      pdf.setTitle(title);
+      pdf.setProducer("EnduraQuoting");
+      pdf.setCreator("EnduraQuoting");
+      return Buffer.from(await pdf.save());
+    },
+  };
+}
+
+/* =========================
+   Images
+   ========================= */
+
+function fitInBox(w, h, maxW, maxH) {
+  const ratio = Math.min(maxW / (w || 1), maxH / (h || 1));
+  return { w: (w || 1) * ratio, h: (h || 1) * ratio };
+}
+
+/* =========================
+   Logo lookup (same sources as /api/public-quote)
+   ========================= */
+
+const LOGO_BUCKET_DEFAULT = "company-logos";
+
+async function loadLogoBytes(supabase, company, companyRow) {
+  const candidates = [company?.logo_data_url, company?.logo_url, companyRow?.logo_url].map(safeStr).filter(Boolean);
+
+  for (const c of candidates) {
+    const parsed = parseDataUrl(c);
+    if (parsed) return Buffer.from(parsed.base64, "base64");
+  }
+
+  const storage = [];
+  for (const c of candidates) {
+    if (c.startsWith("data:")) continue;
+    if (c.startsWith("http")) {
+      const m = c.split("?")[0].match(/\/storage\/v1\/object\/(?:public|sign)\/([^/]+)\/(.+)$/);
+      if (m) storage.push({ bucket: m[1], path: safeDecode(m[2]) });
+    } else {
+      storage.push({ bucket: LOGO_BUCKET_DEFAULT, path: safeDecode(c).replace(/^\/+/, "") });
+    }
+  }
+
+  const companyId = safeStr(companyRow?.id) || safeStr(company?.id);
+  if (companyId) {
+    for (const ext of ["png", "jpg", "jpeg"]) storage.push({ bucket: LOGO_BUCKET_DEFAULT, path: `${companyId}/logo.${ext}` });
+  }
+
+  for (const { bucket, path } of storage) {
+    try {
+      const { data: blob, error } = await supabase.storage.from(bucket).download(path);
+      if (!error && blob) return Buffer.from(await blob.arrayBuffer());
+    } catch {
+      // try the next one
+    }
+  }
+
+  const http = candidates.find((c) => /^https?:\/\//i.test(c));
+  if (http) {
+    try {
+      const r = await fetch(http);
+      if (r.ok) return Buffer.from(await r.arrayBuffer());
+    } catch {
+      // ignore
+    }
+  }
+
+  return null;
+}
+
+/* =========================
+   Helpers
+   ========================= */
+
+export function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function safeDecode(s = "") {
+  try {
+    return decodeURIComponent(String(s));
+  } catch {
+    return String(s);
+  }
+}
+
+export function quoteCodeFor(quote) {
+  const data = quote?.data || {};
+  return (
+    safeStr(data.quote_code) ||
+    safeStr(data.meta?.quote_no) ||
+    (quote?.quote_no ? `Q-${quote.quote_no}` : "") ||
+    (quote?.id ? `Q-${String(quote.id).slice(0, 8)}` : "Quote")
+  );
+}
+
+function parseDataUrl(dataUrl) {
+  const s = safeStr(dataUrl);
+  if (!s.startsWith("data:")) return null;
+  const m = /^data:([^;]+);base64,(.+)$/i.exec(s);
+  if (!m) return null;
+  const base64 = String(m[2] || "").trim();
+  if (!base64) return null;
+  return { contentType: safeStr(m[1]) || "application/octet-stream", base64 };
+}
+
+function fmtDate(isoYmd) {
+  if (!isoYmd) return "—";
+  try {
+    const d = new Date(`${String(isoYmd).slice(0, 10)}T00:00:00Z`);
+    if (Number.isNaN(d.getTime())) return String(isoYmd);
+    return d.toLocaleDateString("en-CA", { year: "numeric", month: "short", day: "2-digit", timeZone: "UTC" });
+  } catch {
+    return String(isoYmd);
+  }
+}
+
+function formatMoneyNoSymbol(cents) {
+  const amount = (Number(cents) || 0) / 100;
+  try {
+    return new Intl.NumberFormat("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+  } catch {
+    return amount.toFixed(2);
+  }
+}
+
+// Unit prices can carry fractions of a cent (eg. $0.0375/sqft); show up to 4 decimals.
+function formatUnitPriceNoSymbol(cents) {
+  const amount = (Number(cents) || 0) / 100;
+  try {
+    return new Intl.NumberFormat("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 4 }).format(amount);
+  } catch {
+    return amount.toFixed(Number.isInteger(Number(cents)) ? 2 : 4);
+  }
+}
+
+function formatMoney(cents, currency = "CAD") {
+  const amount = (Number(cents) || 0) / 100;
+  try {
+    return new Intl.NumberFormat("en-CA", { style: "currency", currency }).format(amount);
+  } catch {
+    return `$${formatMoneyNoSymbol(cents)}`;
+  }
+}
+
+function initialsFromName(name = "") {
+  const parts = String(name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  return (
+    parts
+      .slice(0, 2)
+      .map((p) => p[0])
+      .join("")
+      .toUpperCase() || "Q"
+  );
+}
+
+function normalizeHexColor(input) {
+  let s = safeStr(input);
+  if (!s) return "";
+  if (!s.startsWith("#")) s = `#${s}`;
+  if (/^#[0-9a-fA-F]{3}$/.test(s)) {
+    s = `#${s
+      .slice(1)
+      .split("")
+      .map((c) => c + c)
+      .join("")}`;
+  }
+  return /^#[0-9a-fA-F]{6}$/.test(s) ? s.toLowerCase() : "";
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(String(hex).slice(1), 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+// White text on dark brands, ink on light ones (eg. a yellow brand colour)
+function readableTextOn(hex) {
+  const { r, g, b } = hexToRgb(normalizeHexColor(hex) || "#000000");
+  return 0.299 * r + 0.587 * g + 0.114 * b > 170 ? INK : "#ffffff";
+}
@@ -0,0 +1,125 @@
+// api/_lib/quoteTotals.js
+// Server-side quote maths, the same as the quote builder: line = round(qty * unit) less its discount,
+// quote discount before tax, package lines only for the chosen package, optional add-ons only when
+// selected. Used by /api/accept-quote, /api/quote-pdf and the quote / reminder emails.
+
+function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function discountCentsFor(baseCents, d) {
+  const base = Math.max(0, Number(baseCents) || 0);
+  const value = Number(d?.value);
+  if (!d || !Number.isFinite(value) || value <= 0 || base <= 0) return 0;
+  if (d.type === "percent") return Math.min(base, Math.round(base * (Math.min(100, value) / 100)));
+  if (d.type === "amount") return Math.min(base, Math.round(value));
+  return 0;
+}
+
+// A minimum charge lifts any line with a quantity up to it (before the line discount)
+export function lineGrossCents(it) {
+  const qty = Number(it?.qty || 0);
+  const gross = Math.round(qty * Number(it?.unit_price_cents || 0));
+  const min = Math.max(0, Math.round(Number(it?.min_charge_cents) || 0));
+  return qty > 0 && min > gross ? min : gross;
+}
+
+export function lineNetCents(it) {
+  const gross = lineGrossCents(it);
+  return gross - discountCentsFor(gross, it?.discount);
+}
+
+// Taxes on the quote ([{ id, name, rate, apply_to_fees }]); older quotes only have tax_name / tax_rate.
+function getQuoteTaxes(data) {
+  const list = Array.isArray(data?.taxes) ? data.taxes : [];
+  const out = list
+    .filter((t) => t && safeStr(t.id))
+    .map((t) => ({
+      id: safeStr(t.id),
+      name: safeStr(t.name) || "Tax",
+      rate: Math.max(0, Number(t.rate) || 0),
+      apply_to_fees: t.apply_to_fees === true,
+    }));
+  if (out.length) return applyTaxExemption(out, data);
+  return applyTaxExemption([{ id: "tax", name: safeStr(data?.tax_name) || "Tax", rate: Math.max(0, Number(data?.tax_rate || 0)), apply_to_fees: false }], data);
+}
+
+// Tax-exempt customer (data.tax_exemption): its taxes, or all of them, are charged at 0%.
+function applyTaxExemption(taxes, data) {
+  const ex = data?.tax_exemption;
+  if (!ex || typeof ex !== "object" || ex.applied === false) return taxes;
+  const ids = Array.isArray(ex.tax_ids) ? ex.tax_ids.map(safeStr).filter(Boolean) : [];
+  return taxes.map((t) => (!ids.length || ids.includes(t.id) ? { ...t, rate: 0, exempt: true } : t));
+}
+
+// Taxable lines get every tax unless their tax class lists a subset.
+function itemTaxIds(it, taxes, taxClasses) {
+  if (it?.taxable === false) return [];
+  const cls = taxClasses.find((c) => c && safeStr(c.id) && safeStr(c.id) === safeStr(it?.tax_class_id));
+  return cls ? (Array.isArray(cls.tax_ids) ? cls.tax_ids.map(safeStr) : []) : taxes.map((t) => t.id);
+}
+
+/**
+ * Same maths as the quote builder: line = round(qty * unit) less its discount,
+ * quote discount before tax, package lines only for the chosen package,
+ * optional add-ons only when selected.
+ */
+export function computeAcceptedTotals(data, selectedIds, packageId = "") {
+  const items = Array.isArray(data?.items) ? data.items : [];
+  const taxes = getQuoteTaxes(data);
+  const taxClasses = Array.isArray(data?.tax_classes) ? data.tax_classes : [];
+  const taxableNetById = new Map(taxes.map((t) => [t.id, 0]));
+  let subtotal = 0;
+
+  for (const it of items) {
+    if (it?.package_id && safeStr(it.package_id) !== packageId) continue;
+    if (it?.optional === true && !selectedIds.has(safeStr(it?.id))) continue;
+    const line = lineNetCents(it);
+    subtotal += line;
+    for (const id of itemTaxIds(it, taxes, taxClasses)) {
+      if (taxableNetById.has(id)) taxableNetById.set(id, taxableNetById.get(id) + line);
+    }
+  }
+
+  const quoteDiscount = data?.discount && typeof data.discount === "object" ? data.discount : null;
+  const discount = discountCentsFor(subtotal, quoteDiscount);
+  const fees = Number(data?.fees_cents || 0);
+
+  const taxLines = taxes.map((t) => {
+    const net = taxableNetById.get(t.id) || 0;
+    let base = subtotal > 0 ? net - Math.round((discount * net) / subtotal) : 0;
+    if (t.apply_to_fees) base += fees;
+    return { id: t.id, name: t.name, rate: t.rate, exempt: t.exempt === true, tax_cents: Math.round(base * (t.rate / 100)) };
+  });
+  const tax = taxLines.reduce((sum, t) => sum + t.tax_cents, 0);
+  const total = Math.max(0, subtotal - discount + tax + fees);
+
+  const label = safeStr(quoteDiscount?.label) || "Discount";
+  return {
+    subtotal_cents: subtotal,
+    discount_cents: discount,
+    discount_label: discount > 0 ? (quoteDiscount?.type === "percent" ? `${label} (${Number(quoteDiscount.value)}%)` : label) : "",
+    tax_cents: tax,
+    taxes: taxLines,
+    fees_cents: fees,
+    total_cents: total,
+  };
+}
+
+/**
+ * Totals for the quote and reminder emails. A quote with packages (Good / Better / Best) has no
+ * single total until the customer picks one, so it gets one total per package instead, priced
+ * like /api/accept-quote would price that package with no add-ons ticked.
+ */
+export function quoteEmailTotals(data) {
+  const packages = Array.isArray(data?.packages) ? data.packages.filter((p) => safeStr(p?.id)) : [];
+  if (packages.length) {
+    return {
+      packages: packages.map((p, idx) => ({
+        name: safeStr(p.name) || `Package ${idx + 1}`,
+        total_cents: computeAcceptedTotals(data, new Set(), safeStr(p.id)).total_cents,
+      })),
+    };
+  }
+  return data?.computed && typeof data.computed === "object" ? data.computed : null;
+}
@@ -0,0 +1,34 @@
+// api/_lib/quoteWrite.js
+// Writes to one quote from the endpoints that change it outside the builder (views, comments,
+// reminders, update requests, declines).
+
+/**
+ * Read-modify-write of one quote, guarded by its edit revision: the write only lands if nobody saved
+ * since the read (otherwise it re-reads and tries again). `change(row)` gets the latest
+ * { status, data, revision } and returns the columns to write.
+ * - By default the revision is left alone: the builder carries server-written meta over on every
+ *   save (js/quoteMeta.js), so a view or a comment must not give an open builder a false conflict.
+ * - bumpRevision: true for changes the builder can't save over (e.g. a decline), so a builder still
+ *   open on the quote gets a conflict instead.
+ * Older schemas have no `revision` column; there it's a plain write.
+ * Resolves to what was written, or null when the quote is gone or kept changing under it.
+ */
+export async function writeQuoteWithRevision(supabase, quoteId, change, { bumpRevision = false, attempts = 3 } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    let latest = await supabase.from("quotes").select("status,data,revision").eq("id", quoteId).maybeSingle();
+    if (latest.error) latest = await supabase.from("quotes").select("status,data").eq("id", quoteId).maybeSingle();
+    if (latest.error || !latest.data) return null;
+
+    const row = latest.data;
+    const update = change(row);
+    const hasRevision = Number.isInteger(row.revision);
+    if (hasRevision && bumpRevision) update.revision = row.revision + 1;
+
+    let query = supabase.from("quotes").update(update).eq("id", quoteId);
+    if (hasRevision) query = query.eq("revision", row.revision);
+    const { data: written, error } = await query.select("id");
+    if (error) throw error;
+    if (!hasRevision || written?.length) return update;
+  }
+  return null;
+}
@@ -1,11 +1,16 @@
 import { createClient } from "@supabase/supabase-js";
 import crypto from "crypto";
+import { buildPdfAttachment, buildTotalsSummaryHtml, buildTotalsSummaryText } from "./_lib/quoteEmail.js";
+import { computeAcceptedTotals, lineNetCents } from "./_lib/quoteTotals.js";
 
 /**
  * POST /api/accept-quote
- * Body: { quote_id: string, signature_data_url: string, accepted_date?: 'YYYY-MM-DD', client_context?: {...} }
+ * Body: { quote_id: string, signature_data_url: string, accepted_date?: 'YYYY-MM-DD', selected_option_ids?: string[], selected_package_id?: string, client_context?: {...} }
  *
  * - Stores acceptance in quote.data.acceptance (includes an audit trail)
+ * - Records the package (Good / Better / Best) and optional add-ons the customer picked
+ *   and re-totals the quote from them
+ * - Refuses quotes past data.meta.quote_expires (the customer requests an updated quote instead)
  * - Marks quote status as "Accepted"
  * - Sends:
  *    1) Notification email to the *quote creator/company* (not a hard-coded address)
@@ -93,6 +98,10 @@ export default async function handler(req, res) {
       res.status(400).json({ error: "This quote has been cancelled." });
       return;
     }
+    if (status === "declined") {
+      res.status(400).json({ error: "This quote was declined. Ask for an updated quote if you'd like to go ahead." });
+      return;
+    }
 
     const existingAcc = quote.data?.acceptance;
     if (existingAcc?.accepted_at) {
@@ -106,6 +115,19 @@ export default async function handler(req, res) {
       return;
     }
 
+    // Expired quotes can't be signed at old prices; the rep has to extend (or re-quote) first.
+    // Judged by the company's clock, not the client's, so the date can't be spoofed.
+    const expires = safeStr(quote.data?.meta?.quote_expires);
+    const todayYmd = formatYmdInTimeZone(new Date(), process.env.DEFAULT_TIMEZONE || "America/Toronto");
+    if (isYmd(expires) && expires < todayYmd) {
+      res.status(410).json({
+        error: `This quote expired on ${formatYmdPretty(expires)}. Please request an updated quote.`,
+        code: "quote_expired",
+        expires,
+      });
+      return;
+    }
+
     const accepted_at = new Date().toISOString();
 
     // Prefer a client-provided local date (prevents UTC rollover issues).
@@ -125,15 +147,47 @@ export default async function handler(req, res) {
     const client_context = sanitizeClientContext(body?.client_context);
     const auditBase = buildAcceptanceAudit(req);
 
+    // Packages: when the quote offers alternatives the customer must sign for exactly one
+    const packages = Array.isArray(data.packages) ? data.packages.filter((p) => safeStr(p?.id)) : [];
+    const selected_package_id = safeStr(body?.selected_package_id);
+    const selectedPackage = packages.find((p) => safeStr(p.id) === selected_package_id) || null;
+    if (packages.length && !selectedPackage) {
+      res.status(400).json({ error: "Please choose a package before signing." });
+      return;
+    }
+
+    // Optional add-ons: only accept ids that really are optional lines on this quote,
+    // and only ones shared by every package or inside the chosen package
+    const items = Array.isArray(data.items) ? data.items : [];
+    const optionalItems = items.filter((it) => it?.optional === true && safeStr(it?.id));
+    const optionalIds = new Set(
+      optionalItems
+        .filter((it) => !it?.package_id || safeStr(it.package_id) === selected_package_id)
+        .map((it) => safeStr(it.id))
+    );
+    const requestedOptionIds = Array.isArray(body?.selected_option_ids) ? body.selected_option_ids : [];
+    const selected_option_ids = [...new Set(requestedOptionIds.map((v) => safeStr(v)))].filter((id) =>
+      optionalIds.has(id)
+    );
+
+    const recalculated = Boolean(optionalItems.length || packages.length);
+    const acceptedTotals = computeAcceptedTotals(data, new Set(selected_option_ids), selected_package_id);
+    const total_cents = recalculated ? acceptedTotals.total_cents : (quote.total_cents ?? acceptedTotals.total_cents);
+
     // Snapshot the quote "document" at signing time so later edits don't destroy evidence.
     const document_snapshot = buildDocumentSnapshot(data);
+    if (recalculated) {
+      document_snapshot.selected_option_ids = selected_option_ids;
+      document_snapshot.selected_package_id = selectedPackage ? selected_package_id : null;
+      document_snapshot.computed = acceptedTotals;
+    }
 
     // Deterministic hashes (helps prove integrity later)
     const document_sha256 = sha256Hex(
       stableStringify({
         quote_id: quote.id,
         quote_no: quote.quote_no ?? null,
-        total_cents: quote.total_cents ?? null,
+        total_cents: total_cents ?? null,
         data: document_snapshot,
       })
     );
@@ -147,6 +201,21 @@ export default async function handler(req, res) {
       email: data?.bill_to?.client_email || quote.customer_email || null,
       signature_image_data_url: signature_data_url,
 
+      // Optional add-ons the customer ticked (ids of data.items[] with optional: true)
+      selected_option_ids,
+      selected_options: items
+        .filter((it) => selected_option_ids.includes(safeStr(it?.id)))
+        .map((it) => ({
+          id: safeStr(it.id),
+          name: safeStr(it.name) || "Option",
+          line_total_cents: lineNetCents(it),
+        })),
+      selected_package_id: selectedPackage ? selected_package_id : null,
+      selected_package: selectedPackage
+        ? { id: selected_package_id, name: safeStr(selectedPackage.name) || "Package" }
+        : null,
+      total_cents,
+
       // Internal-only evidence (we strip this from the public customer API response)
       audit: {
         ...auditBase,
@@ -159,7 +228,19 @@ export default async function handler(req, res) {
       document_snapshot,
     };
 
-    await supabase.from("quotes").update({ status: "Accepted", data }).eq("id", quote_id);
+    if (recalculated) data.computed = acceptedTotals;
+
+    // Bump the edit revision so an admin builder still open on this quote can't overwrite the signature.
+    // Best-effort: older schemas have no `revision` column.
+    const update = { status: "Accepted", total_cents, data };
+    const { data: revRow, error: revErr } = await supabase
+      .from("quotes")
+      .select("revision")
+      .eq("id", quote_id)
+      .maybeSingle();
+    if (!revErr && Number.isInteger(revRow?.revision)) update.revision = revRow.revision + 1;
+
+    await supabase.from("quotes").update(update).eq("id", quote_id);
 
     // ===== Email notifications (best-effort) =====
     const emailResults = {
@@ -229,8 +310,25 @@ export default async function handler(req, res) {
       const logoUrl = safeStr(companyRow?.logo_url) || safeStr(snapCompany?.logo_url) || "";
       const { logoSrc, attachments } = buildInlineLogoAttachment(logoUrl);
 
+      // Signed copy (signature + acceptance details) when the company turned on PDF attachments
+      if (companyRow?.email_attach_pdf === true) {
+        const pdfAttachment = await buildPdfAttachment(
+          supabase,
+          { ...quote, status: "Accepted", total_cents, data },
+          `${quoteCode}-signed.pdf`
+        );
+        if (pdfAttachment) attachments.push(pdfAttachment);
+      }
+
       const acceptedDatePretty = formatYmdPretty(accepted_date);
 
+      // Price summary (what was actually signed for)
+      const currency = safeStr(snapCompany?.currency) || "CAD";
+      const taxName = safeStr(data?.tax_name) || "Tax";
+      const summaryTotals = recalculated ? acceptedTotals : (data?.computed || acceptedTotals);
+      const totalsHtml = buildTotalsSummaryHtml({ totals: summaryTotals, currency, taxName });
+      const totalsText = buildTotalsSummaryText({ totals: summaryTotals, currency, taxName });
+
       // 1) Notify the user/company when signed
       if (notifyTo) {
         emailResults.admin.attempted = true;
@@ -244,6 +342,7 @@ export default async function handler(req, res) {
           signerName,
           customerEmail: quote.customer_email || "",
           acceptedDatePretty,
+          totalsHtml,
           adminUrl,
           viewUrl,
           companyName,
@@ -259,6 +358,8 @@ Customer: ${signerName}
 Email: ${quote.customer_email || "—"}
 Signed: ${acceptedDatePretty}
 
+${totalsText}
+
 Admin: ${adminUrl}
 Customer link: ${viewUrl}`;
 
@@ -292,6 +393,7 @@ Customer link: ${viewUrl}`;
           customerName: signerName,
           quoteCode,
           acceptedDatePretty,
+          totalsHtml,
           viewUrl,
           companyName,
           phone,
@@ -305,6 +407,8 @@ Customer link: ${viewUrl}`;
 Your acceptance has been received for quote ${quoteCode}.
 Signed: ${acceptedDatePretty}
 
+${totalsText}
+
 View your signed quote:
 ${viewUrl}
 
@@ -464,6 +568,11 @@ function buildDocumentSnapshot(data) {
     delete snap.acceptance;
   } catch {}
 
+  // The question thread keeps growing after signing, so it's not part of the signed document
+  try {
+    if (snap.meta && typeof snap.meta === "object") delete snap.meta.comments;
+  } catch {}
+
   // Remove render/runtime-only fields (non-contract evidence)
   try {
     delete snap._supabase_url;
@@ -777,6 +886,7 @@ function buildCustomerAcceptedHtml({
   customerName,
   quoteCode,
   acceptedDatePretty,
+  totalsHtml = "",
   viewUrl,
   companyName,
   phone,
@@ -861,6 +971,8 @@ function buildCustomerAcceptedHtml({
                   </td>
                 </tr>
 
+                ${totalsHtml ? `<tr><td class="px" align="center" style="padding:16px 26px 0;">${totalsHtml}</td></tr>` : ""}
+
                 <!-- CTA -->
                 <tr>
                   <td align="center" style="padding:16px 26px 8px;">
@@ -932,6 +1044,7 @@ function buildAdminSignedHtml({
   signerName,
   customerEmail,
   acceptedDatePretty,
+  totalsHtml = "",
   adminUrl,
   viewUrl,
   companyName,
@@ -1036,6 +1149,8 @@ function buildAdminSignedHtml({
                   </td>
                 </tr>
 
+                ${totalsHtml ? `<tr><td class="px" align="center" style="padding:8px 26px 0;">${totalsHtml}</td></tr>` : ""}
+
                 <!-- CTA row (Admin) -->
                 <tr>
                   <td align="center" style="padding:12px 26px 8px;">
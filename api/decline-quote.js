@@ -0,0 +1,275 @@
+import { createClient } from "@supabase/supabase-js";
+import { writeQuoteWithRevision } from "./_lib/quoteWrite.js";
+
+/**
+ * POST /api/decline-quote
+ * Body: { quote_id: string, reason: "price" | "timing" | "competitor" | "other", comment?: string }
+ *
+ * The customer's "Decline this quote" action on the customer page.
+ * - Sets status "Declined" and data.meta.decline = { declined_at, reason, comment }
+ * - Emails the quote creator/company (best-effort)
+ */
+
+// Mirrors DECLINE_REASONS in js/quoteDecline.js
+const DECLINE_REASONS = {
+  price: "Price",
+  timing: "Timing",
+  competitor: "Chose a competitor",
+  other: "Other",
+};
+const MAX_COMMENT_LENGTH = 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const quote_id = safeStr(body.quote_id);
+    const reason = safeStr(body.reason).toLowerCase();
+    const comment = safeStr(body.comment).slice(0, MAX_COMMENT_LENGTH);
+
+    if (!quote_id) {
+      res.status(400).json({ error: "Missing quote_id" });
+      return;
+    }
+    if (!DECLINE_REASONS[reason]) {
+      res.status(400).json({ error: "Please choose a reason." });
+      return;
+    }
+    if (reason === "other" && !comment) {
+      res.status(400).json({ error: "Please tell us a little more." });
+      return;
+    }
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" });
+      return;
+    }
+
+    const POSTMARK_SERVER_TOKEN = process.env.POSTMARK_SERVER_TOKEN;
+    const POSTMARK_FROM_EMAIL = process.env.POSTMARK_FROM_EMAIL;
+    const POSTMARK_MESSAGE_STREAM = process.env.POSTMARK_MESSAGE_STREAM || "outbound";
+    const ADMIN_NOTIFY_EMAIL = safeEmail(process.env.ADMIN_NOTIFY_EMAIL || "");
+
+    const proto = (req.headers["x-forwarded-proto"] || "https").toString();
+    const host = (req.headers["x-forwarded-host"] || req.headers.host || "").toString();
+    const origin = (process.env.PUBLIC_BASE_URL || (host ? `${proto}://${host}` : "")).replace(/\/$/, "");
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data: quote, error } = await supabase
+      .from("quotes")
+      .select("id,status,customer_name,customer_email,quote_no,company_id,created_by,data")
+      .eq("id", quote_id)
+      .single();
+
+    if (error || !quote) {
+      res.status(404).json({ error: "Quote not found" });
+      return;
+    }
+
+    const data = quote.data || {};
+    const meta = data.meta && typeof data.meta === "object" ? data.meta : {};
+    const status = safeStr(quote.status).toLowerCase();
+
+    if (status === "cancelled") {
+      res.status(400).json({ error: "This quote has been cancelled." });
+      return;
+    }
+    if (data.acceptance?.accepted_at || status === "accepted") {
+      res.status(400).json({ error: "This quote has already been accepted." });
+      return;
+    }
+    if (status === "declined" && meta.decline?.declined_at) {
+      res.status(200).json({ ok: true, status: quote.status, decline: meta.decline, already_declined: true });
+      return;
+    }
+
+    // Bumps the edit revision so an admin builder still open on this quote can't overwrite the decline
+    const decline = { declined_at: new Date().toISOString(), reason, comment };
+    const written = await writeQuoteWithRevision(
+      supabase,
+      quote_id,
+      (row) => {
+        const latestData = (row.data && typeof row.data === "object") ? row.data : {};
+        const latestMeta = latestData.meta && typeof latestData.meta === "object" ? latestData.meta : {};
+        return { status: "Declined", data: { ...latestData, meta: { ...latestMeta, decline } } };
+      },
+      { bumpRevision: true }
+    );
+    if (!written) {
+      res.status(409).json({ error: "The quote was busy. Please try again." });
+      return;
+    }
+
+    // ===== Notify the rep (best-effort) =====
+    let emailed = false;
+    const canEmail = Boolean(POSTMARK_SERVER_TOKEN && POSTMARK_FROM_EMAIL && origin);
+
+    if (canEmail) {
+      const snapCompany = (data.company && typeof data.company === "object") ? data.company : {};
+      const companyId = safeStr(quote.company_id) || safeStr(snapCompany.company_id);
+      let companyRow = null;
+      if (companyId) {
+        const cRes = await supabase.from("companies").select("*").eq("id", companyId).maybeSingle();
+        if (!cRes.error) companyRow = cRes.data;
+      }
+
+      const companyName = safeStr(companyRow?.name) || safeStr(snapCompany?.name) || "Your Company";
+      const companyEmail =
+        safeEmail(companyRow?.billing_email) ||
+        safeEmail(companyRow?.owner_email) ||
+        safeEmail(snapCompany?.email) ||
+        "";
+
+      let createdByEmail = "";
+      try {
+        const createdBy = safeStr(quote.created_by);
+        if (createdBy && supabase.auth?.admin?.getUserById) {
+          const uRes = await supabase.auth.admin.getUserById(createdBy);
+          createdByEmail = safeEmail(uRes?.data?.user?.email) || "";
+        }
+      } catch {
+        // ignore
+      }
+
+      const notifyList = uniqueEmails([createdByEmail, companyEmail]);
+      if (!notifyList.length && ADMIN_NOTIFY_EMAIL) notifyList.push(ADMIN_NOTIFY_EMAIL);
+
+      if (notifyList.length) {
+        const quoteCode =
+          safeStr(data?.quote_code) ||
+          `Q-${String(meta?.quote_date || "").slice(0, 4) || "0000"}-${String(quote.quote_no || "").padStart(4, "0")}`;
+        const customerName = safeStr(data?.bill_to?.client_name) || safeStr(quote.customer_name) || "Customer";
+        const customerEmail = safeEmail(data?.bill_to?.client_email) || safeEmail(quote.customer_email);
+        const adminUrl = `${origin}/admin/quote.html?id=${encodeURIComponent(quote.id)}`;
+        const reasonLabel = DECLINE_REASONS[reason];
+
+        const text =
+`DECLINED: ${quoteCode}
+
+${customerName} declined this quote.
+Reason: ${reasonLabel}${comment ? `\nComment: ${comment}` : ""}
+Email: ${customerEmail || "—"}
+
+Open the quote:
+${adminUrl}`;
+
+        const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;color:#0f172a;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:14px;padding:24px;">
+      <div style="font-size:12px;font-weight:800;letter-spacing:.12em;text-transform:uppercase;color:#b91c1c;">Quote declined</div>
+      <h1 style="margin:8px 0 12px;font-size:20px;">${escapeHtml(quoteCode)} — ${escapeHtml(customerName)}</h1>
+      <p style="margin:0 0 12px;line-height:1.5;">
+        ${escapeHtml(customerName)} declined this quote. Reason: <strong>${escapeHtml(reasonLabel)}</strong>
+      </p>
+      ${comment ? `<p style="margin:0 0 12px;line-height:1.5;padding:12px;border-radius:10px;background:#f8fafc;white-space:pre-wrap;">${escapeHtml(comment)}</p>` : ""}
+      <p style="margin:0 0 18px;line-height:1.5;color:#475569;">Email: ${escapeHtml(customerEmail || "—")}</p>
+      <a href="${escapeHtml(adminUrl)}" style="display:inline-block;padding:12px 18px;border-radius:10px;background:#0f172a;color:#ffffff;text-decoration:none;font-weight:800;">Open quote</a>
+    </div>
+  </body>
+</html>`;
+
+        const sent = await sendPostmark({
+          token: POSTMARK_SERVER_TOKEN,
+          payload: {
+            From: formatFrom(companyName, POSTMARK_FROM_EMAIL),
+            To: notifyList.join(", "),
+            ReplyTo: customerEmail || undefined,
+            Subject: `DECLINED — ${quoteCode} — ${customerName}`,
+            HtmlBody: html,
+            TextBody: text,
+            MessageStream: POSTMARK_MESSAGE_STREAM,
+          },
+        });
+        emailed = !!sent?.ok;
+      }
+    }
+
+    res.status(200).json({ ok: true, status: "Declined", decline, emailed });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
+
+async function sendPostmark({ token, payload }) {
+  const r = await fetch("https://api.postmarkapp.com/email", {
+    method: "POST",
+    headers: {
+      "X-Postmark-Server-Token": token,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!r.ok) {
+    const t = await r.text();
+    return { ok: false, error: t };
+  }
+  return { ok: true };
+}
+
+/* =========================================================
+   Shared helpers
+   ========================================================= */
+
+function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function safeEmail(v) {
+  const s = safeStr(v).toLowerCase();
+  if (!s || !s.includes("@") || s.includes(" ")) return "";
+  return s;
+}
+
+function uniqueEmails(list) {
+  const out = [];
+  const seen = new Set();
+  for (const v of list || []) {
+    const e = safeEmail(v);
+    if (!e) continue;
+    if (seen.has(e)) continue;
+    seen.add(e);
+    out.push(e);
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function extractEmail(fromField) {
+  const s = safeStr(fromField);
+  if (!s) return "";
+  const m = /<([^>]+)>/.exec(s);
+  if (m) return safeStr(m[1]);
+  if (s.includes("@")) return s;
+  return "";
+}
+
+function formatFrom(companyName, postmarkFrom) {
+  const email = extractEmail(postmarkFrom);
+  if (!email) return postmarkFrom;
+
+  const name = safeStr(companyName).replaceAll('"', "'");
+  if (!name) return email;
+
+  // Quote the name so punctuation is safe
+  return `"${name}" <${email}>`;
+}
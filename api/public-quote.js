@@ -206,6 +206,29 @@ export default async function handler(req, res) {
     }
 
     
+    // Builder-only item fields (qty formulas, cost, supplier, assembly parts, price breaks): the customer just sees the resolved qty + price.
+    try {
+      if (Array.isArray(quote?.data?.items)) {
+        quote.data.items = quote.data.items.map((it) => {
+          if (!it || typeof it !== "object") return it;
+          const { qty_formula, cost_cents, supplier, components, price_tiers, base_price_cents, ...rest } = it;
+          return rest;
+        });
+      }
+    } catch {
+      // ignore
+    }
+
+    // Which negotiated price list priced the quote (and who extended its expiry, the reminder + view logs) is internal too.
+    try {
+      if (quote?.data?.meta && typeof quote.data.meta === "object") {
+        const { price_list_id, price_list_name, expiry_extensions, reminders, views, ...meta } = quote.data.meta;
+        quote.data.meta = meta;
+      }
+    } catch {
+      // ignore
+    }
+
     // Do not leak internal signature audit trail to the public customer endpoint.
     try {
       if (quote?.data?.acceptance && typeof quote.data.acceptance === "object") {
@@ -0,0 +1,319 @@
+import { createClient } from "@supabase/supabase-js";
+import crypto from "crypto";
+import { writeQuoteWithRevision } from "./_lib/quoteWrite.js";
+
+/**
+ * POST /api/quote-comment
+ * Body: { quote_id: string, body: string, item_id?: string }
+ *
+ * One endpoint for both sides of the quote's question thread:
+ * - Customer page: no auth, posts as the customer and emails the rep
+ * - Builder: Authorization: Bearer <access_token> (a member of the quote's company),
+ *   posts as the company and emails the customer
+ *
+ * The thread lives in data.meta.comments = [{ id, at, author, name, body, item_id, item_label }]
+ * (see js/quoteComments.js). It is not part of the signed document_snapshot. Posts are guarded by the
+ * quote's edit revision but don't bump it, so a builder open on the quote keeps saving.
+ */
+
+const MAX_BODY_LENGTH = 2000;
+const MAX_COMMENTS = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const quote_id = safeStr(body.quote_id);
+    const text = safeStr(body.body).slice(0, MAX_BODY_LENGTH);
+    const item_id = safeStr(body.item_id);
+
+    if (!quote_id) {
+      res.status(400).json({ error: "Missing quote_id" });
+      return;
+    }
+    if (!text) {
+      res.status(400).json({ error: "Please write a message." });
+      return;
+    }
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" });
+      return;
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data: quote, error } = await supabase
+      .from("quotes")
+      .select("id,status,customer_name,customer_email,quote_no,company_id,created_by,data")
+      .eq("id", quote_id)
+      .single();
+
+    if (error || !quote) {
+      res.status(404).json({ error: "Quote not found" });
+      return;
+    }
+
+    const data = quote.data || {};
+    const meta = data.meta && typeof data.meta === "object" ? data.meta : {};
+    const snapCompany = (data.company && typeof data.company === "object") ? data.company : {};
+    const companyId = safeStr(quote.company_id) || safeStr(snapCompany.company_id);
+
+    // ===== Who is posting =====
+    const authHeader = safeStr(req.headers.authorization);
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+    let caller = null;
+
+    if (token) {
+      const { data: userData, error: userErr } = await supabase.auth.getUser(token);
+      if (userErr || !userData?.user) {
+        res.status(401).json({ error: "Invalid session." });
+        return;
+      }
+
+      const { data: membership } = await supabase
+        .from("company_members")
+        .select("company_id")
+        .eq("user_id", userData.user.id)
+        .eq("company_id", companyId)
+        .maybeSingle();
+
+      if (!companyId || !membership) {
+        res.status(403).json({ error: "You can't reply on this quote." });
+        return;
+      }
+      caller = userData.user;
+    } else if (safeStr(quote.status).toLowerCase() === "cancelled") {
+      res.status(400).json({ error: "This quote has been cancelled." });
+      return;
+    }
+
+    const author = caller ? "company" : "customer";
+    const existing = Array.isArray(meta.comments) ? meta.comments : [];
+    if (existing.length >= MAX_COMMENTS) {
+      res.status(400).json({ error: "This conversation is full. Please reach out by phone or email." });
+      return;
+    }
+
+    // Only lines that are actually on the quote can be referenced
+    const item = item_id ? (Array.isArray(data.items) ? data.items : []).find((it) => safeStr(it?.id) === item_id) : null;
+
+    let companyRow = null;
+    if (companyId) {
+      const cRes = await supabase.from("companies").select("*").eq("id", companyId).maybeSingle();
+      if (!cRes.error) companyRow = cRes.data;
+    }
+    const companyName = safeStr(companyRow?.name) || safeStr(snapCompany?.name) || "Your Company";
+    const customerName = safeStr(data?.bill_to?.client_name) || safeStr(quote.customer_name) || "Customer";
+
+    const comment = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      author,
+      name: author === "company" ? companyName : customerName,
+      body: text,
+      item_id: item ? item_id : null,
+      item_label: item ? safeStr(item.name) || "Line item" : null,
+    };
+
+    // Append to the latest thread so two messages posted close together both stick
+    let comments = [];
+    const written = await writeQuoteWithRevision(supabase, quote_id, (row) => {
+      const latestData = (row.data && typeof row.data === "object") ? row.data : {};
+      const latestMeta = latestData.meta && typeof latestData.meta === "object" ? latestData.meta : {};
+      comments = [...(Array.isArray(latestMeta.comments) ? latestMeta.comments : []), comment];
+      return { data: { ...latestData, meta: { ...latestMeta, comments } } };
+    });
+    if (!written) {
+      res.status(409).json({ error: "The quote was busy. Please try again." });
+      return;
+    }
+
+    // ===== Email the other side (best-effort) =====
+    let emailed = false;
+    try {
+      emailed = await notifyComment(req, supabase, { quote, data, meta, comment, companyRow, companyName, customerName, caller });
+    } catch {
+      // ignore
+    }
+
+    res.status(200).json({ ok: true, comment, comments, emailed });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
+
+async function notifyComment(req, supabase, { quote, data, meta, comment, companyRow, companyName, customerName, caller }) {
+  const POSTMARK_SERVER_TOKEN = process.env.POSTMARK_SERVER_TOKEN;
+  const POSTMARK_FROM_EMAIL = process.env.POSTMARK_FROM_EMAIL;
+  const POSTMARK_MESSAGE_STREAM = process.env.POSTMARK_MESSAGE_STREAM || "outbound";
+  const ADMIN_NOTIFY_EMAIL = safeEmail(process.env.ADMIN_NOTIFY_EMAIL || "");
+
+  const proto = (req.headers["x-forwarded-proto"] || "https").toString();
+  const host = (req.headers["x-forwarded-host"] || req.headers.host || "").toString();
+  const origin = (process.env.PUBLIC_BASE_URL || (host ? `${proto}://${host}` : "")).replace(/\/$/, "");
+  if (!POSTMARK_SERVER_TOKEN || !POSTMARK_FROM_EMAIL || !origin) return false;
+
+  const snapCompany = (data.company && typeof data.company === "object") ? data.company : {};
+  const companyEmail =
+    safeEmail(companyRow?.billing_email) ||
+    safeEmail(companyRow?.owner_email) ||
+    safeEmail(snapCompany?.email) ||
+    "";
+  const customerEmail = safeEmail(data?.bill_to?.client_email) || safeEmail(quote.customer_email);
+
+  let createdByEmail = "";
+  try {
+    const createdBy = safeStr(quote.created_by);
+    if (createdBy && supabase.auth?.admin?.getUserById) {
+      const uRes = await supabase.auth.admin.getUserById(createdBy);
+      createdByEmail = safeEmail(uRes?.data?.user?.email) || "";
+    }
+  } catch {
+    // ignore
+  }
+
+  const quoteCode =
+    safeStr(data?.quote_code) ||
+    `Q-${String(meta?.quote_date || "").slice(0, 4) || "0000"}-${String(quote.quote_no || "").padStart(4, "0")}`;
+  const about = comment.item_label ? `About “${comment.item_label}”` : "";
+
+  let to = "";
+  let replyTo = "";
+  let subject = "";
+  let heading = "";
+  let intro = "";
+  let url = "";
+  let cta = "";
+
+  if (comment.author === "customer") {
+    // Customer asked → the rep who made the quote (plus the company inbox)
+    const notifyList = uniqueEmails([createdByEmail, companyEmail]);
+    if (!notifyList.length && ADMIN_NOTIFY_EMAIL) notifyList.push(ADMIN_NOTIFY_EMAIL);
+    to = notifyList.join(", ");
+    replyTo = customerEmail;
+    subject = `QUESTION — ${quoteCode} — ${customerName}`;
+    heading = "New question";
+    intro = `${customerName} asked a question on quote ${quoteCode}.`;
+    url = `${origin}/admin/quote.html?id=${encodeURIComponent(quote.id)}`;
+    cta = "Reply on the quote";
+  } else {
+    // Company replied → the customer, back to their quote page
+    to = customerEmail;
+    replyTo = safeEmail(caller?.email) || createdByEmail || companyEmail;
+    subject = `${companyName} replied to your question — Quote ${quoteCode}`;
+    heading = "New reply";
+    intro = `${companyName} replied to your question on quote ${quoteCode}.`;
+    url = `${origin}/customer/quote.html?id=${encodeURIComponent(quote.id)}`;
+    cta = "View the quote";
+  }
+  if (!to) return false;
+
+  const textBody =
+`${heading.toUpperCase()}: ${quoteCode}
+
+${intro}
+${about ? `${about}\n` : ""}
+${comment.body}
+
+${cta}:
+${url}`;
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;color:#0f172a;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:14px;padding:24px;">
+      <div style="font-size:12px;font-weight:800;letter-spacing:.12em;text-transform:uppercase;color:#2563eb;">${escapeHtml(heading)}</div>
+      <h1 style="margin:8px 0 12px;font-size:20px;">${escapeHtml(quoteCode)} — ${escapeHtml(customerName)}</h1>
+      <p style="margin:0 0 12px;line-height:1.5;">${escapeHtml(intro)}</p>
+      ${about ? `<p style="margin:0 0 8px;line-height:1.5;color:#475569;font-weight:700;">${escapeHtml(about)}</p>` : ""}
+      <p style="margin:0 0 18px;line-height:1.5;padding:12px;border-radius:10px;background:#f8fafc;white-space:pre-wrap;">${escapeHtml(comment.body)}</p>
+      <a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 18px;border-radius:10px;background:#0f172a;color:#ffffff;text-decoration:none;font-weight:800;">${escapeHtml(cta)}</a>
+    </div>
+  </body>
+</html>`;
+
+  const r = await fetch("https://api.postmarkapp.com/email", {
+    method: "POST",
+    headers: {
+      "X-Postmark-Server-Token": POSTMARK_SERVER_TOKEN,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({
+      From: formatFrom(companyName, POSTMARK_FROM_EMAIL),
+      To: to,
+      ReplyTo: replyTo || undefined,
+      Subject: subject,
+      HtmlBody: html,
+      TextBody: textBody,
+      MessageStream: POSTMARK_MESSAGE_STREAM,
+    }),
+  });
+
+  return r.ok;
+}
+
+/* =========================================================
+   Shared helpers
+   ========================================================= */
+
+function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function safeEmail(v) {
+  const s = safeStr(v).toLowerCase();
+  if (!s || !s.includes("@") || s.includes(" ")) return "";
+  return s;
+}
+
+function uniqueEmails(list) {
+  const out = [];
+  const seen = new Set();
+  for (const v of list || []) {
+    const e = safeEmail(v);
+    if (!e) continue;
+    if (seen.has(e)) continue;
+    seen.add(e);
+    out.push(e);
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function extractEmail(fromField) {
+  const s = safeStr(fromField);
+  if (!s) return "";
+  const m = /<([^>]+)>/.exec(s);
+  if (m) return safeStr(m[1]);
+  if (s.includes("@")) return s;
+  return "";
+}
+
+function formatFrom(companyName, postmarkFrom) {
+  const email = extractEmail(postmarkFrom);
+  if (!email) return postmarkFrom;
+
+  const name = safeStr(companyName).replaceAll('"', "'");
+  if (!name) return email;
+
+  // Quote the name so punctuation is safe
+  return `"${name}" <${email}>`;
+}
@@ -0,0 +1,80 @@
+import { createClient } from "@supabase/supabase-js";
+import { buildQuotePdf, quoteCodeFor, safeStr } from "./_lib/quotePdf.js";
+
+/**
+ * GET /api/quote-pdf?id=<quote_id>
+ *
+ * Renders the quote as a real (vector) Letter PDF straight from quote.data:
+ * selectable text, same page breaks on every device, same file for admin + customer.
+ *
+ * Query params:
+ * - package=<package_id>   -> package the customer has selected on screen (before signing)
+ * - options=<id,id,...>    -> optional add-ons the customer has ticked (before signing)
+ * - download=1             -> Content-Disposition: attachment
+ *
+ * Once the quote is accepted the saved package/options win and the signature block
+ * carries the customer's signature, printed name and date.
+ *
+ * Internal-only data (line cost, supplier, assembly parts, qty formulas, acceptance audit) is never read here.
+ *
+ * No session needed, on purpose: like /api/public-quote, the quote id in the customer's link is the
+ * access key (the customer page downloads from here without logging in), and the PDF holds nothing
+ * beyond what that page already shows.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  try {
+    const id = (req.query?.id || "").toString();
+    if (!id) {
+      res.status(400).json({ error: "Missing id" });
+      return;
+    }
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" });
+      return;
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data: quote, error } = await supabase
+      .from("quotes")
+      .select("id,company_id,status,customer_name,customer_email,quote_no,total_cents,data")
+      .eq("id", id)
+      .single();
+
+    if (error || !quote) {
+      res.status(404).json({ error: "Quote not found" });
+      return;
+    }
+
+    const selectedIds = new Set(
+      (req.query?.options || "")
+        .toString()
+        .split(",")
+        .map(safeStr)
+        .filter(Boolean)
+    );
+    const packageId = safeStr(req.query?.package);
+
+    const pdf = await buildQuotePdf(supabase, quote, { selectedIds, packageId });
+
+    const download = String(req.query?.download || "") === "1";
+    const filename = `${quoteCodeFor(quote).replace(/[^\w\-]+/g, "_") || "quote"}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${download ? "attachment" : "inline"}; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).send(pdf);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
@@ -0,0 +1,396 @@
+import { createClient } from "@supabase/supabase-js";
+import {
+  safeStr,
+  safeEmail,
+  normalizeHexColor,
+  darkenHex,
+  formatFrom,
+  buildInlineLogoAttachment,
+  buildTotalsSummaryHtml,
+  buildTotalsSummaryText,
+  buildQuoteReadyHtml,
+} from "./_lib/quoteEmail.js";
+import { quoteEmailTotals } from "./_lib/quoteTotals.js";
+import { writeQuoteWithRevision } from "./_lib/quoteWrite.js";
+import { normalizeReminderSettings } from "../js/quoteReminders.js";
+
+/**
+ * GET|POST /api/send-reminders
+ * Header: Authorization: Bearer <CRON_SECRET>
+ *
+ * Follow-up reminders for sent quotes the customer hasn't signed. Run it from a scheduler
+ * (eg. a Vercel cron entry for /api/send-reminders once a day; Vercel sends the CRON_SECRET header).
+ *
+ * - Per company: companies.reminder_settings = { enabled, after_sent_days: [3, 7], before_expiry_days: [2] }
+ * - A reminder is due N days after data.meta.sent_at, or N days before data.meta.quote_expires
+ * - At most one email per quote per day; steps missed while the job didn't run share one email
+ * - Stops once the quote is accepted, cancelled or expired
+ * - Every reminder is logged on the quote before it's emailed: data.meta.reminders = [{ key, sent_at, to }]
+ *   (no email when the log can't be written; the entry comes off again if the email fails)
+ */
+
+const SENT_STATUSES = ["Sent", "sent", "Viewed", "viewed"];
+// Keep one run well inside the serverless time limit; anything left goes out on the next run
+const MAX_EMAILS_PER_RUN = 100;
+// Supabase caps a response at 1,000 rows, so open quotes are read a page at a time
+const PAGE_SIZE = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const CRON_SECRET = process.env.CRON_SECRET;
+  if (!CRON_SECRET) {
+    res.status(500).json({ error: "Missing CRON_SECRET" });
+    return;
+  }
+  if (String(req.headers.authorization || "") !== `Bearer ${CRON_SECRET}`) {
+    res.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+
+  try {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" });
+      return;
+    }
+
+    const POSTMARK_SERVER_TOKEN = process.env.POSTMARK_SERVER_TOKEN;
+    const POSTMARK_FROM_EMAIL = process.env.POSTMARK_FROM_EMAIL;
+    const POSTMARK_MESSAGE_STREAM = process.env.POSTMARK_MESSAGE_STREAM || "outbound";
+    if (!POSTMARK_SERVER_TOKEN || !POSTMARK_FROM_EMAIL) {
+      res.status(500).json({ error: "Missing POSTMARK_SERVER_TOKEN or POSTMARK_FROM_EMAIL" });
+      return;
+    }
+
+    const proto = (req.headers["x-forwarded-proto"] || "https").toString();
+    const host = (req.headers["x-forwarded-host"] || req.headers.host || "").toString();
+    const origin = (process.env.PUBLIC_BASE_URL || (host ? `${proto}://${host}` : "")).replace(/\/$/, "");
+    if (!origin) {
+      res.status(500).json({ error: "Unable to determine PUBLIC_BASE_URL" });
+      return;
+    }
+
+    const timeZone = process.env.DEFAULT_TIMEZONE || "America/Toronto";
+    const todayYmd = formatYmdInTimeZone(new Date(), timeZone);
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    });
+
+    // Companies with reminders turned on (only their quotes are read)
+    const companies = new Map();
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: rows, error: cErr } = await supabase
+        .from("companies")
+        .select("*")
+        .eq("reminder_settings->>enabled", "true")
+        .order("id")
+        .range(from, from + PAGE_SIZE - 1);
+      if (cErr) throw cErr;
+
+      for (const c of rows || []) {
+        const settings = normalizeReminderSettings(c.reminder_settings);
+        if (settings.enabled) companies.set(safeStr(c.id), { row: c, settings });
+      }
+      if ((rows || []).length < PAGE_SIZE) break;
+    }
+
+    const companyIds = [...companies.keys()];
+    const creatorEmails = new Map();
+    const results = [];
+    let checked = 0;
+    let sent = 0;
+
+    for (let from = 0; companyIds.length && sent < MAX_EMAILS_PER_RUN; from += PAGE_SIZE) {
+      const { data: page, error } = await supabase
+        .from("quotes")
+        .select("id,status,customer_name,customer_email,quote_no,company_id,created_by,data")
+        .in("company_id", companyIds)
+        .in("status", SENT_STATUSES)
+        .order("id")
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      const quotes = page || [];
+      checked += quotes.length;
+
+      for (const quote of quotes) {
+        if (sent >= MAX_EMAILS_PER_RUN) break;
+
+        const company = companies.get(safeStr(quote.company_id));
+        if (!company) continue;
+
+        const data = (quote.data && typeof quote.data === "object") ? quote.data : {};
+        const toEmail = safeEmail(quote.customer_email);
+        if (!toEmail || data.acceptance?.accepted_at) continue;
+
+        const meta = (data.meta && typeof data.meta === "object") ? data.meta : {};
+        const step = dueReminder(meta, company.settings, todayYmd, timeZone);
+        if (!step) continue;
+
+        // Replies go to whoever created the quote (looked up once per user)
+        const createdBy = safeStr(quote.created_by);
+        if (createdBy && !creatorEmails.has(createdBy)) {
+          let email = "";
+          try {
+            if (supabase.auth?.admin?.getUserById) {
+              const uRes = await supabase.auth.admin.getUserById(createdBy);
+              email = safeEmail(uRes?.data?.user?.email) || "";
+            }
+          } catch {
+            // ignore
+          }
+          creatorEmails.set(createdBy, email);
+        }
+
+        // Log first so a reminder never goes out twice because its log was lost
+        const entry = { key: step.key, sent_at: new Date().toISOString(), to: toEmail };
+        if (!(await logReminder(supabase, quote.id, entry))) {
+          results.push({ quote_id: quote.id, key: step.key, ok: false, error: "Couldn't log the reminder on the quote" });
+          continue;
+        }
+
+        const emailRes = await sendReminderEmail({
+          quote,
+          data,
+          meta,
+          step,
+          toEmail,
+          companyRow: company.row,
+          replyTo: creatorEmails.get(createdBy) || "",
+          origin,
+          postmark: { token: POSTMARK_SERVER_TOKEN, from: POSTMARK_FROM_EMAIL, stream: POSTMARK_MESSAGE_STREAM },
+        });
+
+        if (!emailRes.ok) {
+          await unlogReminder(supabase, quote.id, entry);
+          results.push({ quote_id: quote.id, key: step.key, ok: false, error: emailRes.error || "Send failed" });
+          continue;
+        }
+
+        sent++;
+        results.push({ quote_id: quote.id, key: step.key, ok: true });
+      }
+
+      if (quotes.length < PAGE_SIZE) break;
+    }
+
+    res.status(200).json({ ok: true, date: todayYmd, checked, sent, results });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
+
+/**
+ * The reminder to send today, or null.
+ * A step counts as handled once any reminder went out on/after its due date,
+ * so a missed run (or two steps landing together) still sends just one email.
+ */
+export function dueReminder(meta, settings, todayYmd, timeZone) {
+  const expires = safeStr(meta.quote_expires);
+  if (isYmd(expires) && expires < todayYmd) return null;
+
+  const sentAt = safeStr(meta.sent_at);
+  const sentYmd = sentAt && !Number.isNaN(Date.parse(sentAt)) ? formatYmdInTimeZone(new Date(sentAt), timeZone) : "";
+  if (sentYmd === todayYmd) return null;
+
+  const log = Array.isArray(meta.reminders) ? meta.reminders : [];
+  const loggedDays = log
+    .map((r) => safeStr(r?.sent_at))
+    .filter((v) => v && !Number.isNaN(Date.parse(v)))
+    .map((v) => formatYmdInTimeZone(new Date(v), timeZone));
+  if (loggedDays.includes(todayYmd)) return null;
+
+  const steps = [];
+  if (sentYmd) {
+    for (const d of settings.after_sent_days) {
+      steps.push({ key: `after_sent_${d}`, kind: "after_sent", days: d, due: addDaysYmd(sentYmd, d) });
+    }
+  }
+  if (isYmd(expires)) {
+    for (const d of settings.before_expiry_days) {
+      steps.push({ key: `before_expiry_${d}`, kind: "before_expiry", days: d, due: addDaysYmd(expires, -d) });
+    }
+  }
+
+  const pending = steps.filter(
+    (s) => s.due <= todayYmd && (!sentYmd || s.due > sentYmd) && !loggedDays.some((day) => day >= s.due)
+  );
+  if (!pending.length) return null;
+
+  // Latest step wins; on the same day the expiry wording is the more useful one
+  pending.sort((a, b) => a.due.localeCompare(b.due) || (a.kind === "before_expiry" ? 1 : -1));
+  return pending[pending.length - 1];
+}
+
+async function sendReminderEmail({ quote, data, meta, step, toEmail, companyRow, replyTo, origin, postmark }) {
+  const snapCompany = (data.company && typeof data.company === "object") ? data.company : {};
+
+  const quoteCode =
+    safeStr(data.quote_code) ||
+    `Q-${String(meta.quote_date || "").slice(0, 4) || "0000"}-${String(quote.quote_no || "").padStart(4, "0")}`;
+  const customerName = safeStr(quote.customer_name) || "there";
+  const viewUrl = `${origin}/customer/quote.html?id=${encodeURIComponent(quote.id)}`;
+
+  const companyName = safeStr(companyRow?.name) || safeStr(snapCompany?.name) || "Your Company";
+  const brand = normalizeHexColor(companyRow?.brand_color) || normalizeHexColor(snapCompany?.brand_color) || "#000000";
+  const brandDark = darkenHex(brand, 0.22);
+  const phone = safeStr(companyRow?.phone) || safeStr(snapCompany?.phone) || "";
+  const companyEmail =
+    safeEmail(companyRow?.billing_email) ||
+    safeEmail(companyRow?.owner_email) ||
+    safeEmail(snapCompany?.email) ||
+    "";
+  const web = safeStr(companyRow?.website) || safeStr(snapCompany?.web) || "";
+
+  const expires = safeStr(meta.quote_expires);
+  const preparedBy = safeStr(meta.prepared_by);
+
+  const currency = safeStr(snapCompany?.currency) || "CAD";
+  const taxName = safeStr(data.tax_name) || "Tax";
+  const totals = quoteEmailTotals(data);
+
+  const logoUrl = safeStr(companyRow?.logo_url) || safeStr(snapCompany?.logo_url) || "";
+  const { logoSrc, attachments } = buildInlineLogoAttachment(logoUrl);
+
+  const expiring = step.kind === "before_expiry";
+  const heading = expiring ? "Your quote expires soon" : "Still thinking it over?";
+  const intro = expiring
+    ? `Hi ${customerName}. Just a reminder that your quote expires on ${formatYmdPretty(expires)}. Review it and accept & sign online before then.`
+    : `Hi ${customerName}. Just following up on your quote. You can review it on any device and accept & sign right on the page — or reply with any questions.`;
+
+  const htmlBody = buildQuoteReadyHtml({
+    brand,
+    brandDark,
+    logoSrc,
+    viewUrl,
+    customerName,
+    quoteCode,
+    expires,
+    preparedBy,
+    totalsHtml: buildTotalsSummaryHtml({ totals, currency, taxName }),
+    companyName,
+    phone,
+    email: companyEmail,
+    web,
+    heading,
+    intro,
+    preheader: expiring ? `Quote ${quoteCode} expires ${formatYmdPretty(expires)}.` : `A quick follow-up on quote ${quoteCode}.`,
+  });
+
+  const totalsText = buildTotalsSummaryText({ totals, currency, taxName });
+  const textBody =
+`${intro}
+
+View and accept/sign online:
+${viewUrl}
+
+${totalsText ? `${totalsText}\n\n` : ""}${expires ? `Expires: ${expires}\n` : ""}${preparedBy ? `Prepared by: ${preparedBy}\n` : ""}
+Thank you,
+${companyName}`;
+
+  try {
+    const r = await fetch("https://api.postmarkapp.com/email", {
+      method: "POST",
+      headers: {
+        "X-Postmark-Server-Token": postmark.token,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({
+        From: formatFrom(companyName, postmark.from),
+        To: toEmail,
+        Subject: `${companyName} — ${expiring ? "Quote expires soon" : "Reminder"} — ${quoteCode}`,
+        HtmlBody: htmlBody,
+        TextBody: textBody,
+        MessageStream: postmark.stream,
+        ReplyTo: replyTo || companyEmail || undefined,
+        ...(attachments.length ? { Attachments: attachments } : {}),
+      }),
+    });
+
+    if (!r.ok) return { ok: false, error: await r.text() };
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e?.message || "Send failed" };
+  }
+}
+
+// Append to data.meta.reminders on the latest copy of the quote (the builder carries the log over on save).
+// Resolves to false when the log couldn't be written.
+async function logReminder(supabase, quoteId, entry) {
+  return changeReminders(supabase, quoteId, (reminders) => [...reminders, entry]);
+}
+
+// Take a logged reminder back off when its email didn't go out (best-effort)
+async function unlogReminder(supabase, quoteId, entry) {
+  return changeReminders(supabase, quoteId, (reminders) =>
+    reminders.filter((r) => !(r?.key === entry.key && r?.sent_at === entry.sent_at))
+  );
+}
+
+async function changeReminders(supabase, quoteId, change) {
+  try {
+    const written = await writeQuoteWithRevision(supabase, quoteId, (row) => {
+      const data = (row.data && typeof row.data === "object") ? row.data : {};
+      const meta = (data.meta && typeof data.meta === "object") ? data.meta : {};
+      const reminders = change(Array.isArray(meta.reminders) ? meta.reminders : []);
+      return { data: { ...data, meta: { ...meta, reminders } } };
+    });
+    return Boolean(written);
+  } catch {
+    return false;
+  }
+}
+
+/* =========================================================
+   Helpers
+   ========================================================= */
+
+function isYmd(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+}
+
+function addDaysYmd(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + (Number(days) || 0));
+  return d.toISOString().slice(0, 10);
+}
+
+function formatYmdInTimeZone(dateObj, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).formatToParts(dateObj);
+
+    const map = {};
+    for (const p of parts) map[p.type] = p.value;
+    const y = map.year || "0000";
+    const m = map.month || "01";
+    const d = map.day || "01";
+    return `${y}-${m}-${d}`;
+  } catch {
+    return new Date(dateObj).toISOString().slice(0, 10);
+  }
+}
+
+function formatYmdPretty(ymd) {
+  if (!ymd) return "—";
+  try {
+    return new Date(`${ymd}T00:00:00`).toLocaleDateString("en-CA", {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+    });
+  } catch {
+    return ymd;
+  }
+}
@@ -0,0 +1,267 @@
+import { createClient } from "@supabase/supabase-js";
+import { writeQuoteWithRevision } from "./_lib/quoteWrite.js";
+
+/**
+ * POST /api/track-quote-view
+ * Body: { quote_id: string }
+ *
+ * Called by the customer quote page once per open (not when someone from the company
+ * is signed in on the same browser).
+ * - Logs the view in data.meta.views = { first_viewed_at, last_viewed_at, count, last_device, history }
+ *   (a reload on the same device within 30 minutes is the same view). The write is guarded by the
+ *   edit revision but doesn't bump it, so an open builder keeps saving (it carries views over).
+ * - Moves a "Sent" quote to "Viewed" on first open
+ * - Emails the rep on first open when the company turned on companies.notify_quote_viewed
+ */
+
+const REPEAT_WINDOW_MS = 30 * 60 * 1000;
+const MAX_HISTORY = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const quote_id = safeStr(body.quote_id);
+    if (!quote_id) {
+      res.status(400).json({ error: "Missing quote_id" });
+      return;
+    }
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      res.status(500).json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" });
+      return;
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data: quote, error } = await supabase
+      .from("quotes")
+      .select("id,status,customer_name,customer_email,quote_no,company_id,created_by,data")
+      .eq("id", quote_id)
+      .single();
+
+    if (error || !quote) {
+      res.status(404).json({ error: "Quote not found" });
+      return;
+    }
+
+    const now = new Date();
+    const at = now.toISOString();
+    const device = deviceFromUserAgent(req.headers["user-agent"]);
+
+    let data = (quote.data && typeof quote.data === "object") ? quote.data : {};
+    let views = null;
+    let firstView = false;
+    let markViewed = false;
+
+    const written = await writeQuoteWithRevision(supabase, quote_id, (row) => {
+      data = (row.data && typeof row.data === "object") ? row.data : {};
+      const meta = (data.meta && typeof data.meta === "object") ? data.meta : {};
+      const prev = (meta.views && typeof meta.views === "object") ? meta.views : {};
+      const history = Array.isArray(prev.history) ? prev.history : [];
+      firstView = !safeStr(prev.first_viewed_at);
+
+      const last = history[history.length - 1];
+      const repeat =
+        !firstView &&
+        last?.device === device &&
+        now.getTime() - Date.parse(safeStr(prev.last_viewed_at) || safeStr(last?.at)) < REPEAT_WINDOW_MS;
+
+      views = {
+        first_viewed_at: firstView ? at : safeStr(prev.first_viewed_at),
+        last_viewed_at: at,
+        count: (Math.round(Number(prev.count)) || 0) + (repeat ? 0 : 1),
+        last_device: device,
+        history: repeat ? history : [...history, { at, device }].slice(-MAX_HISTORY),
+      };
+
+      const update = { data: { ...data, meta: { ...meta, views } } };
+      markViewed = safeStr(row.status).toLowerCase() === "sent";
+      if (markViewed) update.status = "Viewed";
+      return update;
+    });
+
+    // ===== First-open email to the rep (best-effort, opt-in per company) =====
+    let emailed = false;
+    if (written && firstView) {
+      try {
+        emailed = await notifyFirstView(req, supabase, quote, data, device, at);
+      } catch {
+        // ignore
+      }
+    }
+
+    res.status(200).json({
+      ok: true,
+      status: written && markViewed ? "Viewed" : quote.status,
+      count: views?.count ?? 0,
+      first_view: firstView,
+      emailed,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
+
+async function notifyFirstView(req, supabase, quote, data, device, at) {
+  const POSTMARK_SERVER_TOKEN = process.env.POSTMARK_SERVER_TOKEN;
+  const POSTMARK_FROM_EMAIL = process.env.POSTMARK_FROM_EMAIL;
+  const POSTMARK_MESSAGE_STREAM = process.env.POSTMARK_MESSAGE_STREAM || "outbound";
+  const ADMIN_NOTIFY_EMAIL = safeEmail(process.env.ADMIN_NOTIFY_EMAIL || "");
+
+  const proto = (req.headers["x-forwarded-proto"] || "https").toString();
+  const host = (req.headers["x-forwarded-host"] || req.headers.host || "").toString();
+  const origin = (process.env.PUBLIC_BASE_URL || (host ? `${proto}://${host}` : "")).replace(/\/$/, "");
+  if (!POSTMARK_SERVER_TOKEN || !POSTMARK_FROM_EMAIL || !origin) return false;
+
+  const snapCompany = (data.company && typeof data.company === "object") ? data.company : {};
+  const companyId = safeStr(quote.company_id) || safeStr(snapCompany.company_id);
+  if (!companyId) return false;
+
+  const cRes = await supabase.from("companies").select("*").eq("id", companyId).maybeSingle();
+  const companyRow = cRes.error ? null : cRes.data;
+  if (companyRow?.notify_quote_viewed !== true) return false;
+
+  const companyName = safeStr(companyRow?.name) || safeStr(snapCompany?.name) || "Your Company";
+  const companyEmail =
+    safeEmail(companyRow?.billing_email) ||
+    safeEmail(companyRow?.owner_email) ||
+    safeEmail(snapCompany?.email) ||
+    "";
+
+  let createdByEmail = "";
+  try {
+    const createdBy = safeStr(quote.created_by);
+    if (createdBy && supabase.auth?.admin?.getUserById) {
+      const uRes = await supabase.auth.admin.getUserById(createdBy);
+      createdByEmail = safeEmail(uRes?.data?.user?.email) || "";
+    }
+  } catch {
+    // ignore
+  }
+
+  // The rep who made the quote, else the company inbox
+  const to = createdByEmail || companyEmail || ADMIN_NOTIFY_EMAIL;
+  if (!to) return false;
+
+  const meta = data.meta || {};
+  const quoteCode =
+    safeStr(data.quote_code) ||
+    `Q-${String(meta.quote_date || "").slice(0, 4) || "0000"}-${String(quote.quote_no || "").padStart(4, "0")}`;
+  const customerName = safeStr(data?.bill_to?.client_name) || safeStr(quote.customer_name) || "Your customer";
+  const adminUrl = `${origin}/admin/quote.html?id=${encodeURIComponent(quote.id)}`;
+  const when = formatDateTimeInTimeZone(at, process.env.DEFAULT_TIMEZONE || "America/Toronto");
+
+  const text =
+`VIEWED: ${quoteCode}
+
+${customerName} just opened the quote for the first time (${when}, ${device}).
+
+Open the quote:
+${adminUrl}`;
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;color:#0f172a;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:14px;padding:24px;">
+      <div style="font-size:12px;font-weight:800;letter-spacing:.12em;text-transform:uppercase;color:#2563eb;">Quote viewed</div>
+      <h1 style="margin:8px 0 12px;font-size:20px;">${escapeHtml(quoteCode)} — ${escapeHtml(customerName)}</h1>
+      <p style="margin:0 0 18px;line-height:1.5;">
+        ${escapeHtml(customerName)} just opened the quote for the first time (${escapeHtml(when)}, ${escapeHtml(device)}).
+      </p>
+      <a href="${escapeHtml(adminUrl)}" style="display:inline-block;padding:12px 18px;border-radius:10px;background:#0f172a;color:#ffffff;text-decoration:none;font-weight:800;">Open quote</a>
+    </div>
+  </body>
+</html>`;
+
+  const r = await fetch("https://api.postmarkapp.com/email", {
+    method: "POST",
+    headers: {
+      "X-Postmark-Server-Token": POSTMARK_SERVER_TOKEN,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({
+      From: formatFrom(companyName, POSTMARK_FROM_EMAIL),
+      To: to,
+      Subject: `VIEWED — ${quoteCode} — ${customerName}`,
+      HtmlBody: html,
+      TextBody: text,
+      MessageStream: POSTMARK_MESSAGE_STREAM,
+    }),
+  });
+
+  return r.ok;
+}
+
+/* =========================================================
+   Helpers
+   ========================================================= */
+
+function deviceFromUserAgent(ua) {
+  const s = String(ua || "");
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(s)) return "tablet";
+  if (/Mobi|iPhone|iPod|Android|Windows Phone/i.test(s)) return "mobile";
+  return "desktop";
+}
+
+function formatDateTimeInTimeZone(iso, timeZone) {
+  try {
+    return new Date(iso).toLocaleString("en-CA", {
+      timeZone,
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return iso;
+  }
+}
+
+function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function safeEmail(v) {
+  const s = safeStr(v).toLowerCase();
+  if (!s || !s.includes("@") || s.includes(" ")) return "";
+  return s;
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function extractEmail(fromField) {
+  const s = safeStr(fromField);
+  if (!s) return "";
+  const m = /<([^>]+)>/.exec(s);
+  if (m) return safeStr(m[1]);
+  if (s.includes("@")) return s;
+  return "";
+}
+
+function formatFrom(companyName, postmarkFrom) {
+  const email = extractEmail(postmarkFrom);
+  if (!email) return postmarkFrom;
+
+  const name = safeStr(companyName).replaceAll('"', "'");
+  if (!name) return email;
+
+  // Quote the name so punctuation is safe
+  return `"${name}" <${email}>`;
+}
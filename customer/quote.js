@@ -8,6 +8,20 @@ const loadingEl = $("#loading");
 const bannerEl = $("#banner");
 const quotePageEl = $("#quote-page");
 const acceptSectionEl = $("#accept-section");
+const expiredSectionEl = $("#expired-section");
+const expiredHelpEl = $("#expired-help");
+const requestUpdateBtn = $("#request-update-btn");
+const declinedSectionEl = $("#declined-section");
+const declinedHelpEl = $("#declined-help");
+
+// Questions thread
+const commentsSectionEl = $("#comments-section");
+const commentsHelpEl = $("#comments-help");
+const commentsListEl = $("#comments-list");
+const commentFormEl = $("#comment-form");
+const commentItemEl = $("#comment-item");
+const commentBodyEl = $("#comment-body");
+const commentSubmitBtn = $("#comment-submit");
 
 // Payment schedule
 const paymentScheduleCardEl = $("#payment-schedule-card");
@@ -17,6 +31,7 @@ const paymentScheduleTotalEl = $("#v-payment-schedule-total");
 const downloadBtn = $("#download-btn");
 const acceptJumpBtn = $("#accept-jump-btn");
 const signNowBtn = $("#sign-now-btn");
+const declineBtn = $("#decline-btn");
 
 const vQuoteCode = $("#v-quote-code");
 const vQuoteStatus = $("#v-quote-status");
@@ -36,6 +51,15 @@ const sigClearBtn = $("#sig-clear");
 const sigSubmitBtn = $("#sig-submit");
 const sigNameEl = $("#sig-name");
 
+// Decline modal
+const declineModal = $("#decline-modal");
+const declineCloseBtn = $("#decline-close");
+const declineBackBtn = $("#decline-back");
+const declineSubmitBtn = $("#decline-submit");
+const declineCompanyEl = $("#decline-company");
+const declineCommentEl = $("#decline-comment");
+const declineCommentLabelEl = $("#decline-comment-label");
+
 // Signature output
 const clientSigImg = $("#v-client-signature-img");
 
@@ -45,12 +69,20 @@ const itemsHeadRowEl = $("#items-head-row");
 const itemsBodyEl = $("#v-item-rows");
 const itemsCardsEl = $("#v-item-cards");
 
+// Packages (Good / Better / Best)
+const packagesCardEl = $("#packages-card");
+const packageCardsEl = $("#v-package-cards");
+
 /* =========================================================
    State
    ========================================================= */
 let _quoteRow = null;
 let _quoteData = null;
 let _currency = "CAD";
+// Optional add-ons ticked by the customer (before signing)
+let _selectedOptionIds = new Set();
+// Package (Good / Better / Best) the customer is looking at / will sign for
+let _selectedPackageId = "";
 
 /* =========================================================
    Helpers
@@ -77,6 +109,19 @@ function ymdTodayLocal() {
   return `${yyyy}-${mm}-${dd}`;
 }
 
+// Open quotes past their expiry can't be signed (the server refuses too); the customer asks for an update instead.
+// Cancelled by the company or declined by the customer: nothing left to sign
+function isClosedStatus(status) {
+  const s = safeStr(status).toLowerCase();
+  return s === "cancelled" || s === "declined";
+}
+
+function isQuoteExpired(data, status) {
+  if (data?.acceptance?.accepted_at || isClosedStatus(status)) return false;
+  const expires = safeStr(data?.meta?.quote_expires);
+  return /^\d{4}-\d{2}-\d{2}$/.test(expires) && expires < ymdTodayLocal();
+}
+
 function fmtDate(isoYmd) {
   if (!isoYmd) return "—";
   try {
@@ -174,6 +219,17 @@ function formatMoney(cents, currency) {
   }
 }
 
+// Unit prices can carry fractions of a cent (eg. $0.0375/sqft); show up to 4 decimals.
+function formatUnitPrice(cents, currency, { symbol = true } = {}) {
+  const amount = (Number(cents) || 0) / 100;
+  const digits = { minimumFractionDigits: 2, maximumFractionDigits: 4 };
+  try {
+    return new Intl.NumberFormat("en-CA", symbol ? { style: "currency", currency, ...digits } : digits).format(amount);
+  } catch {
+    return `${symbol ? "$" : ""}${amount.toFixed(Number.isInteger(Number(cents)) ? 2 : 4)}`;
+  }
+}
+
 async function getJSON(url) {
   const res = await fetch(url, { method: "GET" });
   let data = null;
@@ -320,24 +376,160 @@ function pickLogoUrl(company = {}, data = {}) {
 /* =========================================================
    Items rendering
    ========================================================= */
-function computeTotals(items, taxRate, feesCents) {
+/**
+ * Optional add-ons only count when selected. Once the quote is signed the
+ * selection saved with the acceptance wins over whatever is ticked on screen.
+ */
+function getSelectedOptionIds(data) {
+  const accepted = data?.acceptance?.accepted_at ? data.acceptance.selected_option_ids : null;
+  return Array.isArray(accepted) ? new Set(accepted) : _selectedOptionIds;
+}
+
+/**
+ * Packages: a line with a package_id only belongs to that package; lines
+ * without one are part of every package. Defaults to the first package.
+ */
+function getPackages(data) {
+  return Array.isArray(data?.packages) ? data.packages.filter((p) => safeStr(p?.id)) : [];
+}
+
+function getSelectedPackageId(data) {
+  const packages = getPackages(data);
+  if (!packages.length) return "";
+  const ids = packages.map((p) => p.id);
+
+  const accepted = data?.acceptance?.accepted_at ? safeStr(data.acceptance.selected_package_id) : "";
+  if (accepted && ids.includes(accepted)) return accepted;
+  if (ids.includes(_selectedPackageId)) return _selectedPackageId;
+  return ids[0];
+}
+
+function isInPackage(it, packageId) {
+  return !it?.package_id || it.package_id === packageId;
+}
+
+function isItemIncluded(it, selectedIds) {
+  if (it?.optional !== true) return true;
+  return !!(selectedIds && it.id && selectedIds.has(it.id));
+}
+
+/**
+ * Discounts ({ type: "percent" | "amount", value }) apply before tax: first per
+ * line, then across the quote. Mirrors the builder maths exactly.
+ */
+function discountCentsFor(baseCents, d) {
+  const base = Math.max(0, Number(baseCents) || 0);
+  const value = Number(d?.value);
+  if (!d || !Number.isFinite(value) || value <= 0 || base <= 0) return 0;
+  if (d.type === "percent") return Math.min(base, Math.round(base * (Math.min(100, value) / 100)));
+  if (d.type === "amount") return Math.min(base, Math.round(value));
+  return 0;
+}
+
+// A minimum charge lifts any line with a quantity up to it (before the line discount)
+function lineGrossCents(it) {
+  const qty = Number(it?.qty || 0);
+  const gross = Math.round(qty * Number(it?.unit_price_cents || 0));
+  const min = Math.max(0, Math.round(Number(it?.min_charge_cents) || 0));
+  return qty > 0 && min > gross ? min : gross;
+}
+
+function lineNetCents(it) {
+  const gross = lineGrossCents(it);
+  return gross - discountCentsFor(gross, it?.discount);
+}
+
+function discountNote(d, currency) {
+  const value = Number(d?.value);
+  if (!d || !Number.isFinite(value) || value <= 0) return "";
+  if (d.type === "percent") return `Incl. ${Math.min(100, value)}% off`;
+  if (d.type === "amount") return `Incl. ${formatMoney(value, currency)} off`;
+  return "";
+}
+
+// Under the line total: minimum charge and / or the line discount
+function lineNoteFor(it, currency) {
+  const minApplied = lineGrossCents(it) > Math.round(Number(it?.qty || 0) * Number(it?.unit_price_cents || 0));
+  return [minApplied ? "Minimum charge" : "", discountNote(it?.discount, currency)].filter(Boolean).join(" • ");
+}
+
+/**
+ * Taxes on the quote ([{ id, name, rate, apply_to_fees }]). Older quotes only
+ * carry tax_name / tax_rate, which become a single tax.
+ */
+function getQuoteTaxes(data) {
+  const list = Array.isArray(data?.taxes) ? data.taxes : [];
+  const out = list
+    .filter((t) => t && safeStr(t.id))
+    .map((t) => ({
+      id: safeStr(t.id),
+      name: safeStr(t.name) || "Tax",
+      rate: Math.max(0, Number(t.rate) || 0),
+      apply_to_fees: t.apply_to_fees === true,
+    }));
+  if (out.length) return applyTaxExemption(out, data);
+
+  return applyTaxExemption([{ id: "tax", name: safeStr(data?.tax_name) || "Tax", rate: Math.max(0, Number(data?.tax_rate ?? 0) || 0), apply_to_fees: false }], data);
+}
+
+// Tax-exempt customer (data.tax_exemption): its taxes, or all of them, are charged at 0%.
+function applyTaxExemption(taxes, data) {
+  const ex = data?.tax_exemption;
+  if (!ex || typeof ex !== "object" || ex.applied === false) return taxes;
+  const ids = Array.isArray(ex.tax_ids) ? ex.tax_ids.map(safeStr).filter(Boolean) : [];
+  return taxes.map((t) => (!ids.length || ids.includes(t.id) ? { ...t, rate: 0, exempt: true } : t));
+}
+
+// Printed reference for an applied exemption: "Tax exempt • No. 12345 • Expires Jan 01, 2027"
+function taxExemptionNote(data) {
+  const ex = data?.tax_exemption;
+  if (!ex || typeof ex !== "object" || ex.applied === false) return "";
+  return [
+    "Tax exempt",
+    safeStr(ex.number) ? `No. ${safeStr(ex.number)}` : "",
+    safeStr(ex.expires) ? `Expires ${fmtDate(ex.expires)}` : "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+// Taxable lines get every tax unless their tax class lists a subset.
+function itemTaxIds(it, taxes, taxClasses) {
+  if (it?.taxable === false) return [];
+  const cls = (Array.isArray(taxClasses) ? taxClasses : []).find((c) => c && c.id && c.id === it?.tax_class_id);
+  return cls ? (Array.isArray(cls.tax_ids) ? cls.tax_ids : []) : taxes.map((t) => t.id);
+}
+
+function computeTotals(items, taxSetup, feesCents, selectedIds = null, packageId = "", quoteDiscount = null) {
+  const taxes = taxSetup?.taxes || [];
+  const taxableNetById = new Map(taxes.map((t) => [t.id, 0]));
   let subtotal = 0;
-  let taxableBase = 0;
 
   for (const it of items) {
-    const qty = Number(it.qty || 0);
-    const unit = Number(it.unit_price_cents || 0);
-    const line = Math.round(qty * unit);
+    if (!isInPackage(it, packageId)) continue;
+    if (!isItemIncluded(it, selectedIds)) continue;
+    const line = lineNetCents(it);
     subtotal += line;
-    if (it.taxable !== false) taxableBase += line;
+    for (const id of itemTaxIds(it, taxes, taxSetup?.classes)) {
+      if (taxableNetById.has(id)) taxableNetById.set(id, taxableNetById.get(id) + line);
+    }
   }
 
-  const rate = Number(taxRate || 0);
-  const tax = Math.round(taxableBase * (rate / 100));
+  const discount = discountCentsFor(subtotal, quoteDiscount);
   const fees = Number(feesCents || 0);
-  const total = Math.max(0, subtotal + tax + fees);
 
-  return { subtotal, tax, fees, total };
+  // Each tax base shrinks by its share of the quote discount; some taxes also apply to fees.
+  const taxLines = taxes.map((t) => {
+    const net = taxableNetById.get(t.id) || 0;
+    let base = subtotal > 0 ? net - Math.round((discount * net) / subtotal) : 0;
+    if (t.apply_to_fees) base += fees;
+    return { id: t.id, name: t.name, rate: t.rate, exempt: t.exempt === true, tax_cents: Math.round(base * (t.rate / 100)) };
+  });
+  const tax = taxLines.reduce((sum, t) => sum + t.tax_cents, 0);
+
+  const total = Math.max(0, subtotal - discount + tax + fees);
+
+  return { subtotal, discount, tax, taxes: taxLines, fees, total };
 }
 
 /* =========================================================
@@ -494,7 +686,26 @@ function renderPaymentSchedule(schedule, totalCents, currency) {
   }
 }
 
-function buildItemsTable(items, currency) {
+/**
+ * Order items for display: ungrouped lines first, then each named section
+ * (in saved order) with its lines. Empty sections are skipped.
+ */
+function groupItemsBySection(items, sections) {
+  const list = Array.isArray(sections) ? sections.filter((s) => safeStr(s?.id)) : [];
+  const known = new Set(list.map((s) => s.id));
+
+  const groups = [];
+  const loose = items.filter((it) => !it.section_id || !known.has(it.section_id));
+  if (loose.length) groups.push({ section: null, items: loose });
+
+  for (const section of list) {
+    const inSection = items.filter((it) => it.section_id === section.id);
+    if (inSection.length) groups.push({ section, items: inSection });
+  }
+  return groups;
+}
+
+function buildItemsTable(items, currency, sections = [], { selectedIds = null, locked = false } = {}) {
   itemsColgroupEl.innerHTML = "";
   itemsHeadRowEl.innerHTML = "";
   itemsBodyEl.innerHTML = "";
@@ -547,18 +758,30 @@ function buildItemsTable(items, currency) {
   }
 
   // Rows
-  for (const it of items) {
+  const renderItem = (it) => {
     const qty = Number(it.qty || 0);
     const unitType = safeStr(it.unit_type) || "Each";
     const unitC = Number(it.unit_price_cents || 0);
     const taxable = it.taxable !== false;
-    const line = Math.round(qty * unitC);
+    const line = lineNetCents(it);
+    const lineNote = lineNoteFor(it, currency);
     const showBreakdown = it.show_qty_unit_price !== false;
 
     const name = safeStr(it.name) || safeStr(it.item) || "Item";
     const desc = safeStr(it.description);
 
+    const isOptional = it.optional === true;
+    const included = isItemIncluded(it, selectedIds);
+    const optionHtml = isOptional
+      ? `<label class="opt-pick">
+          <input type="checkbox" class="opt-toggle" data-option-id="${escapeHtml(safeStr(it.id))}" ${included ? "checked" : ""} ${locked || !it.id ? "disabled" : ""} />
+          <span>${locked ? (included ? "Option selected" : "Option not selected") : "Add this option"}</span>
+        </label>`
+      : "";
+
     const tr = document.createElement("tr");
+    if (isOptional) tr.classList.add("is-optional");
+    if (!included) tr.classList.add("is-excluded");
 
     const addCell = (html, cls = "") => {
       const td = document.createElement("td");
@@ -569,33 +792,44 @@ function buildItemsTable(items, currency) {
 
     // Item cell
     addCell(
-      `<div class="item-title">${escapeHtml(name)}</div>` +
-        (desc ? `<div class="item-desc">${escapeHtml(desc)}</div>` : ""),
+      `<div class="item-title">${escapeHtml(name)}${isOptional ? ` <span class="opt-badge">Optional</span>` : ""}</div>` +
+        (desc ? `<div class="item-desc">${escapeHtml(desc)}</div>` : "") +
+        optionHtml,
       ""
     );
 
     if (anyBreakdown) {
       addCell(showBreakdown ? escapeHtml(qty ? String(qty) : "") : "", "num");
       addCell(showBreakdown ? escapeHtml(unitType) : "", "num");
-      addCell(showBreakdown ? escapeHtml(formatMoneyNoSymbol(unitC, currency)) : "", "num");
+      addCell(showBreakdown ? escapeHtml(formatUnitPrice(unitC, currency, { symbol: false })) : "", "num");
     }
 
     addCell(taxable ? "✓" : "—", "center");
 
-    addCell(`<span class="line-total">${escapeHtml(formatMoney(line, currency))}</span>`, "num");
+    addCell(
+      `<span class="line-total">${escapeHtml(formatMoney(line, currency))}</span>` +
+        (lineNote ? `<div class="line-discount">${escapeHtml(lineNote)}</div>` : ""),
+      "num"
+    );
 
     itemsBodyEl.appendChild(tr);
 
     // Mobile card
     const card = document.createElement("div");
     card.className = "item-card";
+    if (isOptional) card.classList.add("is-optional");
+    if (!included) card.classList.add("is-excluded");
     card.innerHTML = `
       <div class="item-card-head">
         <div>
-          <div class="item-card-name">${escapeHtml(name)}</div>
+          <div class="item-card-name">${escapeHtml(name)}${isOptional ? ` <span class="opt-badge">Optional</span>` : ""}</div>
           ${desc ? `<div class="item-card-desc">${escapeHtml(desc)}</div>` : ""}
+          ${optionHtml}
+        </div>
+        <div class="item-card-total">
+          ${escapeHtml(formatMoney(line, currency))}
+          ${lineNote ? `<div class="line-discount">${escapeHtml(lineNote)}</div>` : ""}
         </div>
-        <div class="item-card-total">${escapeHtml(formatMoney(line, currency))}</div>
       </div>
       <div class="item-card-grid">
         ${showBreakdown ? `
@@ -609,7 +843,7 @@ function buildItemsTable(items, currency) {
           </div>
           <div>
             <div class="item-k">Unit Price</div>
-            <div class="item-v">${escapeHtml(formatMoney(unitC, currency))}</div>
+            <div class="item-v">${escapeHtml(formatUnitPrice(unitC, currency))}</div>
           </div>
         ` : ""}
         <div>
@@ -619,7 +853,162 @@ function buildItemsTable(items, currency) {
       </div>
     `;
     itemsCardsEl.appendChild(card);
+  };
+
+  for (const group of groupItemsBySection(items, sections)) {
+    if (group.section) {
+      const subtotal = group.items
+        .filter((it) => isItemIncluded(it, selectedIds))
+        .reduce((sum, it) => sum + lineNetCents(it), 0);
+      const title = safeStr(group.section.name) || "Section";
+
+      const tr = document.createElement("tr");
+      tr.className = "section-row";
+      tr.innerHTML = `
+        <td colspan="${cols.length - 1}"><div class="section-title">${escapeHtml(title)}</div></td>
+        <td class="num"><span class="line-total">${escapeHtml(formatMoney(subtotal, currency))}</span></td>
+      `;
+      itemsBodyEl.appendChild(tr);
+
+      const head = document.createElement("div");
+      head.className = "item-section-head";
+      head.innerHTML = `
+        <span class="item-section-name">${escapeHtml(title)}</span>
+        <span class="item-section-total">${escapeHtml(formatMoney(subtotal, currency))}</span>
+      `;
+      itemsCardsEl.appendChild(head);
+    }
+
+    group.items.forEach(renderItem);
+  }
+}
+
+function renderPackageCards(data, { selectedIds, packageId, locked, taxSetup, feesCents, quoteDiscount }) {
+  if (!packagesCardEl || !packageCardsEl) return;
+
+  const packages = getPackages(data);
+  packagesCardEl.hidden = !packages.length;
+  packageCardsEl.innerHTML = "";
+  if (!packages.length) return;
+
+  const items = Array.isArray(data.items) ? data.items : [];
+  const accepted = !!data?.acceptance?.accepted_at;
+
+  packages.forEach((pkg, idx) => {
+    const isSelected = pkg.id === packageId;
+    const total = computeTotals(items, taxSetup, feesCents, selectedIds, pkg.id, quoteDiscount).total;
+    const own = items.filter((it) => it.package_id === pkg.id && it.optional !== true);
+    const title = safeStr(pkg.name) || `Package ${idx + 1}`;
+
+    const card = document.createElement("div");
+    card.className = "package-card";
+    card.dataset.packageId = pkg.id;
+    if (isSelected) card.classList.add("is-selected");
+    if (locked && !isSelected) card.classList.add("is-muted");
+
+    const pickLabel = accepted
+      ? (isSelected ? "Chosen" : "")
+      : (isSelected ? "Selected" : "Select");
+
+    card.innerHTML = `
+      <div class="package-card-name">${escapeHtml(title)}</div>
+      ${safeStr(pkg.description) ? `<div class="package-card-desc">${escapeHtml(pkg.description)}</div>` : ""}
+      ${own.length
+        ? `<ul class="package-card-items">${own
+            .map((it) => `<li>${escapeHtml(safeStr(it.name) || "Item")}</li>`)
+            .join("")}</ul>`
+        : ""}
+      <div class="package-card-foot">
+        <div class="package-card-total">${escapeHtml(formatMoney(total, _currency))}</div>
+        ${pickLabel
+          ? `<button type="button" class="btn ${isSelected ? "brand" : ""} package-pick no-print" ${locked ? "disabled" : ""}>${pickLabel}</button>`
+          : ""}
+      </div>
+    `;
+
+    packageCardsEl.appendChild(card);
+  });
+}
+
+function renderTaxRows(taxLines, exemptNote = "") {
+  const wrap = $("#v-tax-rows");
+  if (!wrap) return;
+
+  wrap.innerHTML = taxLines
+    .map((t) => {
+      const label = t.exempt ? `${t.name} (exempt)` : t.rate > 0 ? `${t.name} (${t.rate}%)` : t.name;
+      return `
+        <div class="row">
+          <div class="label">${escapeHtml(label)}</div>
+          <div class="spacer"></div>
+          <div class="value"><span class="curr">$</span><span class="amt">${escapeHtml(formatMoneyNoSymbol(t.tax_cents, _currency))}</span></div>
+        </div>
+      `;
+    })
+    .join("");
+
+  if (exemptNote) {
+    wrap.insertAdjacentHTML(
+      "beforeend",
+      `<div class="row tax-exempt"><div class="label">${escapeHtml(exemptNote)}</div><div class="spacer"></div><div class="value"></div></div>`
+    );
+  }
+}
+
+/**
+ * Items table + totals + payment schedule. Re-run when the customer toggles an
+ * optional add-on so every amount on the page stays in step.
+ */
+function renderPricing(data) {
+  const allItems = Array.isArray(data.items) ? data.items : [];
+  const selectedIds = getSelectedOptionIds(data);
+  const packageId = getSelectedPackageId(data);
+  const locked =
+    !!data?.acceptance?.accepted_at ||
+    isClosedStatus(_quoteRow?.status) ||
+    isQuoteExpired(data, _quoteRow?.status);
+
+  // Only the lines of the selected package (plus shared lines) are listed
+  const items = allItems.filter((it) => isInPackage(it, packageId));
+  buildItemsTable(items, _currency, data.sections, { selectedIds, locked });
+
+  // Taxes / totals
+  const taxSetup = {
+    taxes: getQuoteTaxes(data),
+    classes: Array.isArray(data.tax_classes) ? data.tax_classes : [],
+  };
+  const feesCents = Number(data.fees_cents || 0);
+
+  const quoteDiscount = data.discount && typeof data.discount === "object" ? data.discount : null;
+  const totals = computeTotals(items, taxSetup, feesCents, selectedIds, "", quoteDiscount);
+  renderPackageCards(data, { selectedIds, packageId, locked, taxSetup, feesCents, quoteDiscount });
+
+  const currSymbol = currencySymbol(_currency);
+  $("#v-curr").textContent = currSymbol;
+
+  $("#v-subtotal").textContent = formatMoneyNoSymbol(totals.subtotal, _currency);
+  renderTaxRows(totals.taxes, taxExemptionNote(data));
+  $("#v-discount").textContent = formatMoneyNoSymbol(totals.discount, _currency);
+
+  // Discount row (hide if 0)
+  const discountRow = $("#discount-row");
+  if (discountRow) discountRow.hidden = totals.discount <= 0;
+  const discountName = safeStr(quoteDiscount?.label) || "Discount";
+  $("#v-discount-label").textContent =
+    quoteDiscount?.type === "percent" ? `${discountName} (${Number(quoteDiscount.value)}%)` : discountName;
+  $("#v-fees").textContent = formatMoneyNoSymbol(totals.fees, _currency);
+  $("#v-total").textContent = formatMoneyNoSymbol(totals.total, _currency);
+
+  // Fees row (hide if 0)
+  const feesRow = $("#fees-row");
+  if (feesRow) feesRow.hidden = totals.fees <= 0;
+
+  // Payment schedule (prefer per-quote schedule; fallback for older quotes)
+  let schedule = normalizePaymentSchedule(data.payment_schedule);
+  if (!schedule || !schedule.length) {
+    schedule = deriveLegacyPaymentSchedule(data, totals);
   }
+  renderPaymentSchedule(schedule, totals.total, _currency);
 }
 
 /* =========================================================
@@ -742,38 +1131,8 @@ setLogoWithFallback(docLogoEl, docLogoInitialsEl, initials, primaryLogo, fallbac
   $("#v-rep-printed-name").textContent = preparedBy;
   $("#v-rep-date").textContent = fmtDate(meta.quote_date);
 
-  // Items
-  const items = Array.isArray(data.items) ? data.items : [];
-  buildItemsTable(items, _currency);
-
-  // Tax label / totals
-  const taxName = safeStr(data.tax_name) || "Tax";
-  const taxRate = Number(data.tax_rate ?? 0);
-  const feesCents = Number(data.fees_cents || 0);
-
-  const totals = computeTotals(items, taxRate, feesCents);
-
-  const currSymbol = currencySymbol(_currency);
-  $("#v-curr").textContent = currSymbol;
-
-  $("#v-subtotal").textContent = formatMoneyNoSymbol(totals.subtotal, _currency);
-  $("#v-tax").textContent = formatMoneyNoSymbol(totals.tax, _currency);
-  $("#v-fees").textContent = formatMoneyNoSymbol(totals.fees, _currency);
-  $("#v-total").textContent = formatMoneyNoSymbol(totals.total, _currency);
-
-  // Fees row (hide if 0)
-  const feesRow = $("#fees-row");
-  if (feesRow) feesRow.hidden = totals.fees <= 0;
-
-  const rateLabel = Number.isFinite(taxRate) && taxRate > 0 ? `${taxName} (${taxRate}%)` : taxName;
-  $("#v-tax-label").textContent = rateLabel;
-
-  // Payment schedule (prefer per-quote schedule; fallback for older quotes)
-  let schedule = normalizePaymentSchedule(data.payment_schedule);
-  if (!schedule || !schedule.length) {
-    schedule = deriveLegacyPaymentSchedule(data, totals);
-  }
-  renderPaymentSchedule(schedule, totals.total, _currency);
+  // Items, totals + payment schedule
+  renderPricing(data);
 
   // Terms / Notes
   const terms = safeStr(data.terms);
@@ -820,11 +1179,17 @@ setLogoWithFallback(docLogoEl, docLogoInitialsEl, initials, primaryLogo, fallbac
     $("#v-client-name").textContent = "";
     $("#v-client-date").textContent = "";
 
-    if (status === "cancelled") {
+    if (isClosedStatus(status)) {
+      if (acceptSectionEl) acceptSectionEl.hidden = true;
+      if (acceptJumpBtn) {
+        acceptJumpBtn.disabled = true;
+        acceptJumpBtn.textContent = status === "declined" ? "Declined" : "Cancelled";
+      }
+    } else if (isQuoteExpired(data, status)) {
       if (acceptSectionEl) acceptSectionEl.hidden = true;
       if (acceptJumpBtn) {
         acceptJumpBtn.disabled = true;
-        acceptJumpBtn.textContent = "Cancelled";
+        acceptJumpBtn.textContent = "Expired";
       }
     } else {
       if (acceptSectionEl) acceptSectionEl.hidden = false;
@@ -835,10 +1200,260 @@ setLogoWithFallback(docLogoEl, docLogoInitialsEl, initials, primaryLogo, fallbac
     }
   }
 
+  renderExpired(data, status, safeStr(company.name));
+  renderDeclined(data, status, safeStr(company.name));
+  renderComments(data, status, safeStr(company.name));
+
   // Keep header quote code in doc pill
   $("#v-doc-quote-code").textContent = quoteCode;
 }
 
+function renderExpired(data, status, companyName) {
+  if (!expiredSectionEl) return;
+  const expired = isQuoteExpired(data, status);
+  expiredSectionEl.hidden = !expired;
+  if (!expired) return;
+
+  const requested = !!safeStr(data?.meta?.update_requested_at);
+  const who = companyName || "us";
+
+  if (expiredHelpEl) {
+    expiredHelpEl.textContent = requested
+      ? `Thanks — ${who} has been asked for an updated quote and will be in touch.`
+      : `This quote expired on ${fmtDate(data.meta.quote_expires)}, so prices may have changed. Ask ${who} for an updated quote before signing.`;
+  }
+  if (requestUpdateBtn) {
+    requestUpdateBtn.disabled = requested;
+    requestUpdateBtn.textContent = requested ? "Update requested" : "Request updated quote";
+  }
+}
+
+function renderDeclined(data, status, companyName) {
+  if (!declinedSectionEl) return;
+  const declined = status === "declined";
+  declinedSectionEl.hidden = !declined;
+  if (!declined || !declinedHelpEl) return;
+
+  const who = companyName || "us";
+  const at = safeStr(data?.meta?.decline?.declined_at).slice(0, 10);
+  declinedHelpEl.textContent =
+    `${at ? `You declined this quote on ${fmtDate(at)}` : "You declined this quote"}. Thanks for letting ${who} know — ` +
+    `if you change your mind, contact them for an updated quote.`;
+}
+
+/* =========================================================
+   Questions thread (data.meta.comments, see /api/quote-comment)
+   ========================================================= */
+function formatCommentTime(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString("en-CA", {
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return iso;
+  }
+}
+
+function renderComments(data, status, companyName) {
+  if (!commentsSectionEl) return;
+  commentsSectionEl.hidden = false;
+
+  const who = companyName || "us";
+  const comments = (Array.isArray(data?.meta?.comments) ? data.meta.comments : []).filter((c) => safeStr(c?.body));
+  const closed = status === "cancelled";
+
+  if (commentsHelpEl) {
+    commentsHelpEl.textContent = closed
+      ? "This quote has been cancelled, so new questions are closed."
+      : `Not sure about something? Ask ${who} here and you'll get an email when they reply.`;
+  }
+  if (commentFormEl) commentFormEl.hidden = closed;
+
+  if (commentsListEl) {
+    commentsListEl.innerHTML = comments
+      .map((c) => {
+        const fromCompany = c.author === "company";
+        const name = fromCompany ? safeStr(c.name) || who : "You";
+        const about = safeStr(c.item_label) ? `<span class="comment-about">Re: ${escapeHtml(c.item_label)}</span>` : "";
+        return `
+          <div class="comment ${fromCompany ? "from-company" : "from-customer"}">
+            <div class="comment-head">
+              <span class="comment-name">${escapeHtml(name)}</span>
+              <span>${escapeHtml(formatCommentTime(c.at))}</span>
+              ${about}
+            </div>
+            <div class="comment-body">${escapeHtml(c.body)}</div>
+          </div>`;
+      })
+      .join("");
+  }
+
+  // Line items a question can be about (lines without an id can't be referenced)
+  if (commentItemEl) {
+    const current = commentItemEl.value;
+    const items = (Array.isArray(data?.items) ? data.items : []).filter((it) => safeStr(it?.id) && safeStr(it?.name));
+    commentItemEl.innerHTML =
+      `<option value="">The whole quote</option>` +
+      items.map((it) => `<option value="${escapeHtml(safeStr(it.id))}">${escapeHtml(safeStr(it.name))}</option>`).join("");
+    if (items.some((it) => safeStr(it.id) === current)) commentItemEl.value = current;
+  }
+}
+
+async function submitComment(e) {
+  e.preventDefault();
+  if (!_quoteRow || !commentSubmitBtn) return;
+
+  const body = safeStr(commentBodyEl?.value);
+  if (!body) {
+    showBanner("Please write your question first.");
+    commentBodyEl?.focus();
+    return;
+  }
+
+  commentSubmitBtn.disabled = true;
+  commentSubmitBtn.textContent = "Sending…";
+  showBanner("");
+
+  try {
+    const out = await postJSON("/api/quote-comment", {
+      quote_id: _quoteRow.id,
+      body,
+      item_id: safeStr(commentItemEl?.value) || null,
+    });
+
+    const comments = Array.isArray(out?.comments)
+      ? out.comments
+      : [...(Array.isArray(_quoteData?.meta?.comments) ? _quoteData.meta.comments : []), out?.comment].filter(Boolean);
+    _quoteData = { ..._quoteData, meta: { ...(_quoteData?.meta || {}), comments } };
+    _quoteRow = { ..._quoteRow, data: _quoteData };
+
+    if (commentBodyEl) commentBodyEl.value = "";
+    if (commentItemEl) commentItemEl.value = "";
+    renderComments(_quoteData, safeStr(_quoteRow.status).toLowerCase(), safeStr(_quoteData?.company?.name));
+  } catch (err) {
+    showBanner(err?.message || "Failed to send your question.");
+  } finally {
+    commentSubmitBtn.disabled = false;
+    commentSubmitBtn.textContent = "Send question";
+  }
+}
+
+/* =========================================================
+   Decline
+   ========================================================= */
+function selectedDeclineReason() {
+  return safeStr($("input[name='decline-reason']:checked", declineModal)?.value);
+}
+
+function syncDeclineForm() {
+  const other = selectedDeclineReason() === "other";
+  if (declineCommentLabelEl) {
+    declineCommentLabelEl.textContent = other
+      ? "Please tell us a little more"
+      : "Anything else you'd like to share? (optional)";
+  }
+}
+
+function openDeclineModal() {
+  if (!declineModal) return;
+  if (declineCompanyEl) declineCompanyEl.textContent = safeStr(_quoteData?.company?.name) || "us";
+  syncDeclineForm();
+  declineModal.hidden = false;
+  document.body.style.overflow = "hidden";
+}
+
+function closeDeclineModal() {
+  if (!declineModal) return;
+  declineModal.hidden = true;
+  document.body.style.overflow = "";
+}
+
+async function submitDecline() {
+  if (!_quoteRow || !declineSubmitBtn) return;
+
+  const reason = selectedDeclineReason();
+  const comment = safeStr(declineCommentEl?.value);
+  if (!reason) {
+    showBanner("Please choose a reason.");
+    return;
+  }
+  if (reason === "other" && !comment) {
+    showBanner("Please tell us a little more.");
+    declineCommentEl?.focus();
+    return;
+  }
+
+  declineSubmitBtn.disabled = true;
+  declineSubmitBtn.textContent = "Sending…";
+  showBanner("");
+
+  try {
+    const out = await postJSON("/api/decline-quote", { quote_id: _quoteRow.id, reason, comment });
+    _quoteData = {
+      ..._quoteData,
+      meta: {
+        ...(_quoteData?.meta || {}),
+        decline: out?.decline || { declined_at: new Date().toISOString(), reason, comment },
+      },
+    };
+    _quoteRow = { ..._quoteRow, status: out?.status || "Declined", data: _quoteData };
+    fillQuote(_quoteRow);
+
+    closeDeclineModal();
+    showBanner("Thanks for letting us know.");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  } catch (e) {
+    showBanner(e?.message || "Failed to decline the quote.");
+  } finally {
+    declineSubmitBtn.disabled = false;
+    declineSubmitBtn.textContent = "Decline quote";
+  }
+}
+
+// Someone from the company signed in on this browser (checking the link they sent) isn't a customer view
+function hasCompanySession() {
+  try {
+    return Object.keys(window.localStorage).some((k) => /^sb-.+-auth-token$/.test(k));
+  } catch {
+    return false;
+  }
+}
+
+// Best-effort: the page works the same if this fails
+async function trackView(quoteId) {
+  if (hasCompanySession()) return;
+  try {
+    await postJSON("/api/track-quote-view", { quote_id: quoteId });
+  } catch (e) {
+    console.warn("View tracking failed:", e);
+  }
+}
+
+async function requestUpdatedQuote() {
+  if (!_quoteRow || !requestUpdateBtn) return;
+
+  requestUpdateBtn.disabled = true;
+  requestUpdateBtn.textContent = "Sending…";
+  showBanner("");
+
+  try {
+    const out = await postJSON("/api/request-quote-update", { quote_id: _quoteRow.id });
+    _quoteData = {
+      ..._quoteData,
+      meta: { ...(_quoteData?.meta || {}), update_requested_at: out?.update_requested_at || new Date().toISOString() },
+    };
+    _quoteRow = { ..._quoteRow, data: _quoteData };
+  } catch (e) {
+    showBanner(e?.message || "Failed to send your request.");
+  }
+
+  renderExpired(_quoteData, _quoteRow.status, safeStr(_quoteData?.company?.name));
+}
+
 /* =========================================================
    Signature pad
    ========================================================= */
@@ -939,6 +1554,8 @@ async function submitSignature() {
       quote_id: _quoteRow.id,
       signature_data_url: dataUrl,
       accepted_date,
+      selected_option_ids: Array.from(_selectedOptionIds),
+      selected_package_id: getSelectedPackageId(_quoteData) || null,
     });
   } catch (e) {
     showBanner(e?.message || "Failed to submit signature.");
@@ -959,6 +1576,8 @@ async function submitSignature() {
         accepted_date,
         signature_image_data_url: dataUrl,
         signature_data_url: dataUrl,
+        selected_option_ids: Array.from(_selectedOptionIds),
+        selected_package_id: getSelectedPackageId(_quoteData) || null,
         name:
           safeStr(_quoteData?.bill_to?.client_name) ||
           safeStr(_quoteRow?.customer_name) ||
@@ -1175,6 +1794,47 @@ function buildPdfClone() {
   return clone;
 }
 
+/**
+ * Download the server-rendered (vector) PDF with the package + add-ons picked on
+ * screen. Falls back to the in-browser export if the request fails.
+ */
+async function downloadPdf() {
+  if (!_quoteRow?.id) return;
+
+  downloadBtn.disabled = true;
+  downloadBtn.textContent = "Preparing…";
+
+  let ok = false;
+  try {
+    const params = new URLSearchParams({ id: _quoteRow.id, download: "1" });
+    const packageId = getSelectedPackageId(_quoteData);
+    if (packageId) params.set("package", packageId);
+    if (_selectedOptionIds.size) params.set("options", Array.from(_selectedOptionIds).join(","));
+
+    const res = await fetch(`/api/quote-pdf?${params.toString()}`, { cache: "no-store" });
+    const type = String(res.headers.get("content-type") || "");
+    if (!res.ok || !type.includes("application/pdf")) throw new Error(`PDF request failed (${res.status})`);
+
+    const blob = await res.blob();
+    const href = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = href;
+    a.download = `${safeStr($("#v-doc-quote-code")?.textContent) || "quote"}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 1500);
+    ok = true;
+  } catch (e) {
+    console.warn("Server PDF failed, using in-browser export.", e);
+  } finally {
+    downloadBtn.disabled = false;
+    downloadBtn.textContent = "Download PDF";
+  }
+
+  if (!ok) await exportPdfManual();
+}
+
 async function exportPdfManual() {
   if (!quotePageEl || quotePageEl.hidden) return;
 
@@ -1282,7 +1942,7 @@ async function init() {
     }
 
     // Wire buttons
-    downloadBtn?.addEventListener("click", exportPdfManual);
+    downloadBtn?.addEventListener("click", downloadPdf);
 
     acceptJumpBtn?.addEventListener("click", () => {
       if (acceptSectionEl && !acceptSectionEl.hidden) {
@@ -1293,6 +1953,18 @@ async function init() {
     });
 
     signNowBtn?.addEventListener("click", openSigModal);
+    requestUpdateBtn?.addEventListener("click", requestUpdatedQuote);
+
+    commentFormEl?.addEventListener("submit", submitComment);
+
+    declineBtn?.addEventListener("click", openDeclineModal);
+    declineCloseBtn?.addEventListener("click", closeDeclineModal);
+    declineBackBtn?.addEventListener("click", closeDeclineModal);
+    declineSubmitBtn?.addEventListener("click", submitDecline);
+    declineModal?.addEventListener("change", syncDeclineForm);
+    declineModal?.addEventListener("click", (e) => {
+      if (e.target === declineModal) closeDeclineModal();
+    });
 
     sigCloseBtn?.addEventListener("click", closeSigModal);
     sigModal?.addEventListener("click", (e) => {
@@ -1306,6 +1978,32 @@ async function init() {
       if (!sigModal?.hidden) setupCanvas();
     });
 
+    // Optional add-ons (table rows + mobile cards share the same checkbox markup)
+    const onOptionToggle = (e) => {
+      const input = e.target instanceof Element ? e.target.closest(".opt-toggle") : null;
+      if (!input || input.disabled || !_quoteData) return;
+
+      const id = safeStr(input.dataset.optionId);
+      if (!id) return;
+      if (input.checked) _selectedOptionIds.add(id);
+      else _selectedOptionIds.delete(id);
+
+      renderPricing(_quoteData);
+    };
+    itemsBodyEl?.addEventListener("change", onOptionToggle);
+    itemsCardsEl?.addEventListener("change", onOptionToggle);
+
+    // Packages: pick exactly one (the one selected here is what gets signed)
+    packageCardsEl?.addEventListener("click", (e) => {
+      const el = e.target instanceof Element ? e.target : null;
+      const card = el?.closest(".package-card");
+      if (!card || !_quoteData || _quoteData?.acceptance?.accepted_at) return;
+      if (isClosedStatus(_quoteRow?.status)) return;
+
+      _selectedPackageId = safeStr(card.dataset.packageId);
+      renderPricing(_quoteData);
+    });
+
     // Canvas drawing events
     sigCanvas?.addEventListener("pointerdown", onPointerDown);
     sigCanvas?.addEventListener("pointermove", onPointerMove);
@@ -1321,11 +2019,12 @@ async function init() {
     quotePageEl.hidden = false;
 
     fillQuote(_quoteRow);
+    trackView(_quoteRow.id);
 
     // Show acceptance section if needed
     const acceptance = _quoteData?.acceptance;
     const status = safeStr(_quoteRow.status).toLowerCase();
-    if (!acceptance?.accepted_at && status !== "cancelled") {
+    if (!acceptance?.accepted_at && !isClosedStatus(status) && !isQuoteExpired(_quoteData, status)) {
       acceptSectionEl.hidden = false;
       $("#accept-pill").textContent = "Ready";
     } else if (acceptance?.accepted_at) {
@@ -0,0 +1,81 @@
+// js/assemblies.js
+// Product assemblies (bundled products), eg. "Ridge cap install" = ridge cap + closures + fasteners + labour.
+// - Stored on the product as components: [{ product_id, qty }] where qty is per 1 unit of the assembly
+// - Price + cost roll up from the component products
+// - Components are plain products (no assemblies inside assemblies)
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Unit prices may carry fractions of a cent (eg. 3.75 = $0.0375); keep hundredths of a cent.
+function unitCents(v) {
+  return Math.round(num(v) * 100) / 100;
+}
+
+function centsOrNull(v) {
+  return v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Math.round(Number(v));
+}
+
+export function normalizeComponents(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((c) => ({ product_id: String(c?.product_id ?? "").trim(), qty: Math.round(num(c?.qty) * 10000) / 10000 }))
+    .filter((c) => c.product_id && c.qty > 0);
+}
+
+export function isAssembly(product) {
+  return normalizeComponents(product?.components).length > 0;
+}
+
+/**
+ * Roll an assembly up from its components.
+ * @param {object} product  the assembly
+ * @param {Map<string, object>} productsById  component products
+ * @returns {{ price_cents: number, cost_cents: number|null, parts: object[], missing: number }}
+ *   parts are snapshots ({ product_id, name, unit_type, qty, unit_price_cents, cost_cents, supplier }).
+ *   cost_cents is null when no component has a cost.
+ */
+export function rollUpAssembly(product, productsById) {
+  const parts = [];
+  let price = 0;
+  let cost = 0;
+  let hasCost = false;
+  let missing = 0;
+
+  for (const c of normalizeComponents(product?.components)) {
+    const p = productsById?.get(c.product_id);
+    if (!p) {
+      missing += 1;
+      continue;
+    }
+
+    const unitPrice = unitCents(p.price_per_unit_cents);
+    const unitCost = centsOrNull(p.cost_cents);
+
+    price += unitPrice * c.qty;
+    if (unitCost !== null) {
+      hasCost = true;
+      cost += unitCost * c.qty;
+    }
+
+    parts.push({
+      product_id: p.id,
+      name: String(p.name ?? ""),
+      unit_type: String(p.unit_type ?? "") || "Each",
+      qty: c.qty,
+      unit_price_cents: unitPrice,
+      cost_cents: unitCost,
+      supplier: p.supplier || null,
+    });
+  }
+
+  return { price_cents: unitCents(price), cost_cents: hasCost ? Math.round(cost) : null, parts, missing };
+}
+
+// Part quantities for `qty` units of the assembly (2 decimals, like the qty field).
+export function scaleParts(parts, qty) {
+  const n = num(qty);
+  return (Array.isArray(parts) ? parts : []).map((p) => ({ ...p, qty: Math.round(num(p.qty) * n * 100) / 100 }));
+}
@@ -112,3 +112,40 @@ export async function deleteCustomer(customerId) {
   const { error } = await supabase.from("customers").delete().eq("id", customerId);
   if (error) throw new Error(error.message);
 }
+
+// Company taxes ([{ id, name, rate }]) so an exemption can name the ones it covers.
+export async function listCompanyTaxes() {
+  const { companyId } = await getCompanyContext();
+
+  const { data, error } = await supabase
+    .from("companies")
+    // select("*") so a missing taxes column doesn't hard-fail
+    .select("*")
+    .eq("id", companyId)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return (Array.isArray(data?.taxes) ? data.taxes : []).filter((t) => t && t.id);
+}
+
+/* Tax exemption certificates (private Storage bucket: tax-certificates) */
+const TAX_CERT_BUCKET = "tax-certificates";
+
+export async function uploadTaxCertificate(customerId, file) {
+  const { companyId } = await getCompanyContext();
+  const safeName = String(file?.name || "certificate").replace(/[^a-z0-9._-]+/gi, "-").slice(-80);
+  const path = `${companyId}/${customerId}/${Date.now()}-${safeName}`;
+
+  const { error } = await supabase.storage
+    .from(TAX_CERT_BUCKET)
+    .upload(path, file, { upsert: false, contentType: file?.type || "application/octet-stream" });
+
+  if (error) throw new Error(error.message);
+  return { path, name: String(file?.name || safeName) };
+}
+
+export async function getTaxCertificateUrl(path, expiresInSeconds = 300) {
+  const { data, error } = await supabase.storage.from(TAX_CERT_BUCKET).createSignedUrl(path, expiresInSeconds);
+  if (error) throw new Error(error.message);
+  return data?.signedUrl || "";
+}
@@ -0,0 +1,69 @@
+// js/priceLists.js
+// Named price lists (eg. "Builder pricing") with negotiated rates for repeat customers.
+// - Stored on the company: companies.price_lists = [{ id, name, prices: { [product_id]: unit price cents } }]
+// - A customer points at one (customers.price_list_id); quotes created for them keep it in data.meta
+// - A list price replaces the catalog price and its price breaks; products not on the list keep catalog pricing
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+// Unit prices keep hundredths of a cent (eg. 3.75 = $0.0375)
+function unitCents(v) {
+  return Math.round(Number(v) * 100) / 100;
+}
+
+export function normalizePriceLists(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+
+  for (const l of raw) {
+    const id = str(l?.id);
+    if (!id || out.some((x) => x.id === id)) continue;
+
+    const prices = {};
+    for (const [productId, cents] of Object.entries(l?.prices && typeof l.prices === "object" ? l.prices : {})) {
+      const n = unitCents(cents);
+      if (str(productId) && Number.isFinite(n) && n >= 0) prices[str(productId)] = n;
+    }
+
+    out.push({ id, name: str(l?.name) || "Price list", prices });
+  }
+
+  return out;
+}
+
+export function findPriceList(lists, id) {
+  const v = str(id);
+  return v ? normalizePriceLists(lists).find((l) => l.id === v) || null : null;
+}
+
+// The list's unit price for a product, or null when the list doesn't cover it.
+export function listPriceFor(list, productId) {
+  const v = list?.prices?.[str(productId)];
+  return v === undefined || v === null ? null : unitCents(v);
+}
+
+// A copy of the product priced from the list (the negotiated rate wins over price breaks).
+export function withListPrice(product, list) {
+  const price = listPriceFor(list, product?.id);
+  if (price === null) return product;
+  return { ...product, price_per_unit_cents: price, price_tiers: null };
+}
+
+/**
+ * Stamp the customer's price list on new quote data (mutates + returns `data`).
+ * `lists` is optional; without it only the id is kept and the builder looks the name up.
+ */
+export function applyCustomerPriceList(data, customer, lists = []) {
+  const out = data && typeof data === "object" ? data : {};
+  const id = str(customer?.price_list_id);
+  if (!id) return out;
+
+  if (!out.meta || typeof out.meta !== "object") out.meta = {};
+  out.meta.price_list_id = id;
+  const list = findPriceList(lists, id);
+  if (list) out.meta.price_list_name = list.name;
+
+  return out;
+}
@@ -0,0 +1,45 @@
+// js/priceTiers.js
+// Volume pricing + minimum charges on products (and the quote lines made from them).
+// - price_tiers: [{ min_qty, price_per_unit_cents }], eg. 2,000+ sqft at a lower rate
+//   The tier with the highest min_qty <= qty wins; below the first tier the base price applies.
+// - min_charge_cents: a line with any quantity never costs less than this (before its own discount)
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Unit prices keep hundredths of a cent (eg. 3.75 = $0.0375)
+function unitCents(v) {
+  return Math.round(num(v) * 100) / 100;
+}
+
+export function normalizeTiers(raw) {
+  if (!Array.isArray(raw)) return [];
+  const byQty = new Map();
+  for (const t of raw) {
+    const min_qty = Math.round(num(t?.min_qty) * 100) / 100;
+    const price_per_unit_cents = unitCents(t?.price_per_unit_cents);
+    if (!(min_qty > 0) || price_per_unit_cents < 0) continue;
+    byQty.set(min_qty, { min_qty, price_per_unit_cents });
+  }
+  return [...byQty.values()].sort((a, b) => a.min_qty - b.min_qty);
+}
+
+export function normalizeMinCharge(v) {
+  const n = Math.round(num(v));
+  return n > 0 ? n : null;
+}
+
+/**
+ * The unit price for `qty` given a base price and tiers.
+ * @returns {{ price_cents: number, tier: { min_qty: number, price_per_unit_cents: number } | null }}
+ */
+export function tierPriceFor(basePriceCents, tiers, qty) {
+  const q = num(qty);
+  let tier = null;
+  for (const t of normalizeTiers(tiers)) {
+    if (q >= t.min_qty) tier = t;
+  }
+  return { price_cents: tier ? tier.price_per_unit_cents : unitCents(basePriceCents), tier };
+}
@@ -89,3 +89,65 @@ export async function updateProduct(id, payload) {
   if (error) throw new Error(error.message);
   return data;
 }
+
+// Component products for assemblies (see js/assemblies.js).
+export async function listProductsByIds(ids = []) {
+  const unique = Array.from(new Set((ids || []).filter(Boolean)));
+  if (!unique.length) return [];
+
+  const companyId = await getCompanyId();
+
+  const { data, error } = await supabase
+    .from("products")
+    .select("*")
+    .eq("company_id", companyId)
+    .in("id", unique);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// Tax classes live on the company (Settings → Quote defaults).
+export async function listTaxClasses() {
+  const companyId = await getCompanyId();
+
+  const { data, error } = await supabase
+    .from("companies")
+    // select("*") so a missing tax_classes column doesn't hard-fail
+    .select("*")
+    .eq("id", companyId)
+    .single();
+
+  if (error) throw new Error(error.message);
+  const classes = Array.isArray(data?.tax_classes) ? data.tax_classes : [];
+  return classes.filter((c) => c && c.id);
+}
+
+// Price lists live on the company too (see js/priceLists.js).
+export async function listPriceLists() {
+  const companyId = await getCompanyId();
+
+  const { data, error } = await supabase
+    .from("companies")
+    // select("*") so a missing price_lists column doesn't hard-fail
+    .select("*")
+    .eq("id", companyId)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return Array.isArray(data?.price_lists) ? data.price_lists.filter((l) => l && l.id) : [];
+}
+
+export async function savePriceLists(lists = []) {
+  const companyId = await getCompanyId();
+
+  const { data, error } = await supabase
+    .from("companies")
+    .update({ price_lists: lists })
+    .eq("id", companyId)
+    .select("*")
+    .single();
+
+  if (error) throw new Error(error.message);
+  return Array.isArray(data?.price_lists) ? data.price_lists : lists;
+}
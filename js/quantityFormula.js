@@ -0,0 +1,217 @@
+// js/quantityFormula.js
+// Safe quantity formulas for quote lines + products.
+// - No eval / Function: a tiny parser for numbers, + - * / ( ), names and a few helpers
+// - Names resolve from a plain vars object (roof measurements, etc.)
+// - Throws an Error with a readable message when a formula can't be used
+
+/**
+ * Roof measurements stored in quote.data.measurements.
+ * `key` is the stored field; `name` is what product formulas refer to.
+ */
+export const MEASUREMENT_FIELDS = [
+  { key: "area_sqft", name: "area", label: "Roof area (plan)", unit: "sq ft" },
+  { key: "pitch", name: "pitch", label: "Pitch", unit: "/12" },
+  { key: "ridge_lf", name: "ridge", label: "Ridge", unit: "lf" },
+  { key: "hip_lf", name: "hip", label: "Hip", unit: "lf" },
+  { key: "valley_lf", name: "valley", label: "Valley", unit: "lf" },
+  { key: "eave_lf", name: "eave", label: "Eave", unit: "lf" },
+  { key: "waste_pct", name: "waste", label: "Waste", unit: "%" },
+];
+
+const FUNCTIONS = {
+  ceil: { arity: 1, fn: (x) => Math.ceil(x) },
+  floor: { arity: 1, fn: (x) => Math.floor(x) },
+  round: { arity: 1, fn: (x) => Math.round(x) },
+  min: { arity: 2, fn: (a, b) => Math.min(a, b) },
+  max: { arity: 2, fn: (a, b) => Math.max(a, b) },
+};
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+export function normalizeMeasurements(raw) {
+  const m = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const f of MEASUREMENT_FIELDS) out[f.key] = Math.max(0, num(m[f.key]));
+  return out;
+}
+
+export function hasMeasurements(raw) {
+  const m = normalizeMeasurements(raw);
+  return MEASUREMENT_FIELDS.some((f) => m[f.key] > 0);
+}
+
+// Slope multiplier for a rise-over-12 pitch (plan area → actual roof area).
+export function pitchFactor(pitch) {
+  const rise = Math.max(0, num(pitch));
+  return Math.sqrt(1 + (rise / 12) ** 2);
+}
+
+/**
+ * Names available to formulas:
+ * area, pitch, pitch_factor, roof_area (area × pitch_factor), ridge, hip, valley, eave,
+ * waste (fraction, eg. 10% → 0.1).
+ */
+export function measurementVars(raw) {
+  const m = normalizeMeasurements(raw);
+  const pf = pitchFactor(m.pitch);
+  return {
+    area: m.area_sqft,
+    pitch: m.pitch,
+    pitch_factor: pf,
+    roof_area: m.area_sqft * pf,
+    ridge: m.ridge_lf,
+    hip: m.hip_lf,
+    valley: m.valley_lf,
+    eave: m.eave_lf,
+    waste: m.waste_pct / 100,
+  };
+}
+
+export const MEASUREMENT_VAR_NAMES = Object.keys(measurementVars({}));
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const c = src[i];
+
+    if (/\s/.test(c)) {
+      i += 1;
+      continue;
+    }
+
+    if (/[0-9.]/.test(c)) {
+      let j = i;
+      while (j < src.length && /[0-9.]/.test(src[j])) j += 1;
+      const text = src.slice(i, j);
+      const value = Number(text);
+      if (!Number.isFinite(value)) throw new Error(`"${text}" is not a number.`);
+      tokens.push({ type: "num", value });
+      i = j;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(c)) {
+      let j = i;
+      while (j < src.length && /[A-Za-z0-9_]/.test(src[j])) j += 1;
+      tokens.push({ type: "name", value: src.slice(i, j).toLowerCase() });
+      i = j;
+      continue;
+    }
+
+    if ("+-*/(),×".includes(c)) {
+      // Allow × as multiply (people paste it from calculators / docs)
+      tokens.push({ type: "op", value: c === "×" ? "*" : c });
+      i += 1;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${c}" in formula.`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a quantity formula. A leading "=" is allowed (as typed in the qty field).
+ * @param {string} expr
+ * @param {Record<string, number>} vars
+ * @returns {number}
+ */
+export function evaluateFormula(expr, vars = {}) {
+  const src = String(expr ?? "").trim().replace(/^=/, "");
+  if (!src) throw new Error("Formula is empty.");
+
+  const tokens = tokenize(src);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const take = () => tokens[pos++];
+  const isOp = (t, v) => t && t.type === "op" && t.value === v;
+
+  function expect(v) {
+    const t = take();
+    if (!isOp(t, v)) throw new Error(`Expected "${v}" in formula.`);
+  }
+
+  function parseExpression() {
+    let left = parseTerm();
+    while (isOp(peek(), "+") || isOp(peek(), "-")) {
+      const op = take().value;
+      const right = parseTerm();
+      left = op === "+" ? left + right : left - right;
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseFactor();
+    for (;;) {
+      const t = peek();
+      if (isOp(t, "*") || isOp(t, "/")) {
+        const op = take().value;
+        const right = parseFactor();
+        if (op === "/") {
+          if (right === 0) throw new Error("Formula divides by zero.");
+          left = left / right;
+        } else {
+          left = left * right;
+        }
+        continue;
+      }
+      return left;
+    }
+  }
+
+  function parseFactor() {
+    const t = take();
+    if (!t) throw new Error("Formula ends too early.");
+
+    if (isOp(t, "-")) return -parseFactor();
+    if (isOp(t, "+")) return parseFactor();
+
+    if (t.type === "num") return t.value;
+
+    if (isOp(t, "(")) {
+      const v = parseExpression();
+      expect(")");
+      return v;
+    }
+
+    if (t.type === "name") {
+      const fnDef = FUNCTIONS[t.value];
+      if (fnDef && isOp(peek(), "(")) {
+        take();
+        const args = [parseExpression()];
+        while (isOp(peek(), ",")) {
+          take();
+          args.push(parseExpression());
+        }
+        expect(")");
+        if (args.length !== fnDef.arity) {
+          throw new Error(`${t.value}() takes ${fnDef.arity} value${fnDef.arity === 1 ? "" : "s"}.`);
+        }
+        return fnDef.fn(...args);
+      }
+
+      if (Object.prototype.hasOwnProperty.call(vars, t.value)) return num(vars[t.value]);
+      throw new Error(`Unknown name "${t.value}" in formula.`);
+    }
+
+    throw new Error(`Unexpected "${t.value}" in formula.`);
+  }
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in formula.`);
+  if (!Number.isFinite(result)) throw new Error("Formula did not produce a number.");
+  return result;
+}
+
+// Quantities are kept to 2 decimals (same precision the qty field shows).
+export function roundQty(n) {
+  return Math.round(num(n) * 100) / 100;
+}
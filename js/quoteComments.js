@@ -0,0 +1,44 @@
+// js/quoteComments.js
+// Question + reply thread between the customer and the company (posted through /api/quote-comment).
+// - data.meta.comments = [{ id, at, author: "customer" | "company", name, body, item_id, item_label }]
+//   item_id/item_label tie a comment to one line item; both are null for general questions
+// - Not part of the signed document: /api/accept-quote leaves it out of document_snapshot
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+export function normalizeQuoteComments(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((c) => c && typeof c === "object" && str(c.body) && str(c.at))
+    .map((c) => ({
+      id: str(c.id),
+      at: str(c.at),
+      author: c.author === "company" ? "company" : "customer",
+      name: str(c.name),
+      body: str(c.body),
+      item_id: str(c.item_id) || null,
+      item_label: str(c.item_label) || null,
+    }));
+}
+
+// The customer wrote last, so they're waiting on a reply
+export function awaitingReply(raw) {
+  const list = normalizeQuoteComments(raw);
+  return list.length > 0 && list[list.length - 1].author === "customer";
+}
+
+export function formatCommentTime(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString("en-CA", {
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return iso;
+  }
+}
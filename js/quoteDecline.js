@@ -0,0 +1,44 @@
+// js/quoteDecline.js
+// Customer declines from the quote link (recorded by /api/decline-quote).
+// - status "Declined" + data.meta.decline = { declined_at, reason, comment }
+//   reason is one of DECLINE_REASONS (the customer page words them for the homeowner)
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+export const DECLINE_REASONS = [
+  { id: "price", label: "Price" },
+  { id: "timing", label: "Timing" },
+  { id: "competitor", label: "Chose a competitor" },
+  { id: "other", label: "Other" },
+];
+
+export function declineReasonLabel(reason) {
+  const id = str(reason).toLowerCase();
+  return DECLINE_REASONS.find((r) => r.id === id)?.label || "Other";
+}
+
+export function normalizeDecline(raw) {
+  if (!raw || typeof raw !== "object" || !str(raw.declined_at)) return null;
+  const reason = str(raw.reason).toLowerCase();
+  return {
+    declined_at: str(raw.declined_at),
+    reason: DECLINE_REASONS.some((r) => r.id === reason) ? reason : "other",
+    comment: str(raw.comment),
+  };
+}
+
+// "Declined Oct 05, 2026 — Price: “Too high for this year”" or "" when not declined
+export function declineSummary(raw) {
+  const d = normalizeDecline(raw);
+  if (!d) return "";
+
+  let when = d.declined_at.slice(0, 10);
+  try {
+    when = new Date(d.declined_at).toLocaleDateString("en-CA", { year: "numeric", month: "short", day: "2-digit" });
+  } catch {}
+
+  const comment = d.comment ? `: “${d.comment}”` : "";
+  return `Declined ${when} — ${declineReasonLabel(d.reason)}${comment}`;
+}
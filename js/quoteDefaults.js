@@ -16,6 +16,14 @@ export const DEFAULT_COMPANY = {
   currency: "CAD",
 };
 
+// How long a new quote stays open for signing (companies.quote_validity_days overrides it)
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 30;
+
+export function quoteValidityDays(company) {
+  const n = Math.round(Number(company?.quote_validity_days));
+  return n >= 1 && n <= 365 ? n : DEFAULT_QUOTE_VALIDITY_DAYS;
+}
+
 export function formatQuoteCode(quoteNo) {
   const n = String(quoteNo ?? "").trim();
   if (!n) return "";
@@ -45,10 +53,20 @@ export function makeDefaultQuoteData({ customer_name = "", customer_email = "" }
 
     // Each item matches the shape the builder expects
     items: [],
+    // Optional named groups; items point at them via section_id
+    sections: [],
+    // Optional alternatives (Good / Better / Best); items point at them via package_id
+    packages: [],
+    // Roof measurements (area, pitch, lengths, waste); items with a qty_formula read from these
+    measurements: {},
 
     // Money + calc
     tax_name: "Tax",
     tax_rate: 13,
+    // Multiple taxes ({ id, name, rate, apply_to_fees }); empty = the single tax above
+    taxes: [],
+    // Tax classes ({ id, name, tax_ids }); items point at them via tax_class_id
+    tax_classes: [],
     fees_cents: 0,
 
     // Deposit
@@ -0,0 +1,164 @@
+// js/quoteDiff.js
+// Compare two quote.data snapshots (two versions, or my unsaved copy vs. the saved one).
+// - Items are matched by line id (versions + duplicates keep ids), then by product + name
+// - Returns a flat list of changes; pages decide how to render them
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function money(cents) {
+  return `$${(num(cents) / 100).toLocaleString("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Unit prices can carry fractions of a cent
+function unitMoney(cents) {
+  return `$${(num(cents) / 100).toLocaleString("en-CA", { minimumFractionDigits: 2, maximumFractionDigits: 4 })}`;
+}
+
+function qtyText(n) {
+  return String(Math.round(num(n) * 100) / 100);
+}
+
+function discountText(d) {
+  if (!d || typeof d !== "object" || !(num(d.value) > 0)) return "none";
+  return d.type === "percent" ? `${num(d.value)}%` : money(d.value);
+}
+
+// Only an applied exemption changes the money
+function exemptionText(ex) {
+  if (!ex || typeof ex !== "object" || ex.applied === false) return "";
+  return str(ex.number) ? `Exempt (No. ${str(ex.number)})` : "Exempt";
+}
+
+function itemLabel(it) {
+  return str(it?.name) || str(it?.description).slice(0, 60) || "(Untitled line)";
+}
+
+function isBlankItem(it) {
+  return !str(it?.name) && !str(it?.description) && !(num(it?.unit_price_cents) > 0);
+}
+
+function itemKey(it) {
+  return `${str(it?.product_id)}|${itemLabel(it).toLowerCase()}`;
+}
+
+const ITEM_FIELDS = [
+  { key: "qty", label: "Qty", fmt: qtyText },
+  { key: "unit_price_cents", label: "Unit price", fmt: unitMoney },
+  { key: "unit_type", label: "Unit", fmt: str },
+  { key: "description", label: "Description", fmt: str },
+  { key: "min_charge_cents", label: "Minimum charge", fmt: (v) => (num(v) > 0 ? money(v) : "none") },
+  { key: "discount", label: "Discount", fmt: discountText },
+  { key: "optional", label: "Optional", fmt: (v) => (v === true ? "yes" : "no") },
+];
+
+const TOTAL_FIELDS = [
+  { key: "subtotal_cents", label: "Subtotal" },
+  { key: "discount_cents", label: "Discount" },
+  { key: "tax_cents", label: "Tax" },
+  { key: "fees_cents", label: "Fees" },
+  { key: "total_cents", label: "Total" },
+];
+
+function diffItems(beforeItems, afterItems) {
+  const before = (Array.isArray(beforeItems) ? beforeItems : []).filter((it) => !isBlankItem(it));
+  const after = (Array.isArray(afterItems) ? afterItems : []).filter((it) => !isBlankItem(it));
+  const changes = [];
+  const used = new Set();
+
+  const findMatch = (it) => {
+    let idx = after.findIndex((b, i) => !used.has(i) && str(it.id) && str(b.id) === str(it.id));
+    if (idx < 0) idx = after.findIndex((b, i) => !used.has(i) && itemKey(b) === itemKey(it));
+    return idx;
+  };
+
+  for (const a of before) {
+    const idx = findMatch(a);
+    if (idx < 0) {
+      changes.push({ group: "Items", kind: "removed", label: itemLabel(a), before: `${qtyText(a.qty)} × ${unitMoney(a.unit_price_cents)}`, after: "" });
+      continue;
+    }
+    used.add(idx);
+    const b = after[idx];
+
+    if (itemLabel(a) !== itemLabel(b)) {
+      changes.push({ group: "Items", kind: "changed", label: `${itemLabel(a)} — name`, before: itemLabel(a), after: itemLabel(b) });
+    }
+    for (const f of ITEM_FIELDS) {
+      const x = f.fmt(a[f.key]);
+      const y = f.fmt(b[f.key]);
+      if (x !== y) changes.push({ group: "Items", kind: "changed", label: `${itemLabel(b)} — ${f.label}`, before: x, after: y });
+    }
+  }
+
+  after.forEach((b, i) => {
+    if (used.has(i)) return;
+    changes.push({ group: "Items", kind: "added", label: itemLabel(b), before: "", after: `${qtyText(b.qty)} × ${unitMoney(b.unit_price_cents)}` });
+  });
+
+  return changes;
+}
+
+function diffSchedule(beforeSteps, afterSteps) {
+  const before = Array.isArray(beforeSteps) ? beforeSteps : [];
+  const after = Array.isArray(afterSteps) ? afterSteps : [];
+  const fmt = (s) => (s ? `${str(s.title) || "Step"} — ${num(s.percent)}%` : "");
+  const changes = [];
+
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    const x = fmt(before[i]);
+    const y = fmt(after[i]);
+    if (x === y) continue;
+    changes.push({
+      group: "Payment schedule",
+      kind: !x ? "added" : !y ? "removed" : "changed",
+      label: `Step ${i + 1}`,
+      before: x,
+      after: y,
+    });
+  }
+
+  return changes;
+}
+
+function diffText(group, label, before, after) {
+  const x = str(before);
+  const y = str(after);
+  return x === y ? [] : [{ group, kind: !x ? "added" : !y ? "removed" : "changed", label, before: x, after: y }];
+}
+
+/**
+ * @param {object} before  quote.data
+ * @param {object} after   quote.data
+ * @returns {{ group: string, kind: "added"|"removed"|"changed", label: string, before: string, after: string }[]}
+ */
+export function diffQuoteData(before, after) {
+  const a = before && typeof before === "object" ? before : {};
+  const b = after && typeof after === "object" ? after : {};
+  const changes = [];
+
+  changes.push(...diffItems(a.items, b.items));
+
+  const ta = a.computed || {};
+  const tb = b.computed || {};
+  for (const f of TOTAL_FIELDS) {
+    if (num(ta[f.key]) === num(tb[f.key])) continue;
+    changes.push({ group: "Totals", kind: "changed", label: f.label, before: money(ta[f.key]), after: money(tb[f.key]) });
+  }
+
+  changes.push(...diffSchedule(a.payment_schedule, b.payment_schedule));
+  changes.push(...diffText("Terms & notes", "Terms", a.terms, b.terms));
+  changes.push(...diffText("Terms & notes", "Notes", a.notes, b.notes));
+  changes.push(...diffText("Customer", "Name", a.bill_to?.client_name, b.bill_to?.client_name));
+  changes.push(...diffText("Customer", "Email", a.bill_to?.client_email, b.bill_to?.client_email));
+  changes.push(...diffText("Customer", "Job site", a.project?.project_location, b.project?.project_location));
+  changes.push(...diffText("Customer", "Tax exemption", exemptionText(a.tax_exemption), exemptionText(b.tax_exemption)));
+
+  return changes;
+}
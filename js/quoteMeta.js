@@ -0,0 +1,34 @@
+// js/quoteMeta.js
+// Quote meta the builder form doesn't own (data.meta). Each key is written straight to the saved quote:
+// - sent_at (/api/send-quote-link), reminders (/api/send-reminders), views (/api/track-quote-view),
+//   comments (/api/quote-comment), decline (/api/decline-quote), update_requested_at (/api/request-quote-update)
+// - expiry_extensions (the builder's Extend button)
+// A builder save always takes these from the saved quote, never from the copy it loaded.
+
+export const SERVER_META_KEYS = [
+  "sent_at",
+  "reminders",
+  "views",
+  "comments",
+  "decline",
+  "expiry_extensions",
+  "update_requested_at",
+];
+
+// `meta` with every server-owned key replaced by the saved quote's (dropped when the saved quote has none)
+export function mergeServerMeta(meta, latestMeta) {
+  const out = meta && typeof meta === "object" ? { ...meta } : {};
+  const latest = latestMeta && typeof latestMeta === "object" ? latestMeta : {};
+  for (const key of SERVER_META_KEYS) {
+    if (latest[key] !== undefined && latest[key] !== null) out[key] = latest[key];
+    else delete out[key];
+  }
+  return out;
+}
+
+// `meta` without the server-owned keys (e.g. for undo snapshots, which must never bring old ones back)
+export function withoutServerMeta(meta) {
+  const out = meta && typeof meta === "object" ? { ...meta } : {};
+  for (const key of SERVER_META_KEYS) delete out[key];
+  return out;
+}
@@ -0,0 +1,34 @@
+// js/quoteReminders.js
+// Follow-up reminders for sent quotes the customer hasn't signed (sent by /api/send-reminders on a cron).
+// - companies.reminder_settings = { enabled, after_sent_days: [3, 7], before_expiry_days: [2] }
+// - Each reminder sent is logged on the quote in data.meta.reminders = [{ key, sent_at, to }]
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  after_sent_days: [3, 7],
+  before_expiry_days: [2],
+};
+
+// "3, 7" / [3, "7"] -> [3, 7] (whole days 1-365, unique, ascending)
+export function parseReminderDays(raw) {
+  const parts = Array.isArray(raw) ? raw : String(raw ?? "").split(/[\s,;]+/);
+  const days = parts.map((v) => Math.round(Number(v))).filter((n) => Number.isFinite(n) && n >= 1 && n <= 365);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+export function normalizeReminderSettings(raw) {
+  if (!raw || typeof raw !== "object") return { ...DEFAULT_REMINDER_SETTINGS };
+  return {
+    enabled: raw.enabled === true,
+    after_sent_days: Array.isArray(raw.after_sent_days)
+      ? parseReminderDays(raw.after_sent_days)
+      : [...DEFAULT_REMINDER_SETTINGS.after_sent_days],
+    before_expiry_days: Array.isArray(raw.before_expiry_days)
+      ? parseReminderDays(raw.before_expiry_days)
+      : [...DEFAULT_REMINDER_SETTINGS.before_expiry_days],
+  };
+}
+
+export function formatReminderDays(days) {
+  return parseReminderDays(days).join(", ");
+}
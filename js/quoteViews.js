@@ -0,0 +1,55 @@
+// js/quoteViews.js
+// Customer views of the quote link (recorded by /api/track-quote-view).
+// - data.meta.views = { first_viewed_at, last_viewed_at, count, last_device, history: [{ at, device }] }
+//   device is "mobile" | "tablet" | "desktop"; history keeps the most recent views only
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+const DEVICES = ["mobile", "tablet", "desktop"];
+
+export function normalizeQuoteViews(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const count = Math.max(0, Math.round(Number(raw.count) || 0));
+  if (!count || !str(raw.first_viewed_at)) return null;
+
+  const history = (Array.isArray(raw.history) ? raw.history : [])
+    .filter((h) => str(h?.at))
+    .map((h) => ({ at: str(h.at), device: DEVICES.includes(str(h.device)) ? str(h.device) : "desktop" }));
+
+  return {
+    first_viewed_at: str(raw.first_viewed_at),
+    last_viewed_at: str(raw.last_viewed_at) || str(raw.first_viewed_at),
+    count,
+    last_device: DEVICES.includes(str(raw.last_device)) ? str(raw.last_device) : "",
+    history,
+  };
+}
+
+export function formatViewTime(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString("en-CA", {
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return iso;
+  }
+}
+
+export function deviceLabel(device) {
+  const d = str(device);
+  return d ? d.charAt(0).toUpperCase() + d.slice(1) : "";
+}
+
+// "Viewed 3× • last Oct 05, 02:14 p.m. (mobile)" or "" when never opened
+export function viewsSummary(raw) {
+  const v = normalizeQuoteViews(raw);
+  if (!v) return "";
+  const device = v.last_device ? ` (${v.last_device})` : "";
+  return `Viewed ${v.count}× • last ${formatViewTime(v.last_viewed_at)}${device}`;
+}
@@ -1,4 +1,6 @@
 import { supabase } from "./api.js";
+import { quoteValidityDays } from "./quoteDefaults.js";
+import { SERVER_META_KEYS } from "./quoteMeta.js";
 
 /**
  * Tenant-safe Quotes API
@@ -10,6 +12,7 @@ import { supabase } from "./api.js";
  * - updateQuote
  * - cancelQuote
  * - duplicateQuoteById
+ * - listQuoteVersions
  *
  * Notes:
  * - All reads/writes are scoped to the signed-in user's company_id.
@@ -182,22 +185,46 @@ export async function listQuotes({ limit = 500 } = {}) {
   return data || [];
 }
 
+// Some projects don't have an `updated_at` column on quotes.
+// Selecting a non-existent column hard-fails in PostgREST.
+const QUOTE_COLUMNS =
+  "id, quote_no, customer_name, customer_email, customer_id, total_cents, currency, status, created_at, created_by, data";
+
+// quotes.revision (integer) goes up by one on every write: builder saves here, and the api/ endpoints
+// that change a quote behind the builder's back (accept, decline, send, reminders, views, comments,
+// update requests). Without the column everything still saves, just with no conflict detection.
+// To turn it on:
+//   alter table quotes add column if not exists revision integer not null default 0;
+function isMissingRevisionColumn(error) {
+  const msg = String(error?.message || "").toLowerCase();
+  return msg.includes("revision") && (msg.includes("column") || msg.includes("schema"));
+}
+
+/**
+ * Thrown by updateQuote when the quote was saved somewhere else since it was loaded.
+ * `latest` is the quote row as it is now.
+ */
+export class QuoteConflictError extends Error {
+  constructor(latest) {
+    super("This quote was changed somewhere else since you opened it.");
+    this.name = "QuoteConflictError";
+    this.code = "quote_conflict";
+    this.latest = latest || null;
+  }
+}
+
 export async function getQuote(quoteId) {
   const { companyId } = await getTenantContext();
 
-  const { data, error } = await supabase
-    .from("quotes")
-    .select(
-      // Some projects don't have an `updated_at` column on quotes.
-      // Selecting a non-existent column hard-fails in PostgREST.
-      "id, quote_no, customer_name, customer_email, customer_id, total_cents, currency, status, created_at, created_by, data"
-    )
-    .eq("id", quoteId)
-    .eq("company_id", companyId)
-    .single();
+  const select = (cols) =>
+    supabase.from("quotes").select(cols).eq("id", quoteId).eq("company_id", companyId).single();
 
-  if (error) throw new Error(error.message);
-  return data;
+  // `revision` powers conflict detection; older schemas don't have it yet.
+  let res = await select(`${QUOTE_COLUMNS}, revision`);
+  if (res.error && isMissingRevisionColumn(res.error)) res = await select(QUOTE_COLUMNS);
+
+  if (res.error) throw new Error(res.error.message);
+  return res.data;
 }
 
 export async function createQuote(payload = {}) {
@@ -219,7 +246,8 @@ export async function createQuote(payload = {}) {
 
   if (!data.meta || typeof data.meta !== "object") data.meta = {};
   if (!safeStr(data.meta.quote_date)) data.meta.quote_date = todayIsoLocal();
-  if (!safeStr(data.meta.quote_expires)) data.meta.quote_expires = addDaysIso(data.meta.quote_date, 30);
+
+  let validityDays = quoteValidityDays(null);
 
   try {
     const { data: company, error: compErr } = await supabase
@@ -230,6 +258,8 @@ export async function createQuote(payload = {}) {
       .single();
 
     if (!compErr && company) {
+      validityDays = quoteValidityDays(company);
+
       // Currency: prefer explicit payload.currency, then company default_currency, then CAD.
       if (!safeStr(payload.currency) && safeStr(company.default_currency)) {
         row.currency = safeStr(company.default_currency);
@@ -253,6 +283,27 @@ if (payload.use_company_tax !== false) {
 
   data.tax_name = tn;
   if (Number.isFinite(tr)) data.tax_rate = tr;
+
+  // Multiple taxes (eg. GST + PST) + tax classes, when the company defines them.
+  if (Array.isArray(company.taxes) && company.taxes.length) {
+    data.taxes = company.taxes
+      .filter((t) => t && safeStr(t.id))
+      .map((t) => ({
+        id: safeStr(t.id),
+        name: safeStr(t.name) || "Tax",
+        rate: Number.isFinite(Number(t.rate)) ? Number(t.rate) : 0,
+        apply_to_fees: t.apply_to_fees === true,
+      }));
+  }
+  if (Array.isArray(company.tax_classes)) {
+    data.tax_classes = company.tax_classes
+      .filter((c) => c && safeStr(c.id))
+      .map((c) => ({
+        id: safeStr(c.id),
+        name: safeStr(c.name),
+        tax_ids: Array.isArray(c.tax_ids) ? c.tax_ids.map(safeStr).filter(Boolean) : [],
+      }));
+  }
 }
 
 
@@ -278,12 +329,19 @@ if (payload.use_company_tax !== false) {
     // we still allow quote creation. The builder can fill defaults later.
   }
 
+  if (!safeStr(data.meta.quote_expires)) data.meta.quote_expires = addDaysIso(data.meta.quote_date, validityDays);
+
   row.data = data;
 
   // Never allow callers to override tenancy
   delete row.id;
   delete row.companyId;
 
+  // Snapshot options are not columns
+  delete row.use_company_terms;
+  delete row.use_company_tax;
+  delete row.use_company_letterhead;
+
   // Insert (with a graceful fallback if your quotes table doesn't have customer_id yet)
   let res = await supabase
     .from("quotes")
@@ -312,31 +370,131 @@ if (payload.use_company_tax !== false) {
   return res.data;
 }
 
-export async function updateQuote(quoteId, patch = {}) {
+/**
+ * Update a quote.
+ * Pass `expectedRevision` (the revision you loaded) to reject stale saves:
+ * if someone else saved in between, nothing is written and QuoteConflictError is thrown.
+ */
+export async function updateQuote(quoteId, patch = {}, { expectedRevision } = {}) {
   const { companyId } = await getTenantContext();
 
   const row = { ...patch };
   delete row.id;
   delete row.company_id;
   delete row.created_by;
+  delete row.revision;
+
+  const guarded = Number.isInteger(expectedRevision);
+
+  const run = (useRevision) => {
+    const next = useRevision ? { ...row, revision: expectedRevision + 1 } : row;
+    let q = supabase
+      .from("quotes")
+      .update(next)
+      .eq("id", quoteId)
+      .eq("company_id", companyId);
+    if (useRevision) q = q.eq("revision", expectedRevision);
+    return q.select(useRevision ? `${QUOTE_COLUMNS}, revision` : QUOTE_COLUMNS).maybeSingle();
+  };
 
-  const { data, error } = await supabase
+  let res = await run(guarded);
+  if (guarded && res.error && isMissingRevisionColumn(res.error)) res = await run(false);
+
+  if (res.error) throw new Error(res.error.message);
+
+  if (!res.data) {
+    // No row matched: either the revision moved on, or the quote is gone.
+    const latest = guarded ? await getQuote(quoteId).catch(() => null) : null;
+    if (latest) throw new QuoteConflictError(latest);
+    throw new Error("Quote not found.");
+  }
+
+  return res.data;
+}
+
+export async function cancelQuote(quoteId) {
+  return updateQuote(quoteId, { status: "cancelled" });
+}
+
+/**
+ * Every quote in a version chain (linked by data.meta.version_of_quote_id), oldest first.
+ * Walks up to the original, then down through every version made from it (including branches).
+ */
+export async function listQuoteVersions(quoteId) {
+  const { companyId } = await getTenantContext();
+  const cols = "id, quote_no, customer_name, total_cents, currency, status, created_at, data";
+  const MAX_VERSIONS = 100;
+
+  // Up: follow version_of_quote_id back to the original quote
+  const getLink = async (id) => {
+    const { data, error } = await supabase
+      .from("quotes")
+      .select("id, version_of_quote_id:data->meta->>version_of_quote_id")
+      .eq("id", id)
+      .eq("company_id", companyId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+  };
+
+  let link = await getLink(quoteId);
+  if (!link) throw new Error("Quote not found.");
+
+  const seen = new Set([link.id]);
+  while (seen.size < MAX_VERSIONS) {
+    const parentId = safeStr(link.version_of_quote_id);
+    if (!parentId || seen.has(parentId)) break;
+    seen.add(parentId);
+
+    // The parent may have been deleted; stop at the oldest one we can still read
+    const parent = await getLink(parentId);
+    if (!parent) break;
+    link = parent;
+  }
+  const rootId = link.id;
+
+  // Down: breadth-first through versions made from each generation
+  const { data: root, error: rootErr } = await supabase
     .from("quotes")
-    .update(row)
-    .eq("id", quoteId)
+    .select(cols)
+    .eq("id", rootId)
     .eq("company_id", companyId)
-    .select(
-      // Keep compatible with schemas that don't include `updated_at`.
-      "id, quote_no, customer_name, customer_email, customer_id, total_cents, currency, status, created_at, created_by, data"
-    )
     .single();
+  if (rootErr) throw new Error(rootErr.message);
+
+  const versions = [root];
+  const ids = new Set([root.id]);
+  let frontier = [root.id];
+
+  while (frontier.length && versions.length < MAX_VERSIONS) {
+    const { data, error } = await supabase
+      .from("quotes")
+      .select(cols)
+      .eq("company_id", companyId)
+      .in("data->meta->>version_of_quote_id", frontier)
+      .order("created_at", { ascending: true });
+    if (error) throw new Error(error.message);
+
+    frontier = [];
+    for (const q of data || []) {
+      if (ids.has(q.id)) continue;
+      ids.add(q.id);
+      versions.push(q);
+      frontier.push(q.id);
+    }
+  }
 
-  if (error) throw new Error(error.message);
-  return data;
+  return versions.sort((a, b) => String(a.created_at || "").localeCompare(String(b.created_at || "")));
 }
 
-export async function cancelQuote(quoteId) {
-  return updateQuote(quoteId, { status: "cancelled" });
+// Company setting for new quote expiry dates (falls back to the default when unreadable)
+async function getQuoteValidityDays(companyId) {
+  try {
+    const { data: company, error } = await supabase.from("companies").select("*").eq("id", companyId).single();
+    return quoteValidityDays(error ? null : company);
+  } catch {
+    return quoteValidityDays(null);
+  }
 }
 
 export async function duplicateQuoteById(sourceQuoteId) {
@@ -353,7 +511,8 @@ export async function duplicateQuoteById(sourceQuoteId) {
   meta.version_of_quote_id = src.id;
   meta.version_of_quote_no = src.quote_no;
   meta.quote_date = todayIsoLocal();
-  meta.quote_expires = addDaysIso(meta.quote_date, 30);
+  meta.quote_expires = addDaysIso(meta.quote_date, await getQuoteValidityDays(companyId));
+  for (const key of SERVER_META_KEYS) delete meta[key];
   newData.meta = meta;
 
   // Keep customer linkage in json too
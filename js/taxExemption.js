@@ -0,0 +1,71 @@
+// js/taxExemption.js
+// Tax-exempt customers (eg. First Nations projects, some institutions).
+// - customers.tax_exemption = { number, expires, tax_ids, certificate_path, certificate_name }
+//   tax_ids are the company taxes the customer doesn't pay; empty = every tax
+// - Quotes keep a snapshot in data.tax_exemption = { number, expires, tax_ids, applied }
+//   applied: false keeps the reference on file but charges tax as usual
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+function todayIso() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function normalizeTaxExemption(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const expires = str(raw.expires);
+
+  return {
+    number: str(raw.number),
+    expires: /^\d{4}-\d{2}-\d{2}$/.test(expires) ? expires : null,
+    tax_ids: Array.isArray(raw.tax_ids) ? raw.tax_ids.map(str).filter(Boolean) : [],
+    certificate_path: str(raw.certificate_path) || null,
+    certificate_name: str(raw.certificate_name) || null,
+  };
+}
+
+export function isTaxExemptionExpired(exemption, onIso = todayIso()) {
+  const ex = normalizeTaxExemption(exemption);
+  return !!ex?.expires && ex.expires < str(onIso);
+}
+
+/**
+ * Quote snapshot of a customer's exemption, or null when they aren't exempt.
+ * An expired certificate is kept for reference but not applied.
+ */
+export function quoteTaxExemption(customerExemption, { onIso = todayIso() } = {}) {
+  const ex = normalizeTaxExemption(customerExemption);
+  if (!ex) return null;
+
+  return {
+    number: ex.number,
+    expires: ex.expires,
+    tax_ids: ex.tax_ids,
+    applied: !isTaxExemptionExpired(ex, onIso),
+  };
+}
+
+export function formatExemptionDate(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(`${iso}T00:00:00`).toLocaleDateString("en-CA", { year: "numeric", month: "short", day: "2-digit" });
+  } catch {
+    return iso;
+  }
+}
+
+// "Tax exempt • No. 12345 • Expires Jan 01, 2027"
+export function taxExemptionText(exemption) {
+  const ex = normalizeTaxExemption(exemption);
+  if (!ex) return "";
+  return [
+    "Tax exempt",
+    ex.number ? `No. ${ex.number}` : "",
+    ex.expires ? `Expires ${formatExemptionDate(ex.expires)}` : "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
@@ -0,0 +1,195 @@
+import { supabase } from "./api.js";
+
+/**
+ * templatesApi.js
+ * Saved quote templates (eg. "Standard steel re-roof").
+ * - Multi-tenant safe
+ * - Reads the current user's company_id from company_members (cached)
+ *
+ * A template stores the reusable parts of quote.data:
+ *   { sections, items, packages, terms, notes, payment_schedule }
+ * Customer, job site, dates and measurements are never copied.
+ */
+
+let cachedCompanyId = null;
+
+async function getSession() {
+  const { data, error } = await supabase.auth.getSession();
+  if (error) throw new Error(error.message);
+  const user = data?.session?.user;
+  if (!user?.id) throw new Error("Not authenticated.");
+  return user;
+}
+
+async function getCompanyId() {
+  if (cachedCompanyId) return cachedCompanyId;
+
+  const user = await getSession();
+
+  const { data, error } = await supabase
+    .from("company_members")
+    .select("company_id")
+    .eq("user_id", user.id)
+    .limit(1);
+
+  if (error) throw new Error(error.message);
+  const companyId = data?.[0]?.company_id;
+
+  if (!companyId) {
+    throw new Error(
+      "No company membership found for this account. Create a company (owner) or ask an admin to invite you."
+    );
+  }
+
+  cachedCompanyId = companyId;
+  return companyId;
+}
+
+function safeStr(v) {
+  return String(v ?? "").trim();
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v ?? null));
+}
+
+/**
+ * Pull the reusable parts out of a quote's data.
+ * Lines keep their ids so section / package links and formula line refs still resolve.
+ */
+export function templateDataFromQuote(quoteData) {
+  const d = quoteData && typeof quoteData === "object" ? quoteData : {};
+  const list = (v) => (Array.isArray(v) ? clone(v) : []);
+
+  return {
+    sections: list(d.sections),
+    items: list(d.items),
+    packages: list(d.packages),
+    terms: String(d.terms ?? ""),
+    notes: String(d.notes ?? ""),
+    payment_schedule: list(d.payment_schedule),
+  };
+}
+
+/**
+ * Copy a template into fresh quote data (mutates + returns `data`).
+ * Empty template terms / schedule are skipped so company defaults still apply.
+ */
+export function applyTemplateToQuoteData(data, template) {
+  const out = data && typeof data === "object" ? data : {};
+  const t = templateDataFromQuote(template?.data);
+
+  out.sections = t.sections;
+  out.items = t.items;
+  out.packages = t.packages;
+  if (safeStr(t.terms)) out.terms = t.terms;
+  if (safeStr(t.notes)) out.notes = t.notes;
+  if (t.payment_schedule.length) out.payment_schedule = t.payment_schedule;
+
+  if (!out.meta || typeof out.meta !== "object") out.meta = {};
+  out.meta.template_id = template?.id || null;
+  out.meta.template_name = safeStr(template?.name);
+
+  return out;
+}
+
+export function templateHasTerms(template) {
+  return !!safeStr(template?.data?.terms);
+}
+
+export async function listTemplates({ search = "", limit = 200 } = {}) {
+  const companyId = await getCompanyId();
+
+  let q = supabase
+    .from("quote_templates")
+    .select("*")
+    .eq("company_id", companyId)
+    .order("name", { ascending: true })
+    .limit(limit);
+
+  const s = safeStr(search);
+  if (s) {
+    // Note: RLS still applies; this is just a convenience filter.
+    const esc = s.replace(/%/g, "\\%").replace(/_/g, "\\_");
+    q = q.or(`name.ilike.%${esc}%,description.ilike.%${esc}%`);
+  }
+
+  const { data, error } = await q;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+export async function getTemplate(id) {
+  const companyId = await getCompanyId();
+
+  const { data, error } = await supabase
+    .from("quote_templates")
+    .select("*")
+    .eq("id", id)
+    .eq("company_id", companyId)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export async function createTemplate({ name, description = null, data = {} } = {}) {
+  const companyId = await getCompanyId();
+  const user = await getSession();
+
+  const row = {
+    company_id: companyId,
+    created_by: user.id,
+    name: safeStr(name),
+    description: safeStr(description) || null,
+    data: templateDataFromQuote(data),
+  };
+  if (!row.name) throw new Error("Template name is required.");
+
+  let res = await supabase.from("quote_templates").insert(row).select("*").single();
+
+  if (res.error && /created_by/i.test(String(res.error.message || ""))) {
+    const { created_by, ...fallback } = row;
+    res = await supabase.from("quote_templates").insert(fallback).select("*").single();
+  }
+
+  if (res.error) throw new Error(res.error.message);
+  return res.data;
+}
+
+export async function updateTemplate(id, payload = {}) {
+  const companyId = await getCompanyId();
+
+  const row = { ...payload };
+  delete row.id;
+  delete row.company_id;
+  delete row.created_by;
+  if ("name" in row) {
+    row.name = safeStr(row.name);
+    if (!row.name) throw new Error("Template name is required.");
+  }
+  if ("data" in row) row.data = templateDataFromQuote(row.data);
+
+  const { data, error } = await supabase
+    .from("quote_templates")
+    .update(row)
+    .eq("id", id)
+    .eq("company_id", companyId)
+    .select("*")
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export async function deleteTemplate(id) {
+  const companyId = await getCompanyId();
+
+  const { error } = await supabase
+    .from("quote_templates")
+    .delete()
+    .eq("id", id)
+    .eq("company_id", companyId);
+
+  if (error) throw new Error(error.message);
+}
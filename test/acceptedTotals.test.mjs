@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeAcceptedTotals } from "../api/_lib/quoteTotals.js";
+
+const line = (id, cents, extra = {}) => ({ id, qty: 1, unit_price_cents: cents, ...extra });
+
+test("adds every required line and taxes the taxable ones", () => {
+  const data = {
+    tax_name: "GST",
+    tax_rate: 5,
+    items: [line("a", 10000), line("b", 5000, { taxable: false })],
+  };
+  const t = computeAcceptedTotals(data, new Set());
+  assert.equal(t.subtotal_cents, 15000);
+  assert.equal(t.tax_cents, 500);
+  assert.equal(t.total_cents, 15500);
+});
+
+test("optional add-ons only count when selected", () => {
+  const data = { items: [line("a", 10000), line("opt", 2500, { optional: true })] };
+  assert.equal(computeAcceptedTotals(data, new Set()).total_cents, 10000);
+  assert.equal(computeAcceptedTotals(data, new Set(["opt"])).total_cents, 12500);
+});
+
+test("package lines only count for the chosen package", () => {
+  const data = {
+    packages: [{ id: "good" }, { id: "best" }],
+    items: [line("shared", 1000), line("g", 2000, { package_id: "good" }), line("b", 5000, { package_id: "best" })],
+  };
+  assert.equal(computeAcceptedTotals(data, new Set(), "good").total_cents, 3000);
+  assert.equal(computeAcceptedTotals(data, new Set(), "best").total_cents, 6000);
+});
+
+test("quote discount comes off before tax", () => {
+  const data = {
+    tax_name: "GST",
+    tax_rate: 10,
+    discount: { type: "percent", value: 10 },
+    items: [line("a", 10000)],
+  };
+  const t = computeAcceptedTotals(data, new Set());
+  assert.equal(t.discount_cents, 1000);
+  assert.equal(t.tax_cents, 900);
+  assert.equal(t.total_cents, 9900);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dueReminder } from "../api/send-reminders.js";
+
+const settings = { enabled: true, after_sent_days: [3, 7], before_expiry_days: [2] };
+const TZ = "UTC";
+
+test("nothing is due before the first step", () => {
+  const meta = { sent_at: "2026-10-01T15:00:00Z" };
+  assert.equal(dueReminder(meta, settings, "2026-10-03", TZ), null);
+});
+
+test("sends the after-sent step on its due date", () => {
+  const meta = { sent_at: "2026-10-01T15:00:00Z" };
+  const step = dueReminder(meta, settings, "2026-10-04", TZ);
+  assert.equal(step?.key, "after_sent_3");
+  assert.equal(step?.kind, "after_sent");
+});
+
+test("a missed run sends only the latest step, and a logged reminder covers earlier ones", () => {
+  const meta = { sent_at: "2026-10-01T15:00:00Z" };
+  assert.equal(dueReminder(meta, settings, "2026-10-09", TZ)?.key, "after_sent_7");
+
+  const logged = { ...meta, reminders: [{ key: "after_sent_7", sent_at: "2026-10-09T12:00:00Z" }] };
+  assert.equal(dueReminder(logged, settings, "2026-10-10", TZ), null);
+});
+
+test("expiry reminders win on the same day and stop once the quote has expired", () => {
+  const meta = { sent_at: "2026-10-01T15:00:00Z", quote_expires: "2026-10-10" };
+  assert.equal(dueReminder(meta, settings, "2026-10-08", TZ)?.key, "before_expiry_2");
+
+  const sameDay = { sent_at: "2026-10-01T15:00:00Z", quote_expires: "2026-10-06" };
+  assert.equal(dueReminder(sameDay, settings, "2026-10-04", TZ)?.kind, "before_expiry");
+
+  assert.equal(dueReminder(meta, settings, "2026-10-11", TZ), null);
+});
+
+test("never sends on the day the quote went out or a reminder already did", () => {
+  const meta = { sent_at: "2026-10-04T09:00:00Z", quote_expires: "2026-10-06" };
+  assert.equal(dueReminder(meta, settings, "2026-10-04", TZ), null);
+
+  const logged = {
+    sent_at: "2026-10-01T15:00:00Z",
+    reminders: [{ key: "after_sent_3", sent_at: "2026-10-08T10:00:00Z" }],
+  };
+  assert.equal(dueReminder(logged, settings, "2026-10-08", TZ), null);
+});
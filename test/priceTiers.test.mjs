@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeMinCharge, normalizeTiers, tierPriceFor } from "../js/priceTiers.js";
+
+test("normalizeTiers drops invalid tiers, dedupes by min_qty and sorts", () => {
+  const tiers = normalizeTiers([
+    { min_qty: 2000, price_per_unit_cents: 300 },
+    { min_qty: 0, price_per_unit_cents: 100 },
+    { min_qty: 500, price_per_unit_cents: -1 },
+    { min_qty: 500, price_per_unit_cents: 350 },
+    { min_qty: 2000, price_per_unit_cents: 3.755 },
+  ]);
+  assert.deepEqual(tiers, [
+    { min_qty: 500, price_per_unit_cents: 350 },
+    { min_qty: 2000, price_per_unit_cents: 3.76 },
+  ]);
+  assert.deepEqual(normalizeTiers(null), []);
+});
+
+test("tierPriceFor uses the highest tier the quantity reaches", () => {
+  const tiers = [
+    { min_qty: 500, price_per_unit_cents: 350 },
+    { min_qty: 2000, price_per_unit_cents: 300 },
+  ];
+  assert.deepEqual(tierPriceFor(400, tiers, 499), { price_cents: 400, tier: null });
+  assert.equal(tierPriceFor(400, tiers, 500).price_cents, 350);
+  assert.equal(tierPriceFor(400, tiers, 5000).price_cents, 300);
+  assert.equal(tierPriceFor(3.751, [], 10).price_cents, 3.75);
+});
+
+test("normalizeMinCharge keeps positive whole cents only", () => {
+  assert.equal(normalizeMinCharge(2500.4), 2500);
+  assert.equal(normalizeMinCharge(0), null);
+  assert.equal(normalizeMinCharge("abc"), null);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateFormula, measurementVars, pitchFactor, roundQty } from "../js/quantityFormula.js";
+
+test("evaluates arithmetic with precedence, parentheses and a leading =", () => {
+  assert.equal(evaluateFormula("=2 + 3 * 4"), 14);
+  assert.equal(evaluateFormula("(2 + 3) * 4"), 20);
+  assert.equal(evaluateFormula("-3 + 10 / 4"), -0.5);
+  assert.equal(evaluateFormula("2 × 3"), 6);
+});
+
+test("resolves names from vars and supports the helper functions", () => {
+  assert.equal(evaluateFormula("ceil(area / 33.3)", { area: 100 }), 4);
+  assert.equal(evaluateFormula("max(ridge, hip) + min(1, 2)", { ridge: 10, hip: 25 }), 26);
+  assert.equal(evaluateFormula("AREA", { area: 7 }), 7);
+});
+
+test("throws readable errors for formulas it can't use", () => {
+  assert.throws(() => evaluateFormula(""), /empty/);
+  assert.throws(() => evaluateFormula("area * 2", {}), /Unknown name "area"/);
+  assert.throws(() => evaluateFormula("4 / 0"), /divides by zero/);
+  assert.throws(() => evaluateFormula("2 +"), /ends too early/);
+  assert.throws(() => evaluateFormula("round(1, 2)"), /takes 1 value/);
+  assert.throws(() => evaluateFormula("2 $ 3"), /Unexpected "\$"/);
+});
+
+test("measurement vars apply the pitch factor and turn waste into a fraction", () => {
+  assert.equal(pitchFactor(0), 1);
+  assert.equal(roundQty(pitchFactor(12)), 1.41);
+
+  const vars = measurementVars({ area_sqft: 1000, pitch: 12, waste_pct: 10, ridge_lf: -5 });
+  assert.equal(roundQty(vars.roof_area), 1414.21);
+  assert.equal(vars.waste, 0.1);
+  assert.equal(vars.ridge, 0);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeServerMeta, withoutServerMeta, SERVER_META_KEYS } from "../js/quoteMeta.js";
+
+test("keeping my copy takes every server-owned key from the saved quote", () => {
+  const mine = {
+    quote_date: "2026-03-01",
+    quote_expires: "2026-04-15",
+    prepared_by: "Sam",
+    views: [{ at: "2026-03-02T10:00:00Z" }],
+  };
+  const saved = {
+    quote_date: "2026-03-01",
+    quote_expires: "2026-03-31",
+    prepared_by: "Alex",
+    sent_at: "2026-03-03T09:00:00Z",
+    reminders: [{ key: "after_3", sent_at: "2026-03-06T09:00:00Z", to: "a@b.co" }],
+    views: [{ at: "2026-03-02T10:00:00Z" }, { at: "2026-03-04T08:00:00Z" }],
+    comments: [{ id: "c1", from: "customer", body: "Colour?" }],
+    decline: { declined_at: "2026-03-07T12:00:00Z", reason: "price" },
+    expiry_extensions: [{ at: "2026-03-05T00:00:00Z", from: "2026-03-20", to: "2026-03-31" }],
+    update_requested_at: "2026-03-05T00:00:00Z",
+  };
+
+  const merged = mergeServerMeta(mine, saved);
+  for (const key of SERVER_META_KEYS) assert.deepEqual(merged[key], saved[key], key);
+  assert.equal(merged.quote_expires, "2026-04-15");
+  assert.equal(merged.prepared_by, "Sam");
+});
+
+test("a server-owned key the saved quote no longer has is dropped, not resurrected", () => {
+  const merged = mergeServerMeta({ quote_date: "2026-03-01", update_requested_at: "2026-03-05T00:00:00Z" }, {});
+  assert.deepEqual(merged, { quote_date: "2026-03-01" });
+});
+
+test("doesn't modify either input", () => {
+  const mine = { sent_at: "old" };
+  const saved = { sent_at: "new" };
+  mergeServerMeta(mine, saved);
+  assert.deepEqual(mine, { sent_at: "old" });
+  assert.deepEqual(saved, { sent_at: "new" });
+  assert.deepEqual(mergeServerMeta(null, undefined), {});
+});
+
+test("undo snapshots leave out server-owned keys, and restoring keeps the current ones", () => {
+  const current = { quote_expires: "2026-04-15", sent_at: "2026-03-03T09:00:00Z", views: { count: 2 } };
+  const snapshot = withoutServerMeta({ quote_expires: "2026-03-31", sent_at: "2026-01-01T00:00:00Z", comments: [] });
+  assert.deepEqual(snapshot, { quote_expires: "2026-03-31" });
+  assert.deepEqual(mergeServerMeta(snapshot, current), {
+    quote_expires: "2026-03-31",
+    sent_at: "2026-03-03T09:00:00Z",
+    views: { count: 2 },
+  });
+});
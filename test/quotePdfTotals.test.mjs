@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pdfSelection } from "../api/_lib/quotePdf.js";
+import { computeAcceptedTotals } from "../api/_lib/quoteTotals.js";
+
+const line = (id, cents, extra = {}) => ({ id, qty: 1, unit_price_cents: cents, ...extra });
+
+const data = {
+  taxes: [{ id: "gst", name: "GST", rate: 5, apply_to_fees: true }],
+  discount: { type: "amount", value: 500 },
+  fees_cents: 1000,
+  packages: [{ id: "good" }, { id: "best" }],
+  items: [
+    line("shared", 10000),
+    line("g", 2000, { package_id: "good" }),
+    line("b", 7500, { package_id: "best", discount: { type: "percent", value: 10 } }),
+    line("opt", 2500, { optional: true }),
+  ],
+};
+
+test("an unsigned quote prices the first package by default", () => {
+  const { pkgId, totals } = pdfSelection(data);
+  assert.equal(pkgId, "good");
+  assert.deepEqual(totals, computeAcceptedTotals(data, new Set(), "good"));
+});
+
+test("an unsigned quote prices what the customer has picked on screen", () => {
+  const { pkgId, totals } = pdfSelection(data, new Set(["opt"]), "best");
+  assert.equal(pkgId, "best");
+  assert.deepEqual(totals, computeAcceptedTotals(data, new Set(["opt"]), "best"));
+});
+
+test("a signed quote prices the accepted package and add-ons, not the on-screen pick", () => {
+  const signed = {
+    ...data,
+    acceptance: { accepted_at: "2026-01-05T00:00:00Z", selected_package_id: "best", selected_option_ids: ["opt"] },
+  };
+  const { pkgId, totals } = pdfSelection(signed, new Set(), "good");
+  assert.equal(pkgId, "best");
+  assert.deepEqual(totals, computeAcceptedTotals(signed, new Set(["opt"]), "best"));
+});
+
+test("an unknown package falls back to the first one", () => {
+  assert.equal(pdfSelection(data, new Set(), "gone").pkgId, "good");
+});